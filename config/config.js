@@ -33,15 +33,61 @@ const config = {
     promotionThreshold: parseFloat(process.env.PROMOTION_THRESHOLD) || 0.1,
     requestDelayMs: parseInt(process.env.REQUEST_DELAY_MS) || 2000,
     maxRetries: 3,
-    retryDelay: 5000
+    retryDelay: 5000,
+    sanityCheck: {
+      enabled: process.env.PRICE_SANITY_CHECK !== 'false',
+      historyDays: 30,
+      minSamples: parseInt(process.env.SANITY_MIN_SAMPLES) || 5,
+      iqrMultiplier: parseFloat(process.env.SANITY_IQR_MULTIPLIER) || 3,
+      maxDeviation: parseFloat(process.env.SANITY_MAX_DEVIATION) || 0.5,
+      extremeRatio: 5,
+      confirmTolerance: 0.02
+    },
+    searchWatch: {
+      maxWatchesPerGuild: parseInt(process.env.MAX_SEARCH_WATCHES) || 10,
+      maxItemsPerAlert: 10,
+      staleItemDays: 30
+    }
   },
 
   // ===== CONFIGURAÇÕES DE SCRAPING =====
   scraping: {
     userAgent: process.env.USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
     requestTimeoutMs: parseInt(process.env.REQUEST_TIMEOUT_MS) || 10000,
-    maxConcurrentRequests: 5,
-    respectRobotstxt: true
+    maxConcurrentRequests: parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 5,
+    maxRequestsPerDomain: 1,
+    respectRobotstxt: true,
+    robotsCacheMinutes: parseInt(process.env.ROBOTS_CACHE_MINUTES) || 1440,
+    conditionalRequests: process.env.CONDITIONAL_REQUESTS !== 'false',
+    pageCacheMinutes: parseInt(process.env.PAGE_CACHE_MINUTES) || 360,
+    rotateUserAgents: process.env.ROTATE_USER_AGENTS !== 'false',
+    proxies: (process.env.PROXY_LIST || '').split(',').map(proxy => proxy.trim()).filter(Boolean),
+    proxyStrategy: process.env.PROXY_STRATEGY || 'round-robin',
+    proxyQuarantineMinutes: parseInt(process.env.PROXY_QUARANTINE_MINUTES) || 30,
+    maxRedirects: parseInt(process.env.MAX_REDIRECTS) || 10,
+    browser: {
+      enabled: process.env.HEADLESS_BROWSER === 'true',
+      executablePath: process.env.BROWSER_EXECUTABLE_PATH || null,
+      timeoutMs: parseInt(process.env.BROWSER_TIMEOUT_MS) || 30000,
+      maxWaitMs: 10000
+    },
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 3,
+      cooldownMinutes: parseInt(process.env.CIRCUIT_COOLDOWN_MINUTES) || 15,
+      maxCooldownMinutes: 120
+    },
+    mercadoLivreApi: {
+      enabled: process.env.MERCADOLIVRE_API !== 'false',
+      baseUrl: (process.env.MERCADOLIVRE_API_URL || 'https://api.mercadolibre.com').replace(/\/+$/, ''),
+      accessToken: process.env.MERCADOLIVRE_ACCESS_TOKEN || null,
+      sellerCacheMinutes: 1440
+    },
+    selectorHealth: {
+      windowSize: parseInt(process.env.SELECTOR_HEALTH_WINDOW) || 10,
+      dropThreshold: parseFloat(process.env.SELECTOR_HEALTH_DROP) || 0.3,
+      alertCooldownHours: 6,
+      historyDays: 30
+    }
   },
 
   // ===== CONFIGURAÇÕES DE LOGGING =====
@@ -59,6 +105,13 @@ const config = {
     maxNotificationsPerHour: 50
   },
 
+  // ===== CONFIGURAÇÕES DE MOEDA =====
+  currency: {
+    default: process.env.DEFAULT_CURRENCY || 'BRL', // lojas sem moeda detectada
+    display: process.env.DISPLAY_CURRENCY || 'BRL', // servidores sem /currency set
+    ratesFile: process.env.CURRENCY_RATES_FILE || './data/currency_rates.json'
+  },
+
   // ===== CONFIGURAÇÕES DE TIMEZONE =====
   timezone: process.env.TZ || 'America/Sao_Paulo',
 
@@ -17,6 +17,11 @@ class Database {
     this.db = null;
     this.isConnected = false;
     Database.instance = this;
+
+    // Resolvida quando as tabelas, colunas, índices e triggers estiverem prontos
+    this.ready = new Promise(resolve => {
+      this.resolveReady = resolve;
+    });
     
     this.init();
   }
@@ -62,9 +67,15 @@ class Database {
    * Configura o banco de dados (tabelas, índices, etc.)
    */
   setupDatabase() {
-    this.createTables();
-    this.createIndexes();
-    this.createTriggers();
+    this.db.serialize(() => {
+      this.createTables();
+      this.migrateColumns();
+      this.createIndexes();
+      this.createTriggers();
+
+      // Executada depois de todos os comandos acima
+      this.db.get('PRAGMA user_version', () => this.resolveReady());
+    });
   }
 
   /**
@@ -93,10 +104,44 @@ class Database {
           check_count INTEGER DEFAULT 0,
           error_count INTEGER DEFAULT 0,
           last_error TEXT,
+          availability TEXT,
+          availability_changed_at DATETIME,
+          price_point TEXT,
+          shipping_cep TEXT,
+          shipping_cost REAL,
+          landed_price REAL,
+          use_landed_price BOOLEAN DEFAULT 0,
+          product_key TEXT,
+          gtin TEXT,
+          mpn TEXT,
+          brand TEXT,
+          group_id INTEGER REFERENCES product_groups (id) ON DELETE SET NULL,
+          seller_id TEXT,
+          seller_name TEXT,
+          seller_official BOOLEAN,
+          official_seller_only BOOLEAN DEFAULT 0,
+          promotions TEXT,
+          effective_price REAL,
+          currency TEXT DEFAULT 'BRL',
           metadata TEXT DEFAULT '{}'
         )`
       },
 
+      // Grupos de produtos (o mesmo item monitorado em lojas diferentes)
+      {
+        name: 'product_groups',
+        sql: `CREATE TABLE IF NOT EXISTS product_groups (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          guild_id TEXT NOT NULL,
+          name TEXT NOT NULL,
+          gtin TEXT,
+          mpn TEXT,
+          created_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+      },
+
       // Tabela de histórico de preços
       {
         name: 'price_history',
@@ -107,10 +152,87 @@ class Database {
           price_change_percent REAL,
           checked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           source TEXT DEFAULT 'scraping',
+          availability TEXT,
+          price_points TEXT,
+          shipping_cost REAL,
+          seller_id TEXT,
+          seller_name TEXT,
+          seller_official BOOLEAN,
+          promotions TEXT,
+          effective_price REAL,
+          currency TEXT,
           FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
         )`
       },
 
+      // Leituras de preço suspeitas (fora do histórico recente) aguardando revisão
+      {
+        name: 'price_quarantine',
+        sql: `CREATE TABLE IF NOT EXISTS price_quarantine (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          product_id INTEGER NOT NULL,
+          price REAL NOT NULL,
+          confirm_price REAL,
+          reference_price REAL,
+          lower_bound REAL,
+          upper_bound REAL,
+          deviation REAL,
+          reason TEXT,
+          status TEXT DEFAULT 'pending',
+          details TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          reviewed_at DATETIME,
+          reviewed_by TEXT,
+          FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+        )`
+      },
+
+      // Buscas e páginas de categoria monitoradas (vários itens por página)
+      {
+        name: 'search_watches',
+        sql: `CREATE TABLE IF NOT EXISTS search_watches (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          url TEXT NOT NULL,
+          query TEXT,
+          domain TEXT,
+          keywords TEXT,
+          target_price REAL,
+          currency TEXT DEFAULT 'BRL',
+          channel_id TEXT NOT NULL,
+          guild_id TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          is_active BOOLEAN DEFAULT 1,
+          item_count INTEGER DEFAULT 0,
+          best_price REAL,
+          check_count INTEGER DEFAULT 0,
+          error_count INTEGER DEFAULT 0,
+          last_error TEXT,
+          last_checked DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (guild_id, url)
+        )`
+      },
+
+      // Itens encontrados em cada busca monitorada
+      {
+        name: 'search_watch_items',
+        sql: `CREATE TABLE IF NOT EXISTS search_watch_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          watch_id INTEGER NOT NULL,
+          item_key TEXT NOT NULL,
+          url TEXT NOT NULL,
+          name TEXT,
+          price REAL,
+          availability TEXT,
+          first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (watch_id, item_key),
+          FOREIGN KEY (watch_id) REFERENCES search_watches (id) ON DELETE CASCADE
+        )`
+      },
+
       // Tabela de notificações
       {
         name: 'notifications',
@@ -139,6 +261,76 @@ class Database {
         )`
       },
 
+      // Cotações de moedas (1 base = rate), carregadas de arquivo local
+      {
+        name: 'currency_rates',
+        sql: `CREATE TABLE IF NOT EXISTS currency_rates (
+          currency TEXT PRIMARY KEY,
+          rate REAL NOT NULL,
+          base TEXT NOT NULL,
+          source TEXT,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+      },
+
+      // Cache de páginas (HTML bruto + validadores HTTP)
+      {
+        name: 'page_cache',
+        sql: `CREATE TABLE IF NOT EXISTS page_cache (
+          url TEXT PRIMARY KEY,
+          etag TEXT,
+          last_modified TEXT,
+          html TEXT NOT NULL,
+          extracted TEXT,
+          fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          validated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+      },
+
+      // Configurações de site criadas em tempo de execução (seletores por domínio)
+      {
+        name: 'site_configs',
+        sql: `CREATE TABLE IF NOT EXISTS site_configs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          domain TEXT UNIQUE NOT NULL,
+          config TEXT NOT NULL,
+          version INTEGER NOT NULL DEFAULT 1,
+          created_by TEXT,
+          updated_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+      },
+
+      // Histórico de versões das configurações de site
+      {
+        name: 'site_config_versions',
+        sql: `CREATE TABLE IF NOT EXISTS site_config_versions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          domain TEXT NOT NULL,
+          version INTEGER NOT NULL,
+          action TEXT NOT NULL,
+          config TEXT,
+          author TEXT,
+          note TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+      },
+
+      // Tabela de saúde da extração (contadores por hora, domínio e seletor)
+      {
+        name: 'extraction_health',
+        sql: `CREATE TABLE IF NOT EXISTS extraction_health (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          domain TEXT NOT NULL,
+          hour DATETIME NOT NULL,
+          strategy TEXT NOT NULL,
+          selector TEXT NOT NULL DEFAULT '',
+          count INTEGER NOT NULL DEFAULT 0,
+          UNIQUE(domain, hour, strategy, selector)
+        )`
+      },
+
       // Tabela de logs de sistema
       {
         name: 'system_logs',
@@ -165,6 +357,55 @@ class Database {
     });
   }
 
+  /**
+   * Adiciona colunas novas em bancos criados por versões anteriores
+   * CREATE TABLE IF NOT EXISTS não altera tabelas existentes
+   */
+  migrateColumns() {
+    const columns = [
+      { table: 'products', column: 'availability', definition: 'TEXT' },
+      { table: 'products', column: 'availability_changed_at', definition: 'DATETIME' },
+      { table: 'products', column: 'price_point', definition: 'TEXT' },
+      { table: 'products', column: 'shipping_cep', definition: 'TEXT' },
+      { table: 'products', column: 'shipping_cost', definition: 'REAL' },
+      { table: 'products', column: 'landed_price', definition: 'REAL' },
+      { table: 'products', column: 'use_landed_price', definition: 'BOOLEAN DEFAULT 0' },
+      { table: 'products', column: 'product_key', definition: 'TEXT' },
+      { table: 'products', column: 'gtin', definition: 'TEXT' },
+      { table: 'products', column: 'mpn', definition: 'TEXT' },
+      { table: 'products', column: 'brand', definition: 'TEXT' },
+      { table: 'products', column: 'group_id', definition: 'INTEGER REFERENCES product_groups (id) ON DELETE SET NULL' },
+      { table: 'products', column: 'seller_id', definition: 'TEXT' },
+      { table: 'products', column: 'seller_name', definition: 'TEXT' },
+      { table: 'products', column: 'seller_official', definition: 'BOOLEAN' },
+      { table: 'products', column: 'official_seller_only', definition: 'BOOLEAN DEFAULT 0' },
+      { table: 'products', column: 'promotions', definition: 'TEXT' },
+      { table: 'products', column: 'effective_price', definition: 'REAL' },
+      { table: 'products', column: 'currency', definition: "TEXT DEFAULT 'BRL'" },
+      { table: 'price_history', column: 'availability', definition: 'TEXT' },
+      { table: 'price_history', column: 'price_points', definition: 'TEXT' },
+      { table: 'price_history', column: 'shipping_cost', definition: 'REAL' },
+      { table: 'price_history', column: 'seller_id', definition: 'TEXT' },
+      { table: 'price_history', column: 'seller_name', definition: 'TEXT' },
+      { table: 'price_history', column: 'seller_official', definition: 'BOOLEAN' },
+      { table: 'price_history', column: 'promotions', definition: 'TEXT' },
+      { table: 'price_history', column: 'effective_price', definition: 'REAL' },
+      { table: 'price_history', column: 'currency', definition: 'TEXT' }
+    ];
+
+    this.db.serialize(() => {
+      columns.forEach(({ table, column, definition }) => {
+        this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+          if (err && !err.message.includes('duplicate column name')) {
+            logger.error(`Erro ao adicionar coluna ${table}.${column}:`, err);
+          } else if (!err) {
+            logger.info(`Coluna adicionada: ${table}.${column}`);
+          }
+        });
+      });
+    });
+  }
+
   /**
    * Cria índices para melhor performance
    */
@@ -172,11 +413,23 @@ class Database {
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_products_guild_active ON products(guild_id, is_active)',
       'CREATE INDEX IF NOT EXISTS idx_products_url ON products(url)',
+      'CREATE INDEX IF NOT EXISTS idx_products_key ON products(product_key)',
+      'CREATE INDEX IF NOT EXISTS idx_products_gtin ON products(guild_id, gtin)',
+      'CREATE INDEX IF NOT EXISTS idx_products_group ON products(group_id)',
+      'CREATE INDEX IF NOT EXISTS idx_product_groups_guild ON product_groups(guild_id)',
       'CREATE INDEX IF NOT EXISTS idx_products_last_checked ON products(last_checked)',
       'CREATE INDEX IF NOT EXISTS idx_price_history_product_date ON price_history(product_id, checked_at)',
+      'CREATE INDEX IF NOT EXISTS idx_price_quarantine_status ON price_quarantine(status, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_price_quarantine_product ON price_quarantine(product_id)',
+      'CREATE INDEX IF NOT EXISTS idx_search_watches_guild_active ON search_watches(guild_id, is_active)',
+      'CREATE INDEX IF NOT EXISTS idx_search_watches_last_checked ON search_watches(last_checked)',
+      'CREATE INDEX IF NOT EXISTS idx_search_watch_items_seen ON search_watch_items(watch_id, last_seen_at)',
       'CREATE INDEX IF NOT EXISTS idx_notifications_product ON notifications(product_id)',
       'CREATE INDEX IF NOT EXISTS idx_notifications_date ON notifications(sent_at)',
-      'CREATE INDEX IF NOT EXISTS idx_system_logs_level_date ON system_logs(level, created_at)'
+      'CREATE INDEX IF NOT EXISTS idx_system_logs_level_date ON system_logs(level, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_page_cache_validated ON page_cache(validated_at)',
+      'CREATE INDEX IF NOT EXISTS idx_extraction_health_hour ON extraction_health(hour)',
+      'CREATE INDEX IF NOT EXISTS idx_site_config_versions_domain ON site_config_versions(domain, version)'
     ];
 
     this.db.serialize(() => {
@@ -204,19 +457,24 @@ class Database {
          UPDATE products SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
        END`,
 
+      // Versões antigas criavam este trigger com "UPDATE NEW", inválido no SQLite,
+      // o que fazia todo INSERT em price_history falhar
+      `DROP TRIGGER IF EXISTS calculate_price_change`,
+
       // Trigger para calcular mudança percentual de preço
-      `CREATE TRIGGER IF NOT EXISTS calculate_price_change
-       BEFORE INSERT ON price_history
+      `CREATE TRIGGER IF NOT EXISTS calculate_price_change_after_insert
+       AFTER INSERT ON price_history
        WHEN NEW.price_change_percent IS NULL
        BEGIN
-         UPDATE NEW SET price_change_percent = (
+         UPDATE price_history SET price_change_percent = (
            SELECT CASE 
              WHEN p.current_price IS NOT NULL AND p.current_price > 0 
              THEN ((NEW.price - p.current_price) / p.current_price) * 100
              ELSE 0
            END
            FROM products p WHERE p.id = NEW.product_id
-         );
+         )
+         WHERE id = NEW.id;
        END`
     ];
 
@@ -296,11 +554,16 @@ class Database {
 
   /**
    * Executa múltiplas queries em uma transação
+   * Query com requireChanges que não altera nenhuma linha desfaz a transação
+   * (erro com code NO_CHANGES), ex: registro já alterado por outra operação
+   * @param {Array<Object>} queries - [{ sql, params, requireChanges }]
    */
   async transaction(queries) {
+    const db = this.db;
+
     return new Promise((resolve, reject) => {
-      this.db.serialize(() => {
-        this.db.run('BEGIN TRANSACTION');
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
         
         const results = [];
         let hasError = false;
@@ -308,19 +571,23 @@ class Database {
         const executeQuery = (index) => {
           if (index >= queries.length) {
             if (hasError) {
-              this.db.run('ROLLBACK', () => reject(new Error('Transaction rolled back')));
+              db.run('ROLLBACK', () => reject(new Error('Transaction rolled back')));
             } else {
-              this.db.run('COMMIT', () => resolve(results));
+              db.run('COMMIT', () => resolve(results));
             }
             return;
           }
 
-          const { sql, params = [] } = queries[index];
-          this.db.run(sql, params, function(err) {
+          const { sql, params = [], requireChanges = false } = queries[index];
+          db.run(sql, params, function(err) {
             if (err) {
               hasError = true;
               logger.error('Erro na transação:', err);
-              this.db.run('ROLLBACK', () => reject(err));
+              db.run('ROLLBACK', () => reject(err));
+            } else if (requireChanges && this.changes === 0) {
+              const noChanges = new Error('Nenhuma linha alterada; transação desfeita');
+              noChanges.code = 'NO_CHANGES';
+              db.run('ROLLBACK', () => reject(noChanges));
             } else {
               results.push({ 
                 id: this.lastID, 
@@ -0,0 +1,60 @@
+const database = require('../database');
+const logger = require('../../utils/logger');
+
+/**
+ * Modelo para a tabela de cotações de moedas
+ * Cada linha guarda quanto 1 unidade da moeda base vale na moeda (1 base = rate)
+ */
+class CurrencyRate {
+
+  /**
+   * Substitui a tabela de cotações
+   * @param {Object} table - { base, rates } (ver Currencies.normalizeRates)
+   * @param {string} source - Origem das cotações (ex: arquivo)
+   * @returns {Promise<number>} Quantidade de moedas gravadas
+   */
+  static async replaceAll(table, source = null) {
+    try {
+      const entries = Object.entries(table.rates);
+
+      await database.transaction([
+        { sql: 'DELETE FROM currency_rates' },
+        ...entries.map(([currency, rate]) => ({
+          sql: 'INSERT INTO currency_rates (currency, rate, base, source) VALUES (?, ?, ?, ?)',
+          params: [currency, rate, table.base, source]
+        }))
+      ]);
+
+      logger.info(`Cotações de moedas atualizadas (${entries.length})`, { base: table.base, source });
+      return entries.length;
+
+    } catch (error) {
+      logger.error('Erro ao salvar cotações de moedas:', error, { source });
+      throw error;
+    }
+  }
+
+  /**
+   * Tabela de cotações atual
+   * @returns {Promise<Object|null>} { base, rates, source, updatedAt } ou null se vazia
+   */
+  static async getTable() {
+    try {
+      const rows = await database.all('SELECT * FROM currency_rates ORDER BY currency');
+      if (rows.length === 0) return null;
+
+      return {
+        base: rows[0].base,
+        rates: Object.fromEntries(rows.map(row => [row.currency, row.rate])),
+        source: rows[0].source,
+        updatedAt: rows[0].updated_at
+      };
+
+    } catch (error) {
+      logger.error('Erro ao buscar cotações de moedas:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CurrencyRate;
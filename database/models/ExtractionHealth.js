@@ -0,0 +1,121 @@
+const database = require('../database');
+const logger = require('../../utils/logger');
+
+/**
+ * Modelo para o histórico de extrações por domínio
+ * Contadores agregados por hora e por estratégia/seletor ("failed" para falhas)
+ */
+class ExtractionHealth {
+
+  /**
+   * Registra uma extração
+   * @param {string} domain - Domínio
+   * @param {Object} result - { success, strategy, selector }
+   */
+  static async record(domain, result) {
+    try {
+      const strategy = result.success ? (result.strategy || 'sem-preco') : 'failed';
+
+      const sql = `
+        INSERT INTO extraction_health (domain, hour, strategy, selector, count)
+        VALUES (?, strftime('%Y-%m-%d %H:00:00', 'now'), ?, ?, 1)
+        ON CONFLICT(domain, hour, strategy, selector) DO UPDATE SET
+          count = extraction_health.count + 1
+      `;
+
+      await database.run(sql, [domain, strategy, result.success ? (result.selector || '') : '']);
+
+    } catch (error) {
+      logger.error('Erro ao registrar saúde da extração:', error, { domain });
+      throw error;
+    }
+  }
+
+  /**
+   * Taxa de sucesso diária por domínio
+   * @param {number} days - Dias de histórico
+   * @returns {Promise<Object>} { domínio: [{ day, total, successes, successRate }] }
+   */
+  static async getDailySeries(days = 7) {
+    try {
+      const rows = await database.all(`
+        SELECT domain,
+               date(hour) as day,
+               SUM(count) as total,
+               SUM(CASE WHEN strategy != 'failed' THEN count ELSE 0 END) as successes
+        FROM extraction_health
+        WHERE hour >= datetime('now', '-' || ? || ' days')
+        GROUP BY domain, day
+        ORDER BY domain, day
+      `, [days]);
+
+      const series = {};
+      for (const row of rows) {
+        (series[row.domain] = series[row.domain] || []).push({
+          day: row.day,
+          total: row.total,
+          successes: row.successes,
+          successRate: row.total > 0 ? row.successes / row.total : null
+        });
+      }
+
+      return series;
+
+    } catch (error) {
+      logger.error('Erro ao buscar histórico de extração:', error, { days });
+      throw error;
+    }
+  }
+
+  /**
+   * Estratégias/seletores que encontraram o preço no período, por domínio
+   * @param {number} days - Dias de histórico
+   * @returns {Promise<Object>} { domínio: [{ strategy, selector, total }] }
+   */
+  static async getWinners(days = 7) {
+    try {
+      const rows = await database.all(`
+        SELECT domain, strategy, selector, SUM(count) as total
+        FROM extraction_health
+        WHERE strategy != 'failed' AND hour >= datetime('now', '-' || ? || ' days')
+        GROUP BY domain, strategy, selector
+        ORDER BY domain, total DESC
+      `, [days]);
+
+      const winners = {};
+      for (const row of rows) {
+        (winners[row.domain] = winners[row.domain] || []).push({
+          strategy: row.strategy,
+          selector: row.selector || null,
+          total: row.total
+        });
+      }
+
+      return winners;
+
+    } catch (error) {
+      logger.error('Erro ao buscar seletores vencedores:', error, { days });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove o histórico antigo
+   * @param {number} daysToKeep - Dias a manter
+   */
+  static async cleanup(daysToKeep = 30) {
+    try {
+      const result = await database.run(
+        'DELETE FROM extraction_health WHERE hour < datetime("now", "-" || ? || " days")',
+        [daysToKeep]
+      );
+      return result.changes;
+
+    } catch (error) {
+      logger.error('Erro ao limpar histórico de extração:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ExtractionHealth;
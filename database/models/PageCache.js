@@ -0,0 +1,141 @@
+const database = require('../database');
+const logger = require('../../utils/logger');
+
+/**
+ * Modelo para o cache de páginas
+ * Guarda o HTML bruto, ETag/Last-Modified e a última extração de cada URL
+ */
+class PageCache {
+
+  /**
+   * Busca a entrada de uma URL
+   * @param {string} url - URL normalizada
+   * @param {number} maxAgeMinutes - Idade máxima desde a última validação (opcional)
+   * @returns {Promise<Object|null>} { url, etag, last_modified, html, extracted, fetched_at, validated_at }
+   */
+  static async get(url, maxAgeMinutes = null) {
+    try {
+      let sql = 'SELECT * FROM page_cache WHERE url = ?';
+      const params = [url];
+
+      if (maxAgeMinutes) {
+        sql += ' AND validated_at >= datetime("now", "-" || ? || " minutes")';
+        params.push(maxAgeMinutes);
+      }
+
+      const entry = await database.get(sql, params);
+
+      if (entry && entry.extracted) {
+        try {
+          entry.extracted = JSON.parse(entry.extracted);
+        } catch {
+          entry.extracted = null;
+        }
+      }
+
+      return entry || null;
+
+    } catch (error) {
+      logger.error('Erro ao buscar cache da página:', error, { url });
+      throw error;
+    }
+  }
+
+  /**
+   * Salva o HTML baixado (status 200) e os validadores da resposta
+   * A extração anterior é descartada: ela pertence ao HTML antigo
+   * @param {string} url - URL normalizada
+   * @param {Object} page - { html, etag, lastModified }
+   */
+  static async save(url, page) {
+    try {
+      const sql = `
+        INSERT INTO page_cache (url, etag, last_modified, html, extracted, fetched_at, validated_at)
+        VALUES (?, ?, ?, ?, NULL, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT(url) DO UPDATE SET
+          etag = excluded.etag,
+          last_modified = excluded.last_modified,
+          html = excluded.html,
+          extracted = NULL,
+          fetched_at = CURRENT_TIMESTAMP,
+          validated_at = CURRENT_TIMESTAMP
+      `;
+
+      await database.run(sql, [url, page.etag || null, page.lastModified || null, page.html]);
+
+    } catch (error) {
+      logger.error('Erro ao salvar cache da página:', error, { url });
+      throw error;
+    }
+  }
+
+  /**
+   * Salva o resultado da extração do HTML em cache
+   * @param {string} url - URL normalizada
+   * @param {Object} extracted - Dados extraídos (saída de extractData)
+   */
+  static async setExtracted(url, extracted) {
+    try {
+      await database.run('UPDATE page_cache SET extracted = ? WHERE url = ?', [JSON.stringify(extracted), url]);
+
+    } catch (error) {
+      logger.error('Erro ao salvar extração em cache:', error, { url });
+      throw error;
+    }
+  }
+
+  /**
+   * Descarta as extrações em cache de um domínio (ex: seletores alterados)
+   * O HTML é mantido para permitir a re-extração sem acessar a loja
+   * @param {string} domain - Domínio sem www.
+   * @returns {Promise<number>} Entradas afetadas
+   */
+  static async clearExtracted(domain) {
+    try {
+      const result = await database.run(
+        'UPDATE page_cache SET extracted = NULL WHERE url LIKE ? OR url LIKE ?',
+        [`%://${domain}/%`, `%.${domain}/%`]
+      );
+      return result.changes;
+
+    } catch (error) {
+      logger.error('Erro ao limpar extrações em cache:', error, { domain });
+      throw error;
+    }
+  }
+
+  /**
+   * Marca a entrada como confirmada pela loja (resposta 304)
+   * @param {string} url - URL normalizada
+   */
+  static async touch(url) {
+    try {
+      await database.run('UPDATE page_cache SET validated_at = CURRENT_TIMESTAMP WHERE url = ?', [url]);
+
+    } catch (error) {
+      logger.error('Erro ao atualizar cache da página:', error, { url });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove entradas não validadas há mais de maxAgeMinutes
+   * @param {number} maxAgeMinutes - Idade máxima
+   * @returns {Promise<number>} Entradas removidas
+   */
+  static async purgeExpired(maxAgeMinutes) {
+    try {
+      const result = await database.run(
+        'DELETE FROM page_cache WHERE validated_at < datetime("now", "-" || ? || " minutes")',
+        [maxAgeMinutes]
+      );
+      return result.changes;
+
+    } catch (error) {
+      logger.error('Erro ao limpar cache de páginas:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PageCache;
@@ -13,26 +13,66 @@ class PriceHistory {
    * @param {number} price - Preço registrado
    * @param {number} priceChangePercent - Percentual de mudança (opcional)
    * @param {string} source - Fonte do dado (padrão: 'scraping')
+   * @param {Object} details - Dados adicionais da verificação
+   * @param {string} details.availability - Disponibilidade no momento da verificação
+   * @param {Object} details.pricePoints - Preços por forma de pagamento ({ pix, card, ... })
+   * @param {number} details.shippingCost - Frete cotado para o CEP configurado
+   * @param {Object} details.seller - Vendedor da oferta ({ id, name, official })
+   * @param {Object} details.promotions - Cupons e selos da página ({ coupons, badges })
+   * @param {number} details.effectivePrice - Preço após o melhor cupom aplicável
+   * @param {string} details.currency - Moeda da leitura (código ISO)
+   * @param {string} details.checkedAt - Data da leitura, se anterior ao registro (padrão: agora)
    */
-  static async add(productId, price, priceChangePercent = null, source = 'scraping') {
+  static async add(productId, price, priceChangePercent = null, source = 'scraping', details = {}) {
     try {
       if (!productId || price === null || price === undefined) {
         throw new Error('ProductId e price são obrigatórios');
       }
 
+      const {
+        availability = null,
+        pricePoints = null,
+        shippingCost = null,
+        seller = null,
+        promotions = null,
+        effectivePrice = null,
+        currency = null,
+        checkedAt = null
+      } = details;
+      const hasPricePoints = pricePoints && Object.keys(pricePoints).length > 0;
+
       const sql = `
-        INSERT INTO price_history (product_id, price, price_change_percent, source) 
-        VALUES (?, ?, ?, ?)
+        INSERT INTO price_history (
+          product_id, price, price_change_percent, source, 
+          availability, price_points, shipping_cost,
+          seller_id, seller_name, seller_official, promotions, effective_price, currency, checked_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
       `;
 
-      const result = await database.run(sql, [productId, price, priceChangePercent, source]);
+      const result = await database.run(sql, [
+        productId,
+        price,
+        priceChangePercent,
+        source,
+        availability,
+        hasPricePoints ? JSON.stringify(pricePoints) : null,
+        shippingCost,
+        seller?.id || null,
+        seller?.name || null,
+        typeof seller?.official === 'boolean' ? (seller.official ? 1 : 0) : null,
+        promotions ? JSON.stringify(promotions) : null,
+        effectivePrice,
+        currency,
+        checkedAt
+      ]);
 
       logger.debug('Histórico de preço adicionado', { 
         historyId: result.id,
         productId, 
         price, 
         priceChangePercent,
-        source 
+        source,
+        availability
       });
 
       return { id: result.id, productId, price, priceChangePercent };
@@ -72,7 +112,23 @@ class PriceHistory {
         limit 
       });
 
-      return history;
+      return history.map(record => {
+        if (record.price_points) {
+          try {
+            record.price_points = JSON.parse(record.price_points);
+          } catch (e) {
+            record.price_points = null;
+          }
+        }
+        if (record.promotions) {
+          try {
+            record.promotions = JSON.parse(record.promotions);
+          } catch (e) {
+            record.promotions = null;
+          }
+        }
+        return record;
+      });
 
     } catch (error) {
       logger.error('Erro ao buscar histórico por produto:', error, { productId, limit, days });
@@ -83,17 +139,35 @@ class PriceHistory {
   /**
    * Busca o último preço registrado de um produto
    * @param {number} productId - ID do produto
+   * @param {string} before - Considerar só registros anteriores a esta data (opcional)
    */
-  static async getLatest(productId) {
+  static async getLatest(productId, before = null) {
     try {
       const sql = `
         SELECT * FROM price_history 
-        WHERE product_id = ? 
+        WHERE product_id = ? ${before ? 'AND checked_at < ?' : ''}
         ORDER BY checked_at DESC 
         LIMIT 1
       `;
 
-      const latest = await database.get(sql, [productId]);
+      const latest = await database.get(sql, before ? [productId, before] : [productId]);
+
+      if (latest && latest.price_points) {
+        try {
+          latest.price_points = JSON.parse(latest.price_points);
+        } catch (e) {
+          latest.price_points = null;
+        }
+      }
+
+      if (latest && latest.promotions) {
+        try {
+          latest.promotions = JSON.parse(latest.promotions);
+        } catch (e) {
+          latest.promotions = null;
+        }
+      }
+
       return latest;
 
     } catch (error) {
@@ -0,0 +1,243 @@
+const database = require('../database');
+const logger = require('../../utils/logger');
+
+const STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Modelo para leituras de preço em quarentena
+ * Preços muito fora do histórico recente ficam aqui, sem alterar o produto
+ * nem gerar alertas, até serem confirmados por uma nova leitura ou revisados
+ */
+class PriceQuarantine {
+
+  /**
+   * Registra uma leitura suspeita
+   * @param {Object} entry - Dados da leitura
+   * @param {number} entry.productId - ID do produto
+   * @param {number} entry.price - Preço suspeito
+   * @param {number} entry.confirmPrice - Preço da leitura de confirmação (null se falhou)
+   * @param {Object} entry.evaluation - Resultado de PriceSanity.evaluate
+   * @param {string} entry.status - pending (aguardando revisão) ou confirmed (aceito pela nova leitura)
+   * @param {Object} entry.details - Dados da extração (estratégia, seletor, pontos de preço)
+   * @returns {Promise<Object>} { id }
+   */
+  static async add({ productId, price, confirmPrice = null, evaluation = {}, status = STATUS.PENDING, details = {} }) {
+    try {
+      const result = await database.run(`
+        INSERT INTO price_quarantine (
+          product_id, price, confirm_price, reference_price,
+          lower_bound, upper_bound, deviation, reason, status, details
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        productId,
+        price,
+        confirmPrice,
+        evaluation.median ?? null,
+        evaluation.lower ?? null,
+        evaluation.upper ?? null,
+        evaluation.deviation ?? null,
+        evaluation.reason || null,
+        status,
+        JSON.stringify(details)
+      ]);
+
+      logger.info('Leitura de preço em quarentena', { id: result.id, productId, price, confirmPrice, status });
+      return { id: result.id };
+
+    } catch (error) {
+      logger.error('Erro ao registrar leitura em quarentena:', error, { productId, price });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca uma leitura com os dados do produto
+   * @param {number} id - ID da leitura
+   */
+  static async findById(id) {
+    try {
+      const entry = await database.get(`
+        SELECT q.*, p.name AS product_name, p.url AS product_url, p.guild_id, p.current_price, p.currency
+        FROM price_quarantine q
+        JOIN products p ON p.id = q.product_id
+        WHERE q.id = ?
+      `, [id]);
+
+      return entry ? this.parse(entry) : null;
+
+    } catch (error) {
+      logger.error('Erro ao buscar leitura em quarentena:', error, { id });
+      throw error;
+    }
+  }
+
+  /**
+   * Última leitura pendente de um produto
+   * @param {number} productId - ID do produto
+   */
+  static async findPendingByProduct(productId) {
+    try {
+      const entry = await database.get(`
+        SELECT * FROM price_quarantine
+        WHERE product_id = ? AND status = ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
+      `, [productId, STATUS.PENDING]);
+
+      return entry ? this.parse(entry) : null;
+
+    } catch (error) {
+      logger.error('Erro ao buscar leitura pendente do produto:', error, { productId });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista as leituras de um servidor
+   * @param {string|null} guildId - Servidor (null para todos)
+   * @param {string} status - Status (padrão: pending)
+   * @param {number} limit - Limite de registros
+   */
+  static async findByStatus(guildId = null, status = STATUS.PENDING, limit = 25) {
+    try {
+      const entries = await database.all(`
+        SELECT q.*, p.name AS product_name, p.url AS product_url, p.guild_id, p.current_price, p.currency
+        FROM price_quarantine q
+        JOIN products p ON p.id = q.product_id
+        WHERE q.status = ? ${guildId ? 'AND p.guild_id = ?' : ''}
+        ORDER BY q.created_at DESC
+        LIMIT ?
+      `, guildId ? [status, guildId, limit] : [status, limit]);
+
+      return entries.map(entry => this.parse(entry));
+
+    } catch (error) {
+      logger.error('Erro ao listar leituras em quarentena:', error, { guildId, status });
+      throw error;
+    }
+  }
+
+  /**
+   * Conta as leituras aguardando revisão
+   * @param {string|null} guildId - Servidor (null para todos)
+   */
+  static async countPending(guildId = null) {
+    try {
+      const row = await database.get(`
+        SELECT COUNT(*) AS count
+        FROM price_quarantine q
+        JOIN products p ON p.id = q.product_id
+        WHERE q.status = ? ${guildId ? 'AND p.guild_id = ?' : ''}
+      `, guildId ? [STATUS.PENDING, guildId] : [STATUS.PENDING]);
+
+      return row.count;
+
+    } catch (error) {
+      logger.error('Erro ao contar leituras em quarentena:', error, { guildId });
+      throw error;
+    }
+  }
+
+  /**
+   * Marca uma leitura pendente como revisada
+   * @param {number} id - ID da leitura
+   * @param {string} status - approved ou rejected
+   * @param {string} reviewedBy - Quem revisou
+   * @returns {Promise<boolean>} false se a leitura não estava pendente
+   */
+  static async resolve(id, status, reviewedBy = null) {
+    try {
+      const result = await database.run(`
+        UPDATE price_quarantine
+        SET status = ?, reviewed_at = CURRENT_TIMESTAMP, reviewed_by = ?
+        WHERE id = ? AND status = ?
+      `, [status, reviewedBy, id, STATUS.PENDING]);
+
+      if (result.changes > 0) {
+        logger.info(`Leitura em quarentena #${id} revisada`, { status, reviewedBy });
+      }
+      return result.changes > 0;
+
+    } catch (error) {
+      logger.error('Erro ao revisar leitura em quarentena:', error, { id, status });
+      throw error;
+    }
+  }
+
+  /**
+   * Aprova uma leitura pendente numa única transação: marca a revisão, aplica o
+   * preço ao produto (se applyPrice) e grava a leitura no histórico
+   * @param {Object} entry - Leitura (findById)
+   * @param {Object} options - { applyPrice, priceChange, reviewedBy }
+   * @param {boolean} options.applyPrice - false se uma leitura mais nova já definiu o preço atual;
+   *   a leitura entra no histórico na data original
+   * @returns {Promise<boolean>} false se a leitura não estava mais pendente
+   */
+  static async approve(entry, { applyPrice, priceChange = 0, reviewedBy = null }) {
+    const pricePoints = entry.details?.pricePoints;
+    const hasPricePoints = pricePoints && Object.keys(pricePoints).length > 0;
+
+    try {
+      await database.transaction([
+        {
+          sql: `
+            UPDATE price_quarantine
+            SET status = ?, reviewed_at = CURRENT_TIMESTAMP, reviewed_by = ?
+            WHERE id = ? AND status = ?
+          `,
+          params: [STATUS.APPROVED, reviewedBy, entry.id, STATUS.PENDING],
+          requireChanges: true
+        },
+        ...(applyPrice ? [{
+          sql: 'UPDATE products SET last_price = current_price, current_price = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          params: [entry.price, entry.product_id]
+        }] : []),
+        {
+          sql: `
+            INSERT INTO price_history (product_id, price, price_change_percent, source, availability, price_points, currency, checked_at)
+            SELECT id, ?, ?, 'quarantine', availability, ?, currency, ${applyPrice ? 'CURRENT_TIMESTAMP' : '?'}
+            FROM products WHERE id = ?
+          `,
+          params: [
+            entry.price,
+            priceChange,
+            hasPricePoints ? JSON.stringify(pricePoints) : null,
+            ...(applyPrice ? [] : [entry.created_at]),
+            entry.product_id
+          ]
+        }
+      ]);
+
+      logger.info(`Leitura em quarentena #${entry.id} aprovada`, { reviewedBy, applyPrice });
+      return true;
+
+    } catch (error) {
+      if (error.code === 'NO_CHANGES') return false;
+
+      logger.error('Erro ao aprovar leitura em quarentena:', error, { id: entry.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Converte os detalhes salvos em JSON
+   * @param {Object} entry - Linha de price_quarantine
+   */
+  static parse(entry) {
+    try {
+      entry.details = entry.details ? JSON.parse(entry.details) : {};
+    } catch (e) {
+      entry.details = {};
+    }
+    return entry;
+  }
+}
+
+PriceQuarantine.STATUS = STATUS;
+
+module.exports = PriceQuarantine;
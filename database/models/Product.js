@@ -22,6 +22,21 @@ class Product {
         guildId, 
         userId,
         promotionThreshold = null,
+        availability = null,
+        pricePoint = null,
+        shippingCep = null,
+        shippingCost = null,
+        landedPrice = null,
+        useLandedPrice = false,
+        productKey = null,
+        gtin = null,
+        mpn = null,
+        brand = null,
+        seller = null,
+        officialSellerOnly = false,
+        promotions = null,
+        effectivePrice = null,
+        currency = 'BRL',
         metadata = {}
       } = productData;
 
@@ -34,8 +49,11 @@ class Product {
         INSERT INTO products (
           name, url, current_price, target_price, 
           channel_id, guild_id, user_id, promotion_threshold, 
-          metadata, last_checked
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+          availability, price_point, shipping_cep, shipping_cost,
+          landed_price, use_landed_price, product_key, gtin, mpn, brand,
+          seller_id, seller_name, seller_official, official_seller_only,
+          promotions, effective_price, currency, metadata, last_checked
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
       `;
 
       const result = await database.run(sql, [
@@ -47,6 +65,23 @@ class Product {
         guildId,
         userId,
         promotionThreshold,
+        availability,
+        pricePoint,
+        shippingCep,
+        shippingCost,
+        landedPrice,
+        useLandedPrice ? 1 : 0,
+        productKey,
+        gtin,
+        mpn,
+        brand,
+        seller?.id || null,
+        seller?.name || null,
+        typeof seller?.official === 'boolean' ? (seller.official ? 1 : 0) : null,
+        officialSellerOnly ? 1 : 0,
+        promotions ? JSON.stringify(promotions) : null,
+        effectivePrice,
+        currency,
         JSON.stringify(metadata)
       ]);
 
@@ -205,7 +240,11 @@ class Product {
       const allowedFields = [
         'name', 'current_price', 'target_price', 'last_price',
         'promotion_threshold', 'is_active', 'check_count', 
-        'error_count', 'last_error', 'metadata'
+        'error_count', 'last_error', 'availability',
+        'availability_changed_at', 'price_point', 'shipping_cep',
+        'shipping_cost', 'landed_price', 'use_landed_price', 'gtin', 'mpn',
+        'brand', 'group_id', 'seller_id', 'seller_name', 'seller_official',
+        'official_seller_only', 'promotions', 'effective_price', 'currency', 'metadata'
       ];
 
       const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
@@ -214,10 +253,13 @@ class Product {
         throw new Error('Nenhum campo válido para atualização');
       }
 
-      // Converter metadata para JSON se necessário
+      // Converter metadata e promoções para JSON se necessário
       if (updates.metadata && typeof updates.metadata === 'object') {
         updates.metadata = JSON.stringify(updates.metadata);
       }
+      if (updates.promotions && typeof updates.promotions === 'object') {
+        updates.promotions = JSON.stringify(updates.promotions);
+      }
 
       const values = fields.map(field => updates[field]);
       const sql = `
@@ -246,8 +288,9 @@ class Product {
    * Atualiza preço de um produto
    * @param {number} id - ID do produto
    * @param {number} newPrice - Novo preço
+   * @param {string} availability - Disponibilidade detectada (opcional)
    */
-  static async updatePrice(id, newPrice) {
+  static async updatePrice(id, newPrice, availability = null) {
     try {
       // Buscar preço atual
       const product = await this.findById(id);
@@ -256,20 +299,32 @@ class Product {
       }
 
       const oldPrice = product.current_price;
+      const oldAvailability = product.availability || null;
       
-      // Atualizar produto
-      await this.update(id, {
+      const updates = {
         current_price: newPrice,
         last_price: oldPrice,
         check_count: (product.check_count || 0) + 1,
         error_count: 0, // Reset error count on successful update
         last_error: null
-      });
+      };
+
+      if (availability) {
+        updates.availability = availability;
+        if (availability !== oldAvailability) {
+          updates.availability_changed_at = new Date().toISOString();
+        }
+      }
+
+      // Atualizar produto
+      await this.update(id, updates);
 
       return {
         oldPrice,
         newPrice,
-        priceChange: oldPrice ? ((newPrice - oldPrice) / oldPrice) * 100 : 0
+        priceChange: oldPrice ? ((newPrice - oldPrice) / oldPrice) * 100 : 0,
+        oldAvailability,
+        availability: availability || oldAvailability
       };
 
     } catch (error) {
@@ -278,6 +333,48 @@ class Product {
     }
   }
 
+  /**
+   * Atualiza apenas a disponibilidade (produto sem preço na página)
+   * Conta como verificação bem-sucedida: não incrementa erros
+   * @param {number} id - ID do produto
+   * @param {string} availability - Disponibilidade detectada
+   */
+  static async updateAvailability(id, availability) {
+    try {
+      const product = await this.findById(id);
+      if (!product) {
+        throw new Error('Produto não encontrado');
+      }
+
+      const oldAvailability = product.availability || null;
+
+      const updates = {
+        availability,
+        check_count: (product.check_count || 0) + 1,
+        error_count: 0,
+        last_error: null
+      };
+
+      if (availability !== oldAvailability) {
+        updates.availability_changed_at = new Date().toISOString();
+      }
+
+      await this.update(id, updates);
+
+      return {
+        oldPrice: product.current_price,
+        newPrice: product.current_price,
+        priceChange: 0,
+        oldAvailability,
+        availability
+      };
+
+    } catch (error) {
+      logger.error('Erro ao atualizar disponibilidade:', error, { id, availability });
+      throw error;
+    }
+  }
+
   /**
    * Incrementa contador de erro
    * @param {number} id - ID do produto
@@ -474,6 +571,158 @@ class Product {
     }
   }
 
+  /**
+   * Busca produto pela chave canônica da loja (ex: amazon:B09B8V1LZ3)
+   * @param {string} productKey - Chave canônica
+   */
+  static async findByKey(productKey) {
+    try {
+      const sql = 'SELECT * FROM products WHERE product_key = ? ORDER BY is_active DESC, id ASC LIMIT 1';
+      const product = await database.get(sql, [productKey]);
+
+      if (product && product.metadata) {
+        try {
+          product.metadata = JSON.parse(product.metadata);
+        } catch (e) {
+          product.metadata = {};
+        }
+      }
+
+      return product;
+    } catch (error) {
+      logger.error('Erro ao buscar produto por chave:', error, { productKey });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca um produto já cadastrado com a mesma identidade
+   * (chave canônica, URL canônica ou a URL informada)
+   * @param {Object} identity - { url, canonicalUrl, productKey }
+   */
+  static async findByIdentity({ url, canonicalUrl = null, productKey = null }) {
+    if (productKey) {
+      const byKey = await this.findByKey(productKey);
+      if (byKey) return byKey;
+    }
+
+    if (canonicalUrl && canonicalUrl !== url) {
+      const byCanonical = await this.findByUrl(canonicalUrl);
+      if (byCanonical) return byCanonical;
+    }
+
+    return this.findByUrl(url);
+  }
+
+  /**
+   * Produtos do mesmo servidor que compartilham GTIN ou MPN + marca
+   * (candidatos a grupo; ignora os que já estão no mesmo grupo)
+   * @param {Object} product - { id, guild_id, gtin, mpn, brand, group_id }
+   * @returns {Promise<Array>}
+   */
+  static async findMatches(product) {
+    if (!product.gtin && !(product.mpn && product.brand)) return [];
+
+    try {
+      return await database.all(`
+        SELECT * FROM products
+        WHERE guild_id = ? AND id != ? AND is_active = 1
+          AND (group_id IS NULL OR group_id != ?)
+          AND ((gtin IS NOT NULL AND gtin = ?)
+            OR (mpn IS NOT NULL AND mpn = ? AND LOWER(brand) = LOWER(?)))
+        ORDER BY current_price ASC
+      `, [product.guild_id, product.id, product.group_id || 0, product.gtin, product.mpn, product.brand]);
+
+    } catch (error) {
+      logger.error('Erro ao buscar produtos equivalentes:', error, { productId: product.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista todos os produtos (ativos e inativos)
+   */
+  static async findAll() {
+    try {
+      const products = await database.all('SELECT * FROM products ORDER BY id ASC');
+
+      return products.map(product => {
+        if (product.metadata) {
+          try {
+            product.metadata = JSON.parse(product.metadata);
+          } catch (e) {
+            product.metadata = {};
+          }
+        }
+        return product;
+      });
+
+    } catch (error) {
+      logger.error('Erro ao listar produtos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Funde produtos duplicados em um só, mantendo o histórico de todos
+   * Histórico e notificações passam para o produto mantido; os demais são excluídos
+   * @param {Object} keeper - Produto mantido
+   * @param {Array<Object>} duplicates - Produtos absorvidos
+   * @param {Object} identity - { url, productKey } canônicos do produto mantido
+   * @returns {Promise<Object>} { merged, historyMoved, notificationsMoved }
+   */
+  static async mergeDuplicates(keeper, duplicates, identity) {
+    try {
+      const ids = duplicates.map(product => product.id);
+      const placeholders = ids.map(() => '?').join(', ');
+      const metadata = {
+        ...(keeper.metadata || {}),
+        mergedFrom: [...(keeper.metadata?.mergedFrom || []), ...ids]
+      };
+
+      // Duplicatas saem antes da troca de URL (url é UNIQUE)
+      const results = await database.transaction([
+        { sql: `UPDATE price_history SET product_id = ? WHERE product_id IN (${placeholders})`, params: [keeper.id, ...ids] },
+        { sql: `UPDATE notifications SET product_id = ? WHERE product_id IN (${placeholders})`, params: [keeper.id, ...ids] },
+        { sql: `DELETE FROM products WHERE id IN (${placeholders})`, params: ids },
+        {
+          sql: 'UPDATE products SET url = ?, product_key = ?, metadata = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          params: [identity.url, identity.productKey, JSON.stringify(metadata), keeper.id]
+        }
+      ]);
+
+      logger.info(`Produtos duplicados fundidos em #${keeper.id}`, { merged: ids, productKey: identity.productKey });
+
+      return {
+        merged: ids,
+        historyMoved: results[0].changes,
+        notificationsMoved: results[1].changes
+      };
+
+    } catch (error) {
+      logger.error('Erro ao fundir produtos duplicados:', error, { keeperId: keeper.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza a URL canônica e a chave de um produto
+   * @param {number} id - ID do produto
+   * @param {Object} identity - { url, productKey }
+   */
+  static async setIdentity(id, identity) {
+    try {
+      return await database.run(
+        'UPDATE products SET url = ?, product_key = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [identity.url, identity.productKey, id]
+      );
+
+    } catch (error) {
+      logger.error('Erro ao atualizar identidade do produto:', error, { id });
+      throw error;
+    }
+  }
+
   /**
    * Reativa produtos com muitos erros (para retry)
    */
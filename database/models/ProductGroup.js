@@ -0,0 +1,165 @@
+const database = require('../database');
+const logger = require('../../utils/logger');
+
+/**
+ * Modelo para grupos de produtos
+ * Um grupo liga anúncios do mesmo item em lojas diferentes (mesmo GTIN/EAN ou MPN)
+ */
+class ProductGroup {
+
+  /**
+   * Cria um grupo
+   * @param {Object} groupData - { guildId, name, gtin, mpn, createdBy }
+   * @returns {Promise<Object>} Grupo criado
+   */
+  static async create({ guildId, name, gtin = null, mpn = null, createdBy = null }) {
+    try {
+      const result = await database.run(`
+        INSERT INTO product_groups (guild_id, name, gtin, mpn, created_by)
+        VALUES (?, ?, ?, ?, ?)
+      `, [guildId, name, gtin, mpn, createdBy]);
+
+      logger.info('Grupo de produtos criado', { id: result.id, guildId, name });
+      return await this.findById(result.id);
+
+    } catch (error) {
+      logger.error('Erro ao criar grupo de produtos:', error, { guildId, name });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca um grupo com seus produtos
+   * @param {number} id - ID do grupo
+   * @returns {Promise<Object|null>} { id, guild_id, name, ..., products }
+   */
+  static async findById(id) {
+    try {
+      const group = await database.get('SELECT * FROM product_groups WHERE id = ?', [id]);
+      if (!group) return null;
+
+      group.products = await database.all(
+        'SELECT * FROM products WHERE group_id = ? ORDER BY id ASC',
+        [id]
+      );
+      return group;
+
+    } catch (error) {
+      logger.error('Erro ao buscar grupo de produtos:', error, { id });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista os grupos de um servidor com os produtos ativos
+   * @param {string|null} guildId - Servidor (null para todos)
+   * @returns {Promise<Array>}
+   */
+  static async findByGuild(guildId = null) {
+    try {
+      const where = guildId ? 'WHERE guild_id = ?' : '';
+      const params = guildId ? [guildId] : [];
+
+      const groups = await database.all(`SELECT * FROM product_groups ${where} ORDER BY name ASC`, params);
+      const products = await database.all(`
+        SELECT * FROM products
+        WHERE group_id IS NOT NULL AND is_active = 1 ${guildId ? 'AND guild_id = ?' : ''}
+        ORDER BY id ASC
+      `, params);
+
+      return groups.map(group => ({
+        ...group,
+        products: products.filter(product => product.group_id === group.id)
+      }));
+
+    } catch (error) {
+      logger.error('Erro ao listar grupos de produtos:', error, { guildId });
+      throw error;
+    }
+  }
+
+  /**
+   * Liga dois produtos no mesmo grupo
+   * Usa o grupo existente de um deles (unindo os dois grupos, se necessário)
+   * ou cria um grupo novo com os identificadores em comum
+   * @param {Object} product - Produto
+   * @param {Object} other - Produto equivalente
+   * @param {string} createdBy - Quem fez a ligação
+   * @returns {Promise<Object>} Grupo com os produtos
+   */
+  static async link(product, other, createdBy = null) {
+    try {
+      if (product.guild_id !== other.guild_id) {
+        const guildError = new Error('Os produtos pertencem a servidores diferentes');
+        guildError.code = 'GROUP_GUILD_MISMATCH';
+        throw guildError;
+      }
+
+      let groupId = other.group_id || product.group_id;
+
+      if (!groupId) {
+        const group = await this.create({
+          guildId: product.guild_id,
+          name: other.name,
+          gtin: other.gtin && other.gtin === product.gtin ? other.gtin : null,
+          mpn: other.mpn && other.mpn === product.mpn ? other.mpn : null,
+          createdBy
+        });
+        groupId = group.id;
+      }
+
+      // Produto já em outro grupo: os dois grupos viram um só
+      const mergedGroupId = product.group_id && product.group_id !== groupId ? product.group_id : null;
+
+      await database.transaction([
+        { sql: 'UPDATE products SET group_id = ? WHERE id IN (?, ?)', params: [groupId, product.id, other.id] },
+        ...(mergedGroupId ? [
+          { sql: 'UPDATE products SET group_id = ? WHERE group_id = ?', params: [groupId, mergedGroupId] },
+          { sql: 'DELETE FROM product_groups WHERE id = ?', params: [mergedGroupId] }
+        ] : []),
+        { sql: 'UPDATE product_groups SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', params: [groupId] }
+      ]);
+
+      logger.info(`Produtos #${product.id} e #${other.id} agrupados`, { groupId, mergedGroupId, createdBy });
+      return await this.findById(groupId);
+
+    } catch (error) {
+      logger.error('Erro ao agrupar produtos:', error, { productId: product.id, otherId: other.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Tira um produto do grupo; grupos com menos de dois produtos são desfeitos
+   * @param {Object} product - Produto
+   * @returns {Promise<boolean>} true se o produto estava em um grupo
+   */
+  static async removeProduct(product) {
+    try {
+      if (!product.group_id) return false;
+
+      await database.run('UPDATE products SET group_id = NULL WHERE id = ?', [product.id]);
+
+      const remaining = await database.get(
+        'SELECT COUNT(*) as count FROM products WHERE group_id = ?',
+        [product.group_id]
+      );
+
+      if (remaining.count < 2) {
+        await database.transaction([
+          { sql: 'UPDATE products SET group_id = NULL WHERE group_id = ?', params: [product.group_id] },
+          { sql: 'DELETE FROM product_groups WHERE id = ?', params: [product.group_id] }
+        ]);
+        logger.info(`Grupo de produtos #${product.group_id} desfeito`);
+      }
+
+      return true;
+
+    } catch (error) {
+      logger.error('Erro ao remover produto do grupo:', error, { productId: product.id });
+      throw error;
+    }
+  }
+}
+
+module.exports = ProductGroup;
@@ -0,0 +1,289 @@
+const database = require('../database');
+const logger = require('../../utils/logger');
+
+// Erros seguidos até a busca ser desativada (mesmo limite dos produtos)
+const MAX_ERRORS = 5;
+
+/**
+ * Modelo para buscas e páginas de categoria monitoradas
+ * Cada busca guarda os itens encontrados na página (search_watch_items)
+ * para detectar itens novos e itens que cruzaram o preço alvo
+ */
+class SearchWatch {
+
+  /**
+   * Cria uma busca monitorada
+   * @param {Object} watch - Dados da busca
+   * @param {string} watch.name - Nome exibido
+   * @param {string} watch.url - URL da busca ou categoria
+   * @param {string} watch.query - Termo pesquisado (buscas criadas por termo)
+   * @param {string} watch.domain - Domínio da loja
+   * @param {string} watch.keywords - Palavras que o nome do item precisa conter
+   * @param {number} watch.targetPrice - Preço alvo (opcional)
+   * @param {string} watch.currency - Moeda da loja
+   * @returns {Promise<Object>} { id }
+   */
+  static async create({ name, url, query = null, domain = null, keywords = null, targetPrice = null, currency = 'BRL', channelId, guildId, userId }) {
+    try {
+      const result = await database.run(`
+        INSERT INTO search_watches (
+          name, url, query, domain, keywords, target_price, currency, channel_id, guild_id, user_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [name, url, query, domain, keywords, targetPrice, currency, channelId, guildId, userId]);
+
+      logger.info('Busca monitorada criada', { id: result.id, url, guildId });
+      return { id: result.id };
+
+    } catch (error) {
+      logger.error('Erro ao criar busca monitorada:', error, { url, guildId });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca por ID
+   * @param {number} id - ID da busca
+   */
+  static async findById(id) {
+    try {
+      return await database.get('SELECT * FROM search_watches WHERE id = ?', [id]) || null;
+
+    } catch (error) {
+      logger.error('Erro ao buscar busca monitorada:', error, { id });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca de um servidor pela URL
+   * @param {string} guildId - ID do servidor
+   * @param {string} url - URL normalizada
+   */
+  static async findByUrl(guildId, url) {
+    try {
+      return await database.get(
+        'SELECT * FROM search_watches WHERE guild_id = ? AND url = ?',
+        [guildId, url]
+      ) || null;
+
+    } catch (error) {
+      logger.error('Erro ao buscar busca monitorada pela URL:', error, { guildId, url });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista as buscas de um servidor
+   * @param {string|null} guildId - ID do servidor (null para todos)
+   * @param {boolean} activeOnly - Somente ativas
+   */
+  static async findByGuild(guildId = null, activeOnly = true) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (guildId) {
+        conditions.push('guild_id = ?');
+        params.push(guildId);
+      }
+      if (activeOnly) {
+        conditions.push('is_active = 1');
+      }
+
+      return await database.all(`
+        SELECT * FROM search_watches
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY created_at DESC
+      `, params);
+
+    } catch (error) {
+      logger.error('Erro ao listar buscas monitoradas:', error, { guildId });
+      throw error;
+    }
+  }
+
+  /**
+   * Buscas ativas que precisam de verificação
+   * @param {number} intervalMinutes - Intervalo entre verificações
+   */
+  static async findForCheck(intervalMinutes = 60) {
+    try {
+      return await database.all(`
+        SELECT * FROM search_watches
+        WHERE is_active = 1
+        AND (
+          last_checked IS NULL
+          OR last_checked < datetime('now', '-' || ? || ' minutes')
+        )
+        AND error_count < ?
+        ORDER BY last_checked ASC NULLS FIRST
+        LIMIT 20
+      `, [intervalMinutes, MAX_ERRORS]);
+
+    } catch (error) {
+      logger.error('Erro ao buscar buscas monitoradas para verificação:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra uma verificação bem-sucedida
+   * @param {number} id - ID da busca
+   * @param {Object} summary - { itemCount, bestPrice }
+   */
+  static async recordCheck(id, { itemCount, bestPrice = null }) {
+    try {
+      await database.run(`
+        UPDATE search_watches
+        SET item_count = ?, best_price = ?, check_count = check_count + 1,
+            error_count = 0, last_error = NULL,
+            last_checked = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [itemCount, bestPrice, id]);
+
+    } catch (error) {
+      logger.error('Erro ao registrar verificação da busca:', error, { id });
+      throw error;
+    }
+  }
+
+  /**
+   * Registra uma falha; após MAX_ERRORS falhas seguidas a busca é desativada
+   * @param {number} id - ID da busca
+   * @param {string} errorMessage - Mensagem de erro
+   */
+  static async incrementError(id, errorMessage) {
+    try {
+      await database.run(`
+        UPDATE search_watches
+        SET error_count = error_count + 1, last_error = ?,
+            is_active = CASE WHEN error_count + 1 >= ? THEN 0 ELSE is_active END,
+            last_checked = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [errorMessage, MAX_ERRORS, id]);
+
+    } catch (error) {
+      logger.error('Erro ao incrementar contador de erro da busca:', error, { id, errorMessage });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove uma busca e seus itens
+   * @param {number} id - ID da busca
+   * @param {string} guildId - ID do servidor (para validação)
+   * @returns {Promise<boolean>} false se a busca não existe
+   */
+  static async delete(id, guildId = null) {
+    try {
+      const result = await database.run(
+        `DELETE FROM search_watches WHERE id = ? ${guildId ? 'AND guild_id = ?' : ''}`,
+        guildId ? [id, guildId] : [id]
+      );
+
+      if (result.changes > 0) {
+        logger.info('Busca monitorada removida', { id, guildId });
+      }
+      return result.changes > 0;
+
+    } catch (error) {
+      logger.error('Erro ao remover busca monitorada:', error, { id, guildId });
+      throw error;
+    }
+  }
+
+  /**
+   * Reativa buscas desativadas por erro há mais de 24h
+   * @returns {Promise<number>} Quantidade reativada
+   */
+  static async reactivateErrorWatches() {
+    try {
+      const result = await database.run(`
+        UPDATE search_watches
+        SET is_active = 1, error_count = 0, last_error = NULL
+        WHERE is_active = 0
+        AND error_count > 0
+        AND last_checked < datetime('now', '-24 hours')
+      `);
+
+      return result.changes;
+
+    } catch (error) {
+      logger.error('Erro ao reativar buscas com erro:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Itens já vistos em uma busca
+   * @param {number} watchId - ID da busca
+   * @param {number|null} limit - Limite (mais baratos primeiro)
+   */
+  static async getItems(watchId, limit = null) {
+    try {
+      return await database.all(`
+        SELECT * FROM search_watch_items
+        WHERE watch_id = ?
+        ORDER BY price IS NULL, price ASC
+        ${limit ? 'LIMIT ?' : ''}
+      `, limit ? [watchId, limit] : [watchId]);
+
+    } catch (error) {
+      logger.error('Erro ao buscar itens da busca:', error, { watchId });
+      throw error;
+    }
+  }
+
+  /**
+   * Grava os itens encontrados na verificação (novos ou atualizados)
+   * @param {number} watchId - ID da busca
+   * @param {Array} items - [{ key, url, name, price, availability }]
+   */
+  static async saveItems(watchId, items) {
+    if (items.length === 0) return;
+
+    try {
+      await database.transaction(items.map(item => ({
+        sql: `
+          INSERT INTO search_watch_items (watch_id, item_key, url, name, price, availability)
+          VALUES (?, ?, ?, ?, ?, ?)
+          ON CONFLICT(watch_id, item_key) DO UPDATE SET
+            url = excluded.url,
+            name = excluded.name,
+            price = excluded.price,
+            availability = excluded.availability,
+            last_seen_at = CURRENT_TIMESTAMP
+        `,
+        params: [watchId, item.key, item.url, item.name, item.price, item.availability || null]
+      })));
+
+    } catch (error) {
+      logger.error('Erro ao salvar itens da busca:', error, { watchId, items: items.length });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove itens que não aparecem na busca há muito tempo
+   * @param {number} days - Dias sem aparecer
+   * @returns {Promise<number>} Quantidade removida
+   */
+  static async purgeStaleItems(days = 30) {
+    try {
+      const result = await database.run(
+        "DELETE FROM search_watch_items WHERE last_seen_at < datetime('now', '-' || ? || ' days')",
+        [days]
+      );
+
+      return result.changes;
+
+    } catch (error) {
+      logger.error('Erro ao limpar itens antigos das buscas:', error, { days });
+      throw error;
+    }
+  }
+}
+
+SearchWatch.MAX_ERRORS = MAX_ERRORS;
+
+module.exports = SearchWatch;
@@ -0,0 +1,126 @@
+const database = require('../database');
+const logger = require('../../utils/logger');
+
+/**
+ * Modelo para configurações persistentes (chave/valor)
+ * Configurações por servidor usam a chave "guild:<guildId>:<nome>"
+ */
+class Settings {
+
+  /**
+   * Busca uma configuração
+   * @param {string} key - Chave da configuração
+   * @param {*} defaultValue - Valor padrão se não existir
+   */
+  static async get(key, defaultValue = null) {
+    try {
+      const row = await database.get('SELECT value FROM settings WHERE key = ?', [key]);
+      return row ? row.value : defaultValue;
+
+    } catch (error) {
+      logger.error('Erro ao buscar configuração:', error, { key });
+      throw error;
+    }
+  }
+
+  /**
+   * Cria ou atualiza uma configuração
+   * @param {string} key - Chave da configuração
+   * @param {string} value - Valor
+   * @param {string} description - Descrição (opcional)
+   */
+  static async set(key, value, description = null) {
+    try {
+      const sql = `
+        INSERT INTO settings (key, value, description, updated_at)
+        VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(key) DO UPDATE SET
+          value = excluded.value,
+          description = COALESCE(excluded.description, settings.description),
+          updated_at = CURRENT_TIMESTAMP
+      `;
+
+      await database.run(sql, [key, String(value), description]);
+
+      logger.debug('Configuração salva', { key, value });
+      return { key, value };
+
+    } catch (error) {
+      logger.error('Erro ao salvar configuração:', error, { key, value });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista as configurações cujas chaves começam com um prefixo
+   * @param {string} prefix - Prefixo da chave (ex: "site_config:")
+   * @returns {Promise<Array>} [{ key, value, updated_at }]
+   */
+  static async getByPrefix(prefix) {
+    try {
+      return await database.all(
+        'SELECT key, value, updated_at FROM settings WHERE substr(key, 1, length(?)) = ? ORDER BY key',
+        [prefix, prefix]
+      );
+
+    } catch (error) {
+      logger.error('Erro ao listar configurações:', error, { prefix });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove uma configuração
+   * @param {string} key - Chave da configuração
+   */
+  static async delete(key) {
+    try {
+      const result = await database.run('DELETE FROM settings WHERE key = ?', [key]);
+      return result.changes > 0;
+
+    } catch (error) {
+      logger.error('Erro ao remover configuração:', error, { key });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca uma configuração de servidor
+   * @param {string} guildId - ID do servidor
+   * @param {string} name - Nome da configuração
+   * @param {*} defaultValue - Valor padrão se não existir
+   */
+  static async getGuild(guildId, name, defaultValue = null) {
+    return this.get(this.guildKey(guildId, name), defaultValue);
+  }
+
+  /**
+   * Salva uma configuração de servidor
+   * @param {string} guildId - ID do servidor
+   * @param {string} name - Nome da configuração
+   * @param {string} value - Valor
+   */
+  static async setGuild(guildId, name, value) {
+    return this.set(this.guildKey(guildId, name), value);
+  }
+
+  /**
+   * Remove uma configuração de servidor
+   * @param {string} guildId - ID do servidor
+   * @param {string} name - Nome da configuração
+   */
+  static async deleteGuild(guildId, name) {
+    return this.delete(this.guildKey(guildId, name));
+  }
+
+  /**
+   * Monta a chave de uma configuração de servidor
+   * @param {string} guildId - ID do servidor
+   * @param {string} name - Nome da configuração
+   */
+  static guildKey(guildId, name) {
+    return `guild:${guildId}:${name}`;
+  }
+}
+
+module.exports = Settings;
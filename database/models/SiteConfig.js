@@ -0,0 +1,187 @@
+const database = require('../database');
+const logger = require('../../utils/logger');
+
+/**
+ * Modelo para configurações de site (seletores por domínio)
+ * Cada alteração gera uma versão em site_config_versions com o autor
+ */
+class SiteConfig {
+
+  /**
+   * Lista todas as configurações
+   * @returns {Promise<Array>} [{ domain, config, version, created_by, updated_by, ... }]
+   */
+  static async findAll() {
+    try {
+      const rows = await database.all('SELECT * FROM site_configs ORDER BY domain');
+      return rows.map(row => this.parse(row));
+
+    } catch (error) {
+      logger.error('Erro ao listar configurações de site:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca a configuração de um domínio
+   * @param {string} domain - Domínio
+   * @returns {Promise<Object|null>}
+   */
+  static async findByDomain(domain) {
+    try {
+      const row = await database.get('SELECT * FROM site_configs WHERE domain = ?', [domain]);
+      return row ? this.parse(row) : null;
+
+    } catch (error) {
+      logger.error('Erro ao buscar configuração de site:', error, { domain });
+      throw error;
+    }
+  }
+
+  /**
+   * Cria ou atualiza a configuração de um domínio (nova versão)
+   * @param {string} domain - Domínio
+   * @param {Object} config - Configuração ({ selectors, nameSelectors, ... })
+   * @param {string} author - Quem fez a alteração
+   * @param {string} note - Descrição da alteração (opcional)
+   * @returns {Promise<Object>} Configuração salva
+   */
+  static async save(domain, config, author = null, note = null) {
+    try {
+      const existing = await this.findByDomain(domain);
+      const version = (await this.getLastVersion(domain)) + 1;
+      const value = JSON.stringify(config);
+
+      if (existing) {
+        await database.run(`
+          UPDATE site_configs
+          SET config = ?, version = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE domain = ?
+        `, [value, version, author, domain]);
+      } else {
+        await database.run(`
+          INSERT INTO site_configs (domain, config, version, created_by, updated_by)
+          VALUES (?, ?, ?, ?, ?)
+        `, [domain, value, version, author, author]);
+      }
+
+      await this.addVersion(domain, version, existing ? 'update' : 'create', value, author, note);
+
+      logger.info(`Configuração de site salva: ${domain} (v${version})`, { author });
+      return await this.findByDomain(domain);
+
+    } catch (error) {
+      logger.error('Erro ao salvar configuração de site:', error, { domain });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a configuração de um domínio (o histórico é mantido)
+   * @param {string} domain - Domínio
+   * @param {string} author - Quem fez a alteração
+   * @returns {Promise<boolean>} true se existia
+   */
+  static async remove(domain, author = null) {
+    try {
+      const existing = await this.findByDomain(domain);
+      if (!existing) return false;
+
+      await database.run('DELETE FROM site_configs WHERE domain = ?', [domain]);
+      await this.addVersion(domain, (await this.getLastVersion(domain)) + 1, 'delete', null, author, null);
+
+      logger.info(`Configuração de site removida: ${domain}`, { author });
+      return true;
+
+    } catch (error) {
+      logger.error('Erro ao remover configuração de site:', error, { domain });
+      throw error;
+    }
+  }
+
+  /**
+   * Histórico de versões de um domínio (mais recente primeiro)
+   * @param {string} domain - Domínio
+   * @param {number} limit - Máximo de versões
+   */
+  static async getVersions(domain, limit = 20) {
+    try {
+      const rows = await database.all(`
+        SELECT * FROM site_config_versions
+        WHERE domain = ?
+        ORDER BY version DESC
+        LIMIT ?
+      `, [domain, limit]);
+
+      return rows.map(row => this.parse(row));
+
+    } catch (error) {
+      logger.error('Erro ao buscar versões da configuração de site:', error, { domain });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca uma versão específica
+   * @param {string} domain - Domínio
+   * @param {number} version - Número da versão
+   * @returns {Promise<Object|null>}
+   */
+  static async getVersion(domain, version) {
+    try {
+      const row = await database.get(
+        'SELECT * FROM site_config_versions WHERE domain = ? AND version = ?',
+        [domain, version]
+      );
+      return row ? this.parse(row) : null;
+
+    } catch (error) {
+      logger.error('Erro ao buscar versão da configuração de site:', error, { domain, version });
+      throw error;
+    }
+  }
+
+  /**
+   * Último número de versão do domínio (0 se nunca configurado)
+   * A numeração continua após uma remoção
+   * @param {string} domain - Domínio
+   */
+  static async getLastVersion(domain) {
+    const row = await database.get(
+      'SELECT MAX(version) as version FROM site_config_versions WHERE domain = ?',
+      [domain]
+    );
+    return row && row.version ? row.version : 0;
+  }
+
+  /**
+   * Registra uma versão no histórico
+   * @param {string} domain - Domínio
+   * @param {number} version - Número da versão
+   * @param {string} action - create, update ou delete
+   * @param {string|null} config - Configuração serializada
+   * @param {string|null} author - Autor
+   * @param {string|null} note - Descrição
+   */
+  static async addVersion(domain, version, action, config, author, note) {
+    await database.run(`
+      INSERT INTO site_config_versions (domain, version, action, config, author, note)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [domain, version, action, config, author, note]);
+  }
+
+  /**
+   * Converte a coluna config de JSON para objeto
+   * @param {Object} row - Linha do banco
+   */
+  static parse(row) {
+    try {
+      return { ...row, config: row.config ? JSON.parse(row.config) : null };
+    } catch {
+      logger.warn(`Configuração de site com JSON inválido: ${row.domain}`);
+      return { ...row, config: null };
+    }
+  }
+}
+
+module.exports = SiteConfig;
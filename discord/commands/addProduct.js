@@ -1,7 +1,16 @@
 const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const Product = require('../../database/models/Product');
 const PriceHistory = require('../../database/models/PriceHistory');
+const Settings = require('../../database/models/Settings');
 const PriceScraper = require('../../services/PriceScraper');
+const Availability = require('../../services/Availability');
+const PricePoints = require('../../services/PricePoints');
+const Shipping = require('../../services/Shipping');
+const ProductGroups = require('../../services/ProductGroups');
+const Sellers = require('../../services/Sellers');
+const Promotions = require('../../services/Promotions');
+const Currencies = require('../../services/Currencies');
+const config = require('../../config/config');
 const logger = require('../../utils/logger');
 
 module.exports = {
@@ -16,7 +25,7 @@ module.exports = {
     .addNumberOption(option =>
       option
         .setName('target_price')
-        .setDescription('Preço alvo para notificação (em reais)')
+        .setDescription('Preço alvo para notificação (na moeda da loja)')
         .setRequired(true)
         .setMinValue(0.01))
     .addStringOption(option =>
@@ -31,7 +40,35 @@ module.exports = {
         .setDescription('Percentual mínimo de queda para notificar (padrão: 10%)')
         .setRequired(false)
         .setMinValue(1)
-        .setMaxValue(50)),
+        .setMaxValue(50))
+    .addStringOption(option =>
+      option
+        .setName('price_point')
+        .setDescription('Qual preço acompanhar (padrão: preço principal da página)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Pix / à vista', value: PricePoints.POINTS.PIX },
+          { name: 'Boleto', value: PricePoints.POINTS.BOLETO },
+          { name: 'Cartão', value: PricePoints.POINTS.CARD },
+          { name: 'Parcelado (valor total)', value: PricePoints.POINTS.INSTALLMENT }
+        ))
+    .addStringOption(option =>
+      option
+        .setName('cep')
+        .setDescription('CEP para calcular o frete deste produto (padrão: CEP do servidor)')
+        .setRequired(false)
+        .setMinLength(8)
+        .setMaxLength(9))
+    .addBooleanOption(option =>
+      option
+        .setName('include_shipping')
+        .setDescription('Comparar preço + frete com o preço alvo')
+        .setRequired(false))
+    .addBooleanOption(option =>
+      option
+        .setName('official_seller_only')
+        .setDescription('Alertar só quando a oferta for da loja oficial (Mercado Livre, Amazon)')
+        .setRequired(false)),
 
   async execute(interaction) {
     const startTime = Date.now();
@@ -43,13 +80,18 @@ module.exports = {
       const targetPrice = interaction.options.getNumber('target_price');
       const customName = interaction.options.getString('name');
       const promotionThreshold = interaction.options.getNumber('promotion_threshold') || 10;
+      const pricePoint = interaction.options.getString('price_point');
+      const cepOption = interaction.options.getString('cep');
+      const useLandedPrice = interaction.options.getBoolean('include_shipping') || false;
+      const officialSellerOnly = interaction.options.getBoolean('official_seller_only') || false;
 
       logger.info('Comando addproduct executado', {
         userId: interaction.user.id,
         guildId: interaction.guild.id,
         url,
         targetPrice,
-        customName
+        customName,
+        pricePoint
       });
 
       // Validar URL
@@ -59,8 +101,36 @@ module.exports = {
         });
       }
 
-      // Verificar se a URL já está sendo monitorada
-      const existingProduct = await Product.findByUrl(url);
+      // Validar CEP informado
+      const productCep = cepOption ? Shipping.normalizeCep(cepOption) : null;
+      if (cepOption && !productCep) {
+        return await interaction.editReply({
+          embeds: [createErrorEmbed('❌ CEP Inválido', 'Informe um CEP com 8 dígitos (ex: 01001-000).')]
+        });
+      }
+
+      // Links encurtados e de afiliados: seguir até a página do produto
+      let resolved;
+      try {
+        resolved = await PriceScraper.resolveUrl(url);
+      } catch (error) {
+        if (error.code === 'REDIRECT_LOOP') {
+          return await interaction.editReply({
+            embeds: [createErrorEmbed('🔁 Link em loop', `${error.message}. Abra o link no navegador e copie a URL da página do produto.`)]
+          });
+        }
+        if (error.code === 'NOT_PRODUCT_PAGE') {
+          return await interaction.editReply({
+            embeds: [createErrorEmbed('❌ Não é uma página de produto', `${error.message}.\n\nVerifique se o link ainda é válido e aponta para um produto.`)]
+          });
+        }
+        throw error;
+      }
+
+      // Verificar se o produto já está sendo monitorado (mesmo que por outra URL)
+      const canonicalUrl = resolved.url;
+      const productKey = PriceScraper.getProductKey(canonicalUrl);
+      const existingProduct = await Product.findByIdentity({ url, canonicalUrl, productKey });
       if (existingProduct) {
         return await interaction.editReply({
           embeds: [createErrorEmbed('❌ Produto já monitorado', 
@@ -68,14 +138,14 @@ module.exports = {
         });
       }
 
-      // Verificar suporte do site
-      const siteSupport = PriceScraper.isSupportedSite(url);
-      let supportWarning = null;
-
-      if (siteSupport.confidence === 'none') {
-        supportWarning = '⚠️ **Site não reconhecido** - O scraping pode não funcionar corretamente.';
-      } else if (siteSupport.confidence === 'low') {
-        supportWarning = '⚠️ **Site parcialmente suportado** - Alguns recursos podem não funcionar.';
+      // Respeitar robots.txt da loja
+      const robots = await PriceScraper.checkRobots(canonicalUrl);
+      if (!robots.allowed) {
+        return await interaction.editReply({
+          embeds: [createErrorEmbed('🤖 Bloqueado pelo robots.txt',
+            'A loja não permite acesso automatizado a esta página, por isso ela não pode ser monitorada.\n\n' +
+            `**Regra:** \`${robots.rule}\``)]
+        });
       }
 
       // Tentar fazer scraping inicial
@@ -87,8 +157,27 @@ module.exports = {
 
       await interaction.editReply({ embeds: [embed] });
 
-      const scrapedData = await PriceScraper.scrapePrice(url);
+      const cep = productCep || await Settings.getGuild(interaction.guild.id, 'cep');
+      const scrapedData = await PriceScraper.scrapePrice(canonicalUrl, { cep });
+
+      // Verificar suporte do site (depois do scraping: lojas de plataforma, como VTEX, são reconhecidas pela página)
+      const siteSupport = PriceScraper.isSupportedSite(canonicalUrl);
+      let supportWarning = null;
+
+      if (siteSupport.confidence === 'none') {
+        supportWarning = '⚠️ **Site não reconhecido** - O scraping pode não funcionar corretamente. Use `/teach` para ensinar onde fica o preço nesta loja.';
+      } else if (siteSupport.confidence === 'low') {
+        supportWarning = '⚠️ **Site parcialmente suportado** - Alguns recursos podem não funcionar.';
+      }
       
+      // Página inexistente (404/410): link quebrado ou digitado errado
+      if (scrapedData.removed) {
+        return await interaction.editReply({
+          embeds: [createErrorEmbed('❌ Página não encontrada',
+            `A loja respondeu que esta página não existe (HTTP ${scrapedData.httpStatus}).\n\nVerifique se o link está correto e se o produto ainda está à venda.`)]
+        });
+      }
+
       if (!scrapedData.success) {
         const errorEmbed = createErrorEmbed('❌ Erro ao analisar produto', 
           `Não foi possível extrair informações do produto.\n\n**Erro:** ${scrapedData.error}\n\n` +
@@ -104,33 +193,69 @@ module.exports = {
 
       // Usar nome personalizado ou nome extraído
       const productName = customName || scrapedData.name || 'Produto sem nome';
+
+      // Preço no ponto escolhido (pode não existir na página)
+      const price = PricePoints.resolve(scrapedData, pricePoint);
+      const landedPrice = Shipping.getLandedPrice(price, scrapedData.shipping);
+      const comparedPrice = useLandedPrice && landedPrice ? landedPrice : price;
+      const effective = Promotions.getEffectivePrice(price, scrapedData.promotions);
+
+      // Moeda da página: o preço alvo é comparado na mesma moeda
+      const currency = scrapedData.currency || config.currency.default;
       
       // Criar produto no banco
       const productData = {
         name: productName,
-        url: url,
-        currentPrice: scrapedData.price,
+        url: canonicalUrl,
+        productKey,
+        gtin: scrapedData.gtin || null,
+        mpn: scrapedData.mpn || null,
+        brand: scrapedData.brand || null,
+        currentPrice: price,
         targetPrice: targetPrice,
         channelId: interaction.channel.id,
         guildId: interaction.guild.id,
         userId: interaction.user.id,
         promotionThreshold: promotionThreshold / 100, // Converter para decimal
+        availability: scrapedData.availability,
+        pricePoint,
+        shippingCep: productCep,
+        shippingCost: scrapedData.shipping ? scrapedData.shipping.cost : null,
+        landedPrice,
+        useLandedPrice,
+        seller: scrapedData.seller || null,
+        officialSellerOnly,
+        promotions: scrapedData.promotions || null,
+        effectivePrice: effective ? effective.price : null,
+        currency,
         metadata: {
           addedBy: interaction.user.tag,
           scrapingDuration: scrapedData.duration,
           siteSupport: siteSupport.confidence,
-          domain: scrapedData.domain
+          domain: scrapedData.domain,
+          ...(canonicalUrl !== url ? { originalUrl: url } : {})
         }
       };
 
       const product = await Product.create(productData);
 
-      // Adicionar ao histórico inicial
-      await PriceHistory.add(product.id, scrapedData.price, null, 'initial');
+      // Adicionar ao histórico inicial (produto esgotado pode não ter preço)
+      const hasPrice = !!price;
+      if (hasPrice) {
+        await PriceHistory.add(product.id, price, null, 'initial', {
+          availability: scrapedData.availability,
+          pricePoints: scrapedData.pricePoints,
+          shippingCost: scrapedData.shipping ? scrapedData.shipping.cost : null,
+          seller: scrapedData.seller || null,
+          promotions: scrapedData.promotions || null,
+          effectivePrice: effective ? effective.price : null,
+          currency
+        });
+      }
 
       // Determinar status do produto
-      const isOnTarget = scrapedData.price <= targetPrice;
-      const discount = targetPrice > 0 ? ((targetPrice - scrapedData.price) / targetPrice) * 100 : 0;
+      const isOnTarget = hasPrice && comparedPrice <= targetPrice;
+      const discount = hasPrice && targetPrice > 0 ? ((targetPrice - comparedPrice) / targetPrice) * 100 : 0;
 
       // Criar embed de sucesso
       const successEmbed = new EmbedBuilder()
@@ -138,14 +263,14 @@ module.exports = {
         .setTitle('✅ Produto adicionado com sucesso!')
         .setDescription(`**${productName}**`)
         .addFields(
-          { name: '💰 Preço Atual', value: `R$ ${scrapedData.price.toFixed(2)}`, inline: true },
-          { name: '🎯 Preço Alvo', value: `R$ ${targetPrice.toFixed(2)}`, inline: true },
-          { name: '📊 Status', value: getStatusText(scrapedData.price, targetPrice), inline: true },
+          { name: `💰 Preço Atual (${PricePoints.getLabel(pricePoint)})`, value: hasPrice ? Currencies.format(price, currency) : 'Não informado', inline: true },
+          { name: '🎯 Preço Alvo', value: Currencies.format(targetPrice, currency), inline: true },
+          { name: '📊 Status', value: hasPrice ? getStatusText(comparedPrice, targetPrice) : Availability.getLabel(scrapedData.availability), inline: true },
           { name: '🔔 Alerta de Queda', value: `${promotionThreshold}%+`, inline: true },
           { name: '🆔 ID do Produto', value: `#${product.id}`, inline: true },
           { name: '⏱️ Próxima Verificação', value: `~${Math.ceil(Math.random() * 60)} min`, inline: true }
         )
-        .setURL(url)
+        .setURL(canonicalUrl)
         .setTimestamp()
         .setFooter({ 
           text: `Adicionado por ${interaction.user.tag} • Monitor de Preços`,
@@ -156,11 +281,72 @@ module.exports = {
       if (isOnTarget && discount > 0) {
         successEmbed.addFields({
           name: '💸 Economia Atual',
-          value: `R$ ${(targetPrice - scrapedData.price).toFixed(2)} (${discount.toFixed(1)}%)`,
+          value: `${Currencies.format(targetPrice - comparedPrice, currency)} (${discount.toFixed(1)}%)`,
           inline: true
         });
       }
 
+      // Frete para o CEP configurado
+      if (cep) {
+        successEmbed.addFields({
+          name: `🚚 Frete (CEP ${Shipping.formatCep(cep)})`,
+          value: !scrapedData.shipping
+            ? 'Cotação não disponível para esta loja'
+            : landedPrice
+              ? `${Shipping.describe(scrapedData.shipping, currency)}\n🧾 Preço + Frete: **${Currencies.format(landedPrice, currency)}**${useLandedPrice ? ' (usado no alvo)' : ''}`
+              : Shipping.describe(scrapedData.shipping, currency),
+          inline: false
+        });
+      }
+
+      // Cupons e selos promocionais encontrados na página
+      const promotionsText = Promotions.describe(scrapedData.promotions, currency);
+      if (promotionsText) {
+        successEmbed.addFields({
+          name: '🎟️ Promoções',
+          value: promotionsText + (effective ? `\n💸 Preço com cupom: **${Currencies.format(effective.price, currency)}**` : ''),
+          inline: false
+        });
+      }
+
+      // Vendedor da oferta (marketplaces)
+      if (scrapedData.seller || officialSellerOnly) {
+        successEmbed.addFields({
+          name: '🏪 Vendedor',
+          value: Sellers.describe(scrapedData.seller) +
+            (officialSellerOnly ? '\n🔒 Alertas somente para ofertas da loja oficial' : ''),
+          inline: false
+        });
+      }
+
+      // Preços encontrados por forma de pagamento
+      const pricePointsText = formatPricePoints(scrapedData.pricePoints, currency);
+      if (pricePointsText) {
+        successEmbed.addFields({
+          name: '💳 Formas de Pagamento',
+          value: pricePointsText,
+          inline: false
+        });
+      }
+
+      // Ponto de preço escolhido não aparece na página
+      if (pricePoint && !hasPrice && scrapedData.price) {
+        successEmbed.addFields({
+          name: '⚠️ Ponto de Preço',
+          value: `Não encontramos o preço **${PricePoints.getLabel(pricePoint)}** nesta página. O produto será comparado assim que ele aparecer.`,
+          inline: false
+        });
+      }
+
+      // Avisar que o produto será monitorado até voltar ao estoque
+      if (!Availability.isPurchasable(scrapedData.availability)) {
+        successEmbed.addFields({
+          name: '📦 Disponibilidade',
+          value: `${Availability.getLabel(scrapedData.availability)} - você será avisado quando voltar ao estoque.`,
+          inline: false
+        });
+      }
+
       // Adicionar aviso de suporte se necessário
       if (supportWarning) {
         successEmbed.addFields({
@@ -170,13 +356,26 @@ module.exports = {
         });
       }
 
+      // Mesmo item (GTIN/MPN) já monitorado em outra loja: sugerir o agrupamento
+      const matches = await Product.findMatches({ ...productData, id: product.id, guild_id: interaction.guild.id });
+      if (matches.length > 0) {
+        successEmbed.addFields({
+          name: '🔗 Mesmo produto em outras lojas',
+          value: matches.slice(0, 3).map(match =>
+            `#${match.id} **${match.name.substring(0, 50)}** • ${ProductGroups.getStore(match.url)}` +
+            (match.current_price ? ` • ${Currencies.format(match.current_price, match.currency)}` : '')).join('\n') +
+            '\n\nAgrupe para comparar o melhor preço entre lojas no `/listproducts`.',
+          inline: false
+        });
+      }
+
       // Criar botões de ação
       const row = new ActionRowBuilder()
         .addComponents(
           new ButtonBuilder()
             .setLabel('🛒 Ver Produto')
             .setStyle(ButtonStyle.Link)
-            .setURL(url),
+            .setURL(canonicalUrl),
           new ButtonBuilder()
             .setLabel('📊 Histórico')
             .setStyle(ButtonStyle.Secondary)
@@ -187,6 +386,15 @@ module.exports = {
             .setCustomId(`config_${product.id}`)
         );
 
+      if (matches.length > 0) {
+        row.addComponents(
+          new ButtonBuilder()
+            .setLabel(`🔗 Agrupar com #${matches[0].id}`)
+            .setStyle(ButtonStyle.Primary)
+            .setCustomId(`group_${product.id}_${matches[0].id}`)
+        );
+      }
+
       await interaction.editReply({ 
         embeds: [successEmbed], 
         components: [row] 
@@ -198,7 +406,8 @@ module.exports = {
         productId: product.id,
         userId: interaction.user.id,
         guildId: interaction.guild.id,
-        price: scrapedData.price,
+        price,
+        pricePoint,
         targetPrice,
         isOnTarget,
         duration
@@ -208,8 +417,8 @@ module.exports = {
       if (isOnTarget) {
         const notificationService = require('../../discord/bot').getNotificationService();
         await notificationService.sendTargetReachedNotification(
-          { ...product, ...productData }, 
-          scrapedData.price, 
+          { ...product, ...productData, shipping: scrapedData.shipping || null, landed_price: landedPrice, use_landed_price: useLandedPrice }, 
+          comparedPrice, 
           targetPrice
         );
       }
@@ -261,6 +470,28 @@ function createErrorEmbed(title, description) {
     .setFooter({ text: 'Monitor de Preços' });
 }
 
+/**
+ * Formata os preços por forma de pagamento
+ * @param {Object} pricePoints - { pix, boleto, card, installment, installments }
+ * @param {string} currency - Moeda da página
+ */
+function formatPricePoints(pricePoints, currency) {
+  if (!pricePoints) return null;
+
+  const lines = Object.values(PricePoints.POINTS)
+    .filter(point => pricePoints[point])
+    .map(point => {
+      let line = `${PricePoints.getLabel(point)}: ${Currencies.format(pricePoints[point], currency)}`;
+      if (point === PricePoints.POINTS.INSTALLMENT && pricePoints.installments) {
+        const { count, value, interestFree } = pricePoints.installments;
+        line += ` (${count}x de ${Currencies.format(value, currency)}${interestFree ? ' sem juros' : ''})`;
+      }
+      return line;
+    });
+
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
 /**
  * Retorna texto de status baseado no preço
  * @param {number} currentPrice - Preço atual
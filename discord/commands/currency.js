@@ -0,0 +1,170 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const Settings = require('../../database/models/Settings');
+const CurrencyRate = require('../../database/models/CurrencyRate');
+const Currencies = require('../../services/Currencies');
+const priceMonitor = require('../../services/PriceMonitor');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('currency')
+    .setDescription('Configura a moeda em que os preços são exibidos no servidor')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set')
+        .setDescription('Define a moeda de exibição do servidor')
+        .addStringOption(option =>
+          option
+            .setName('code')
+            .setDescription('Moeda de exibição')
+            .setRequired(true)
+            .addChoices(...Object.entries(Currencies.CURRENCIES).map(([code, info]) =>
+              ({ name: `${code} (${info.symbol})`, value: code })))))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('show')
+        .setDescription('Mostra a moeda de exibição e as cotações carregadas'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('reload')
+        .setDescription('Recarrega as cotações do arquivo local (admin)')),
+
+  async execute(interaction) {
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      const subcommand = interaction.options.getSubcommand();
+
+      logger.info('Comando currency executado', {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id,
+        subcommand
+      });
+
+      if (subcommand === 'show') {
+        return await handleShow(interaction);
+      }
+
+      if (subcommand === 'reload') {
+        if (interaction.user.id !== config.discord.adminUserId) {
+          return await interaction.editReply({
+            embeds: [createEmbed(0xFF0000, '❌ Sem permissão', 'Apenas o administrador do bot pode recarregar as cotações.')]
+          });
+        }
+
+        return await handleReload(interaction);
+      }
+
+      if (!(await isGuildManager(interaction))) {
+        return await interaction.editReply({
+          embeds: [createEmbed(0xFF0000, '❌ Sem permissão', 'Você precisa da permissão **Gerenciar Servidor** para alterar a moeda do servidor.')]
+        });
+      }
+
+      const code = interaction.options.getString('code');
+      await Settings.setGuild(interaction.guild.id, 'display_currency', code);
+
+      const table = await CurrencyRate.getTable();
+      await interaction.editReply({
+        embeds: [createEmbed(0x00FF00, '✅ Moeda configurada',
+          `Os alertas mostrarão os preços de outras moedas também em **${code}** (${Currencies.CURRENCIES[code].symbol}).` +
+          (table && table.rates[code] ? '' : '\n\n⚠️ Não há cotação carregada para esta moeda; os preços serão exibidos só na moeda da loja.'))]
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_RATES' || error instanceof SyntaxError) {
+        return await interaction.editReply({
+          embeds: [createEmbed(0xFF0000, '❌ Arquivo de cotações inválido', `${error.message}\n\nArquivo: \`${config.currency.ratesFile}\``)]
+        });
+      }
+
+      logger.error('Erro no comando currency:', error, {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id
+      });
+
+      await interaction.editReply({
+        embeds: [createEmbed(0xFF0000, '❌ Erro Interno', 'Não foi possível processar a configuração de moeda. Tente novamente.')]
+      }).catch(() => {});
+    }
+  }
+};
+
+/**
+ * Mostra a moeda do servidor e a tabela de cotações
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleShow(interaction) {
+  const display = await Settings.getGuild(interaction.guild.id, 'display_currency') || config.currency.display;
+  const table = await CurrencyRate.getTable();
+
+  const embed = createEmbed(0x0099FF, '💱 Moeda', `Moeda de exibição do servidor: **${display}**`);
+
+  if (!table) {
+    embed.addFields({
+      name: 'Cotações',
+      value: `Nenhuma cotação carregada. Crie \`${config.currency.ratesFile}\` e use \`/currency reload\`.`,
+      inline: false
+    });
+  } else {
+    const rates = Object.entries(table.rates)
+      .filter(([code]) => code !== table.base)
+      .map(([code, rate]) => `1 ${table.base} = ${rate} ${code}`);
+
+    embed.addFields({
+      name: `Cotações (atualizadas em ${new Date(table.updatedAt).toLocaleString('pt-BR')})`,
+      value: rates.join('\n') || 'Somente a moeda base',
+      inline: false
+    });
+  }
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Recarrega as cotações do arquivo local
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleReload(interaction) {
+  const table = await priceMonitor.loadCurrencyRates();
+
+  if (!table) {
+    return await interaction.editReply({
+      embeds: [createEmbed(0xFF8C00, '⚠️ Arquivo não encontrado', `Crie \`${config.currency.ratesFile}\` no formato \`{ "base": "USD", "rates": { "BRL": 5.42 } }\`.`)]
+    });
+  }
+
+  await interaction.editReply({
+    embeds: [createEmbed(0x00FF00, '✅ Cotações recarregadas',
+      `${Object.keys(table.rates).length} moeda(s) com base **${table.base}**.`)]
+  });
+}
+
+/**
+ * Verifica se o usuário pode gerenciar configurações do servidor
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function isGuildManager(interaction) {
+  if (interaction.user.id === config.discord.adminUserId) {
+    return true;
+  }
+
+  const member = await interaction.guild.members.fetch(interaction.user.id);
+  return member.permissions.has('Administrator') || member.permissions.has('ManageGuild');
+}
+
+/**
+ * Cria embed padronizado
+ * @param {number} color - Cor do embed
+ * @param {string} title - Título
+ * @param {string} description - Descrição
+ */
+function createEmbed(color, title, description) {
+  return new EmbedBuilder()
+    .setColor(color)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp()
+    .setFooter({ text: 'Monitor de Preços' });
+}
@@ -0,0 +1,181 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const Product = require('../../database/models/Product');
+const ProductGroup = require('../../database/models/ProductGroup');
+const ProductGroups = require('../../services/ProductGroups');
+const Currencies = require('../../services/Currencies');
+const priceMonitor = require('../../services/PriceMonitor');
+const logger = require('../../utils/logger');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('group')
+    .setDescription('Agrupa o mesmo produto monitorado em lojas diferentes')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('Mostra os grupos e o melhor preço entre lojas'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('link')
+        .setDescription('Liga dois produtos no mesmo grupo')
+        .addIntegerOption(option =>
+          option
+            .setName('product_id')
+            .setDescription('ID do produto')
+            .setRequired(true))
+        .addIntegerOption(option =>
+          option
+            .setName('other_id')
+            .setDescription('ID do mesmo produto em outra loja')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('unlink')
+        .setDescription('Tira um produto do grupo')
+        .addIntegerOption(option =>
+          option
+            .setName('product_id')
+            .setDescription('ID do produto')
+            .setRequired(true))),
+
+  async execute(interaction) {
+    try {
+      await interaction.deferReply();
+
+      const subcommand = interaction.options.getSubcommand();
+
+      logger.info('Comando group executado', {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id,
+        subcommand
+      });
+
+      switch (subcommand) {
+        case 'list':
+          return await handleList(interaction);
+        case 'link':
+          return await handleLink(interaction);
+        case 'unlink':
+          return await handleUnlink(interaction);
+      }
+
+    } catch (error) {
+      logger.error('Erro no comando group:', error, {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id
+      });
+
+      await interaction.editReply({
+        embeds: [createEmbed(0xFF0000, '❌ Erro Interno', 'Não foi possível processar o grupo. Tente novamente.')]
+      }).catch(() => {});
+    }
+  }
+};
+
+/**
+ * Lista os grupos do servidor com o melhor preço de cada um
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleList(interaction) {
+  const currency = await priceMonitor.getGuildCurrency(interaction.guild.id);
+  const groups = (await ProductGroup.findByGuild(interaction.guild.id))
+    .filter(group => group.products.length > 1)
+    .map(group => ProductGroups.summarize(group, currency));
+
+  if (groups.length === 0) {
+    return await interaction.editReply({
+      embeds: [createEmbed(0xFFFF00, '🔗 Nenhum grupo',
+        'Produtos com o mesmo EAN/GTIN em lojas diferentes são sugeridos no `/addproduct`.\n' +
+        'Também é possível ligar dois produtos com `/group link`.')]
+    });
+  }
+
+  const embed = createEmbed(0x0099FF, `🔗 Grupos de produtos (${groups.length})`, 'Melhor preço de cada item entre as lojas monitoradas');
+
+  groups.slice(0, 10).forEach(group => {
+    embed.addFields({
+      name: `#${group.id} ${group.name.substring(0, 80)}`,
+      value: group.products.map(item =>
+        `${item.isBest ? '🏆' : '•'} #${item.id} ${item.store} • ${ProductGroups.describePrice(item, group)}`).join('\n') +
+        (group.savings > 0 ? `\n💸 Diferença entre lojas: **${Currencies.format(group.savings, group.currency)}**` : ''),
+      inline: false
+    });
+  });
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Liga dois produtos do servidor
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleLink(interaction) {
+  const productId = interaction.options.getInteger('product_id');
+  const otherId = interaction.options.getInteger('other_id');
+
+  const [product, other] = await Promise.all([Product.findById(productId), Product.findById(otherId)]);
+
+  if (productId === otherId || !isFromGuild(product, interaction) || !isFromGuild(other, interaction)) {
+    return await interaction.editReply({
+      embeds: [createEmbed(0xFF0000, '❌ Produto não encontrado', 'Informe os IDs de dois produtos diferentes deste servidor (veja `/listproducts`).')]
+    });
+  }
+
+  const group = await priceMonitor.summarizeGroup(await ProductGroup.link(product, other, interaction.user.id));
+  const warning = product.gtin && other.gtin && product.gtin !== other.gtin
+    ? '\n\n⚠️ Os produtos têm EAN/GTIN diferentes. Confira se são o mesmo item.'
+    : '';
+
+  await interaction.editReply({
+    embeds: [createEmbed(0x00FF00, `✅ Grupo #${group.id} atualizado`,
+      `**${group.name}** agora tem ${group.stores} produto(s).` +
+      (group.best ? `\n🏆 Melhor preço: **${Currencies.format(group.best.price, group.currency)}** em ${group.best.store}` : '') +
+      warning)]
+  });
+}
+
+/**
+ * Tira um produto do grupo
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleUnlink(interaction) {
+  const product = await Product.findById(interaction.options.getInteger('product_id'));
+
+  if (!isFromGuild(product, interaction)) {
+    return await interaction.editReply({
+      embeds: [createEmbed(0xFF0000, '❌ Produto não encontrado', 'Verifique o ID em `/listproducts`.')]
+    });
+  }
+
+  const removed = await ProductGroup.removeProduct(product);
+
+  await interaction.editReply({
+    embeds: [removed
+      ? createEmbed(0x00FF00, '✅ Produto removido do grupo', `**${product.name}** não faz mais parte do grupo #${product.group_id}.`)
+      : createEmbed(0xFFFF00, 'ℹ️ Sem grupo', `**${product.name}** não pertence a nenhum grupo.`)]
+  });
+}
+
+/**
+ * Verifica se o produto existe e pertence ao servidor do comando
+ * @param {Object|null} product - Produto
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+function isFromGuild(product, interaction) {
+  return !!product && product.guild_id === interaction.guild.id;
+}
+
+/**
+ * Cria embed padronizado
+ * @param {number} color - Cor do embed
+ * @param {string} title - Título
+ * @param {string} description - Descrição
+ */
+function createEmbed(color, title, description) {
+  return new EmbedBuilder()
+    .setColor(color)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp()
+    .setFooter({ text: 'Monitor de Preços' });
+}
@@ -1,6 +1,15 @@
 const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } = require('discord.js');
 const Product = require('../../database/models/Product');
 const PriceHistory = require('../../database/models/PriceHistory');
+const Availability = require('../../services/Availability');
+const PricePoints = require('../../services/PricePoints');
+const ProductGroup = require('../../database/models/ProductGroup');
+const ProductGroups = require('../../services/ProductGroups');
+const Sellers = require('../../services/Sellers');
+const Promotions = require('../../services/Promotions');
+const Currencies = require('../../services/Currencies');
+const priceMonitor = require('../../services/PriceMonitor');
+const config = require('../../config/config');
 const logger = require('../../utils/logger');
 
 module.exports = {
@@ -95,6 +104,9 @@ module.exports = {
       // Ordenar produtos
       products = sortProducts(products, sort);
 
+      // Mesmo item em lojas diferentes (grupos por GTIN/MPN)
+      let groups = await loadGroupSummaries(interaction.guild.id);
+
       // Criar paginação
       const itemsPerPage = detailed ? 5 : 10;
       const totalPages = Math.ceil(products.length / itemsPerPage);
@@ -115,22 +127,31 @@ module.exports = {
           });
 
         // Estatísticas rápidas
-        const stats = await calculateStats(products);
+        const stats = await calculateStats(products, interaction.guild.id);
         embed.addFields({
           name: '📈 Resumo',
-          value: `🔥 **${stats.onSale}** em promoção • ⏳ **${stats.waiting}** aguardando • 💰 Economia potencial: **R$ ${stats.totalSavings.toFixed(2)}**`,
+          value: `🔥 **${stats.onSale}** em promoção • ⏳ **${stats.waiting}** aguardando • 💰 Economia potencial: **${Currencies.format(stats.totalSavings, stats.currency)}**`,
           inline: false
         });
 
+        // Melhor preço entre lojas
+        if (groups.size > 0) {
+          embed.addFields({
+            name: '🏆 Melhor preço entre lojas',
+            value: formatBestPrices(groups),
+            inline: false
+          });
+        }
+
         // Adicionar produtos
         for (let i = 0; i < pageProducts.length; i++) {
           const product = pageProducts[i];
           const index = start + i + 1;
           
           if (detailed) {
-            await addDetailedProductField(embed, product, index);
+            await addDetailedProductField(embed, product, index, groups);
           } else {
-            addSimpleProductField(embed, product, index);
+            addSimpleProductField(embed, product, index, groups);
           }
         }
 
@@ -233,6 +254,7 @@ module.exports = {
               products = await Product.findByGuild(interaction.guild.id, 50, filter !== 'inactive');
               products = await applyFilters(products, filter);
               products = sortProducts(products, sort);
+              groups = await loadGroupSummaries(interaction.guild.id);
               currentPage = 1;
               break;
             case 'show_stats':
@@ -370,19 +392,67 @@ function sortProducts(products, sort) {
   }
 }
 
+/**
+ * Carrega os grupos do servidor com mais de um produto ativo
+ * Os preços são comparados na moeda de exibição do servidor
+ * @returns {Promise<Map>} ID do grupo -> resumo (ProductGroups.summarize)
+ */
+async function loadGroupSummaries(guildId) {
+  const groups = await ProductGroup.findByGuild(guildId);
+  const currency = await priceMonitor.getGuildCurrency(guildId);
+
+  return new Map(groups
+    .filter(group => group.products.length > 1)
+    .map(group => [group.id, ProductGroups.summarize(group, currency)]));
+}
+
+/**
+ * Resumo dos grupos com maior diferença de preço entre lojas
+ */
+function formatBestPrices(groups) {
+  const summaries = [...groups.values()].sort((a, b) => b.savings - a.savings);
+  const lines = summaries.slice(0, 3).map(group => {
+    const name = group.name.length > 35 ? group.name.substring(0, 32) + '...' : group.name;
+    if (!group.best) return `🔗 **${name}** • sem preço disponível`;
+
+    return `🔗 **${name}** • ${Currencies.format(group.best.price, group.currency)} em ${group.best.store}` +
+      (group.savings > 0 ? ` (${Currencies.format(group.savings, group.currency)} a menos que a mais cara)` : '');
+  });
+
+  if (summaries.length > 3) {
+    lines.push(`... e mais ${summaries.length - 3} grupo(s) em \`/group list\``);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Indicação do grupo do produto (🏆 quando é o melhor preço entre as lojas)
+ */
+function getGroupTag(product, groups) {
+  const group = product.group_id ? groups.get(product.group_id) : null;
+  if (!group) return null;
+
+  return group.best && group.best.productId === product.id
+    ? `🏆 Melhor preço do grupo #${group.id}`
+    : `🔗 Grupo #${group.id}${group.best ? ` (melhor: ${Currencies.format(group.best.price, group.currency)} em ${group.best.store})` : ''}`;
+}
+
 /**
  * Adiciona campo de produto simples
  */
-function addSimpleProductField(embed, product, index) {
+function addSimpleProductField(embed, product, index, groups) {
   const status = getProductStatus(product);
-  const price = product.current_price ? `R$ ${product.current_price.toFixed(2)}` : 'N/A';
-  const target = product.target_price ? `R$ ${product.target_price.toFixed(2)}` : 'N/A';
+  const price = product.current_price ? Currencies.format(product.current_price, product.currency) : 'N/A';
+  const target = product.target_price ? Currencies.format(product.target_price, product.currency) : 'N/A';
   
   const name = product.name.length > 40 ? product.name.substring(0, 37) + '...' : product.name;
   
+  const groupTag = getGroupTag(product, groups);
+
   embed.addFields({
     name: `${index}. ${name}`,
-    value: `💰 ${price} | 🎯 ${target} | ${status.icon} ${status.text}`,
+    value: `💰 ${price} | 🎯 ${target} | ${status.icon} ${status.text}` + (groupTag ? `\n${groupTag}` : ''),
     inline: false
   });
 }
@@ -390,13 +460,37 @@ function addSimpleProductField(embed, product, index) {
 /**
  * Adiciona campo de produto detalhado
  */
-async function addDetailedProductField(embed, product, index) {
+async function addDetailedProductField(embed, product, index, groups) {
   const status = getProductStatus(product);
-  const price = product.current_price ? `R$ ${product.current_price.toFixed(2)}` : 'N/A';
-  const target = product.target_price ? `R$ ${product.target_price.toFixed(2)}` : 'N/A';
+  const price = product.current_price ? Currencies.format(product.current_price, product.currency) : 'N/A';
+  const target = product.target_price ? Currencies.format(product.target_price, product.currency) : 'N/A';
   
   let value = `💰 **Atual:** ${price} | 🎯 **Alvo:** ${target}\n`;
   value += `📊 **Status:** ${status.icon} ${status.text}\n`;
+
+  if (product.availability) {
+    value += `📦 **Estoque:** ${Availability.getLabel(product.availability)}\n`;
+  }
+
+  if (product.price_point) {
+    value += `💳 **Preço acompanhado:** ${PricePoints.getLabel(product.price_point)}\n`;
+  }
+
+  const promotions = Promotions.fromRow(product.promotions);
+  if (promotions) {
+    value += `🎟️ **Promoções:** ${Promotions.describe(promotions, product.currency).replace(/\n/g, ' • ')}` +
+      (product.effective_price ? ` (com cupom: ${Currencies.format(product.effective_price, product.currency)})` : '') + '\n';
+  }
+
+  const seller = Sellers.fromRow(product);
+  if (seller || product.official_seller_only) {
+    value += `🏪 **Vendedor:** ${Sellers.describe(seller)}${product.official_seller_only ? ' • 🔒 só loja oficial' : ''}\n`;
+  }
+
+  const groupTag = getGroupTag(product, groups);
+  if (groupTag) {
+    value += `${groupTag}\n`;
+  }
   
   // Informações adicionais
   if (product.last_checked) {
@@ -455,8 +549,12 @@ function getDiscountPercent(product) {
 
 /**
  * Calcula estatísticas dos produtos
+ * Valores somados na moeda de exibição do servidor (produtos sem cotação ficam de fora das somas)
  */
-async function calculateStats(products) {
+async function calculateStats(products, guildId) {
+  const { currency, rates } = await priceMonitor.getGuildCurrency(guildId);
+  const convert = (product, value) => Currencies.convert(value, product.currency || config.currency.default, currency, rates);
+
   const stats = {
     total: products.length,
     onSale: 0,
@@ -464,7 +562,8 @@ async function calculateStats(products) {
     inactive: 0,
     totalSavings: 0,
     averagePrice: 0,
-    averageTarget: 0
+    averageTarget: 0,
+    currency
   };
 
   let totalPrice = 0;
@@ -478,13 +577,18 @@ async function calculateStats(products) {
     }
 
     if (product.current_price && product.target_price) {
-      totalPrice += product.current_price;
-      totalTarget += product.target_price;
-      priceCount++;
+      const price = convert(product, product.current_price);
+      const target = convert(product, product.target_price);
+
+      if (price !== null) {
+        totalPrice += price;
+        totalTarget += target;
+        priceCount++;
+      }
 
       if (product.current_price <= product.target_price) {
         stats.onSale++;
-        stats.totalSavings += (product.target_price - product.current_price);
+        if (price !== null) stats.totalSavings += (target - price);
       } else {
         stats.waiting++;
       }
@@ -549,7 +653,7 @@ function getTimeSince(date) {
  * Mostra estatísticas detalhadas
  */
 async function showDetailedStats(interaction, products) {
-  const stats = await calculateStats(products);
+  const stats = await calculateStats(products, interaction.guild.id);
   
   const embed = new EmbedBuilder()
     .setColor(0x00FF00)
@@ -558,9 +662,9 @@ async function showDetailedStats(interaction, products) {
       { name: '📦 Total de Produtos', value: stats.total.toString(), inline: true },
       { name: '🔥 Em Promoção', value: stats.onSale.toString(), inline: true },
       { name: '⏳ Aguardando', value: stats.waiting.toString(), inline: true },
-      { name: '💰 Preço Médio', value: `R$ ${stats.averagePrice.toFixed(2)}`, inline: true },
-      { name: '🎯 Alvo Médio', value: `R$ ${stats.averageTarget.toFixed(2)}`, inline: true },
-      { name: '💸 Economia Total', value: `R$ ${stats.totalSavings.toFixed(2)}`, inline: true }
+      { name: '💰 Preço Médio', value: Currencies.format(stats.averagePrice, stats.currency), inline: true },
+      { name: '🎯 Alvo Médio', value: Currencies.format(stats.averageTarget, stats.currency), inline: true },
+      { name: '💸 Economia Total', value: Currencies.format(stats.totalSavings, stats.currency), inline: true }
     )
     .setTimestamp()
     .setFooter({ text: 'Monitor de Preços • Estatísticas' });
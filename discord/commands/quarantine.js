@@ -0,0 +1,168 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const PriceQuarantine = require('../../database/models/PriceQuarantine');
+const priceMonitor = require('../../services/PriceMonitor');
+const PriceSanity = require('../../services/PriceSanity');
+const Currencies = require('../../services/Currencies');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('quarantine')
+    .setDescription('Revisa leituras de preço suspeitas que não alteraram os produtos')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('Lista as leituras aguardando revisão'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('approve')
+        .setDescription('Aceita a leitura e aplica o preço ao produto (sem alertas)')
+        .addIntegerOption(option =>
+          option
+            .setName('id')
+            .setDescription('ID da leitura (veja /quarantine list)')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('reject')
+        .setDescription('Descarta a leitura')
+        .addIntegerOption(option =>
+          option
+            .setName('id')
+            .setDescription('ID da leitura (veja /quarantine list)')
+            .setRequired(true))),
+
+  async execute(interaction) {
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      const subcommand = interaction.options.getSubcommand();
+
+      logger.info('Comando quarantine executado', {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id,
+        subcommand
+      });
+
+      if (subcommand === 'list') {
+        return await handleList(interaction);
+      }
+
+      if (!await isGuildManager(interaction)) {
+        return await interaction.editReply({
+          embeds: [createEmbed(0xFF0000, '❌ Sem permissão', 'Apenas administradores do servidor podem revisar leituras.')]
+        });
+      }
+
+      return await handleReview(interaction, subcommand === 'approve');
+
+    } catch (error) {
+      if (error.code === 'QUARANTINE_NOT_FOUND' || error.code === 'QUARANTINE_ALREADY_REVIEWED') {
+        return await interaction.editReply({
+          embeds: [createEmbed(0xFF8C00, '⚠️ Leitura indisponível', `${error.message}. Veja \`/quarantine list\`.`)]
+        });
+      }
+
+      logger.error('Erro no comando quarantine:', error, {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id
+      });
+
+      await interaction.editReply({
+        embeds: [createEmbed(0xFF0000, '❌ Erro Interno', 'Não foi possível processar a quarentena. Tente novamente.')]
+      }).catch(() => {});
+    }
+  }
+};
+
+/**
+ * Lista as leituras pendentes do servidor
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleList(interaction) {
+  const entries = await PriceQuarantine.findByStatus(interaction.guild.id);
+
+  if (entries.length === 0) {
+    return await interaction.editReply({
+      embeds: [createEmbed(0x00FF00, '✅ Nenhuma leitura em quarentena', 'Todas as leituras recentes estão dentro do histórico dos produtos.')]
+    });
+  }
+
+  const embed = createEmbed(0xFF8C00, `🧪 Leituras em quarentena (${entries.length})`,
+    'Preços muito fora do histórico que não foram confirmados por uma nova leitura.\n' +
+    'Use `/quarantine approve` ou `/quarantine reject`.');
+
+  entries.slice(0, 10).forEach(entry => {
+    embed.addFields({
+      name: `#${entry.id} • ${entry.product_name.substring(0, 60)}`,
+      value: `Lido: **${Currencies.format(entry.price, entry.currency)}**` +
+        (entry.confirm_price ? ` • nova leitura: ${Currencies.format(entry.confirm_price, entry.currency)}` : ' • nova leitura falhou') + '\n' +
+        `${PriceSanity.describe({ median: entry.reference_price, deviation: entry.deviation, reason: entry.reason }, entry.currency)}` +
+        ` • produto #${entry.product_id}`,
+      inline: false
+    });
+  });
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Aprova ou descarta uma leitura do servidor
+ * @param {CommandInteraction} interaction - Interação do comando
+ * @param {boolean} approve - true para aprovar
+ */
+async function handleReview(interaction, approve) {
+  const id = interaction.options.getInteger('id');
+  const entry = await PriceQuarantine.findById(id);
+
+  if (!entry || entry.guild_id !== interaction.guild.id) {
+    return await interaction.editReply({
+      embeds: [createEmbed(0xFF0000, '❌ Leitura não encontrada', 'Verifique o ID em `/quarantine list`.')]
+    });
+  }
+
+  const { applied } = await priceMonitor.reviewQuarantine(id, approve, interaction.user.id);
+
+  const price = Currencies.format(entry.price, entry.currency);
+  const current = Currencies.format(entry.current_price || 0, entry.currency);
+
+  const approved = applied
+    ? `**${entry.product_name}** agora está em **${price}**. Nenhum alerta foi enviado.`
+    : `O produto já tem uma leitura mais recente, então **${entry.product_name}** continua em ${current}. ` +
+      `A leitura de ${price} foi registrada no histórico, na data original.`;
+
+  await interaction.editReply({
+    embeds: [approve
+      ? createEmbed(0x00FF00, '✅ Leitura aprovada', approved)
+      : createEmbed(0x0099FF, '🗑️ Leitura descartada', `O preço de **${entry.product_name}** continua em ${current}.`)]
+  });
+}
+
+/**
+ * Verifica se o usuário pode gerenciar configurações do servidor
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function isGuildManager(interaction) {
+  if (interaction.user.id === config.discord.adminUserId) {
+    return true;
+  }
+
+  const member = await interaction.guild.members.fetch(interaction.user.id);
+  return member.permissions.has('Administrator') || member.permissions.has('ManageGuild');
+}
+
+/**
+ * Cria embed padronizado
+ * @param {number} color - Cor do embed
+ * @param {string} title - Título
+ * @param {string} description - Descrição
+ */
+function createEmbed(color, title, description) {
+  return new EmbedBuilder()
+    .setColor(color)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp()
+    .setFooter({ text: 'Monitor de Preços' });
+}
@@ -1,5 +1,6 @@
 const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } = require('discord.js');
 const Product = require('../../database/models/Product');
+const Currencies = require('../../services/Currencies');
 const logger = require('../../utils/logger');
 
 module.exports = {
@@ -99,8 +100,8 @@ module.exports = {
         .setDescription(`**${product.name}**`)
         .addFields(
           { name: '🆔 ID', value: `#${product.id}`, inline: true },
-          { name: '💰 Preço Atual', value: product.current_price ? `R$ ${product.current_price.toFixed(2)}` : 'N/A', inline: true },
-          { name: '🎯 Preço Alvo', value: product.target_price ? `R$ ${product.target_price.toFixed(2)}` : 'N/A', inline: true },
+          { name: '💰 Preço Atual', value: product.current_price ? Currencies.format(product.current_price, product.currency) : 'N/A', inline: true },
+          { name: '🎯 Preço Alvo', value: product.target_price ? Currencies.format(product.target_price, product.currency) : 'N/A', inline: true },
           { name: '📊 Status', value: `${currentStatus.icon} ${currentStatus.text}`, inline: true },
           { name: '👤 Adicionado por', value: `<@${product.user_id}>`, inline: true },
           { name: '📅 Criado em', value: formatDate(product.created_at), inline: true }
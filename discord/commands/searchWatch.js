@@ -0,0 +1,270 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const SearchWatch = require('../../database/models/SearchWatch');
+const PriceScraper = require('../../services/PriceScraper');
+const Currencies = require('../../services/Currencies');
+const priceMonitor = require('../../services/PriceMonitor');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('searchwatch')
+    .setDescription('Monitora uma busca ou categoria: avisa sobre itens novos e itens no preço alvo')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('Monitora uma página de busca/categoria ou um termo em uma loja')
+        .addStringOption(option =>
+          option
+            .setName('url')
+            .setDescription('URL da página de busca ou categoria')
+            .setRequired(false))
+        .addStringOption(option =>
+          option
+            .setName('query')
+            .setDescription('Termo a pesquisar na loja (use junto com store)')
+            .setRequired(false)
+            .setMaxLength(100))
+        .addStringOption(option =>
+          option
+            .setName('store')
+            .setDescription('Loja onde pesquisar o termo')
+            .setRequired(false)
+            .addChoices(...PriceScraper.getSearchStores().map(store => ({ name: store.name, value: store.domain }))))
+        .addNumberOption(option =>
+          option
+            .setName('target_price')
+            .setDescription('Avisar quando algum item ficar neste preço ou abaixo')
+            .setRequired(false)
+            .setMinValue(0.01))
+        .addStringOption(option =>
+          option
+            .setName('keywords')
+            .setDescription('Palavras que o nome do item precisa conter (ex: rtx 4070)')
+            .setRequired(false)
+            .setMaxLength(100))
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Nome da busca (opcional)')
+            .setRequired(false)
+            .setMaxLength(100)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('Lista as buscas monitoradas do servidor'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('Para de monitorar uma busca')
+        .addIntegerOption(option =>
+          option
+            .setName('id')
+            .setDescription('ID da busca (veja com /searchwatch list)')
+            .setRequired(true)
+            .setMinValue(1))),
+
+  async execute(interaction) {
+    try {
+      await interaction.deferReply();
+
+      const subcommand = interaction.options.getSubcommand();
+
+      logger.info('Comando searchwatch executado', {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id,
+        subcommand
+      });
+
+      if (subcommand === 'list') {
+        return await handleList(interaction);
+      }
+
+      if (subcommand === 'remove') {
+        return await handleRemove(interaction);
+      }
+
+      return await handleAdd(interaction);
+
+    } catch (error) {
+      logger.error('Erro no comando searchwatch:', error, {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id
+      });
+
+      await interaction.editReply({
+        embeds: [createEmbed(0xFF0000, '❌ Erro Interno', 'Não foi possível processar a busca monitorada. Tente novamente em alguns minutos.')]
+      }).catch(() => {});
+    }
+  }
+};
+
+// Títulos das respostas para os erros de validação da busca
+const ERROR_TITLES = {
+  INVALID_SEARCH_WATCH: '❌ Busca inválida',
+  SEARCH_NOT_SUPPORTED: '❌ Loja sem busca por termo',
+  SEARCH_WATCH_EXISTS: '❌ Busca já monitorada',
+  SEARCH_WATCH_LIMIT: '❌ Limite atingido',
+  ROBOTS_DISALLOWED: '🤖 Bloqueado pelo robots.txt',
+  NO_ITEMS_FOUND: '❌ Nenhum item encontrado'
+};
+
+/**
+ * Cria a busca monitorada e mostra os itens encontrados
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleAdd(interaction) {
+  await interaction.editReply({
+    embeds: [createEmbed(0xFFFF00, '🔍 Lendo a busca...', 'Extraindo os itens da página. Isso pode demorar alguns segundos.')]
+  });
+
+  let result;
+  try {
+    result = await priceMonitor.createSearchWatch({
+      url: interaction.options.getString('url'),
+      query: interaction.options.getString('query'),
+      store: interaction.options.getString('store'),
+      targetPrice: interaction.options.getNumber('target_price'),
+      keywords: interaction.options.getString('keywords'),
+      name: interaction.options.getString('name'),
+      channelId: interaction.channel.id,
+      guildId: interaction.guild.id,
+      userId: interaction.user.id
+    });
+  } catch (error) {
+    if (!ERROR_TITLES[error.code]) throw error;
+
+    const details = error.code === 'SEARCH_WATCH_EXISTS'
+      ? `\n**ID:** ${error.watch.id}\n**Canal:** <#${error.watch.channel_id}>`
+      : error.code === 'ROBOTS_DISALLOWED' ? `\n**Regra:** \`${error.robots.rule}\`` : '';
+
+    return await interaction.editReply({
+      embeds: [createEmbed(0xFF0000, ERROR_TITLES[error.code], `${error.message}.${details}`)]
+    });
+  }
+
+  const { watch, items } = result;
+  const cheapest = [...items].filter(item => item.price).sort((a, b) => a.price - b.price).slice(0, 5);
+
+  const embed = createEmbed(0x00FF00, '✅ Busca monitorada', `**${watch.name}**`)
+    .setURL(watch.url)
+    .addFields(
+      { name: '🔎 Itens encontrados', value: String(items.length), inline: true },
+      { name: '🎯 Preço Alvo', value: watch.target_price ? Currencies.format(watch.target_price, watch.currency) : 'Não definido', inline: true },
+      { name: '🆔 ID da Busca', value: `#${watch.id}`, inline: true }
+    );
+
+  if (watch.keywords) {
+    embed.addFields({ name: '🏷️ Palavras-chave', value: watch.keywords, inline: false });
+  }
+
+  if (cheapest.length > 0) {
+    embed.addFields({
+      name: '💰 Mais baratos agora',
+      value: cheapest.map(item =>
+        `• [${item.name.substring(0, 60)}](${item.url}) — ${Currencies.format(item.price, watch.currency)}`).join('\n'),
+      inline: false
+    });
+  }
+
+  embed.addFields({
+    name: '🔔 Alertas',
+    value: 'Você será avisado neste canal quando um item novo aparecer' +
+      (watch.target_price ? ' ou quando algum item ficar no preço alvo.' : '.'),
+    inline: false
+  });
+
+  await interaction.editReply({ embeds: [embed] });
+
+  // Itens que já estão no alvo na criação
+  const onTarget = watch.target_price ? items.filter(item => item.price && item.price <= watch.target_price) : [];
+  if (onTarget.length > 0) {
+    const notificationService = require('../../discord/bot').getNotificationService();
+    await notificationService.sendSearchTargetNotification(
+      { ...watch, ...(await priceMonitor.getDisplayCurrency(watch)) },
+      onTarget
+    );
+  }
+}
+
+/**
+ * Lista as buscas monitoradas do servidor
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleList(interaction) {
+  const watches = await SearchWatch.findByGuild(interaction.guild.id, false);
+
+  if (watches.length === 0) {
+    return await interaction.editReply({
+      embeds: [createEmbed(0x0099FF, '🔎 Buscas monitoradas', 'Nenhuma busca monitorada. Use `/searchwatch add` para começar.')]
+    });
+  }
+
+  const lines = watches.slice(0, 20).map(watch =>
+    `**#${watch.id}** [${watch.name.substring(0, 60)}](${watch.url})` +
+    `${watch.is_active ? '' : ' ⏸️'}\n` +
+    `${watch.item_count} item(ns)` +
+    (watch.best_price ? ` • menor: ${Currencies.format(watch.best_price, watch.currency)}` : '') +
+    (watch.target_price ? ` • alvo: ${Currencies.format(watch.target_price, watch.currency)}` : '') +
+    (watch.keywords ? ` • 🏷️ ${watch.keywords}` : '')
+  );
+
+  await interaction.editReply({
+    embeds: [createEmbed(0x0099FF, `🔎 Buscas monitoradas (${watches.length})`, lines.join('\n\n'))]
+  });
+}
+
+/**
+ * Remove uma busca (autor, gerente do servidor ou administrador do bot)
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleRemove(interaction) {
+  const id = interaction.options.getInteger('id');
+  const watch = await SearchWatch.findById(id);
+
+  if (!watch || watch.guild_id !== interaction.guild.id) {
+    return await interaction.editReply({
+      embeds: [createEmbed(0xFF0000, '❌ Busca não encontrada', `Nenhuma busca encontrada com ID **#${id}** neste servidor.`)]
+    });
+  }
+
+  if (watch.user_id !== interaction.user.id && !(await isGuildManager(interaction))) {
+    return await interaction.editReply({
+      embeds: [createEmbed(0xFF0000, '❌ Sem permissão', 'Apenas quem criou a busca ou quem tem a permissão **Gerenciar Servidor** pode removê-la.')]
+    });
+  }
+
+  await SearchWatch.delete(id, interaction.guild.id);
+
+  await interaction.editReply({
+    embeds: [createEmbed(0x00FF00, '✅ Busca removida', `**${watch.name}** não será mais monitorada.`)]
+  });
+}
+
+/**
+ * Verifica se o usuário pode gerenciar configurações do servidor
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function isGuildManager(interaction) {
+  if (interaction.user.id === config.discord.adminUserId) {
+    return true;
+  }
+
+  const member = await interaction.guild.members.fetch(interaction.user.id);
+  return member.permissions.has('Administrator') || member.permissions.has('ManageGuild');
+}
+
+/**
+ * Cria embed padronizado
+ * @param {number} color - Cor do embed
+ * @param {string} title - Título
+ * @param {string} description - Descrição
+ */
+function createEmbed(color, title, description) {
+  return new EmbedBuilder()
+    .setColor(color)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp()
+    .setFooter({ text: 'Monitor de Preços' });
+}
@@ -0,0 +1,196 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const Product = require('../../database/models/Product');
+const Settings = require('../../database/models/Settings');
+const Shipping = require('../../services/Shipping');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('shipping')
+    .setDescription('Configura o CEP usado para calcular o frete dos produtos')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set')
+        .setDescription('Define o CEP do servidor ou de um produto específico')
+        .addStringOption(option =>
+          option
+            .setName('cep')
+            .setDescription('CEP de entrega (ex: 01001-000)')
+            .setRequired(true)
+            .setMinLength(8)
+            .setMaxLength(9))
+        .addIntegerOption(option =>
+          option
+            .setName('product_id')
+            .setDescription('ID do produto (opcional, padrão: todo o servidor)')
+            .setRequired(false)
+            .setMinValue(1))
+        .addBooleanOption(option =>
+          option
+            .setName('include_in_target')
+            .setDescription('Comparar preço + frete com o preço alvo (apenas para produto)')
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('clear')
+        .setDescription('Remove o CEP do servidor ou de um produto')
+        .addIntegerOption(option =>
+          option
+            .setName('product_id')
+            .setDescription('ID do produto (opcional, padrão: todo o servidor)')
+            .setRequired(false)
+            .setMinValue(1)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('show')
+        .setDescription('Mostra o CEP configurado no servidor')),
+
+  async execute(interaction) {
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      const subcommand = interaction.options.getSubcommand();
+      const productId = interaction.options.getInteger('product_id');
+
+      logger.info('Comando shipping executado', {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id,
+        subcommand,
+        productId
+      });
+
+      if (subcommand === 'show') {
+        const cep = await Settings.getGuild(interaction.guild.id, 'cep');
+        return await interaction.editReply({
+          embeds: [createEmbed(0x0099FF, '🚚 Frete',
+            cep
+              ? `CEP do servidor: **${Shipping.formatCep(cep)}**\n\nProdutos com CEP próprio usam o CEP do produto.`
+              : 'Nenhum CEP configurado. Use `/shipping set` para calcular o frete dos produtos.')]
+        });
+      }
+
+      // Configuração de um produto específico
+      if (productId) {
+        return await handleProductShipping(interaction, subcommand, productId);
+      }
+
+      // Configuração do servidor exige permissão de gerenciamento
+      if (!(await isGuildManager(interaction))) {
+        return await interaction.editReply({
+          embeds: [createEmbed(0xFF0000, '❌ Sem permissão', 'Você precisa da permissão **Gerenciar Servidor** para alterar o CEP do servidor.')]
+        });
+      }
+
+      if (subcommand === 'clear') {
+        await Settings.deleteGuild(interaction.guild.id, 'cep');
+        return await interaction.editReply({
+          embeds: [createEmbed(0x00FF00, '✅ CEP removido', 'O frete não será mais calculado para os produtos deste servidor.')]
+        });
+      }
+
+      const cep = Shipping.normalizeCep(interaction.options.getString('cep'));
+      if (!cep) {
+        return await interaction.editReply({
+          embeds: [createEmbed(0xFF0000, '❌ CEP inválido', 'Informe um CEP com 8 dígitos (ex: 01001-000).')]
+        });
+      }
+
+      await Settings.setGuild(interaction.guild.id, 'cep', cep);
+
+      await interaction.editReply({
+        embeds: [createEmbed(0x00FF00, '✅ CEP configurado',
+          `O frete para **${Shipping.formatCep(cep)}** será calculado nas próximas verificações, nas lojas que permitem cotação.`)]
+      });
+
+    } catch (error) {
+      logger.error('Erro no comando shipping:', error, {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id
+      });
+
+      await interaction.editReply({
+        embeds: [createEmbed(0xFF0000, '❌ Erro Interno', 'Não foi possível salvar a configuração de frete. Tente novamente.')]
+      }).catch(() => {});
+    }
+  }
+};
+
+/**
+ * Define ou remove o CEP de um produto
+ * @param {CommandInteraction} interaction - Interação do comando
+ * @param {string} subcommand - set ou clear
+ * @param {number} productId - ID do produto
+ */
+async function handleProductShipping(interaction, subcommand, productId) {
+  const product = await Product.findById(productId);
+
+  if (!product || product.guild_id !== interaction.guild.id) {
+    return await interaction.editReply({
+      embeds: [createEmbed(0xFF0000, '❌ Produto não encontrado', `Nenhum produto encontrado com ID **#${productId}** neste servidor.`)]
+    });
+  }
+
+  if (product.user_id !== interaction.user.id && !(await isGuildManager(interaction))) {
+    return await interaction.editReply({
+      embeds: [createEmbed(0xFF0000, '❌ Sem permissão', 'Você só pode alterar produtos que você mesmo adicionou.')]
+    });
+  }
+
+  if (subcommand === 'clear') {
+    await Product.update(product.id, { shipping_cep: null, use_landed_price: 0 });
+    return await interaction.editReply({
+      embeds: [createEmbed(0x00FF00, '✅ CEP do produto removido', `**${product.name}** volta a usar o CEP do servidor.`)]
+    });
+  }
+
+  const cep = Shipping.normalizeCep(interaction.options.getString('cep'));
+  if (!cep) {
+    return await interaction.editReply({
+      embeds: [createEmbed(0xFF0000, '❌ CEP inválido', 'Informe um CEP com 8 dígitos (ex: 01001-000).')]
+    });
+  }
+
+  const includeInTarget = interaction.options.getBoolean('include_in_target');
+  const updates = { shipping_cep: cep };
+  if (includeInTarget !== null) {
+    updates.use_landed_price = includeInTarget ? 1 : 0;
+  }
+
+  await Product.update(product.id, updates);
+
+  const usesLanded = includeInTarget !== null ? includeInTarget : !!product.use_landed_price;
+  await interaction.editReply({
+    embeds: [createEmbed(0x00FF00, '✅ CEP do produto configurado',
+      `**${product.name}** terá o frete calculado para **${Shipping.formatCep(cep)}**.\n` +
+      (usesLanded ? 'O preço alvo será comparado com **preço + frete**.' : 'O preço alvo continua comparado com o preço do produto.'))]
+  });
+}
+
+/**
+ * Verifica se o usuário pode gerenciar configurações do servidor
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function isGuildManager(interaction) {
+  if (interaction.user.id === config.discord.adminUserId) {
+    return true;
+  }
+
+  const member = await interaction.guild.members.fetch(interaction.user.id);
+  return member.permissions.has('Administrator') || member.permissions.has('ManageGuild');
+}
+
+/**
+ * Cria embed padronizado
+ * @param {number} color - Cor do embed
+ * @param {string} title - Título
+ * @param {string} description - Descrição
+ */
+function createEmbed(color, title, description) {
+  return new EmbedBuilder()
+    .setColor(color)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp()
+    .setFooter({ text: 'Monitor de Preços' });
+}
@@ -0,0 +1,308 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const SiteConfig = require('../../database/models/SiteConfig');
+const PriceScraper = require('../../services/PriceScraper');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+
+// Separador de seletores nas opções de texto (vírgula faz parte da sintaxe CSS)
+const SELECTOR_SEPARATOR = ';';
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('siteconfig')
+    .setDescription('Gerencia as configurações de seletores por loja (admin)')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('Lista as lojas com configuração salva'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('show')
+        .setDescription('Mostra a configuração e o histórico de uma loja')
+        .addStringOption(option =>
+          option
+            .setName('domain')
+            .setDescription('Domínio da loja (ex: loja.com.br)')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set')
+        .setDescription('Cria ou altera a configuração de uma loja')
+        .addStringOption(option =>
+          option
+            .setName('domain')
+            .setDescription('Domínio da loja (ex: loja.com.br)')
+            .setRequired(true))
+        .addStringOption(option =>
+          option
+            .setName('selectors')
+            .setDescription('Seletores CSS de preço, separados por ";"')
+            .setRequired(false))
+        .addStringOption(option =>
+          option
+            .setName('name_selectors')
+            .setDescription('Seletores CSS do nome, separados por ";"')
+            .setRequired(false))
+        .addStringOption(option =>
+          option
+            .setName('render_mode')
+            .setDescription('Como obter a página')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Automático', value: 'auto' },
+              { name: 'Somente HTML estático', value: 'static' },
+              { name: 'Navegador headless', value: 'browser' }
+            ))
+        .addStringOption(option =>
+          option
+            .setName('note')
+            .setDescription('Descrição da alteração')
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove a configuração de uma loja')
+        .addStringOption(option =>
+          option
+            .setName('domain')
+            .setDescription('Domínio da loja')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('restore')
+        .setDescription('Restaura uma versão anterior da configuração')
+        .addStringOption(option =>
+          option
+            .setName('domain')
+            .setDescription('Domínio da loja')
+            .setRequired(true))
+        .addIntegerOption(option =>
+          option
+            .setName('version')
+            .setDescription('Versão a restaurar (veja /siteconfig show)')
+            .setRequired(true)
+            .setMinValue(1))),
+
+  async execute(interaction) {
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      const subcommand = interaction.options.getSubcommand();
+
+      logger.info('Comando siteconfig executado', {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id,
+        subcommand
+      });
+
+      // Configurações valem para todos os servidores: apenas o admin do bot
+      if (interaction.user.id !== config.discord.adminUserId) {
+        return await interaction.editReply({
+          embeds: [createEmbed(0xFF0000, '❌ Sem permissão', 'Apenas o administrador do bot pode alterar configurações de lojas.')]
+        });
+      }
+
+      switch (subcommand) {
+        case 'list':
+          return await handleList(interaction);
+        case 'show':
+          return await handleShow(interaction);
+        case 'set':
+          return await handleSet(interaction);
+        case 'remove':
+          return await handleRemove(interaction);
+        case 'restore':
+          return await handleRestore(interaction);
+      }
+
+    } catch (error) {
+      if (error.code === 'INVALID_SITE_CONFIG' || error.code === 'SITE_CONFIG_NOT_FOUND') {
+        return await interaction.editReply({
+          embeds: [createEmbed(0xFF8C00, '⚠️ Configuração inválida', error.problems ? error.problems.map(problem => `• ${problem}`).join('\n') : error.message)]
+        });
+      }
+
+      logger.error('Erro no comando siteconfig:', error, {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id
+      });
+
+      await interaction.editReply({
+        embeds: [createEmbed(0xFF0000, '❌ Erro Interno', 'Não foi possível processar a configuração. Tente novamente.')]
+      }).catch(() => {});
+    }
+  }
+};
+
+/**
+ * Lista as configurações salvas
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleList(interaction) {
+  const configs = await SiteConfig.findAll();
+
+  if (configs.length === 0) {
+    return await interaction.editReply({
+      embeds: [createEmbed(0x0099FF, '🏬 Configurações de lojas', 'Nenhuma configuração salva. Use `/teach` ou `/siteconfig set`.')]
+    });
+  }
+
+  const lines = configs.slice(0, 25).map(siteConfig => {
+    const adapter = PriceScraper.findBuiltInAdapter(siteConfig.domain);
+    const selectors = siteConfig.config?.selectors?.length || 0;
+    return `**${siteConfig.domain}** • v${siteConfig.version} • ${selectors} seletor(es)` +
+      (adapter ? ` • complementa ${adapter.name}` : '');
+  });
+
+  await interaction.editReply({
+    embeds: [createEmbed(0x0099FF, `🏬 Configurações de lojas (${configs.length})`, lines.join('\n'))]
+  });
+}
+
+/**
+ * Mostra a configuração atual e as últimas versões
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleShow(interaction) {
+  const domain = PriceScraper.normalizeConfigDomain(interaction.options.getString('domain'));
+  const [siteConfig, versions] = await Promise.all([
+    SiteConfig.findByDomain(domain),
+    SiteConfig.getVersions(domain, 5)
+  ]);
+
+  if (!siteConfig && versions.length === 0) {
+    return await interaction.editReply({
+      embeds: [createEmbed(0xFF8C00, '🔍 Sem configuração', `Nenhuma configuração salva para **${domain}**.`)]
+    });
+  }
+
+  const embed = createEmbed(0x0099FF, `🏬 ${domain}`,
+    siteConfig
+      ? `\`\`\`json\n${JSON.stringify(siteConfig.config, null, 2).slice(0, 1500)}\n\`\`\``
+      : 'Configuração removida.');
+
+  if (siteConfig) {
+    embed.addFields({ name: '🔢 Versão atual', value: `v${siteConfig.version}`, inline: true });
+  }
+
+  embed.addFields({
+    name: '📜 Histórico',
+    value: versions.map(version =>
+      `**v${version.version}** ${formatAction(version.action)} • ${formatAuthor(version.author)} • ${version.created_at}` +
+      (version.note ? `\n└ ${version.note}` : '')).join('\n').slice(0, 1024),
+    inline: false
+  });
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Cria ou altera uma configuração (campos não informados são mantidos)
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleSet(interaction) {
+  const domain = PriceScraper.normalizeConfigDomain(interaction.options.getString('domain'));
+  const selectors = parseSelectors(interaction.options.getString('selectors'));
+  const nameSelectors = parseSelectors(interaction.options.getString('name_selectors'));
+  const renderMode = interaction.options.getString('render_mode');
+
+  if (!selectors && !nameSelectors && !renderMode) {
+    return await interaction.editReply({
+      embeds: [createEmbed(0xFF8C00, '⚠️ Nada para alterar', 'Informe `selectors`, `name_selectors` ou `render_mode`.')]
+    });
+  }
+
+  const existing = await SiteConfig.findByDomain(domain);
+  const siteConfig = { ...(existing?.config || {}) };
+  if (selectors) siteConfig.selectors = selectors;
+  if (nameSelectors) siteConfig.nameSelectors = nameSelectors;
+  if (renderMode) siteConfig.renderMode = renderMode;
+
+  const saved = await PriceScraper.saveSiteConfig(domain, siteConfig, {
+    author: interaction.user.id,
+    note: interaction.options.getString('note')
+  });
+
+  await interaction.editReply({
+    embeds: [createEmbed(0x00FF00, `✅ ${domain} salvo (v${saved.version})`,
+      `\`\`\`json\n${JSON.stringify(saved.config, null, 2).slice(0, 1500)}\n\`\`\``)]
+  });
+}
+
+/**
+ * Remove uma configuração
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleRemove(interaction) {
+  const domain = PriceScraper.normalizeConfigDomain(interaction.options.getString('domain'));
+  const removed = await PriceScraper.deleteSiteConfig(domain, { author: interaction.user.id });
+
+  await interaction.editReply({
+    embeds: [removed
+      ? createEmbed(0x00FF00, '✅ Configuração removida',
+        PriceScraper.findBuiltInAdapter(domain)
+          ? `**${domain}** volta a usar apenas o adaptador da loja.`
+          : `**${domain}** volta a usar a extração genérica. O histórico foi mantido.`)
+      : createEmbed(0xFF8C00, '🔍 Sem configuração', `Nenhuma configuração salva para **${domain}**.`)]
+  });
+}
+
+/**
+ * Restaura uma versão anterior
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleRestore(interaction) {
+  const domain = interaction.options.getString('domain');
+  const version = interaction.options.getInteger('version');
+
+  const saved = await PriceScraper.restoreSiteConfig(domain, version, { author: interaction.user.id });
+
+  await interaction.editReply({
+    embeds: [createEmbed(0x00FF00, `✅ ${saved.domain} restaurado`,
+      `Versão **${version}** restaurada como **v${saved.version}**.`)]
+  });
+}
+
+/**
+ * Converte a lista de seletores informada no comando
+ * @param {string|null} value - Seletores separados por ";"
+ * @returns {Array<string>|null}
+ */
+function parseSelectors(value) {
+  if (!value) return null;
+
+  const selectors = value.split(SELECTOR_SEPARATOR).map(selector => selector.trim()).filter(Boolean);
+  return selectors.length > 0 ? selectors : null;
+}
+
+/**
+ * Autor de uma versão (usuário do Discord, "web" ou sistema)
+ * @param {string|null} author - Autor salvo
+ */
+function formatAuthor(author) {
+  if (!author) return 'sistema';
+  return /^\d+$/.test(author) ? `<@${author}>` : author;
+}
+
+/**
+ * Descrição da ação de uma versão
+ * @param {string} action - create, update ou delete
+ */
+function formatAction(action) {
+  return { create: 'criada', update: 'alterada', delete: 'removida' }[action] || action;
+}
+
+/**
+ * Cria embed padronizado
+ * @param {number} color - Cor do embed
+ * @param {string} title - Título
+ * @param {string} description - Descrição
+ */
+function createEmbed(color, title, description) {
+  return new EmbedBuilder()
+    .setColor(color)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp()
+    .setFooter({ text: 'Monitor de Preços' });
+}
@@ -0,0 +1,196 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } = require('discord.js');
+const PriceScraper = require('../../services/PriceScraper');
+const Currencies = require('../../services/Currencies');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+
+// Propostas exibidas (uma linha de botões: propostas + cancelar)
+const MAX_CANDIDATES = 4;
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('teach')
+    .setDescription('Ensina o bot a encontrar o preço em uma loja não suportada')
+    .addStringOption(option =>
+      option
+        .setName('url')
+        .setDescription('URL de um produto da loja')
+        .setRequired(true))
+    .addNumberOption(option =>
+      option
+        .setName('price')
+        .setDescription('Preço que você vê na página (ex: 199.90)')
+        .setRequired(true)
+        .setMinValue(0.01)),
+
+  async execute(interaction) {
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      const url = interaction.options.getString('url').trim();
+      const price = interaction.options.getNumber('price');
+
+      logger.info('Comando teach executado', {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id,
+        url,
+        price
+      });
+
+      // A configuração vale para todos os servidores
+      if (!(await isGuildManager(interaction))) {
+        return await interaction.editReply({
+          embeds: [createEmbed(0xFF0000, '❌ Sem permissão', 'Você precisa da permissão **Gerenciar Servidor** para ensinar seletores ao bot.')]
+        });
+      }
+
+      await interaction.editReply({
+        embeds: [createEmbed(0xFFFF00, '🔍 Procurando o preço...', `Buscando o preço **${price.toFixed(2)}** na página. Isso pode demorar alguns segundos.`)]
+      });
+
+      let proposal;
+      try {
+        proposal = await PriceScraper.proposeSelectors(url, price);
+      } catch (error) {
+        return await interaction.editReply({ embeds: [createTeachErrorEmbed(error)] });
+      }
+
+      const candidates = proposal.candidates.slice(0, MAX_CANDIDATES);
+      const lines = candidates.map((candidate, index) =>
+        `**${index + 1}.** \`${candidate.selector}\`\n` +
+        `└ "${candidate.sample}" • ${candidate.matches} elemento(s)`);
+
+      const proposalEmbed = createEmbed(0x0099FF, `🎓 Seletores encontrados em ${proposal.domain}`,
+        `Escolha o seletor que aponta para o preço de **${Currencies.format(price, proposal.currency)}**:\n\n${lines.join('\n\n')}`)
+        .addFields({
+          name: '📊 Hoje o bot extrai',
+          value: proposal.current.price
+            ? `${Currencies.format(proposal.current.price, proposal.currency)} (${proposal.current.strategy})`
+            : 'Nenhum preço',
+          inline: false
+        });
+
+      const row = new ActionRowBuilder().addComponents(
+        ...candidates.map((candidate, index) =>
+          new ButtonBuilder()
+            .setCustomId(`teach_${index}`)
+            .setLabel(`✅ Usar ${index + 1}`)
+            .setStyle(index === 0 ? ButtonStyle.Success : ButtonStyle.Secondary)),
+        new ButtonBuilder()
+          .setCustomId('teach_cancel')
+          .setLabel('❌ Cancelar')
+          .setStyle(ButtonStyle.Primary)
+      );
+
+      const message = await interaction.editReply({ embeds: [proposalEmbed], components: [row] });
+
+      const collector = message.createMessageComponentCollector({
+        componentType: ComponentType.Button,
+        time: 120000 // 2 minutos
+      });
+
+      collector.on('collect', async (buttonInteraction) => {
+        await buttonInteraction.deferUpdate();
+
+        try {
+          if (buttonInteraction.customId === 'teach_cancel') {
+            await buttonInteraction.editReply({
+              embeds: [createEmbed(0x808080, '❌ Cancelado', 'Nenhuma configuração foi salva.')],
+              components: []
+            });
+          } else {
+            const candidate = candidates[parseInt(buttonInteraction.customId.split('_')[1])];
+            const learned = await PriceScraper.learnSelector(proposal.url, candidate.selector, {
+              price,
+              author: interaction.user.id
+            });
+
+            await buttonInteraction.editReply({
+              embeds: [createEmbed(0x00FF00, '✅ Seletor salvo',
+                `**${learned.domain}** passa a usar \`${learned.selector}\` para o preço.\n\n` +
+                'Produtos desta loja já podem ser adicionados com `/addproduct`.')],
+              components: []
+            });
+          }
+        } catch (error) {
+          logger.error('Erro ao salvar seletor aprendido:', error, { url: proposal.url });
+
+          await buttonInteraction.editReply({
+            embeds: [createTeachErrorEmbed(error)],
+            components: []
+          });
+        }
+
+        collector.stop();
+      });
+
+      collector.on('end', async (collected) => {
+        if (collected.size === 0) {
+          await interaction.editReply({
+            embeds: [createEmbed(0xFFFF00, '⏰ Tempo esgotado', 'Nenhum seletor foi escolhido.')],
+            components: []
+          }).catch(() => {});
+        }
+      });
+
+    } catch (error) {
+      logger.error('Erro no comando teach:', error, {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id
+      });
+
+      await interaction.editReply({
+        embeds: [createEmbed(0xFF0000, '❌ Erro Interno', 'Não foi possível analisar a página. Tente novamente.')],
+        components: []
+      }).catch(() => {});
+    }
+  }
+};
+
+/**
+ * Embed para os erros esperados do modo "ensinar"
+ * @param {Error} error - Erro de proposeSelectors/learnSelector
+ */
+function createTeachErrorEmbed(error) {
+  switch (error.code) {
+    case 'PRICE_NOT_FOUND':
+      return createEmbed(0xFF8C00, '🔎 Preço não encontrado',
+        `${error.message}.\n\nConfira o valor (à vista, sem frete) ou se a loja só mostra o preço após carregar a página com JavaScript.`);
+    case 'ADAPTER_EXISTS':
+      return createEmbed(0x0099FF, 'ℹ️ Loja já suportada', `${error.message}. Não é necessário ensinar seletores.`);
+    case 'SELECTOR_MISMATCH':
+      return createEmbed(0xFF8C00, '⚠️ Seletor não confere', `${error.message}. A página pode ter mudado, tente novamente.`);
+    case 'ROBOTS_DISALLOWED':
+      return createEmbed(0xFF0000, '🤖 Bloqueado pelo robots.txt', 'A loja não permite acesso automatizado a esta página.');
+    default:
+      return createEmbed(0xFF0000, '❌ Erro', error.message);
+  }
+}
+
+/**
+ * Verifica se o usuário pode gerenciar configurações do servidor
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function isGuildManager(interaction) {
+  if (interaction.user.id === config.discord.adminUserId) {
+    return true;
+  }
+
+  const member = await interaction.guild.members.fetch(interaction.user.id);
+  return member.permissions.has('Administrator') || member.permissions.has('ManageGuild');
+}
+
+/**
+ * Cria embed padronizado
+ * @param {number} color - Cor do embed
+ * @param {string} title - Título
+ * @param {string} description - Descrição
+ */
+function createEmbed(color, title, description) {
+  return new EmbedBuilder()
+    .setColor(color)
+    .setTitle(title)
+    .setDescription(description)
+    .setTimestamp()
+    .setFooter({ text: 'Monitor de Preços' });
+}
@@ -148,6 +148,12 @@ async function handleButtonInteraction(interaction) {
       await handleAdjustTargetButton(interaction, productId);
     }
     
+    // Botões de agrupamento (sugestão do /addproduct)
+    else if (customId.startsWith('group_')) {
+      const [, productId, otherId] = customId.split('_').map(value => parseInt(value));
+      await handleGroupButton(interaction, productId, otherId);
+    }
+    
     // Outros botões são tratados pelos respectivos comandos
     else {
       logger.debug(`Botão não tratado centralmente: ${customId}`);
@@ -210,6 +216,7 @@ async function handlePriceHistoryButton(interaction, productId) {
 
   const Product = require('../../database/models/Product');
   const PriceHistory = require('../../database/models/PriceHistory');
+  const Currencies = require('../../services/Currencies');
 
   const product = await Product.findById(productId);
   
@@ -228,9 +235,9 @@ async function handlePriceHistoryButton(interaction, productId) {
     .setDescription(`**${product.name}**`)
     .addFields(
       { name: '📈 Estatísticas (30 dias)', value: 
-        `**Min:** R$ ${stats.minPrice.toFixed(2)}\n` +
-        `**Max:** R$ ${stats.maxPrice.toFixed(2)}\n` +
-        `**Média:** R$ ${stats.avgPrice.toFixed(2)}`, 
+        `**Min:** ${Currencies.format(stats.minPrice, product.currency)}\n` +
+        `**Max:** ${Currencies.format(stats.maxPrice, product.currency)}\n` +
+        `**Média:** ${Currencies.format(stats.avgPrice, product.currency)}`, 
         inline: true 
       },
       { name: '📊 Variações', value: 
@@ -256,7 +263,7 @@ async function handlePriceHistoryButton(interaction, productId) {
         });
         const change = h.price_change_percent ? 
           ` (${h.price_change_percent > 0 ? '+' : ''}${h.price_change_percent.toFixed(1)}%)` : '';
-        return `• **${date}:** R$ ${h.price.toFixed(2)}${change}`;
+        return `• **${date}:** ${Currencies.format(h.price, h.currency || product.currency)}${change}`;
       })
       .join('\n');
 
@@ -294,6 +301,7 @@ async function handleTrendButton(interaction, productId) {
 
   const PriceHistory = require('../../database/models/PriceHistory');
   const Product = require('../../database/models/Product');
+  const Currencies = require('../../services/Currencies');
 
   const product = await Product.findById(productId);
   
@@ -340,7 +348,7 @@ async function handleTrendButton(interaction, productId) {
       },
       { 
         name: '🎯 Primeiro → Último', 
-        value: `R$ ${trend.firstPrice.toFixed(2)} → R$ ${trend.lastPrice.toFixed(2)}`,
+        value: `${Currencies.format(trend.firstPrice, product.currency)} → ${Currencies.format(trend.lastPrice, product.currency)}`,
         inline: false 
       }
     );
@@ -361,6 +369,38 @@ async function handleAdjustTargetButton(interaction, productId) {
   });
 }
 
+/**
+ * Trata botão de agrupamento de produtos equivalentes
+ */
+async function handleGroupButton(interaction, productId, otherId) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const Product = require('../../database/models/Product');
+  const ProductGroup = require('../../database/models/ProductGroup');
+  const ProductGroups = require('../../services/ProductGroups');
+  const priceMonitor = require('../../services/PriceMonitor');
+
+  const [product, other] = await Promise.all([Product.findById(productId), Product.findById(otherId)]);
+
+  if (!product || !other || product.guild_id !== interaction.guild.id || other.guild_id !== interaction.guild.id) {
+    return await interaction.editReply({
+      content: '❌ Produto não encontrado.'
+    });
+  }
+
+  const group = await priceMonitor.summarizeGroup(await ProductGroup.link(product, other, interaction.user.id));
+
+  const embed = new EmbedBuilder()
+    .setColor(0x00FF00)
+    .setTitle(`🔗 Grupo #${group.id}: ${group.name.substring(0, 200)}`)
+    .setDescription(group.products.map(item =>
+      `${item.isBest ? '🏆' : '•'} #${item.id} ${item.store} • ${ProductGroups.describePrice(item, group)}`).join('\n'))
+    .setTimestamp()
+    .setFooter({ text: 'Monitor de Preços • Melhor preço entre lojas' });
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
 /**
  * Verifica se usuário está em cooldown
  */
@@ -21,6 +21,7 @@ const database = require('./database/database');
 const discordBot = require('./discord/bot');
 const webServer = require('./web/server');
 const priceMonitor = require('./services/PriceMonitor');
+const PriceScraper = require('./services/PriceScraper');
 
 /**
  * Classe principal da aplicação
@@ -101,6 +102,10 @@ class PriceMonitorApp {
       // O database já é inicializado automaticamente no require
       // Verificar se está funcionando
       const stats = await database.getStats();
+
+      // Configurações de site criadas em tempo de execução (ex: seletores aprendidos)
+      await PriceScraper.loadSiteConfigs();
+      await PriceScraper.loadPlatformDomains();
       
       this.services.database = true;
       logger.info('✅ Banco de dados inicializado', stats);
@@ -395,6 +400,9 @@ class PriceMonitorApp {
         this.services.priceMonitor = false;
       }
 
+      // Fechar navegadores headless, se algum foi aberto
+      await PriceScraper.closeRenderers();
+
       if (this.services.webServer) {
         logger.info('⏹️ Parando servidor web...');
         await webServer.stop();
@@ -0,0 +1,117 @@
+/**
+ * Migrações de dados do banco
+ * As tabelas e colunas são criadas ao abrir o banco (database.ready); aqui ficam as
+ * correções dos dados já gravados. Todas podem ser executadas de novo.
+ *
+ * Uso:
+ *   npm run migrate [-- --dry-run]
+ */
+const database = require('../database/database');
+const Product = require('../database/models/Product');
+const PriceScraper = require('../services/PriceScraper');
+
+/**
+ * Chave canônica dos produtos: grava product_key e a URL canônica,
+ * fundindo duplicatas do mesmo servidor (histórico e notificações são mantidos)
+ * Duplicatas de servidores diferentes recebem a chave, mas continuam separadas
+ * @param {boolean} dryRun - Apenas relata o que seria feito
+ */
+async function canonicalProductKeys(dryRun) {
+  const report = { updated: 0, merged: 0, historyMoved: 0, crossGuild: [], unchanged: 0 };
+  const groups = new Map();
+
+  for (const product of await Product.findAll()) {
+    const url = PriceScraper.normalizeUrl(product.url);
+    const productKey = PriceScraper.getProductKey(url);
+    const groupKey = `${product.guild_id}|${productKey || url}`;
+
+    if (!groups.has(groupKey)) groups.set(groupKey, []);
+    groups.get(groupKey).push({ product, url, productKey });
+  }
+
+  // URLs já canônicas ficam com o produto que as usa
+  const claimedUrls = new Map();
+  for (const entries of groups.values()) {
+    entries.filter(entry => entry.product.url === entry.url)
+      .forEach(entry => claimedUrls.set(entry.url, entries));
+  }
+
+  const keysByGuild = new Map();
+
+  for (const entries of groups.values()) {
+    // Mantém o produto ativo mais antigo
+    entries.sort((a, b) => (b.product.is_active - a.product.is_active) || (a.product.id - b.product.id));
+    const [keeper, ...duplicates] = entries;
+    const { productKey } = keeper;
+
+    if (productKey) {
+      const guilds = keysByGuild.get(productKey) || [];
+      keysByGuild.set(productKey, [...guilds, keeper.product.guild_id]);
+    }
+
+    // URL é UNIQUE: se outro servidor já usa a URL canônica, mantém a atual
+    const owner = claimedUrls.get(keeper.url);
+    const url = owner && owner !== entries ? keeper.product.url : keeper.url;
+    claimedUrls.set(url, entries);
+
+    if (duplicates.length > 0) {
+      console.log(`🔗 #${keeper.product.id} ${keeper.product.name}: fundindo ${duplicates.map(entry => `#${entry.product.id}`).join(', ')}`);
+
+      if (!dryRun) {
+        const result = await Product.mergeDuplicates(keeper.product, duplicates.map(entry => entry.product), { url, productKey });
+        report.historyMoved += result.historyMoved;
+      }
+      report.merged += duplicates.length;
+
+    } else if (url !== keeper.product.url || productKey !== keeper.product.product_key) {
+      if (!dryRun) {
+        await Product.setIdentity(keeper.product.id, { url, productKey });
+      }
+      report.updated++;
+
+    } else {
+      report.unchanged++;
+    }
+  }
+
+  for (const [productKey, guilds] of keysByGuild) {
+    if (guilds.length > 1) report.crossGuild.push(productKey);
+  }
+
+  console.log(`✅ Chaves canônicas: ${report.updated} atualizado(s), ${report.merged} duplicata(s) fundida(s) ` +
+    `(${report.historyMoved} registro(s) de histórico movidos), ${report.unchanged} sem alteração`);
+
+  if (report.crossGuild.length > 0) {
+    console.log(`ℹ️ Monitorados em mais de um servidor (mantidos separados): ${report.crossGuild.join(', ')}`);
+  }
+
+  return report;
+}
+
+// Em ordem de execução
+const MIGRATIONS = [
+  { name: 'canonical-product-keys', run: canonicalProductKeys }
+];
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await database.ready;
+
+  if (dryRun) {
+    console.log('🧪 Simulação: nenhuma alteração será gravada');
+  }
+
+  for (const migration of MIGRATIONS) {
+    console.log(`▶️ ${migration.name}`);
+    await migration.run(dryRun);
+  }
+
+  await database.close();
+}
+
+main().catch(async (error) => {
+  console.error('❌ Erro na migração:', error.message);
+  await database.close().catch(() => {});
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+/**
+ * Grava uma página de produto como fixture do teste de extração offline
+ *
+ * Uso:
+ *   npm run fixtures:record -- <url> [--price 199.90] [--name "Nome"] [--availability in_stock]
+ *                                    [--renderer browser] [--refresh]
+ *
+ * Sem --price/--name, os valores extraídos agora viram os esperados:
+ * confira o resultado antes de commitar a fixture.
+ */
+const fs = require('fs');
+const database = require('../database/database');
+const PriceScraper = require('../services/PriceScraper');
+
+/**
+ * Lê os argumentos da linha de comando
+ * @param {Array<string>} argv - Argumentos (sem node e o script)
+ */
+function parseArgs(argv) {
+  const args = { url: null, expected: {}, refresh: false, renderer: 'static' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--refresh') args.refresh = true;
+    else if (arg === '--price') args.expected.price = parseFloat(String(argv[++i]).replace(',', '.'));
+    else if (arg === '--name') args.expected.name = argv[++i];
+    else if (arg === '--availability') args.expected.availability = argv[++i];
+    else if (arg === '--renderer') args.renderer = argv[++i];
+    else if (!args.url) args.url = arg;
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.url || !PriceScraper.isValidUrl(args.url)) {
+    console.error('Uso: npm run fixtures:record -- <url> [--price 199.90] [--name "Nome"] [--renderer browser] [--refresh]');
+    process.exit(1);
+  }
+
+  // Banco aberto para reaproveitar o HTML em cache (sem acessar a loja de novo)
+  await database.ready;
+
+  const result = await PriceScraper.debugScrape(args.url, {
+    refresh: args.refresh,
+    renderer: args.renderer,
+    saveFixture: true,
+    expected: args.expected
+  });
+
+  await PriceScraper.closeRenderers();
+  await database.close();
+
+  if (result.error) {
+    console.error(`❌ ${result.error}`);
+    process.exit(1);
+  }
+
+  const expected = JSON.parse(fs.readFileSync(result.fixture.metaPath, 'utf8')).expected;
+
+  console.log(`✅ Fixture salva: ${result.fixture.id}`);
+  console.log(`   Origem: ${result.cache.hit ? 'cache' : 'loja'} (${result.renderer})`);
+  console.log(`   Esperado: preço ${expected.price} | ${expected.name} | ${expected.availability}`);
+}
+
+main().catch(error => {
+  console.error('❌ Erro ao gravar fixture:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+/**
+ * Estados de disponibilidade de produtos
+ * Normaliza valores de schema.org e textos das páginas para um conjunto fixo de estados
+ */
+const STATES = {
+  IN_STOCK: 'in_stock',
+  OUT_OF_STOCK: 'out_of_stock',
+  PREORDER: 'preorder',
+  UNAVAILABLE: 'unavailable'
+};
+
+// Valores schema.org/ItemAvailability
+const SCHEMA_MAP = {
+  instock: STATES.IN_STOCK,
+  limitedavailability: STATES.IN_STOCK,
+  onlineonly: STATES.IN_STOCK,
+  instoreonly: STATES.UNAVAILABLE,
+  outofstock: STATES.OUT_OF_STOCK,
+  soldout: STATES.OUT_OF_STOCK,
+  backorder: STATES.PREORDER,
+  preorder: STATES.PREORDER,
+  presale: STATES.PREORDER,
+  discontinued: STATES.UNAVAILABLE
+};
+
+// Textos exibidos pelas lojas brasileiras (verificados em ordem)
+const TEXT_PATTERNS = [
+  { state: STATES.PREORDER, pattern: /pr[ée][- ]?venda|pr[ée][- ]?compra|reserve j[áa]/i },
+  { state: STATES.OUT_OF_STOCK, pattern: /esgotad[oa]|sem estoque|fora de estoque|avise[- ]me quando chegar|produto indispon[íi]vel|indispon[íi]vel no momento|out of stock/i },
+  { state: STATES.UNAVAILABLE, pattern: /n[ãa]o est[áa] mais dispon[íi]vel|an[úu]ncio (finalizado|pausado)|p[áa]gina n[ãa]o encontrada/i }
+];
+
+/**
+ * Normaliza um valor de disponibilidade (schema.org ou estado interno)
+ * @param {string} value - Valor bruto (ex: "InStock", "https://schema.org/OutOfStock")
+ * @returns {string|null} Estado normalizado ou null se desconhecido
+ */
+function normalize(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  if (Object.values(STATES).includes(value)) return value;
+
+  const key = value
+    .trim()
+    .replace(/^https?:\/\/schema\.org\//i, '')
+    .replace(/[^a-z]/gi, '')
+    .toLowerCase();
+
+  return SCHEMA_MAP[key] || null;
+}
+
+/**
+ * Detecta disponibilidade a partir do texto visível da página
+ * @param {string} text - Texto da página
+ * @returns {string|null} Estado detectado ou null
+ */
+function detectFromText(text) {
+  if (!text) return null;
+
+  for (const { state, pattern } of TEXT_PATTERNS) {
+    if (pattern.test(text)) return state;
+  }
+
+  return null;
+}
+
+/**
+ * Indica se o estado permite compra
+ * @param {string} state - Estado normalizado
+ */
+function isPurchasable(state) {
+  return state === STATES.IN_STOCK || state === STATES.PREORDER;
+}
+
+/**
+ * Rótulo legível para exibição
+ * @param {string} state - Estado normalizado
+ */
+function getLabel(state) {
+  const labels = {
+    [STATES.IN_STOCK]: '✅ Em estoque',
+    [STATES.OUT_OF_STOCK]: '📦 Esgotado',
+    [STATES.PREORDER]: '🕒 Pré-venda',
+    [STATES.UNAVAILABLE]: '🚫 Indisponível'
+  };
+  return labels[state] || '❓ Desconhecido';
+}
+
+module.exports = {
+  STATES,
+  normalize,
+  detectFromText,
+  isPurchasable,
+  getLabel
+};
@@ -0,0 +1,227 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Circuit breaker por domínio
+ * Após falhas de bloqueio consecutivas (captcha, 403, 429) o domínio fica
+ * "aberto" durante um cooldown e os requests restantes são recusados sem
+ * acessar a loja. Depois do cooldown um único request de teste (half-open)
+ * decide se o circuito fecha ou abre novamente com cooldown dobrado.
+ *
+ * Eventos: 'open' ({ domain, reason, failures, retryAt, reopened }), 'half-open', 'closed'
+ */
+class CircuitBreaker extends EventEmitter {
+
+  /**
+   * @param {Object} options - Opções
+   * @param {number} options.failureThreshold - Falhas consecutivas para abrir o circuito
+   * @param {number} options.cooldownMs - Tempo inicial com o circuito aberto
+   * @param {number} options.maxCooldownMs - Cooldown máximo após reaberturas
+   */
+  constructor(options = {}) {
+    super();
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 15 * 60 * 1000;
+    this.maxCooldownMs = options.maxCooldownMs || 2 * 60 * 60 * 1000;
+
+    // domínio -> estado do circuito
+    this.circuits = new Map();
+  }
+
+  /**
+   * Obtém (ou cria) o circuito de um domínio
+   * @param {string} domain - Domínio
+   */
+  getCircuit(domain) {
+    if (!this.circuits.has(domain)) {
+      this.circuits.set(domain, {
+        state: STATES.CLOSED,
+        failures: 0,
+        cooldownMs: this.cooldownMs,
+        openedAt: null,
+        retryAt: null,
+        probing: false,
+        lastError: null,
+        trips: 0,
+        history: []
+      });
+    }
+
+    return this.circuits.get(domain);
+  }
+
+  /**
+   * Indica se o domínio está aberto e ainda em cooldown
+   * @param {string} domain - Domínio
+   */
+  isOpen(domain) {
+    const circuit = this.circuits.get(domain);
+    return !!circuit && circuit.state === STATES.OPEN && Date.now() < circuit.retryAt;
+  }
+
+  /**
+   * Verifica se um request ao domínio pode ser feito
+   * Passado o cooldown, libera um único request de teste (half-open)
+   * @param {string} domain - Domínio
+   * @returns {Object} { allowed, state, retryAt }
+   */
+  canRequest(domain) {
+    const circuit = this.getCircuit(domain);
+
+    if (circuit.state === STATES.OPEN && Date.now() >= circuit.retryAt) {
+      this.transition(domain, circuit, STATES.HALF_OPEN, 'cooldown encerrado');
+    }
+
+    if (circuit.state === STATES.CLOSED) {
+      return { allowed: true, state: circuit.state, retryAt: null };
+    }
+
+    if (circuit.state === STATES.HALF_OPEN && !circuit.probing) {
+      circuit.probing = true;
+      return { allowed: true, state: circuit.state, retryAt: null };
+    }
+
+    return { allowed: false, state: circuit.state, retryAt: circuit.retryAt };
+  }
+
+  /**
+   * Registra request bem-sucedido (fecha o circuito)
+   * @param {string} domain - Domínio
+   */
+  recordSuccess(domain) {
+    const circuit = this.getCircuit(domain);
+    circuit.failures = 0;
+    circuit.probing = false;
+
+    if (circuit.state !== STATES.CLOSED) {
+      circuit.cooldownMs = this.cooldownMs;
+      circuit.openedAt = null;
+      circuit.retryAt = null;
+      this.transition(domain, circuit, STATES.CLOSED, 'request de teste bem-sucedido');
+    }
+  }
+
+  /**
+   * Registra falha de bloqueio (captcha, 403, 429)
+   * @param {string} domain - Domínio
+   * @param {string} reason - Motivo da falha
+   */
+  recordFailure(domain, reason) {
+    const circuit = this.getCircuit(domain);
+    circuit.failures++;
+    circuit.lastError = reason;
+
+    // Falha no request de teste: reabrir com cooldown dobrado
+    if (circuit.state === STATES.HALF_OPEN) {
+      circuit.probing = false;
+      circuit.cooldownMs = Math.min(circuit.cooldownMs * 2, this.maxCooldownMs);
+      this.open(domain, circuit, reason, true);
+      return;
+    }
+
+    if (circuit.state === STATES.CLOSED && circuit.failures >= this.failureThreshold) {
+      this.open(domain, circuit, reason, false);
+    }
+  }
+
+  /**
+   * Libera o request de teste sem alterar o estado (falhas que não são bloqueio)
+   * @param {string} domain - Domínio
+   */
+  release(domain) {
+    const circuit = this.circuits.get(domain);
+    if (circuit) circuit.probing = false;
+  }
+
+  /**
+   * Abre o circuito
+   * @param {string} domain - Domínio
+   * @param {Object} circuit - Estado do circuito
+   * @param {string} reason - Motivo
+   * @param {boolean} reopened - true se veio de half-open
+   */
+  open(domain, circuit, reason, reopened) {
+    circuit.openedAt = Date.now();
+    circuit.retryAt = circuit.openedAt + circuit.cooldownMs;
+    circuit.trips++;
+
+    this.transition(domain, circuit, STATES.OPEN, reason, {
+      failures: circuit.failures,
+      retryAt: new Date(circuit.retryAt).toISOString(),
+      reopened
+    });
+  }
+
+  /**
+   * Aplica a mudança de estado, registra no histórico e emite o evento
+   * @param {string} domain - Domínio
+   * @param {Object} circuit - Estado do circuito
+   * @param {string} state - Novo estado
+   * @param {string} reason - Motivo
+   * @param {Object} details - Dados extras do evento
+   */
+  transition(domain, circuit, state, reason, details = {}) {
+    const from = circuit.state;
+    circuit.state = state;
+
+    circuit.history.unshift({ from, to: state, reason, at: new Date().toISOString() });
+    circuit.history = circuit.history.slice(0, 10);
+
+    const level = state === STATES.OPEN ? 'warn' : 'info';
+    logger[level](`Circuito de ${domain}: ${from} -> ${state}`, { reason, ...details });
+
+    this.emit(state, { domain, reason, ...details });
+  }
+
+  /**
+   * Estado de todos os circuitos
+   */
+  getStats() {
+    const stats = {};
+
+    for (const [domain, circuit] of this.circuits.entries()) {
+      stats[domain] = {
+        state: circuit.state,
+        failures: circuit.failures,
+        trips: circuit.trips,
+        lastError: circuit.lastError,
+        openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+        retryAt: circuit.retryAt ? new Date(circuit.retryAt).toISOString() : null,
+        history: circuit.history
+      };
+    }
+
+    return stats;
+  }
+
+  /**
+   * Fecha manualmente o circuito de um domínio
+   * @param {string} domain - Domínio
+   */
+  reset(domain) {
+    const circuit = this.circuits.get(domain);
+    if (!circuit) return false;
+
+    circuit.failures = 0;
+    circuit.probing = false;
+    circuit.cooldownMs = this.cooldownMs;
+    circuit.openedAt = null;
+    circuit.retryAt = null;
+
+    if (circuit.state !== STATES.CLOSED) {
+      this.transition(domain, circuit, STATES.CLOSED, 'reset manual');
+    }
+
+    return true;
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
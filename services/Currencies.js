@@ -0,0 +1,240 @@
+const fs = require('fs');
+
+/**
+ * Moedas: detecção, leitura de valores em formatos locais, exibição e conversão
+ * As lojas brasileiras usam "R$ 1.299,90"; lojas dos EUA "$1,299.90" e
+ * europeias "1.299,90 €" ou "1 299,90 €"
+ */
+
+// Símbolo de exibição e casas decimais de cada moeda suportada
+const CURRENCIES = {
+  BRL: { symbol: 'R$', decimals: 2 },
+  USD: { symbol: 'US$', decimals: 2 },
+  EUR: { symbol: '€', decimals: 2 },
+  GBP: { symbol: '£', decimals: 2 },
+  CAD: { symbol: 'C$', decimals: 2 },
+  AUD: { symbol: 'A$', decimals: 2 },
+  MXN: { symbol: 'MX$', decimals: 2 },
+  ARS: { symbol: 'AR$', decimals: 2 },
+  CLP: { symbol: 'CLP$', decimals: 0 },
+  CNY: { symbol: 'CN¥', decimals: 2 },
+  JPY: { symbol: '¥', decimals: 0 }
+};
+
+// Moedas que também usam "$" sozinho como símbolo local
+const DOLLAR_CURRENCIES = ['USD', 'CAD', 'AUD', 'MXN', 'ARS', 'CLP'];
+
+// Símbolos na ordem de verificação ("R$" e "US$" antes de "$")
+const SYMBOL_PATTERNS = [
+  [/R\$/, 'BRL'],
+  [/\bU\.?S\s?\$|\bU\$/, 'USD'],
+  [/\bCA?\$/, 'CAD'],
+  [/\bAU?\$/, 'AUD'],
+  [/\bMX\$/, 'MXN'],
+  [/\bAR\$/, 'ARS'],
+  [/\bCLP\$/, 'CLP'],
+  [/€/, 'EUR'],
+  [/£/, 'GBP'],
+  [/CN¥|元/, 'CNY'],
+  [/[¥￥]/, 'JPY']
+];
+
+const ISO_PATTERN = new RegExp(`\\b(${Object.keys(CURRENCIES).join('|')})\\b`);
+
+// Número com separadores; espaço só separa milhares antes de um grupo de 3 dígitos
+const NUMBER_SOURCE = "\\d+(?:(?:[.,'’]|[ \\u00a0\\u202f](?=\\d{3}(?!\\d)))\\d+)*";
+const NUMBER_PATTERN = new RegExp(NUMBER_SOURCE);
+const NUMBER_AFTER_PATTERN = new RegExp(`^[\\s\\u00a0]*(${NUMBER_SOURCE})`);
+const NUMBER_BEFORE_PATTERN = new RegExp(`(${NUMBER_SOURCE})[\\s\\u00a0]*$`);
+
+// Qualquer símbolo ou código de moeda, para achar o valor ao lado dele
+const MARKER_PATTERN = new RegExp(
+  [...SYMBOL_PATTERNS.map(([pattern]) => pattern.source), '\\$', ISO_PATTERN.source].join('|'),
+  'g'
+);
+
+/**
+ * Verifica se o código ISO é de uma moeda suportada
+ * @param {string} code - Código ISO 4217 (ex: USD)
+ */
+function isValid(code) {
+  return Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+}
+
+/**
+ * Normaliza um código de moeda
+ * @param {string} code - Código informado (ex: "usd")
+ * @returns {string|null} Código suportado ou null
+ */
+function normalize(code) {
+  const upper = String(code || '').trim().toUpperCase();
+  return isValid(upper) ? upper : null;
+}
+
+/**
+ * Detecta a moeda pelo código ISO ou símbolo presente no texto
+ * @param {string} text - Texto do preço (ex: "US $12.99", "12,99 €")
+ * @param {string} fallback - Moeda padrão da loja, usada para "$" sozinho
+ * @returns {string|null} Código ISO ou null ("$" sozinho numa loja sem moeda de dólar é ambíguo)
+ */
+function detect(text, fallback = null) {
+  if (!text) return null;
+
+  const iso = String(text).match(ISO_PATTERN);
+  if (iso) return iso[1];
+
+  for (const [pattern, code] of SYMBOL_PATTERNS) {
+    if (pattern.test(text)) return code;
+  }
+
+  // "$" sozinho só é confiável se a loja já usa uma moeda de dólar
+  if (/\$/.test(text) && DOLLAR_CURRENCIES.includes(fallback)) {
+    return fallback;
+  }
+
+  return null;
+}
+
+/**
+ * Encontra o número do preço no texto
+ * Usa o valor junto do primeiro símbolo ou código de moeda ("10x de R$ 99,90"
+ * é 99,90, não 10); sem moeda no texto, o primeiro número
+ * @param {string} text - Texto do preço
+ * @returns {string|null} Número como aparece no texto
+ */
+function findAmount(text) {
+  for (const marker of text.matchAll(MARKER_PATTERN)) {
+    const after = text.substring(marker.index + marker[0].length).match(NUMBER_AFTER_PATTERN);
+    if (after) return after[1];
+
+    const before = text.substring(0, marker.index).match(NUMBER_BEFORE_PATTERN);
+    if (before) return before[1];
+  }
+
+  const match = text.match(NUMBER_PATTERN);
+  return match ? match[0] : null;
+}
+
+/**
+ * Converte o texto de um preço em número, nos formatos BR/EU (1.299,90)
+ * e US (1,299.90)
+ * O último separador seguido de 1 ou 2 dígitos é o decimal; grupos de 3
+ * dígitos são milhares. Moedas sem centavos (JPY, CLP) não têm decimal
+ * @param {string} text - Texto do preço
+ * @param {string} currency - Moeda (opcional, detectada no texto se ausente)
+ * @returns {number|null}
+ */
+function parseAmount(text, currency = null) {
+  if (!text || typeof text !== 'string') return null;
+
+  const amountText = findAmount(text);
+  if (!amountText) return null;
+
+  const code = currency || detect(text);
+  const decimals = isValid(code) ? CURRENCIES[code].decimals : 2;
+  const digits = amountText.replace(/['’ \u00a0\u202f]/g, '');
+
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+  let decimalSeparator = null;
+
+  if (lastDot >= 0 && lastComma >= 0) {
+    decimalSeparator = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const separator = lastDot >= 0 ? '.' : ',';
+    const occurrences = digits.split(separator).length - 1;
+    const trailing = digits.length - digits.lastIndexOf(separator) - 1;
+
+    if (occurrences === 1 && trailing !== 3 && decimals > 0) {
+      decimalSeparator = separator;
+    }
+  }
+
+  let normalized = digits;
+  if (decimalSeparator) {
+    const index = digits.lastIndexOf(decimalSeparator);
+    normalized = digits.substring(0, index).replace(/[.,]/g, '') + '.' + digits.substring(index + 1);
+  } else {
+    normalized = digits.replace(/[.,]/g, '');
+  }
+
+  const amount = parseFloat(normalized);
+  return amount > 0 ? amount : null;
+}
+
+/**
+ * Texto de exibição de um valor (ex: "R$ 1299.90", "US$ 12.99")
+ * @param {number} amount - Valor
+ * @param {string} currency - Moeda (padrão: BRL)
+ */
+function format(amount, currency = null) {
+  const code = currency || 'BRL';
+  const info = CURRENCIES[code] || { symbol: code, decimals: 2 };
+  return `${info.symbol} ${Number(amount).toFixed(info.decimals)}`;
+}
+
+/**
+ * Valida uma tabela de cotações
+ * Formato: { base: "USD", rates: { BRL: 5.42, EUR: 0.92 } } (1 base = rate)
+ * @param {Object} data - Tabela lida do arquivo
+ * @returns {Object} { base, rates }
+ */
+function normalizeRates(data) {
+  const base = normalize(data?.base);
+  if (!base || !data.rates || typeof data.rates !== 'object') {
+    const error = new Error('Tabela de cotações inválida: informe base (ex: USD) e rates');
+    error.code = 'INVALID_RATES';
+    throw error;
+  }
+
+  const rates = { [base]: 1 };
+  for (const [currency, rate] of Object.entries(data.rates)) {
+    const code = normalize(currency);
+    const value = Number(rate);
+    if (code && value > 0) rates[code] = value;
+  }
+
+  return { base, rates };
+}
+
+/**
+ * Lê a tabela de cotações de um arquivo JSON local
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {Object|null} { base, rates } ou null se o arquivo não existe
+ */
+function loadRatesFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  return normalizeRates(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Converte um valor entre moedas
+ * @param {number} amount - Valor
+ * @param {string} from - Moeda de origem
+ * @param {string} to - Moeda de destino
+ * @param {Object} table - Tabela de cotações { base, rates }
+ * @returns {number|null} null se faltar a cotação de alguma das moedas
+ */
+function convert(amount, from, to, table) {
+  if (amount === null || amount === undefined) return null;
+  if (from === to) return amount;
+  if (!table || !table.rates) return null;
+
+  const fromRate = table.rates[from];
+  const toRate = table.rates[to];
+  if (!fromRate || !toRate) return null;
+
+  return amount / fromRate * toRate;
+}
+
+module.exports = {
+  CURRENCIES,
+  isValid,
+  normalize,
+  detect,
+  parseAmount,
+  format,
+  normalizeRates,
+  loadRatesFile,
+  convert
+};
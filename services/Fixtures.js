@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Fixtures de páginas de produto para testes de extração offline
+ * Cada fixture é um par <slug>.html + <slug>.json em tests/fixtures/<domínio>/
+ */
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'tests', 'fixtures');
+
+/**
+ * Gera um nome de arquivo a partir da URL do produto
+ * @param {string} url - URL do produto
+ */
+function slugify(url) {
+  let base;
+  try {
+    base = decodeURIComponent(new URL(url).pathname);
+  } catch {
+    base = String(url);
+  }
+
+  const slug = base
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+
+  return slug || 'pagina';
+}
+
+/**
+ * Salva a página e os valores esperados como fixture
+ * @param {Object} fixture - { url, domain, html, expected: { price, name, availability }, adapter, renderer }
+ * @param {string} dir - Diretório base (padrão: tests/fixtures)
+ * @returns {Object} { id, htmlPath, metaPath }
+ */
+function saveFixture(fixture, dir = FIXTURES_DIR) {
+  if (!fixture.expected || !(fixture.expected.price > 0 || fixture.expected.availability)) {
+    throw new Error('Fixture sem preço ou disponibilidade esperados');
+  }
+
+  const domainDir = path.join(dir, fixture.domain);
+  fs.mkdirSync(domainDir, { recursive: true });
+
+  const slug = slugify(fixture.url);
+  const htmlPath = path.join(domainDir, `${slug}.html`);
+  const metaPath = path.join(domainDir, `${slug}.json`);
+
+  const meta = {
+    url: fixture.url,
+    domain: fixture.domain,
+    adapter: fixture.adapter || null,
+    renderer: fixture.renderer || 'static',
+    savedAt: new Date().toISOString(),
+    expected: fixture.expected
+  };
+
+  fs.writeFileSync(htmlPath, fixture.html);
+  fs.writeFileSync(metaPath, `${JSON.stringify(meta, null, 2)}\n`);
+
+  return { id: `${fixture.domain}/${slug}`, htmlPath, metaPath };
+}
+
+/**
+ * Carrega todas as fixtures do diretório
+ * @param {string} dir - Diretório base (padrão: tests/fixtures)
+ * @returns {Array<Object>} [{ id, url, domain, adapter, html, expected, ... }]
+ */
+function loadFixtures(dir = FIXTURES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const fixtures = [];
+
+  for (const domain of fs.readdirSync(dir).sort()) {
+    const domainDir = path.join(dir, domain);
+    if (!fs.statSync(domainDir).isDirectory()) continue;
+
+    for (const file of fs.readdirSync(domainDir).filter(name => name.endsWith('.json')).sort()) {
+      const slug = file.slice(0, -'.json'.length);
+      const htmlPath = path.join(domainDir, `${slug}.html`);
+      if (!fs.existsSync(htmlPath)) continue;
+
+      const meta = JSON.parse(fs.readFileSync(path.join(domainDir, file), 'utf8'));
+
+      fixtures.push({
+        id: `${domain}/${slug}`,
+        ...meta,
+        domain: meta.domain || domain,
+        html: fs.readFileSync(htmlPath, 'utf8')
+      });
+    }
+  }
+
+  return fixtures;
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  slugify,
+  saveFixture,
+  loadFixtures
+};
@@ -0,0 +1,68 @@
+/**
+ * Perfis de navegador (user-agent + client hints) usados na rotação
+ * Cada identidade do pool de proxies usa sempre o mesmo perfil
+ */
+
+const PROFILES = [
+  {
+    name: 'chrome-windows',
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+      'Sec-CH-UA': '"Chromium";v="124", "Google Chrome";v="124", "Not-A.Brand";v="99"',
+      'Sec-CH-UA-Mobile': '?0',
+      'Sec-CH-UA-Platform': '"Windows"'
+    }
+  },
+  {
+    name: 'edge-windows',
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 Edg/124.0.0.0',
+      'Sec-CH-UA': '"Chromium";v="124", "Microsoft Edge";v="124", "Not-A.Brand";v="99"',
+      'Sec-CH-UA-Mobile': '?0',
+      'Sec-CH-UA-Platform': '"Windows"'
+    }
+  },
+  {
+    name: 'firefox-windows',
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:125.0) Gecko/20100101 Firefox/125.0'
+    }
+  },
+  {
+    name: 'safari-mac',
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15'
+    }
+  },
+  {
+    name: 'chrome-android',
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Linux; Android 14; SM-S911B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36',
+      'Sec-CH-UA': '"Chromium";v="124", "Google Chrome";v="124", "Not-A.Brand";v="99"',
+      'Sec-CH-UA-Mobile': '?1',
+      'Sec-CH-UA-Platform': '"Android"'
+    }
+  }
+];
+
+/**
+ * Perfil fixo com o user-agent configurado (rotação desativada)
+ * @param {string} userAgent - User-agent de config.scraping.userAgent
+ */
+function fromUserAgent(userAgent) {
+  return { name: 'default', headers: { 'User-Agent': userAgent } };
+}
+
+/**
+ * Lista de perfis a usar
+ * @param {Object} scrapingConfig - config.scraping
+ */
+function getProfiles(scrapingConfig) {
+  return scrapingConfig.rotateUserAgents ? PROFILES : [fromUserAgent(scrapingConfig.userAgent)];
+}
+
+module.exports = {
+  PROFILES,
+  fromUserAgent,
+  getProfiles
+};
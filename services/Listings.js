@@ -0,0 +1,166 @@
+/**
+ * Itens de páginas de busca e categoria
+ * Uma busca monitorada acompanha vários itens da mesma página: aqui ficam a
+ * leitura genérica (JSON-LD ItemList), a limpeza dos itens e a comparação com
+ * a verificação anterior (itens novos e itens que cruzaram o preço alvo)
+ */
+
+// Itens considerados por página (anúncios patrocinados e vitrines costumam vir depois)
+const MAX_ITEMS = 60;
+
+/**
+ * Itens de um ItemList em JSON-LD
+ * @param {CheerioAPI} $ - Instância do Cheerio
+ * @returns {Array} [{ url, name, price }]
+ */
+function fromStructuredData($) {
+  const items = [];
+
+  $('script[type="application/ld+json"]').each((i, element) => {
+    let data;
+    try {
+      data = JSON.parse($(element).contents().text());
+    } catch (error) {
+      return;
+    }
+
+    const nodes = [].concat(data).flatMap(node => (node && node['@graph']) || node);
+
+    nodes
+      .filter(node => node && [].concat(node['@type']).includes('ItemList'))
+      .forEach(list => {
+        [].concat(list.itemListElement || []).forEach(entry => {
+          const item = (entry && entry.item) || entry || {};
+          const offer = [].concat(item.offers || [])[0] || {};
+
+          items.push({
+            url: item.url || entry.url || null,
+            name: item.name || entry.name || null,
+            price: offer.price ?? offer.lowPrice ?? null
+          });
+        });
+      });
+  });
+
+  return items;
+}
+
+/**
+ * Limpa os itens extraídos: URL absoluta, nome sem espaços extras,
+ * preço numérico e sem repetições
+ * @param {Array} items - Itens da página
+ * @param {string} pageUrl - URL da página (para links relativos)
+ */
+function normalize(items, pageUrl) {
+  const seen = new Set();
+  const normalized = [];
+
+  for (const item of items || []) {
+    if (!item || !item.url || !item.name) continue;
+
+    let url;
+    try {
+      url = new URL(item.url, pageUrl).toString();
+    } catch (error) {
+      continue;
+    }
+
+    if (seen.has(url)) continue;
+    seen.add(url);
+
+    const price = Number(item.price);
+
+    normalized.push({
+      ...item,
+      url,
+      name: String(item.name).replace(/\s+/g, ' ').trim(),
+      price: Number.isFinite(price) && price > 0 ? price : null
+    });
+
+    if (normalized.length >= MAX_ITEMS) break;
+  }
+
+  return normalized;
+}
+
+/**
+ * Texto em minúsculas e sem acentos, para comparar nomes
+ * @param {string} text - Texto
+ */
+function simplify(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Palavras que o nome do item precisa conter (ex: "rtx 4070")
+ * @param {string} keywords - Palavras separadas por espaço
+ * @returns {Array<string>}
+ */
+function parseKeywords(keywords) {
+  return simplify(keywords).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Verifica se o nome contém todas as palavras
+ * @param {string} name - Nome do item
+ * @param {string} keywords - Palavras separadas por espaço (vazio = qualquer item)
+ */
+function matchesKeywords(name, keywords) {
+  const words = parseKeywords(keywords);
+  const simplified = simplify(name);
+
+  return words.every(word => simplified.includes(word));
+}
+
+/**
+ * Compara os itens da verificação com os já conhecidos
+ * Na primeira verificação (baseline) nenhum item é "novo"
+ * @param {Array} known - Itens salvos ({ item_key, price })
+ * @param {Array} current - Itens da página ({ key, price, ... })
+ * @param {number|null} targetPrice - Preço alvo da busca
+ * @param {Object} options - { baseline }
+ * @returns {Object} { newItems, crossed } (crossed: itens já conhecidos que ficaram no alvo ou abaixo)
+ */
+function compare(known, current, targetPrice = null, options = {}) {
+  const previous = new Map(known.map(row => [row.item_key, row]));
+  const newItems = [];
+  const crossed = [];
+
+  for (const item of current) {
+    const before = previous.get(item.key);
+
+    if (!before) {
+      if (!options.baseline) newItems.push(item);
+      continue;
+    }
+
+    const reached = targetPrice && item.price && item.price <= targetPrice;
+    const wasAbove = before.price === null || before.price === undefined || before.price > targetPrice;
+
+    if (reached && wasAbove) {
+      crossed.push({ ...item, previousPrice: before.price ?? null });
+    }
+  }
+
+  return { newItems, crossed };
+}
+
+/**
+ * Menor preço entre os itens
+ * @param {Array} items - Itens com price
+ * @returns {number|null}
+ */
+function bestPrice(items) {
+  const prices = items.map(item => item.price).filter(price => price > 0);
+  return prices.length > 0 ? Math.min(...prices) : null;
+}
+
+module.exports = {
+  MAX_ITEMS,
+  fromStructuredData,
+  normalize,
+  parseKeywords,
+  matchesKeywords,
+  compare,
+  bestPrice
+};
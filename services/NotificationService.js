@@ -1,6 +1,11 @@
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const Availability = require('./Availability');
+const Shipping = require('./Shipping');
+const Sellers = require('./Sellers');
+const Promotions = require('./Promotions');
+const Currencies = require('./Currencies');
 
 /**
  * Serviço de notificações do Discord
@@ -39,15 +44,19 @@ class NotificationService {
         .setTitle('🎯 PREÇO ALVO ATINGIDO!')
         .setDescription(`**${product.name}** atingiu seu preço alvo!`)
         .addFields(
-          { name: '💰 Preço Atual', value: `R$ ${newPrice.toFixed(2)}`, inline: true },
-          { name: '🎯 Preço Alvo', value: `R$ ${product.target_price.toFixed(2)}`, inline: true },
-          { name: '📉 Economia', value: `R$ ${(oldPrice - newPrice).toFixed(2)} (-${discount.toFixed(1)}%)`, inline: true }
+          { name: '💰 Preço Atual', value: this.formatPrice(newPrice, product), inline: true },
+          { name: '🎯 Preço Alvo', value: this.formatPrice(product.target_price, product), inline: true },
+          { name: '📉 Economia', value: `${this.formatPrice(oldPrice - newPrice, product)} (-${discount.toFixed(1)}%)`, inline: true }
         )
         .setURL(product.url)
         .setTimestamp()
         .setFooter({ text: 'Monitor de Preços • Aproveite a promoção!' })
         .setThumbnail('https://cdn.discordapp.com/emojis/741690203716608100.png'); // Emoji de sucesso
 
+      this.addShippingFields(embed, product);
+      this.addSellerFields(embed, product);
+      this.addPromotionFields(embed, product);
+
       const row = new ActionRowBuilder()
         .addComponents(
           new ButtonBuilder()
@@ -72,7 +81,7 @@ class NotificationService {
 
       // Salvar notificação no banco
       await this.saveNotification(product.id, 'target_reached', 
-        `Preço alvo atingido: R$ ${newPrice.toFixed(2)}`);
+        `Preço alvo atingido: ${Currencies.format(newPrice, product.currency)}`);
 
       return { sent: true, type: 'target_reached' };
 
@@ -98,17 +107,21 @@ class NotificationService {
         .setTitle('📉 QUEDA DE PREÇO DETECTADA!')
         .setDescription(`**${product.name}** teve uma queda significativa de preço!`)
         .addFields(
-          { name: '💸 Preço Anterior', value: `R$ ${oldPrice.toFixed(2)}`, inline: true },
-          { name: '💰 Preço Atual', value: `R$ ${newPrice.toFixed(2)}`, inline: true },
+          { name: '💸 Preço Anterior', value: this.formatPrice(oldPrice, product), inline: true },
+          { name: '💰 Preço Atual', value: this.formatPrice(newPrice, product), inline: true },
           { name: '📊 Variação', value: `${priceChange.toFixed(1)}%`, inline: true },
-          { name: '💵 Economia', value: `R$ ${savings.toFixed(2)}`, inline: true },
-          { name: '🎯 Preço Alvo', value: `R$ ${product.target_price.toFixed(2)}`, inline: true },
+          { name: '💵 Economia', value: this.formatPrice(savings, product), inline: true },
+          { name: '🎯 Preço Alvo', value: this.formatPrice(product.target_price, product), inline: true },
           { name: '📏 Distância do Alvo', value: `${((newPrice / product.target_price - 1) * 100).toFixed(1)}%`, inline: true }
         )
         .setURL(product.url)
         .setTimestamp()
         .setFooter({ text: 'Monitor de Preços • Oportunidade de compra!' });
 
+      this.addShippingFields(embed, product);
+      this.addSellerFields(embed, product);
+      this.addPromotionFields(embed, product);
+
       const row = new ActionRowBuilder()
         .addComponents(
           new ButtonBuilder()
@@ -132,7 +145,7 @@ class NotificationService {
       await this.queueNotification(notificationData);
 
       await this.saveNotification(product.id, 'price_drop', 
-        `Queda de ${Math.abs(priceChange).toFixed(1)}%: R$ ${newPrice.toFixed(2)}`);
+        `Queda de ${Math.abs(priceChange).toFixed(1)}%: ${Currencies.format(newPrice, product.currency)}`);
 
       return { sent: true, type: 'price_drop' };
 
@@ -158,17 +171,20 @@ class NotificationService {
         .setTitle('📈 AUMENTO DE PREÇO')
         .setDescription(`**${product.name}** teve um aumento significativo de preço.`)
         .addFields(
-          { name: '💰 Preço Anterior', value: `R$ ${oldPrice.toFixed(2)}`, inline: true },
-          { name: '💸 Preço Atual', value: `R$ ${newPrice.toFixed(2)}`, inline: true },
+          { name: '💰 Preço Anterior', value: this.formatPrice(oldPrice, product), inline: true },
+          { name: '💸 Preço Atual', value: this.formatPrice(newPrice, product), inline: true },
           { name: '📊 Variação', value: `+${priceChange.toFixed(1)}%`, inline: true },
-          { name: '💔 Aumento', value: `R$ ${increase.toFixed(2)}`, inline: true },
-          { name: '🎯 Preço Alvo', value: `R$ ${product.target_price.toFixed(2)}`, inline: true },
+          { name: '💔 Aumento', value: this.formatPrice(increase, product), inline: true },
+          { name: '🎯 Preço Alvo', value: this.formatPrice(product.target_price, product), inline: true },
           { name: '⏰ Status', value: newPrice > product.target_price ? '❌ Acima do alvo' : '✅ Ainda no alvo', inline: true }
         )
         .setURL(product.url)
         .setTimestamp()
         .setFooter({ text: 'Monitor de Preços • Acompanhe a variação' });
 
+      this.addShippingFields(embed, product);
+      this.addSellerFields(embed, product);
+
       const row = new ActionRowBuilder()
         .addComponents(
           new ButtonBuilder()
@@ -192,7 +208,7 @@ class NotificationService {
       await this.queueNotification(notificationData);
 
       await this.saveNotification(product.id, 'price_increase', 
-        `Aumento de ${priceChange.toFixed(1)}%: R$ ${newPrice.toFixed(2)}`);
+        `Aumento de ${priceChange.toFixed(1)}%: ${Currencies.format(newPrice, product.currency)}`);
 
       return { sent: true, type: 'price_increase' };
 
@@ -202,6 +218,126 @@ class NotificationService {
     }
   }
 
+  /**
+   * Envia notificação de produto de volta ao estoque
+   * @param {Object} product - Dados do produto
+   * @param {number} newPrice - Preço atual (pode ser null)
+   * @param {string} availability - Nova disponibilidade
+   */
+  async sendBackInStockNotification(product, newPrice, availability) {
+    try {
+      const embed = new EmbedBuilder()
+        .setColor(0x00BFFF)
+        .setTitle('📦 PRODUTO DE VOLTA AO ESTOQUE!')
+        .setDescription(`**${product.name}** está disponível novamente!`)
+        .addFields(
+          { name: '📊 Disponibilidade', value: Availability.getLabel(availability), inline: true },
+          { name: '💰 Preço Atual', value: newPrice ? this.formatPrice(newPrice, product) : 'Não informado', inline: true },
+          { name: '🎯 Preço Alvo', value: this.formatPrice(product.target_price, product), inline: true }
+        )
+        .setURL(product.url)
+        .setTimestamp()
+        .setFooter({ text: 'Monitor de Preços • Corra antes que esgote!' });
+
+      this.addShippingFields(embed, product);
+      this.addSellerFields(embed, product);
+
+      const row = new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setLabel('🛒 Comprar Agora')
+            .setStyle(ButtonStyle.Link)
+            .setURL(product.url),
+          new ButtonBuilder()
+            .setLabel('📊 Ver Histórico')
+            .setStyle(ButtonStyle.Secondary)
+            .setCustomId(`history_${product.id}`)
+        );
+
+      const notificationData = {
+        type: 'back_in_stock',
+        product,
+        embed,
+        components: [row],
+        mention: `<@${product.user_id}>`
+      };
+
+      await this.queueNotification(notificationData);
+
+      await this.saveNotification(product.id, 'back_in_stock', 
+        `De volta ao estoque${newPrice ? `: ${Currencies.format(newPrice, product.currency)}` : ''}`);
+
+      return { sent: true, type: 'back_in_stock' };
+
+    } catch (error) {
+      logger.error('Erro ao enviar notificação de volta ao estoque:', error);
+      return { sent: false, error: error.message };
+    }
+  }
+
+  /**
+   * Envia notificação de itens novos em uma busca monitorada
+   * @param {Object} watch - Dados da busca (com moeda de exibição do servidor)
+   * @param {Array} items - Itens novos ({ key, url, name, price })
+   */
+  async sendSearchNewItemsNotification(watch, items) {
+    try {
+      const embed = this.createSearchEmbed(watch, '🆕 NOVOS ITENS NA BUSCA', 0x5865F2, items, item =>
+        item.price ? this.formatPrice(item.price, watch) : 'Preço não informado'
+      );
+      embed.setDescription(`**${items.length}** item(ns) novo(s) em **${watch.name}**`);
+
+      await this.queueNotification({
+        type: 'search_new_items',
+        product: watch,
+        embed,
+        components: [this.createSearchButtons(watch)],
+        mention: `<@${watch.user_id}>`,
+        // Cada item é novo uma única vez: o cooldown vale só para o mesmo conjunto de itens
+        cooldownKey: `search_${watch.id}_new_${items.map(item => item.key).join(',')}`
+      });
+
+      return { sent: true, type: 'search_new_items' };
+
+    } catch (error) {
+      logger.error('Erro ao enviar notificação de itens novos na busca:', error, { watchId: watch.id });
+      return { sent: false, error: error.message };
+    }
+  }
+
+  /**
+   * Envia notificação de itens da busca que chegaram ao preço alvo
+   * @param {Object} watch - Dados da busca (com moeda de exibição do servidor)
+   * @param {Array} items - Itens no alvo ({ key, url, name, price, previousPrice })
+   */
+  async sendSearchTargetNotification(watch, items) {
+    try {
+      const embed = this.createSearchEmbed(watch, '🎯 PREÇO ALVO ATINGIDO NA BUSCA!', 0x00FF00, items, item =>
+        item.previousPrice
+          ? `~~${this.formatPrice(item.previousPrice, watch)}~~ → **${this.formatPrice(item.price, watch)}**`
+          : `**${this.formatPrice(item.price, watch)}**`
+      );
+      embed
+        .setDescription(`**${items.length}** item(ns) de **${watch.name}** no preço alvo ou abaixo`)
+        .addFields({ name: '🎯 Preço Alvo', value: this.formatPrice(watch.target_price, watch), inline: true });
+
+      await this.queueNotification({
+        type: 'search_target',
+        product: watch,
+        embed,
+        components: [this.createSearchButtons(watch)],
+        mention: `<@${watch.user_id}>`,
+        cooldownKey: `search_${watch.id}_target_${items.map(item => `${item.key}@${item.price}`).join(',')}`
+      });
+
+      return { sent: true, type: 'search_target' };
+
+    } catch (error) {
+      logger.error('Erro ao enviar notificação de preço alvo na busca:', error, { watchId: watch.id });
+      return { sent: false, error: error.message };
+    }
+  }
+
   /**
    * Envia resumo das verificações
    * @param {Object} stats - Estatísticas da verificação
@@ -222,7 +358,7 @@ class NotificationService {
           { name: '❌ Falhas', value: `${stats.failed}`, inline: true },
           { name: '🔥 Promoções Ativas', value: `${promotions.length}`, inline: true },
           { name: '📉 Grandes Quedas', value: `${bigDrops.length}`, inline: true },
-          { name: '💰 Preço Médio', value: `R$ ${stats.averagePrice.toFixed(2)}`, inline: true }
+          { name: '💰 Preço Médio', value: Currencies.format(stats.averagePrice, stats.currency), inline: true }
         )
         .setTimestamp()
         .setFooter({ text: 'Monitor de Preços • Resumo Automático' });
@@ -306,10 +442,11 @@ class NotificationService {
   /**
    * Adiciona notificação à fila de envio
    * @param {Object} notificationData - Dados da notificação
+   *   (cooldownKey opcional; padrão: mesmo produto e tipo)
    */
   async queueNotification(notificationData) {
     // Verificar cooldown para evitar spam
-    const cooldownKey = `${notificationData.product.id}_${notificationData.type}`;
+    const cooldownKey = notificationData.cooldownKey || `${notificationData.product.id}_${notificationData.type}`;
     const cooldownTime = config.notifications.cooldownMinutes * 60 * 1000;
     
     if (this.notificationCooldowns.has(cooldownKey)) {
@@ -450,6 +587,88 @@ class NotificationService {
     return embed;
   }
 
+  /**
+   * Formata um valor na moeda do produto e, se o servidor exibe outra moeda,
+   * acrescenta o valor convertido (ex: "US$ 12.99 (≈ R$ 70.15)")
+   * @param {number} value - Valor na moeda do produto
+   * @param {Object} product - Dados do produto ({ currency, display_currency, display_rate })
+   */
+  formatPrice(value, product) {
+    const text = Currencies.format(value, product.currency || config.currency.default);
+    if (!product.display_rate) return text;
+
+    return `${text} (≈ ${Currencies.format(value * product.display_rate, product.display_currency)})`;
+  }
+
+  /**
+   * Adiciona frete e preço final ao embed quando há cotação
+   * @param {EmbedBuilder} embed - Embed da notificação
+   * @param {Object} product - Dados do produto ({ shipping, landed_price, use_landed_price })
+   */
+  addShippingFields(embed, product) {
+    if (!product.shipping) return embed;
+
+    embed.addFields(
+      {
+        name: `🚚 Frete (CEP ${Shipping.formatCep(product.shipping.cep)})`,
+        value: Shipping.describe(product.shipping, product.currency),
+        inline: true
+      },
+      {
+        name: product.use_landed_price ? '🧾 Preço + Frete (usado no alvo)' : '🧾 Preço + Frete',
+        value: product.landed_price ? this.formatPrice(product.landed_price, product) : 'Não calculado',
+        inline: true
+      }
+    );
+
+    return embed;
+  }
+
+  /**
+   * Adiciona cupons, selos e o preço com cupom ao embed
+   * @param {EmbedBuilder} embed - Embed da notificação
+   * @param {Object} product - Dados do produto ({ promotions, effective_price, effective_coupon })
+   */
+  addPromotionFields(embed, product) {
+    const description = Promotions.describe(product.promotions, product.currency);
+    if (!description) return embed;
+
+    embed.addFields({ name: '🎟️ Promoções na página', value: description, inline: false });
+
+    if (product.effective_price) {
+      embed.addFields({
+        name: '💸 Preço com cupom',
+        value: this.formatPrice(product.effective_price, product) +
+          (product.effective_coupon?.code ? ` usando o cupom **${product.effective_coupon.code}**` : ' aplicando o cupom da página'),
+        inline: true
+      });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Adiciona o vendedor da oferta ao embed e avisa quando ele mudou
+   * @param {EmbedBuilder} embed - Embed da notificação
+   * @param {Object} product - Dados do produto ({ seller, previous_seller })
+   */
+  addSellerFields(embed, product) {
+    if (!product.seller) return embed;
+
+    embed.addFields({ name: '🏪 Vendedor', value: Sellers.describe(product.seller), inline: true });
+
+    if (product.previous_seller) {
+      embed.addFields({
+        name: '⚠️ Vendedor mudou',
+        value: `${Sellers.describe(product.previous_seller)} → ${Sellers.describe(product.seller)}\n` +
+          'A variação de preço pode ser de outro vendedor.',
+        inline: false
+      });
+    }
+
+    return embed;
+  }
+
   /**
    * Cria botões de ação para produto
    * @param {Object} product - Dados do produto
@@ -476,6 +695,48 @@ class NotificationService {
     return row;
   }
 
+  /**
+   * Cria o embed de uma busca monitorada com uma linha por item
+   * Itens além de config.monitoring.searchWatch.maxItemsPerAlert são resumidos
+   * @param {Object} watch - Dados da busca
+   * @param {string} title - Título do embed
+   * @param {string} color - Cor do embed (hex)
+   * @param {Array} items - Itens a listar
+   * @param {Function} describePrice - Texto do preço de um item
+   */
+  createSearchEmbed(watch, title, color, items, describePrice) {
+    const limit = config.monitoring.searchWatch.maxItemsPerAlert;
+    const lines = items.slice(0, limit).map(item =>
+      `• [${item.name.substring(0, 80)}](${item.url}) — ${describePrice(item)}`
+    );
+
+    if (items.length > limit) {
+      lines.push(`… e mais ${items.length - limit} item(ns)`);
+    }
+
+    return new EmbedBuilder()
+      .setColor(color)
+      .setTitle(title)
+      .setURL(watch.url)
+      .addFields({ name: '🔎 Itens', value: lines.join('\n').substring(0, 1024), inline: false })
+      .setTimestamp()
+      .setFooter({ text: `Monitor de Preços • Busca #${watch.id}` });
+  }
+
+  /**
+   * Botão para abrir a página da busca
+   * @param {Object} watch - Dados da busca
+   */
+  createSearchButtons(watch) {
+    return new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setLabel('🔎 Ver Busca')
+          .setStyle(ButtonStyle.Link)
+          .setURL(watch.url)
+      );
+  }
+
   /**
    * Limpa cooldowns antigos
    */
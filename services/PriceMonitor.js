@@ -3,8 +3,23 @@ const config = require('../config/config');
 const logger = require('../utils/logger');
 const Product = require('../database/models/Product');
 const PriceHistory = require('../database/models/PriceHistory');
+const PriceQuarantine = require('../database/models/PriceQuarantine');
+const Settings = require('../database/models/Settings');
+const CurrencyRate = require('../database/models/CurrencyRate');
+const PageCache = require('../database/models/PageCache');
+const ExtractionHealth = require('../database/models/ExtractionHealth');
+const SearchWatch = require('../database/models/SearchWatch');
 const PriceScraper = require('./PriceScraper');
 const NotificationService = require('./NotificationService');
+const Availability = require('./Availability');
+const PricePoints = require('./PricePoints');
+const Shipping = require('./Shipping');
+const Sellers = require('./Sellers');
+const Promotions = require('./Promotions');
+const PriceSanity = require('./PriceSanity');
+const Currencies = require('./Currencies');
+const Listings = require('./Listings');
+const ProductGroups = require('./ProductGroups');
 
 /**
  * Serviço de monitoramento de preços
@@ -20,12 +35,27 @@ class PriceMonitor {
       successfulChecks: 0,
       failedChecks: 0,
       notificationsSent: 0,
+      quarantinedReadings: 0,
       lastCheck: null,
       nextCheck: null
     };
     
     this.cronJob = null;
     this.notificationService = null;
+
+    // Aviso único ao admin quando uma loja começa a bloquear o bot
+    PriceScraper.circuitBreaker.on('open', (event) => {
+      this.handleCircuitOpen(event).catch(error => {
+        logger.error('Erro ao notificar circuito aberto:', error);
+      });
+    });
+
+    // Aviso ao admin quando a extração de uma loja muda de comportamento
+    PriceScraper.selectorHealth.on('alert', (event) => {
+      this.handleExtractionAlert(event).catch(error => {
+        logger.error('Erro ao notificar saúde da extração:', error);
+      });
+    });
   }
 
   /**
@@ -38,7 +68,13 @@ class PriceMonitor {
     }
 
     try {
-      this.notificationService = new NotificationService();
+      // Usar o serviço do bot (com client do Discord) quando disponível
+      this.notificationService = require('../discord/bot').getNotificationService() || new NotificationService();
+
+      // Cotações para exibir preços na moeda de cada servidor
+      await this.loadCurrencyRates().catch(error => {
+        logger.warn('Cotações de moedas não carregadas:', { file: config.currency.ratesFile, error: error.message });
+      });
       
       // Configurar cron job baseado na configuração
       const intervalMinutes = config.monitoring.checkIntervalMinutes;
@@ -110,7 +146,8 @@ class PriceMonitor {
     this.currentCheck = {
       startTime: Date.now(),
       products: [],
-      results: []
+      results: [],
+      searches: []
     };
 
     const checkId = `check_${Date.now()}`;
@@ -119,39 +156,39 @@ class PriceMonitor {
     try {
       // Buscar produtos que precisam de verificação
       const intervalMinutes = config.monitoring.checkIntervalMinutes;
-      const products = await Product.findForCheck(intervalMinutes);
+      const [products, watches] = await Promise.all([
+        Product.findForCheck(intervalMinutes),
+        SearchWatch.findForCheck(intervalMinutes)
+      ]);
       
-      if (products.length === 0) {
+      if (products.length === 0 && watches.length === 0) {
         logger.info('Nenhum produto para verificar no momento');
         return;
       }
 
       this.currentCheck.products = products;
-      logger.info(`Verificando ${products.length} produto(s)`, { checkId });
-
-      // Processar produtos em lotes para evitar sobrecarga
-      const batchSize = 5;
-      const batches = this.chunkArray(products, batchSize);
-      
-      for (let i = 0; i < batches.length; i++) {
-        const batch = batches[i];
-        logger.debug(`Processando lote ${i + 1}/${batches.length} com ${batch.length} produtos`);
-        
-        const batchPromises = batch.map(product => 
-          this.checkProduct(product).catch(error => {
-            logger.error(`Erro ao verificar produto ${product.id}:`, error);
-            return { product, success: false, error: error.message };
-          })
-        );
+      logger.info(`Verificando ${products.length} produto(s) e ${watches.length} busca(s)`, { checkId });
 
-        const batchResults = await Promise.all(batchPromises);
-        this.currentCheck.results.push(...batchResults);
-
-        // Delay entre lotes
-        if (i < batches.length - 1) {
-          await this.delay(config.monitoring.requestDelayMs);
-        }
-      }
+      // Todos os produtos e buscas entram na fila do scraper, que intercala os domínios
+      // e respeita o intervalo de cada loja (token bucket por domínio)
+      await Promise.all([
+        ...products.map(product =>
+          this.checkProduct(product)
+            .catch(error => {
+              logger.error(`Erro ao verificar produto ${product.id}:`, error);
+              return { product, success: false, error: error.message };
+            })
+            .then(result => this.currentCheck.results.push(result))
+        ),
+        ...watches.map(watch =>
+          this.checkSearchWatch(watch)
+            .catch(error => {
+              logger.error(`Erro ao verificar busca ${watch.id}:`, error);
+              return { watch, search: true, success: false, error: error.message };
+            })
+            .then(result => this.currentCheck.searches.push(result))
+        )
+      ]);
 
       await this.processCheckResults();
 
@@ -169,13 +206,56 @@ class PriceMonitor {
         checkId,
         duration: `${duration}ms`,
         productsChecked: this.currentCheck.products.length,
-        successful: this.currentCheck.results.filter(r => r.success).length
+        searchesChecked: this.currentCheck.searches.length,
+        successful: this.currentCheck.results.filter(r => r.success).length,
+        skipped: this.currentCheck.results.filter(r => r.skipped).length
       });
 
       this.currentCheck = null;
     }
   }
 
+  /**
+   * Notifica o admin quando o circuito de um domínio abre
+   * Reaberturas após o request de teste não geram novo aviso
+   * @param {Object} event - { domain, reason, failures, retryAt, reopened }
+   */
+  async handleCircuitOpen(event) {
+    if (event.reopened || !this.notificationService) return;
+
+    const products = await Product.findActive();
+    const affected = products.filter(product => PriceScraper.extractDomain(product.url) === event.domain).length;
+
+    await this.notificationService.sendErrorNotification(
+      `🔌 **Loja bloqueando o monitor: ${event.domain}**\n\n` +
+      `${event.failures} bloqueio(s) seguido(s). ` +
+      `${affected} produto(s) desta loja ficarão sem verificação até ${new Date(event.retryAt).toLocaleString('pt-BR')}.`,
+      { domain: event.domain, reason: event.reason, retryAt: event.retryAt }
+    );
+  }
+
+  /**
+   * Notifica o admin sobre queda de sucesso ou troca do seletor vencedor
+   * @param {Object} event - { domain, type, baselineRate, recentRate, samples, from, to }
+   */
+  async handleExtractionAlert(event) {
+    if (!this.notificationService) return;
+
+    const percent = (rate) => `${Math.round(rate * 100)}%`;
+    const message = event.type === 'success_drop'
+      ? `📉 **Extração falhando em ${event.domain}**\n\n` +
+        `Taxa de sucesso caiu de ${percent(event.baselineRate)} para ${percent(event.recentRate)} ` +
+        `nas últimas ${event.samples} verificações. O layout da loja pode ter mudado.`
+      : `🔀 **Seletor de preço mudou em ${event.domain}**\n\n` +
+        `Antes: \`${event.from}\`\nAgora: \`${event.to}\`\n` +
+        'Confira se o preço extraído continua correto.';
+
+    await this.notificationService.sendErrorNotification(message, {
+      domain: event.domain,
+      type: event.type
+    });
+  }
+
   /**
    * Verifica um produto específico
    * @param {Object} product - Dados do produto
@@ -186,9 +266,21 @@ class PriceMonitor {
     try {
       logger.debug(`Verificando produto: ${product.name} (${product.id})`);
 
-      // Fazer scraping do preço atual
-      const scrapedData = await PriceScraper.scrapePrice(product.url);
+      // Fazer scraping do preço atual (com frete, se houver CEP configurado)
+      const cep = await this.getShippingCep(product);
+      const scrapedData = await PriceScraper.scrapePrice(product.url, { cep });
       
+      // Loja com circuito aberto: não conta como erro do produto
+      if (scrapedData.circuitOpen) {
+        return {
+          product,
+          success: false,
+          skipped: true,
+          error: scrapedData.error,
+          duration: Date.now() - startTime
+        };
+      }
+
       if (!scrapedData.success) {
         // Incrementar contador de erro
         await Product.incrementError(product.id, scrapedData.error);
@@ -201,29 +293,175 @@ class PriceMonitor {
         };
       }
 
-      // Atualizar preço do produto
-      const priceUpdate = await Product.updatePrice(product.id, scrapedData.price);
-      
-      // Adicionar ao histórico
-      await PriceHistory.add(
-        product.id, 
-        scrapedData.price, 
-        priceUpdate.priceChange
-      );
+      // Preço que o produto acompanha (Pix, cartão, parcelado ou preço principal)
+      const price = PricePoints.resolve(scrapedData, product.price_point);
+
+      if (product.price_point && !price && scrapedData.price) {
+        logger.warn(`Ponto de preço "${product.price_point}" não encontrado para o produto ${product.id}`, {
+          pricePoints: scrapedData.pricePoints
+        });
+      }
+
+      // Página em outra moeda (ex: loja internacional mudou a região): valores não são comparáveis
+      const currency = product.currency || config.currency.default;
+      if (price && scrapedData.currency && scrapedData.currency !== currency) {
+        const message = `Moeda da página (${scrapedData.currency}) diferente da moeda do produto (${currency})`;
+
+        // Moeda deduzida do símbolo pode estar errada: pula a leitura sem contar erro
+        if (scrapedData.currencySource !== 'declared') {
+          logger.warn(`${message}, deduzida pelo texto do preço; verificação ignorada: produto ${product.id}`);
+
+          return {
+            product,
+            success: false,
+            skipped: true,
+            error: message,
+            duration: Date.now() - startTime
+          };
+        }
+
+        logger.warn(`${message}: produto ${product.id}`);
+        await Product.incrementError(product.id, message);
+
+        return {
+          product,
+          success: false,
+          error: message,
+          duration: Date.now() - startTime
+        };
+      }
+
+      // Identificadores do item (GTIN/MPN) ainda não gravados, usados nos grupos entre lojas
+      const identifiers = ['gtin', 'mpn', 'brand'].filter(field => scrapedData[field] && !product[field]);
+      if (identifiers.length > 0) {
+        await Product.update(product.id, Object.fromEntries(identifiers.map(field => [field, scrapedData[field]])));
+      }
+
+      // Preço muito fora do histórico recente: só é aceito depois de confirmado
+      // Em quarentena fica só o preço; disponibilidade, vendedor e cupons seguem valendo
+      let quarantine = null;
+      if (price) {
+        const sanity = await this.checkPriceSanity(product, price, scrapedData, cep);
+
+        if (!sanity.accepted) {
+          this.stats.quarantinedReadings++;
+          quarantine = sanity;
+        }
+      }
+      const acceptedPrice = quarantine ? null : price;
+
+      // Vendedor da oferta (marketplaces): outro vendedor pode ter ganhado a oferta principal
+      const previousSeller = Sellers.fromRow(product);
+      const seller = scrapedData.seller || null;
+      const sellerChanged = Sellers.hasChanged(previousSeller, seller);
+
+      if (seller && (!Sellers.isSameSeller(previousSeller, seller) || seller.official !== previousSeller.official)) {
+        await Product.update(product.id, Sellers.toRow(seller));
+      }
+
+      if (sellerChanged) {
+        logger.info(`Vendedor do produto ${product.id} mudou`, {
+          from: Sellers.describe(previousSeller),
+          to: Sellers.describe(seller)
+        });
+      }
+
+      // Cupons e selos da página: preço efetivo com o melhor cupom aplicável
+      const promotions = scrapedData.promotions || null;
+      const effective = Promotions.getEffectivePrice(acceptedPrice || product.current_price, promotions);
+
+      if (promotions || product.promotions) {
+        await Product.update(product.id, { promotions, effective_price: effective ? effective.price : null });
+      }
+
+      let priceUpdate;
+      let comparison = null;
+      const shippingCost = scrapedData.shipping ? scrapedData.shipping.cost : null;
+      const landedPrice = Shipping.getLandedPrice(acceptedPrice, scrapedData.shipping);
+
+      if (acceptedPrice) {
+        // Atualizar preço do produto
+        priceUpdate = await Product.updatePrice(product.id, acceptedPrice, scrapedData.availability);
+
+        // Preço final com frete (mantido em sincronia com current_price)
+        if (cep || product.landed_price) {
+          await Product.update(product.id, { shipping_cost: shippingCost, landed_price: landedPrice });
+        }
+        
+        // Adicionar ao histórico
+        await PriceHistory.add(
+          product.id, 
+          acceptedPrice, 
+          priceUpdate.priceChange,
+          'scraping',
+          {
+            availability: priceUpdate.availability,
+            pricePoints: scrapedData.pricePoints,
+            shippingCost,
+            seller,
+            promotions,
+            effectivePrice: effective ? effective.price : null,
+            currency
+          }
+        );
+
+        comparison = this.getComparison(product, acceptedPrice, landedPrice, priceUpdate);
+      } else {
+        // Produto sem preço na página (esgotado/indisponível), sem o ponto de preço escolhido
+        // ou com o preço em quarentena
+        priceUpdate = await Product.updateAvailability(product.id, scrapedData.availability);
+
+        // Registrar mudança de disponibilidade com o último preço conhecido
+        if (priceUpdate.availability !== priceUpdate.oldAvailability && product.current_price) {
+          await PriceHistory.add(
+            product.id,
+            product.current_price,
+            0,
+            'availability',
+            { availability: priceUpdate.availability, seller, currency }
+          );
+        }
+      }
 
       // Verificar se deve enviar notificações
-      const notifications = await this.checkNotifications(product, scrapedData.price, priceUpdate);
+      const notifications = await this.checkNotifications(
+        {
+          ...product,
+          shipping: scrapedData.shipping || null,
+          shipping_cost: shippingCost,
+          landed_price: landedPrice,
+          seller,
+          previous_seller: sellerChanged ? previousSeller : null,
+          promotions,
+          effective_price: effective ? effective.price : null,
+          effective_coupon: effective ? effective.coupon : null
+        },
+        comparison ? comparison.newPrice : null,
+        comparison ? { ...priceUpdate, ...comparison } : priceUpdate
+      );
       
       const result = {
         product,
         success: true,
         oldPrice: priceUpdate.oldPrice,
-        newPrice: scrapedData.price,
+        newPrice: acceptedPrice,
+        pricePoints: scrapedData.pricePoints,
+        shipping: scrapedData.shipping || null,
+        landedPrice,
         priceChange: priceUpdate.priceChange,
+        availability: priceUpdate.availability,
+        seller,
+        sellerChanged,
+        promotions,
+        effectivePrice: effective ? effective.price : null,
         notifications,
         duration: Date.now() - startTime
       };
 
+      if (quarantine) {
+        Object.assign(result, { quarantined: true, quarantineId: quarantine.quarantineId, suspiciousPrice: price });
+      }
+
       this.stats.successfulChecks++;
       return result;
 
@@ -242,17 +480,378 @@ class PriceMonitor {
     }
   }
 
+  /**
+   * Compara o preço lido com o histórico recente (mediana/IQR)
+   * Leituras suspeitas são refeitas sem cache; se a nova leitura não confirmar
+   * o valor, a leitura vai para a quarentena e o produto não é alterado
+   * @param {Object} product - Dados do produto
+   * @param {number} price - Preço lido no ponto de preço do produto
+   * @param {Object} scrapedData - Resultado do scraping
+   * @param {string} cep - CEP da cotação de frete
+   * @returns {Promise<Object>} { accepted, evaluation, quarantineId }
+   */
+  async checkPriceSanity(product, price, scrapedData, cep) {
+    const options = config.monitoring.sanityCheck;
+    if (!options.enabled) return { accepted: true };
+
+    const history = await PriceHistory.getByProduct(product.id, 100, options.historyDays);
+    const prices = history.map(record => record.price);
+
+    // Sem histórico no período, o último preço aceito serve de referência
+    if (prices.length === 0 && product.current_price) {
+      prices.push(product.current_price);
+    }
+
+    const evaluation = PriceSanity.evaluate(price, prices, options);
+
+    if (!evaluation.suspicious) return { accepted: true, evaluation };
+
+    logger.warn(`Preço suspeito para o produto ${product.id}: ${Currencies.format(price, product.currency)} (${PriceSanity.describe(evaluation, product.currency)}), confirmando`, {
+      strategy: scrapedData.strategy,
+      selector: scrapedData.selector
+    });
+
+    const confirmation = await PriceScraper.scrapePrice(product.url, { cep, fresh: true });
+    const confirmPrice = confirmation.success ? PricePoints.resolve(confirmation, product.price_point) : null;
+    const confirmed = PriceSanity.isConfirmed(price, confirmPrice, options.confirmTolerance);
+
+    // Mesma leitura suspeita da verificação anterior: não duplicar a revisão
+    const pending = confirmed ? null : await PriceQuarantine.findPendingByProduct(product.id);
+    if (pending && PriceSanity.isConfirmed(pending.price, price, options.confirmTolerance)) {
+      return { accepted: false, evaluation, quarantineId: pending.id };
+    }
+
+    const entry = await PriceQuarantine.add({
+      productId: product.id,
+      price,
+      confirmPrice,
+      evaluation,
+      status: confirmed ? PriceQuarantine.STATUS.CONFIRMED : PriceQuarantine.STATUS.PENDING,
+      details: {
+        strategy: scrapedData.strategy || null,
+        selector: scrapedData.selector || null,
+        pricePoints: scrapedData.pricePoints || null,
+        confirmError: confirmation.success ? null : confirmation.error
+      }
+    });
+
+    if (confirmed) {
+      logger.info(`Preço do produto ${product.id} confirmado pela nova leitura`, { price, confirmPrice });
+    } else {
+      logger.warn(`Leitura do produto ${product.id} em quarentena (#${entry.id})`, { price, confirmPrice });
+    }
+
+    return { accepted: confirmed, evaluation, quarantineId: entry.id };
+  }
+
+  /**
+   * Cria uma busca monitorada pela URL da busca/categoria ou por um termo em uma loja
+   * Os itens encontrados agora são a base: só os que aparecerem depois são "novos"
+   * @param {Object} options - { url, query, store, targetPrice, keywords, name, channelId, guildId, userId }
+   * @returns {Promise<Object>} { watch, items }
+   * @throws {Error} code INVALID_SEARCH_WATCH, SEARCH_NOT_SUPPORTED, SEARCH_WATCH_EXISTS,
+   *   SEARCH_WATCH_LIMIT, ROBOTS_DISALLOWED ou NO_ITEMS_FOUND
+   */
+  async createSearchWatch({ url = null, query = null, store = null, targetPrice = null, keywords = null, name = null, channelId, guildId, userId }) {
+    if (!url && !(query && store)) {
+      throw searchWatchError('Informe a URL da busca ou categoria, ou o termo e a loja', 'INVALID_SEARCH_WATCH');
+    }
+    if (url && !PriceScraper.isValidUrl(url)) {
+      throw searchWatchError('URL inválida', 'INVALID_SEARCH_WATCH');
+    }
+    if (targetPrice !== null && !(targetPrice > 0)) {
+      throw searchWatchError('Preço alvo inválido', 'INVALID_SEARCH_WATCH');
+    }
+
+    const searchUrl = url ? PriceScraper.normalizeUrl(url) : PriceScraper.buildSearchUrl(store, query);
+
+    // Página de um único produto: é monitorada pelo /addproduct
+    if (PriceScraper.getProductKey(searchUrl)) {
+      throw searchWatchError('A URL é de um produto; use /addproduct para monitorá-lo', 'INVALID_SEARCH_WATCH');
+    }
+
+    const existing = await SearchWatch.findByUrl(guildId, searchUrl);
+    if (existing) {
+      const error = searchWatchError('Esta busca já é monitorada neste servidor', 'SEARCH_WATCH_EXISTS');
+      error.watch = existing;
+      throw error;
+    }
+
+    const { maxWatchesPerGuild } = config.monitoring.searchWatch;
+    if ((await SearchWatch.findByGuild(guildId)).length >= maxWatchesPerGuild) {
+      throw searchWatchError(`Limite de ${maxWatchesPerGuild} buscas monitoradas por servidor atingido`, 'SEARCH_WATCH_LIMIT');
+    }
+
+    const robots = await PriceScraper.checkRobots(searchUrl);
+    if (!robots.allowed) {
+      const error = searchWatchError('A loja não permite acesso automatizado a esta página', 'ROBOTS_DISALLOWED');
+      error.robots = robots;
+      throw error;
+    }
+
+    const listing = await PriceScraper.scrapeListing(searchUrl);
+    if (!listing.success) {
+      throw searchWatchError(listing.error || 'Nenhum item encontrado na página', 'NO_ITEMS_FOUND');
+    }
+
+    const items = listing.items.filter(item => Listings.matchesKeywords(item.name, keywords));
+
+    const { id } = await SearchWatch.create({
+      name: name || (query ? `Busca: ${query}` : listing.title || listing.domain),
+      url: searchUrl,
+      query,
+      domain: listing.domain,
+      keywords: keywords || null,
+      targetPrice,
+      currency: listing.currency || config.currency.default,
+      channelId,
+      guildId,
+      userId
+    });
+
+    await SearchWatch.saveItems(id, items);
+    await SearchWatch.recordCheck(id, { itemCount: items.length, bestPrice: Listings.bestPrice(items) });
+
+    return { watch: await SearchWatch.findById(id), items };
+  }
+
+  /**
+   * Verifica uma busca monitorada: itens novos e itens que chegaram ao preço alvo
+   * @param {Object} watch - Dados da busca
+   * @returns {Promise<Object>} { watch, search, success, newItems, crossed, notifications }
+   */
+  async checkSearchWatch(watch) {
+    const startTime = Date.now();
+
+    const listing = await PriceScraper.scrapeListing(watch.url);
+
+    // Loja com circuito aberto: não conta como erro da busca
+    if (listing.circuitOpen) {
+      return { watch, search: true, success: false, skipped: true, error: listing.error };
+    }
+
+    if (!listing.success) {
+      await SearchWatch.incrementError(watch.id, listing.error);
+      return { watch, search: true, success: false, error: listing.error, duration: Date.now() - startTime };
+    }
+
+    const items = listing.items.filter(item => Listings.matchesKeywords(item.name, watch.keywords));
+    const known = await SearchWatch.getItems(watch.id);
+
+    // Busca ainda sem itens salvos (ex: primeira verificação sem resultados): os itens atuais são a base
+    const { newItems, crossed } = Listings.compare(known, items, watch.target_price, { baseline: known.length === 0 });
+
+    await SearchWatch.saveItems(watch.id, items);
+    await SearchWatch.recordCheck(watch.id, { itemCount: items.length, bestPrice: Listings.bestPrice(items) });
+
+    const notifications = [];
+    if (newItems.length > 0 || crossed.length > 0) {
+      const displayWatch = { ...watch, ...(await this.getDisplayCurrency(watch)) };
+
+      if (newItems.length > 0) {
+        notifications.push(await this.notificationService.sendSearchNewItemsNotification(displayWatch, newItems));
+      }
+      if (crossed.length > 0) {
+        notifications.push(await this.notificationService.sendSearchTargetNotification(displayWatch, crossed));
+      }
+      this.stats.notificationsSent += notifications.filter(notification => notification.sent).length;
+    }
+
+    logger.debug(`Busca ${watch.id} verificada`, { items: items.length, newItems: newItems.length, crossed: crossed.length });
+
+    return {
+      watch,
+      search: true,
+      success: true,
+      newItems,
+      crossed,
+      notifications,
+      duration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Revisa uma leitura em quarentena
+   * Aprovada, o preço é aplicado ao produto e entra no histórico (sem alertas).
+   * Se o produto já recebeu um preço depois da leitura, ela só entra no histórico, na data original
+   * @param {number} id - ID da leitura
+   * @param {boolean} approve - true para aprovar, false para descartar
+   * @param {string} reviewedBy - Quem revisou
+   * @returns {Promise<Object>} Leitura revisada ({ ..., status, applied })
+   */
+  async reviewQuarantine(id, approve, reviewedBy = null) {
+    const entry = await PriceQuarantine.findById(id);
+    if (!entry) {
+      const notFound = new Error('Leitura em quarentena não encontrada');
+      notFound.code = 'QUARANTINE_NOT_FOUND';
+      throw notFound;
+    }
+
+    const alreadyReviewed = () => {
+      const reviewed = new Error('Leitura já revisada');
+      reviewed.code = 'QUARANTINE_ALREADY_REVIEWED';
+      return reviewed;
+    };
+
+    if (entry.status !== PriceQuarantine.STATUS.PENDING) throw alreadyReviewed();
+
+    if (!approve) {
+      const status = PriceQuarantine.STATUS.REJECTED;
+      if (!await PriceQuarantine.resolve(id, status, reviewedBy)) throw alreadyReviewed();
+      return { ...entry, status, applied: false };
+    }
+
+    // Uma leitura mais nova já definiu o preço atual: não voltar para o preço antigo
+    const latest = await PriceHistory.getLatest(entry.product_id);
+    const applyPrice = !latest || new Date(latest.checked_at) <= new Date(entry.created_at);
+
+    const reference = applyPrice
+      ? (await Product.findById(entry.product_id))?.current_price
+      : (await PriceHistory.getLatest(entry.product_id, entry.created_at))?.price;
+    const priceChange = reference ? ((entry.price - reference) / reference) * 100 : 0;
+
+    if (!await PriceQuarantine.approve(entry, { applyPrice, priceChange, reviewedBy })) throw alreadyReviewed();
+
+    return { ...entry, status: PriceQuarantine.STATUS.APPROVED, applied: applyPrice };
+  }
+
+  /**
+   * Carrega a tabela de cotações do arquivo local (config.currency.ratesFile)
+   * @returns {Promise<Object|null>} { base, rates } ou null se o arquivo não existe
+   */
+  async loadCurrencyRates() {
+    const table = Currencies.loadRatesFile(config.currency.ratesFile);
+    if (!table) return null;
+
+    await CurrencyRate.replaceAll(table, config.currency.ratesFile);
+    return table;
+  }
+
+  /**
+   * Moeda de exibição do servidor e a cotação a partir da moeda do produto
+   * Sem conversão quando as moedas são iguais ou falta a cotação
+   * @param {Object} product - Dados do produto
+   * @returns {Promise<Object>} { display_currency, display_rate }
+   */
+  async getDisplayCurrency(product) {
+    const none = { display_currency: null, display_rate: null };
+
+    try {
+      const currency = product.currency || config.currency.default;
+      const { currency: display, rates } = await this.getGuildCurrency(product.guild_id);
+      if (display === currency) return none;
+
+      const rate = Currencies.convert(1, currency, display, rates);
+      return rate ? { display_currency: display, display_rate: rate } : none;
+
+    } catch (error) {
+      logger.warn('Erro ao obter moeda de exibição:', { productId: product.id, error: error.message });
+      return none;
+    }
+  }
+
+  /**
+   * Moeda de exibição do servidor e a tabela de cotações
+   * Usadas para somar ou comparar preços de produtos em moedas diferentes
+   * @param {string} guildId - ID do servidor (null para a moeda de exibição padrão)
+   * @returns {Promise<Object>} { currency, rates }
+   */
+  async getGuildCurrency(guildId = null) {
+    const currency = (guildId && await Settings.getGuild(guildId, 'display_currency')) || config.currency.display;
+    return { currency, rates: await CurrencyRate.getTable() };
+  }
+
+  /**
+   * Resumo de um grupo de produtos na moeda de exibição do servidor
+   * @param {Object} group - Grupo com products
+   * @returns {Promise<Object>} Resultado de ProductGroups.summarize
+   */
+  async summarizeGroup(group) {
+    return ProductGroups.summarize(group, await this.getGuildCurrency(group.guild_id));
+  }
+
+  /**
+   * Obtém o CEP para cotação de frete (produto > servidor)
+   * @param {Object} product - Dados do produto
+   * @returns {Promise<string|null>}
+   */
+  async getShippingCep(product) {
+    if (product.shipping_cep) return product.shipping_cep;
+
+    try {
+      return await Settings.getGuild(product.guild_id, 'cep');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Define os valores comparados com o alvo e o limite de variação
+   * Produtos com use_landed_price comparam preço + frete quando as duas
+   * leituras (anterior e atual) têm cotação; caso contrário, o preço do produto
+   * @param {Object} product - Dados do produto (antes da atualização)
+   * @param {number} price - Novo preço do produto
+   * @param {number} landedPrice - Novo preço com frete (null sem cotação)
+   * @param {Object} priceUpdate - Resultado de Product.updatePrice
+   * @returns {Object} { newPrice, oldPrice, priceChange, landed }
+   */
+  getComparison(product, price, landedPrice, priceUpdate) {
+    if (product.use_landed_price && landedPrice && product.landed_price) {
+      return {
+        newPrice: landedPrice,
+        oldPrice: product.landed_price,
+        priceChange: ((landedPrice - product.landed_price) / product.landed_price) * 100,
+        landed: true
+      };
+    }
+
+    return {
+      newPrice: price,
+      oldPrice: priceUpdate.oldPrice,
+      priceChange: priceUpdate.priceChange,
+      landed: false
+    };
+  }
+
   /**
    * Verifica se deve enviar notificações
    * @param {Object} product - Dados do produto
-   * @param {number} newPrice - Novo preço
+   * @param {number} newPrice - Novo preço no ponto de preço do produto (null se não encontrado)
    * @param {Object} priceUpdate - Dados da atualização
    */
   async checkNotifications(product, newPrice, priceUpdate) {
     const notifications = [];
     
     try {
-      const { oldPrice, priceChange } = priceUpdate;
+      const { oldPrice, priceChange, oldAvailability, availability } = priceUpdate;
+
+      // Produto restrito a vendedores oficiais: oferta de terceiro não gera alerta
+      if (!Sellers.isAllowed(product, product.seller)) {
+        logger.debug(`Alertas do produto ${product.id} ignorados: oferta de vendedor não oficial`, {
+          seller: Sellers.describe(product.seller)
+        });
+        return notifications;
+      }
+
+      // Valores convertidos para a moeda de exibição do servidor nas mensagens
+      product = { ...product, ...(await this.getDisplayCurrency(product)) };
+
+      // Verificar se voltou ao estoque
+      const wasUnavailable = oldAvailability && !Availability.isPurchasable(oldAvailability);
+      if (wasUnavailable && Availability.isPurchasable(availability)) {
+        const notification = await this.notificationService.sendBackInStockNotification(
+          product,
+          newPrice,
+          availability
+        );
+        notifications.push({ type: 'back_in_stock', ...notification });
+        this.stats.notificationsSent++;
+      }
+
+      // Sem preço não há comparação a fazer
+      if (!newPrice) {
+        return notifications;
+      }
       
       // Verificar se atingiu preço alvo
       if (newPrice <= product.target_price && oldPrice && oldPrice > product.target_price) {
@@ -306,16 +905,25 @@ class PriceMonitor {
 
     const results = this.currentCheck.results;
     const successful = results.filter(r => r.success);
+    const priced = successful.filter(r => r.newPrice);
     const failed = results.filter(r => !r.success);
+
+    // Preço médio na moeda de exibição padrão (produtos sem cotação ficam de fora)
+    const { currency, rates } = await this.getGuildCurrency();
+    const converted = priced
+      .map(r => Currencies.convert(r.newPrice, r.product.currency || config.currency.default, currency, rates))
+      .filter(price => price !== null);
     
     // Estatísticas da verificação
     const stats = {
       total: results.length,
       successful: successful.length,
       failed: failed.length,
+      quarantined: results.filter(r => r.quarantined).length,
       notifications: successful.reduce((sum, r) => sum + (r.notifications?.length || 0), 0),
-      averagePrice: successful.length > 0 ? 
-        successful.reduce((sum, r) => sum + r.newPrice, 0) / successful.length : 0,
+      averagePrice: converted.length > 0 ?
+        converted.reduce((sum, price) => sum + price, 0) / converted.length : 0,
+      currency,
       biggestDrop: successful.reduce((min, r) => 
         r.priceChange < min ? r.priceChange : min, 0),
       biggestIncrease: successful.reduce((max, r) => 
@@ -326,7 +934,7 @@ class PriceMonitor {
 
     // Enviar resumo se houver muitas mudanças
     if (stats.notifications >= 5) {
-      await this.notificationService.sendSummaryNotification(stats, successful);
+      await this.notificationService.sendSummaryNotification(stats, priced);
     }
 
     // Limpar dados antigos periodicamente
@@ -349,6 +957,10 @@ class PriceMonitor {
         logger.info(`${reactivated} produtos reativados após período de erro`);
       }
 
+      // Buscas monitoradas: reativar após 24h e esquecer itens que sumiram da página
+      await SearchWatch.reactivateErrorWatches();
+      await SearchWatch.purgeStaleItems(config.monitoring.searchWatch.staleItemDays);
+
       // Limpeza de histórico antigo (manter últimos 90 dias)
       const cleanedHistory = await PriceHistory.cleanup(90);
       
@@ -356,6 +968,16 @@ class PriceMonitor {
         logger.info(`${cleanedHistory} registros de histórico removidos`);
       }
 
+      // Páginas em cache não validadas dentro do prazo
+      const cleanedPages = await PageCache.purgeExpired(config.scraping.pageCacheMinutes);
+
+      if (cleanedPages > 0) {
+        logger.info(`${cleanedPages} páginas removidas do cache`);
+      }
+
+      // Histórico de saúde da extração
+      await ExtractionHealth.cleanup(config.scraping.selectorHealth.historyDays);
+
       // Backup do banco de dados
       if (this.stats.totalChecks % 50 === 0) {
         const database = require('../database/database');
@@ -506,6 +1128,7 @@ class PriceMonitor {
       successfulChecks: 0,
       failedChecks: 0,
       notificationsSent: 0,
+      quarantinedReadings: 0,
       lastCheck: null,
       nextCheck: this.stats.nextCheck
     };
@@ -514,4 +1137,15 @@ class PriceMonitor {
   }
 }
 
+/**
+ * Erro de validação de busca monitorada
+ * @param {string} message - Mensagem
+ * @param {string} code - Código do erro
+ */
+function searchWatchError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
 module.exports = new PriceMonitor();
\ No newline at end of file
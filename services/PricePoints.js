@@ -0,0 +1,119 @@
+/**
+ * Pontos de preço (Pix, boleto, cartão e parcelado)
+ * Lojas brasileiras exibem vários preços para o mesmo produto; cada um é
+ * extraído separadamente para que o produto compare sempre o mesmo valor
+ */
+const POINTS = {
+  PIX: 'pix',
+  BOLETO: 'boleto',
+  CARD: 'card',
+  INSTALLMENT: 'installment'
+};
+
+const MONEY = 'R\\$\\s*((?:\\d{1,3}(?:\\.\\d{3})+|\\d+)(?:,\\d{2})?)(?!\\d)';
+
+// Texto entre a forma de pagamento e o valor, sem atravessar outro valor
+// (com a flag i, [^R] também excluiria o "r" de "por" ou "bancário")
+const GAP = '(?:(?!R\\$)\\D){0,30}';
+
+// Padrões de texto por ponto de preço (valor antes ou depois da forma de pagamento)
+const TEXT_PATTERNS = {
+  [POINTS.PIX]: [
+    new RegExp(`${MONEY}\\s*(?:à vista\\s*)?(?:no|via|com|pelo|em)\\s*pix`, 'i'),
+    new RegExp(`pix${GAP}${MONEY}`, 'i'),
+    new RegExp(`${MONEY}\\s*à vista`, 'i')
+  ],
+  [POINTS.BOLETO]: [
+    new RegExp(`${MONEY}\\s*(?:à vista\\s*)?(?:no|via|com|pelo|em)\\s*boleto`, 'i'),
+    new RegExp(`boleto${GAP}${MONEY}`, 'i')
+  ],
+  [POINTS.CARD]: [
+    new RegExp(`${MONEY}\\s*(?:no|via|com|em)\\s*cart[ãa]o`, 'i'),
+    new RegExp(`${MONEY}\\s*a prazo`, 'i')
+  ]
+};
+
+// Ex: "em até 10x de R$ 99,90 sem juros", "12x R$ 83,25"
+const INSTALLMENT_PATTERN = new RegExp(`(\\d{1,2})\\s*x\\s*(?:de\\s*)?${MONEY}(\\s*sem juros)?`, 'i');
+
+/**
+ * Verifica se um valor é um ponto de preço conhecido
+ * @param {string} point - Nome do ponto de preço
+ */
+function isValid(point) {
+  return Object.values(POINTS).includes(point);
+}
+
+/**
+ * Extrai os pontos de preço de um texto da área de compra
+ * @param {string} text - Texto da página
+ * @param {Function} parsePrice - Função para converter texto em preço
+ * @returns {Object} { pix, boleto, card, installment, installments }
+ */
+function extractFromText(text, parsePrice) {
+  const points = {};
+  if (!text) return points;
+
+  for (const [point, patterns] of Object.entries(TEXT_PATTERNS)) {
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      const price = match ? parsePrice(match[1]) : null;
+      if (price) {
+        points[point] = price;
+        break;
+      }
+    }
+  }
+
+  const installment = text.match(INSTALLMENT_PATTERN);
+  if (installment) {
+    const count = parseInt(installment[1], 10);
+    const value = parsePrice(installment[2]);
+
+    if (count > 1 && value) {
+      const total = Math.round(count * value * 100) / 100;
+      points[POINTS.INSTALLMENT] = total;
+      points.installments = { count, value, interestFree: !!installment[3] };
+
+      // Parcelado sem juros equivale ao preço no cartão
+      if (!points[POINTS.CARD] && installment[3]) {
+        points[POINTS.CARD] = total;
+      }
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Obtém o preço que deve ser usado para o produto
+ * @param {Object} scrapedData - Dados do scraping ({ price, pricePoints })
+ * @param {string} point - Ponto de preço escolhido (null = preço principal)
+ * @returns {number|null} Preço ou null se o ponto não foi encontrado
+ */
+function resolve(scrapedData, point) {
+  if (!point) return scrapedData.price || null;
+  return scrapedData.pricePoints?.[point] || null;
+}
+
+/**
+ * Rótulo legível para exibição
+ * @param {string} point - Ponto de preço (null = preço principal)
+ */
+function getLabel(point) {
+  const labels = {
+    [POINTS.PIX]: '⚡ Pix / à vista',
+    [POINTS.BOLETO]: '🧾 Boleto',
+    [POINTS.CARD]: '💳 Cartão',
+    [POINTS.INSTALLMENT]: '📆 Parcelado (total)'
+  };
+  return labels[point] || '💰 Preço principal';
+}
+
+module.exports = {
+  POINTS,
+  isValid,
+  extractFromText,
+  resolve,
+  getLabel
+};
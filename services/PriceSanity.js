@@ -0,0 +1,105 @@
+/**
+ * Validação do preço lido antes de aceitar a verificação
+ * Um "R$ 12" (parcela) ou "R$ 1.299.000" lido por engano não pode reescrever
+ * o preço do produto nem disparar alertas: leituras muito fora do histórico
+ * recente (mediana/IQR) precisam ser confirmadas por uma nova leitura
+ */
+const Currencies = require('./Currencies');
+
+/**
+ * Mediana de uma lista de valores
+ * @param {Array<number>} values - Valores
+ */
+function median(values) {
+  return quantile([...values].sort((a, b) => a - b), 0.5);
+}
+
+/**
+ * Quantil com interpolação linear sobre valores ordenados
+ * @param {Array<number>} sorted - Valores em ordem crescente
+ * @param {number} q - Quantil (0 a 1)
+ */
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+
+  const position = (sorted.length - 1) * q;
+  const base = Math.floor(position);
+  const next = sorted[base + 1] !== undefined ? sorted[base + 1] : sorted[base];
+  return sorted[base] + (position - base) * (next - sorted[base]);
+}
+
+/**
+ * Avalia um preço contra o histórico recente do produto
+ * Com histórico suficiente, é suspeito o preço fora das cercas de Tukey
+ * (Q1 - k·IQR, Q3 + k·IQR) e que se afasta da mediana mais que maxDeviation;
+ * com poucas leituras, só variações extremas (extremeRatio vezes a mediana)
+ * @param {number} price - Preço lido
+ * @param {Array<number>} history - Preços recentes do produto
+ * @param {Object} options - { minSamples, iqrMultiplier, maxDeviation, extremeRatio }
+ * @returns {Object} { suspicious, reason, median, lower, upper, deviation, samples }
+ */
+function evaluate(price, history, options) {
+  const samples = (history || []).filter(value => value > 0);
+  const result = { suspicious: false, reason: null, median: null, lower: null, upper: null, deviation: null, samples: samples.length };
+
+  if (!price || samples.length === 0) return result;
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  result.median = quantile(sorted, 0.5);
+  result.deviation = (price - result.median) / result.median;
+
+  if (samples.length >= options.minSamples) {
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const iqr = q3 - q1;
+
+    result.lower = q1 - options.iqrMultiplier * iqr;
+    result.upper = q3 + options.iqrMultiplier * iqr;
+
+    const outside = price < result.lower || price > result.upper;
+    result.suspicious = outside && Math.abs(result.deviation) >= options.maxDeviation;
+  } else {
+    result.lower = result.median / options.extremeRatio;
+    result.upper = result.median * options.extremeRatio;
+    result.suspicious = price <= result.lower || price >= result.upper;
+  }
+
+  if (result.suspicious) {
+    result.reason = price < result.median ? 'below_range' : 'above_range';
+  }
+
+  return result;
+}
+
+/**
+ * Verifica se a nova leitura confirma o preço suspeito
+ * @param {number} price - Preço suspeito
+ * @param {number} confirmPrice - Preço da leitura de confirmação
+ * @param {number} tolerance - Diferença relativa aceita (ex: 0.02)
+ */
+function isConfirmed(price, confirmPrice, tolerance) {
+  if (!price || !confirmPrice) return false;
+  return Math.abs(confirmPrice - price) / price <= tolerance;
+}
+
+/**
+ * Texto de exibição do motivo
+ * @param {Object} evaluation - Resultado de evaluate
+ * @param {string} currency - Moeda do produto
+ */
+function describe(evaluation, currency = null) {
+  if (!evaluation || !evaluation.median) return 'Sem histórico';
+
+  const direction = evaluation.reason === 'above_range' ? 'acima' : 'abaixo';
+  const samples = evaluation.samples ? `, ${evaluation.samples} leitura(s)` : '';
+  return `${Math.abs(evaluation.deviation * 100).toFixed(0)}% ${direction} da mediana ` +
+    `(${Currencies.format(evaluation.median, currency)}${samples})`;
+}
+
+module.exports = {
+  median,
+  quantile,
+  evaluate,
+  isConfirmed,
+  describe
+};
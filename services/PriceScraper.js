@@ -1,7 +1,56 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { readdirSync } = require('fs');
+const path = require('path');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const StructuredDataExtractor = require('./StructuredDataExtractor');
+const Availability = require('./Availability');
+const PricePoints = require('./PricePoints');
+const Promotions = require('./Promotions');
+const Currencies = require('./Currencies');
+const ProductKeys = require('./ProductKeys');
+const Shipping = require('./Shipping');
+const Sellers = require('./Sellers');
+const RobotsTxt = require('./RobotsTxt');
+const TokenBucket = require('./TokenBucket');
+const CircuitBreaker = require('./CircuitBreaker');
+const PageCache = require('../database/models/PageCache');
+const Settings = require('../database/models/Settings');
+const SiteConfig = require('../database/models/SiteConfig');
+const ExtractionHealth = require('../database/models/ExtractionHealth');
+const SelectorHealth = require('./SelectorHealth');
+const SelectorLearner = require('./SelectorLearner');
+const UrlResolver = require('./UrlResolver');
+const ProxyPool = require('./ProxyPool');
+const HeaderProfiles = require('./HeaderProfiles');
+const StaticRenderer = require('./renderers/StaticRenderer');
+const BrowserRenderer = require('./renderers/BrowserRenderer');
+const Fixtures = require('./Fixtures');
+const Listings = require('./Listings');
+const BaseAdapter = require('./adapters/BaseAdapter');
+const SelectorAdapter = require('./adapters/SelectorAdapter');
+
+// Chave das configurações de site salvas em settings (versões anteriores)
+const LEGACY_SITE_CONFIG_PREFIX = 'site_config:';
+
+// Plataforma reconhecida em cada loja sem adaptador próprio (ex: "platform:loja.com.br" = vtex)
+const PLATFORM_SETTING_PREFIX = 'platform:';
+
+// Marcas de páginas de desafio/bloqueio (Cloudflare, Akamai, DataDome, PerimeterX, captchas)
+// Palavras soltas como "robot" ou "cloudflare" aparecem em páginas normais (meta robots, assets em CDN)
+const BLOCK_MARKERS = [
+  /\bcf-chl[-_]/i,
+  /\/cdn-cgi\/challenge-platform\//i,
+  /\bcf-browser-verification\b/i,
+  /captcha-delivery\.com/i,
+  /\bpx-captcha\b/i,
+  /<form[^>]*(?:captcha|challenge)[^>]*>/i,
+  /<title>[^<]*(?:access denied|attention required|just a moment|are you a (?:robot|human)|captcha|security check|verifica[çc][ãa]o de seguran[çc]a)[^<]*<\/title>/i
+];
+
+// Campos aceitos em uma configuração de site
+const SITE_CONFIG_FIELDS = ['selectors', 'nameSelectors', 'pricePointSelectors', 'promotionSelectors', 'currency', 'waitTime', 'renderMode'];
 
 /**
  * Serviço profissional de scraping de preços
@@ -13,52 +62,207 @@ class PriceScraper {
     this.requestQueue = [];
     this.isProcessing = false;
     this.retryAttempts = new Map();
+    this.structuredDataExtractor = new StructuredDataExtractor({
+      parsePrice: (text) => this.parsePrice(text)
+    });
+
+    // Aprendizado de seletores a partir do preço confirmado pelo usuário
+    this.selectorLearner = new SelectorLearner({
+      parsePrice: (text) => this.parsePrice(text),
+      tryExtractPrice: ($, selector) => this.tryExtractPrice($, selector)
+    });
+
+    // Links encurtados e de afiliados até a URL final do produto
+    this.urlResolver = new UrlResolver({
+      request: (url) => this.fetchRedirect(url),
+      isKnownStore: (url) => !!this.getAdapter(this.extractDomain(url)),
+      isProductUrl: (url) => this.isProductUrl(url),
+      normalizeUrl: (url) => this.normalizeUrl(url),
+      maxRedirects: config.scraping.maxRedirects
+    });
+
+    // robots.txt da loja (regras e Crawl-delay), avaliado para os user-agents que os perfis enviam
+    this.robots = new RobotsTxt({
+      userAgents: HeaderProfiles.getProfiles(config.scraping).map(profile => profile.headers['User-Agent'])
+    });
+
+    // Circuit breaker por domínio (lojas bloqueando o bot)
+    this.circuitBreaker = new CircuitBreaker({
+      failureThreshold: config.scraping.circuitBreaker.failureThreshold,
+      cooldownMs: config.scraping.circuitBreaker.cooldownMinutes * 60 * 1000,
+      maxCooldownMs: config.scraping.circuitBreaker.maxCooldownMinutes * 60 * 1000
+    });
+
+    // Saúde da extração (taxa de sucesso e seletor vencedor por domínio)
+    this.selectorHealth = new SelectorHealth({
+      windowSize: config.scraping.selectorHealth.windowSize,
+      dropThreshold: config.scraping.selectorHealth.dropThreshold,
+      alertCooldownMs: config.scraping.selectorHealth.alertCooldownHours * 60 * 60 * 1000
+    });
+
+    // Proxies e perfis de navegador (identidades de saída)
+    this.proxyPool = new ProxyPool({
+      proxies: config.scraping.proxies,
+      profiles: HeaderProfiles.getProfiles(config.scraping),
+      strategy: config.scraping.proxyStrategy,
+      quarantineMs: config.scraping.proxyQuarantineMinutes * 60 * 1000
+    });
+
+    // Renderizadores (axios estático por padrão, navegador headless opcional)
+    this.renderers = new Map();
+    this.renderStats = new Map();
+    this.registerRenderer(new StaticRenderer());
+    this.registerRenderer(new BrowserRenderer(config.scraping.browser));
+
+    // Requests condicionais (ETag / Last-Modified)
+    this.cacheStats = { conditionalRequests: 0, notModified: 0 };
+
+    // Agendador: token bucket e requests ativos por domínio
+    this.domainStates = new Map();
+    this.activeRequests = 0;
+    this.wakeupTimer = null;
+    this.wakeupAt = 0;
     
-    // Configurações específicas por site
-    this.siteConfigs = {
-      'amazon.com.br': {
-        selectors: ['.a-price-whole', '.a-price .a-offscreen', '#priceblock_dealprice'],
-        nameSelectors: ['#productTitle', 'h1.a-size-large'],
-        currency: 'BRL',
-        waitTime: 3000
-      },
-      'mercadolivre.com.br': {
-        selectors: ['.andes-money-amount__fraction', '.price-tag-fraction'],
-        nameSelectors: ['.ui-pdp-title', '.item-title'],
-        currency: 'BRL',
-        waitTime: 2000
-      },
-      'americanas.com.br': {
-        selectors: ['.price__Value', '.price-value'],
-        nameSelectors: ['.product-title', 'h1'],
-        currency: 'BRL',
-        waitTime: 2000
-      },
-      'magazineluiza.com.br': {
-        selectors: ['.price-template__text', '[data-testid="price-value"]'],
-        nameSelectors: ['.header-product__title', 'h1'],
-        currency: 'BRL',
-        waitTime: 2000
-      },
-      'submarino.com.br': {
-        selectors: ['.price__Value', '.sales-price'],
-        nameSelectors: ['.product-title', 'h1'],
-        currency: 'BRL',
-        waitTime: 2000
-      },
-      'casasbahia.com.br': {
-        selectors: ['.sales-price', '.price-template__text'],
-        nameSelectors: ['.product-title', '.title'],
-        currency: 'BRL',
-        waitTime: 2000
+    // Adaptadores por loja (domínio -> adaptador)
+    this.adapters = new Map();
+    this.builtInAdapters = new Map();
+
+    // Adaptadores de plataforma (ex: VTEX) e as lojas reconhecidas (domínio -> adaptador)
+    this.platformAdapters = [];
+    this.platformDomains = new Map();
+    this.loadAdapters();
+  }
+
+  /**
+   * Carrega automaticamente os adaptadores da pasta adapters
+   * Cada arquivo *Adapter.js deve exportar uma classe derivada de BaseAdapter
+   */
+  loadAdapters() {
+    const adaptersPath = path.join(__dirname, 'adapters');
+    const internal = ['BaseAdapter.js', 'SelectorAdapter.js'];
+
+    try {
+      const adapterFiles = readdirSync(adaptersPath)
+        .filter(file => file.endsWith('Adapter.js') && !internal.includes(file));
+
+      for (const file of adapterFiles) {
+        try {
+          const AdapterClass = require(path.join(adaptersPath, file));
+          const adapter = new AdapterClass();
+
+          // Adaptadores de plataforma não têm domínios: atendem as lojas reconhecidas pela página
+          if (adapter instanceof BaseAdapter && adapter.platform) {
+            this.platformAdapters.push(adapter);
+            continue;
+          }
+
+          // Validar estrutura do adaptador
+          if (!(adapter instanceof BaseAdapter) || adapter.domains.length === 0) {
+            logger.warn(`Adaptador inválido ignorado: ${file}`);
+            continue;
+          }
+
+          this.registerAdapter(adapter);
+          adapter.domains.forEach(domain => this.builtInAdapters.set(domain, adapter));
+
+        } catch (error) {
+          logger.error(`Erro ao carregar adaptador ${file}:`, error);
+        }
       }
-    };
+
+      logger.debug(`${this.adapters.size} domínio(s) com adaptador carregado(s)`);
+
+    } catch (error) {
+      logger.error('Erro ao carregar adaptadores:', error);
+    }
+  }
+
+  /**
+   * Registra um adaptador para todos os seus domínios
+   * @param {BaseAdapter} adapter - Instância do adaptador
+   */
+  registerAdapter(adapter) {
+    adapter.domains.forEach(domain => this.adapters.set(domain, adapter));
+    logger.debug(`Adaptador registrado: ${adapter.name}`, { domains: adapter.domains });
+  }
+
+  /**
+   * Obtém o adaptador responsável por um domínio
+   * @param {string} domain - Domínio sem www.
+   * @returns {BaseAdapter|null}
+   */
+  getAdapter(domain) {
+    if (this.adapters.has(domain)) {
+      return this.adapters.get(domain);
+    }
+
+    // Subdomínios (ex: produto.mercadolivre.com.br)
+    for (const adapter of this.adapters.values()) {
+      if (adapter.matches(domain)) return adapter;
+    }
+
+    // Lojas de plataforma já reconhecidas (ex: VTEX)
+    return this.platformDomains.get(domain) || null;
+  }
+
+  /**
+   * Reconhece a plataforma de uma loja sem adaptador pela página
+   * A loja reconhecida passa a usar o adaptador da plataforma (também após reiniciar)
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {string} html - HTML da página
+   * @param {string} domain - Domínio
+   * @returns {BaseAdapter|null}
+   */
+  detectPlatform($, html, domain) {
+    const adapter = this.platformAdapters.find(candidate => candidate.detectPlatform($, { html, domain }));
+    if (!adapter) return null;
+
+    this.platformDomains.set(domain, adapter);
+    logger.info(`Loja ${domain} reconhecida como ${adapter.name}`);
+
+    Settings.set(`${PLATFORM_SETTING_PREFIX}${domain}`, adapter.platform, `Plataforma de ${domain}`).catch(error => {
+      logger.warn(`Erro ao salvar a plataforma de ${domain}: ${error.message}`);
+    });
+
+    return adapter;
+  }
+
+  /**
+   * Carrega as lojas de plataforma reconhecidas em execuções anteriores
+   * @returns {Promise<number>} Quantidade de lojas carregadas
+   */
+  async loadPlatformDomains() {
+    const rows = await Settings.getByPrefix(PLATFORM_SETTING_PREFIX);
+
+    for (const row of rows) {
+      const adapter = this.platformAdapters.find(candidate => candidate.platform === row.value);
+      if (adapter) {
+        this.platformDomains.set(row.key.slice(PLATFORM_SETTING_PREFIX.length), adapter);
+      }
+    }
+
+    logger.info(`${this.platformDomains.size} loja(s) de plataforma carregada(s)`);
+    return this.platformDomains.size;
+  }
+
+  /**
+   * Configurações por site no formato legado (somente leitura)
+   */
+  get siteConfigs() {
+    const configs = {};
+    for (const [domain, adapter] of this.adapters.entries()) {
+      configs[domain] = adapter.toConfig();
+    }
+    return configs;
   }
 
   /**
    * Extrai preço e informações de uma URL
    * @param {string} url - URL do produto
    * @param {Object} options - Opções adicionais
+   * @param {string} options.cep - CEP para cotação de frete (opcional)
+   * @param {boolean} options.fresh - Baixar a página de novo, sem request condicional
+   *   (ex: confirmar um preço suspeito sem reaproveitar a extração anterior)
    */
   async scrapePrice(url, options = {}) {
     const startTime = Date.now();
@@ -75,14 +279,40 @@ class PriceScraper {
       
       logger.scraping(url, 'started');
 
-      // Fazer request com retry automático
-      const response = await this.makeRequest(normalizedUrl, domain);
-      
-      // Extrair dados da página
-      const scrapedData = await this.extractData(response.data, domain, normalizedUrl);
+      // API da loja, quando o adaptador oferece uma; o HTML fica como alternativa
+      let response = null;
+      let scrapedData = await this.fetchFromApi(normalizedUrl, domain);
+
+      if (!scrapedData) {
+        // Renderizadores a tentar, em ordem (ex: estático e, se falhar, navegador)
+        const plan = this.getRenderPlan(domain);
+
+        for (const [index, mode] of plan.entries()) {
+          ({ response, scrapedData } = await this.fetchAndExtract(normalizedUrl, domain, mode, { fresh: options.fresh }));
+          this.recordRender(domain, mode, scrapedData.success);
+
+          if (scrapedData.success) break;
+
+          if (index < plan.length - 1) {
+            logger.info(`Extração (${mode}) falhou para ${domain}, tentando ${plan[index + 1]}`, { url });
+          }
+        }
+
+        // Extração reaproveitada (304) não diz nada sobre os seletores atuais
+        if (!scrapedData.reused) {
+          this.recordExtraction(domain, scrapedData);
+        }
+      }
+
+      // Cotar frete para o CEP configurado
+      if (options.cep && scrapedData.success && scrapedData.price) {
+        scrapedData.shipping = await this.getShippingQuote(normalizedUrl, domain, options.cep, {
+          html: response ? response.data : null
+        });
+      }
       
       const duration = Date.now() - startTime;
-      logger.perf('scraping', duration, { url: domain, success: scrapedData.success });
+      logger.perf('scraping', duration, { url: domain, success: scrapedData.success, strategy: scrapedData.strategy });
 
       if (scrapedData.success) {
         logger.scraping(url, 'success', scrapedData.price);
@@ -101,6 +331,67 @@ class PriceScraper {
 
     } catch (error) {
       const duration = Date.now() - startTime;
+
+      // Mesma URL normalizada das leituras bem-sucedidas
+      const normalizedUrl = this.isValidUrl(url) ? this.normalizeUrl(url) : url;
+      const domain = this.extractDomain(normalizedUrl);
+
+      // Página removida: para um produto monitorado, ele deixou de existir na loja (não é falha de scraping);
+      // ao adicionar, removed indica link quebrado ou digitado errado
+      if (error.status === 404 || error.status === 410) {
+        logger.info(`Produto indisponível (HTTP ${error.status}): ${url}`);
+
+        return {
+          price: null,
+          name: null,
+          availability: Availability.STATES.UNAVAILABLE,
+          success: true,
+          removed: true,
+          httpStatus: error.status,
+          error: null,
+          url: normalizedUrl,
+          domain,
+          scrapedAt: new Date().toISOString(),
+          duration
+        };
+      }
+
+      // URL proibida pelo robots.txt: não é erro temporário
+      if (error.code === 'ROBOTS_DISALLOWED') {
+        logger.warn(`Scraping bloqueado pelo robots.txt: ${url}`, { rule: error.robots.rule });
+
+        return {
+          price: null,
+          name: null,
+          success: false,
+          error: error.message,
+          robots: error.robots,
+          url: normalizedUrl,
+          domain,
+          scrapedAt: new Date().toISOString(),
+          duration
+        };
+      }
+
+      // Domínio com circuito aberto: produto ignorado até o cooldown acabar
+      if (error.code === 'CIRCUIT_OPEN') {
+        logger.debug(`Scraping ignorado (circuito aberto): ${url}`);
+
+        return {
+          price: null,
+          name: null,
+          success: false,
+          skipped: true,
+          circuitOpen: true,
+          error: error.message,
+          circuit: error.circuit,
+          url: normalizedUrl,
+          domain,
+          scrapedAt: new Date().toISOString(),
+          duration
+        };
+      }
+
       logger.scraping(url, 'error', null, error.message);
       
       return {
@@ -108,21 +399,281 @@ class PriceScraper {
         name: null,
         success: false,
         error: error.message,
+        url: normalizedUrl,
+        domain,
+        scrapedAt: new Date().toISOString(),
+        duration
+      };
+    }
+  }
+
+  /**
+   * Busca a página com um renderizador e extrai os dados
+   * @param {string} url - URL normalizada
+   * @param {string} domain - Domínio
+   * @param {string} mode - Nome do renderizador
+   * @param {Object} options - { fresh }
+   * @returns {Promise<Object>} { response, scrapedData }
+   */
+  async fetchAndExtract(url, domain, mode, options = {}) {
+    const response = await this.makeRequest(url, domain, {
+      // Requests condicionais só fazem sentido para o HTML estático
+      conditional: mode === 'static' && !options.fresh,
+      renderer: this.renderers.get(mode)
+    });
+
+    // 304: página igual à da última verificação, reaproveitar a extração
+    if (response.notModified && response.cached.extracted) {
+      return { response, scrapedData: { ...response.cached.extracted, notModified: true, reused: true } };
+    }
+
+    // Extrair dados da página
+    const scrapedData = await this.extractData(response.data, domain, url);
+    scrapedData.renderer = mode;
+
+    if (scrapedData.success) {
+      await this.cacheExtraction(url, scrapedData);
+    }
+    if (response.notModified) {
+      scrapedData.notModified = true;
+    }
+
+    return { response, scrapedData };
+  }
+
+  /**
+   * Registra qual estratégia/seletor extraiu o preço (ou a falha)
+   * Alimenta a detecção de mudanças e o histórico do dashboard
+   * @param {string} domain - Domínio
+   * @param {Object} scrapedData - Resultado de extractData
+   */
+  recordExtraction(domain, scrapedData) {
+    this.selectorHealth.record(domain, scrapedData);
+
+    ExtractionHealth.record(domain, scrapedData).catch(error => {
+      logger.warn(`Erro ao salvar saúde da extração de ${domain}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Lojas com busca por termo (para buscas monitoradas criadas sem URL)
+   * @returns {Array} [{ name, domain }]
+   */
+  getSearchStores() {
+    return [...new Set(this.builtInAdapters.values())]
+      .filter(adapter => adapter.getSearchUrl !== BaseAdapter.prototype.getSearchUrl)
+      .map(adapter => ({ name: adapter.name, domain: adapter.domains[0] }));
+  }
+
+  /**
+   * URL da busca por termo em uma loja
+   * @param {string} domain - Domínio da loja
+   * @param {string} query - Termo pesquisado
+   * @throws {Error} code SEARCH_NOT_SUPPORTED
+   */
+  buildSearchUrl(domain, query) {
+    const adapter = this.getAdapter(domain);
+    const url = adapter ? adapter.getSearchUrl(query) : null;
+
+    if (!url) {
+      const error = new Error(`Busca por termo não suportada em ${domain}`);
+      error.code = 'SEARCH_NOT_SUPPORTED';
+      throw error;
+    }
+
+    return url;
+  }
+
+  /**
+   * Baixa uma página de busca ou categoria e extrai os itens
+   * Usa os mesmos renderizadores, robots.txt, circuit breaker e limites por domínio do scrapePrice
+   * @param {string} url - URL da busca ou categoria
+   * @returns {Promise<Object>} { success, items, title, currency, error, ... }
+   */
+  async scrapeListing(url) {
+    const startTime = Date.now();
+    const domain = this.extractDomain(url);
+
+    try {
+      if (!this.isValidUrl(url)) {
+        throw new Error('URL inválida');
+      }
+
+      let listing = { items: [], title: null, currency: null };
+
+      for (const mode of this.getRenderPlan(domain)) {
+        const response = await this.makeRequest(url, domain, { renderer: this.renderers.get(mode) });
+        listing = this.extractListing(response.data, domain, url);
+
+        if (listing.items.length > 0) break;
+      }
+
+      const duration = Date.now() - startTime;
+      logger.perf('listing', duration, { url: domain, items: listing.items.length });
+
+      return {
+        ...listing,
+        success: listing.items.length > 0,
+        error: listing.items.length > 0 ? null : 'Nenhum item encontrado na página',
+        url,
+        domain,
+        scrapedAt: new Date().toISOString(),
+        duration
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+
+      if (error.code === 'CIRCUIT_OPEN') {
+        logger.debug(`Busca ignorada (circuito aberto): ${url}`);
+      } else {
+        logger.warn(`Erro ao ler a página de busca: ${error.message}`, { url });
+      }
+
+      return {
+        items: [],
+        title: null,
+        currency: null,
+        success: false,
+        skipped: error.code === 'CIRCUIT_OPEN',
+        circuitOpen: error.code === 'CIRCUIT_OPEN',
+        robots: error.robots || null,
+        error: error.status ? `Página de busca indisponível (HTTP ${error.status})` : error.message,
         url,
-        domain: this.extractDomain(url),
+        domain,
         scrapedAt: new Date().toISOString(),
         duration
       };
     }
   }
 
+  /**
+   * Itens de uma página de busca ou categoria
+   * Adaptador da loja (ou da plataforma) > ItemList em JSON-LD
+   * @param {string} html - HTML da página
+   * @param {string} domain - Domínio
+   * @param {string} url - URL da página
+   * @returns {Object} { items: [{ key, url, name, price, availability }], title, currency }
+   */
+  extractListing(html, domain, url) {
+    const $ = cheerio.load(html);
+    const adapter = this.getAdapter(domain) || this.detectPlatform($, html, domain);
+
+    const found = (adapter && adapter.extractListing($, { html, url, domain, scraper: this })) ||
+      Listings.fromStructuredData($);
+
+    const items = Listings.normalize(found, url).map(item => {
+      const itemUrl = this.normalizeUrl(item.url);
+
+      return {
+        key: this.getProductKey(itemUrl) || itemUrl,
+        url: itemUrl,
+        name: this.cleanProductName(item.name),
+        price: item.price,
+        availability: Availability.normalize(item.availability) || null
+      };
+    });
+
+    return {
+      items,
+      title: $('title').first().text().replace(/\s+/g, ' ').trim() || null,
+      currency: adapter ? adapter.currency : null
+    };
+  }
+
+  /**
+   * Registra um renderizador (pode ser escolhido via renderMode do adaptador)
+   * @param {BaseRenderer} renderer - Instância do renderizador
+   */
+  registerRenderer(renderer) {
+    this.renderers.set(renderer.name, renderer);
+    logger.debug(`Renderizador registrado: ${renderer.name}`);
+  }
+
+  /**
+   * Ordem dos renderizadores para um domínio
+   * Em "auto", lojas em que o HTML estático falha seguidamente e o
+   * navegador funcionou passam a começar pelo navegador
+   * @param {string} domain - Domínio
+   * @returns {Array<string>} Nomes dos renderizadores
+   */
+  getRenderPlan(domain) {
+    const adapter = this.getAdapter(domain);
+    const mode = adapter ? adapter.renderMode : 'auto';
+    const browser = this.renderers.get('browser');
+
+    if (mode !== 'auto') {
+      const renderer = this.renderers.get(mode);
+      return renderer && renderer.isAvailable() ? [mode] : ['static'];
+    }
+
+    if (!browser || !browser.isAvailable()) {
+      return ['static'];
+    }
+
+    const stats = this.renderStats.get(domain);
+    const preferBrowser = stats && stats.lastSuccessMode === 'browser' &&
+      stats.modes.static && stats.modes.static.consecutiveFailures >= 3;
+
+    return preferBrowser ? ['browser', 'static'] : ['static', 'browser'];
+  }
+
+  /**
+   * Registra o resultado de extração por renderizador e domínio
+   * @param {string} domain - Domínio
+   * @param {string} mode - Nome do renderizador
+   * @param {boolean} success - Extração bem-sucedida
+   */
+  recordRender(domain, mode, success) {
+    if (!this.renderStats.has(domain)) {
+      this.renderStats.set(domain, { modes: {}, lastSuccessMode: null, lastSuccessAt: null });
+    }
+
+    const stats = this.renderStats.get(domain);
+    const modeStats = stats.modes[mode] || (stats.modes[mode] = { attempts: 0, successes: 0, consecutiveFailures: 0 });
+
+    modeStats.attempts++;
+
+    if (success) {
+      modeStats.successes++;
+      modeStats.consecutiveFailures = 0;
+      stats.lastSuccessMode = mode;
+      stats.lastSuccessAt = new Date().toISOString();
+    } else {
+      modeStats.consecutiveFailures++;
+    }
+  }
+
+  /**
+   * Renderizadores disponíveis e resultados por domínio
+   */
+  getRenderStats() {
+    return {
+      available: Array.from(this.renderers.values())
+        .filter(renderer => renderer.isAvailable())
+        .map(renderer => renderer.name),
+      domains: Object.fromEntries(this.renderStats)
+    };
+  }
+
+  /**
+   * Libera recursos dos renderizadores (navegadores headless)
+   */
+  async closeRenderers() {
+    await Promise.all(Array.from(this.renderers.values()).map(renderer => renderer.close()));
+  }
+
   /**
    * Faz requisição HTTP com configurações otimizadas
    * @param {string} url - URL para requisição
    * @param {string} domain - Domínio extraído
+   * @param {Object} options - Opções
+   * @param {boolean} options.conditional - Enviar If-None-Match/If-Modified-Since da última resposta
+   * @param {BaseRenderer} options.renderer - Renderizador (padrão: estático)
    */
-  async makeRequest(url, domain) {
-    const siteConfig = this.siteConfigs[domain] || {};
+  async makeRequest(url, domain, options = {}) {
+    const adapter = this.getAdapter(domain);
+    const renderer = options.renderer || this.renderers.get('static');
     const retryCount = this.retryAttempts.get(url) || 0;
 
     const requestConfig = {
@@ -145,28 +696,96 @@ class PriceScraper {
       validateStatus: (status) => status < 500 // Aceitar até 4xx
     };
 
-    // Adicionar headers específicos por domínio se necessário
-    if (domain.includes('amazon')) {
-      requestConfig.headers['Accept'] = 'text/html,application/xhtml+xml';
-      requestConfig.headers['Accept-Charset'] = 'utf-8';
+    // Adicionar headers específicos da loja
+    if (adapter) {
+      Object.assign(requestConfig.headers, adapter.getHeaders(url));
+    }
+
+    // Validadores da última resposta: a loja responde 304 se nada mudou
+    const cached = options.conditional && config.scraping.conditionalRequests
+      ? await this.loadCachedPage(url)
+      : null;
+
+    if (cached && (cached.etag || cached.last_modified)) {
+      if (cached.etag) requestConfig.headers['If-None-Match'] = cached.etag;
+      if (cached.last_modified) requestConfig.headers['If-Modified-Since'] = cached.last_modified;
+      this.cacheStats.conditionalRequests++;
     }
 
+    // Respeitar robots.txt (config.scraping.respectRobotstxt)
+    const robots = await this.assertRobotsAllowed(url);
+
+    // Proxy + perfil de navegador, escolhidos na execução do request
+    let identity = null;
+
     try {
-      const response = await axios(requestConfig);
+      // O circuito é verificado na execução: requests já enfileirados
+      // também são recusados se o domínio começar a bloquear
+      const response = await this.schedule(domain, () => {
+        this.assertCircuitClosed(domain);
+        identity = this.proxyPool.acquire(domain);
+        return renderer.fetch(requestConfig, identity, { scraper: this, adapter, domain });
+      }, { crawlDelay: robots.crawlDelay });
       
       if (response.status >= 400) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const httpError = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        httpError.status = response.status;
+        httpError.blocked = response.status === 403 || response.status === 429;
+        throw httpError;
       }
 
       // Verificar se não foi bloqueado
-      if (this.isBlocked(response.data, domain)) {
-        throw new Error('Request bloqueado pelo servidor');
+      if (this.isBlocked(response.data, domain, response)) {
+        const blockedError = new Error('Request bloqueado pelo servidor');
+        blockedError.blocked = true;
+        throw blockedError;
+      }
+
+      this.circuitBreaker.recordSuccess(domain);
+      this.proxyPool.reportSuccess(identity);
+
+      if (response.status === 304 && cached) {
+        this.cacheStats.notModified++;
+        await this.touchCachedPage(url);
+
+        response.data = cached.html;
+        response.notModified = true;
+        response.cached = cached;
+        return response;
+      }
+
+      if (response.status === 200 && typeof response.data === 'string') {
+        await this.storePage(url, response);
       }
 
       return response;
 
     } catch (error) {
+      if (error.code === 'CIRCUIT_OPEN') {
+        throw error;
+      }
+
+      // Bloqueio (captcha, 403, 429): contar no circuito e não insistir
+      if (error.blocked) {
+        this.circuitBreaker.recordFailure(domain, error.message);
+        if (identity) this.proxyPool.reportBlocked(identity, domain, error.message);
+        throw error;
+      }
+
       // Implementar retry com backoff exponencial
+      if (error.status === 404 || error.status === 410) {
+        this.circuitBreaker.recordSuccess(domain);
+        if (identity) this.proxyPool.reportSuccess(identity);
+        throw error;
+      }
+
+      // Falha de conexão (sem resposta HTTP): pode ser o proxy
+      if (identity && !error.status && !error.response) {
+        this.proxyPool.reportError(identity, error.message);
+      }
+
+      this.circuitBreaker.release(domain);
+
       if (retryCount < config.monitoring.maxRetries && this.shouldRetry(error)) {
         this.retryAttempts.set(url, retryCount + 1);
         const delay = Math.pow(2, retryCount) * 1000; // Exponential backoff
@@ -174,13 +793,549 @@ class PriceScraper {
         logger.warn(`Tentativa ${retryCount + 1} para ${url} em ${delay}ms`, { error: error.message });
         
         await this.delay(delay);
-        return this.makeRequest(url, domain);
+        return this.makeRequest(url, domain, options);
       }
 
       throw error;
     }
   }
 
+  /**
+   * Aplica o perfil de headers e o proxy da identidade ao request
+   * @param {Object} requestConfig - Configuração do axios
+   * @param {Object} identity - Identidade do pool de proxies
+   * @returns {Object} Nova configuração do axios
+   */
+  applyIdentity(requestConfig, identity) {
+    const agent = this.proxyPool.getAgent(identity);
+
+    return {
+      ...requestConfig,
+      headers: { ...requestConfig.headers, ...identity.profile.headers },
+      ...(agent ? { httpAgent: agent, httpsAgent: agent, proxy: false } : {})
+    };
+  }
+
+  /**
+   * Busca a página em cache, se ainda válida (falhas no cache não interrompem o scraping)
+   * @param {string} url - URL normalizada
+   * @returns {Promise<Object|null>}
+   */
+  async loadCachedPage(url) {
+    try {
+      return await PageCache.get(url, config.scraping.pageCacheMinutes);
+    } catch (error) {
+      logger.warn(`Erro ao ler cache da página ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Salva HTML e validadores da resposta no cache
+   * @param {string} url - URL normalizada
+   * @param {Object} response - Resposta do axios
+   */
+  async storePage(url, response) {
+    try {
+      await PageCache.save(url, {
+        html: response.data,
+        etag: response.headers?.etag,
+        lastModified: response.headers?.['last-modified']
+      });
+    } catch (error) {
+      logger.warn(`Erro ao salvar cache da página ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marca a página em cache como confirmada (304)
+   * @param {string} url - URL normalizada
+   */
+  async touchCachedPage(url) {
+    try {
+      await PageCache.touch(url);
+    } catch (error) {
+      logger.warn(`Erro ao atualizar cache da página ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Salva a extração para reaproveitar em respostas 304
+   * @param {string} url - URL normalizada
+   * @param {Object} scrapedData - Resultado de extractData
+   */
+  async cacheExtraction(url, scrapedData) {
+    try {
+      await PageCache.setExtracted(url, scrapedData);
+    } catch (error) {
+      logger.warn(`Erro ao salvar extração em cache de ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Descarta extrações em cache de um domínio (o HTML continua disponível)
+   * @param {string} domain - Domínio
+   */
+  invalidateExtractions(domain) {
+    PageCache.clearExtracted(domain).catch(error => {
+      logger.warn(`Erro ao invalidar extrações de ${domain}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Refaz a extração a partir do HTML em cache, sem acessar a loja
+   * Útil após alterar os seletores de um site
+   * @param {string} url - URL do produto
+   * @returns {Promise<Object|null>} Dados extraídos ou null se a página não estiver em cache
+   */
+  async reextract(url) {
+    const normalizedUrl = this.normalizeUrl(url);
+    const domain = this.extractDomain(normalizedUrl);
+    const cached = await this.loadCachedPage(normalizedUrl);
+
+    if (!cached) return null;
+
+    const scrapedData = await this.extractData(cached.html, domain, normalizedUrl);
+    if (scrapedData.success) {
+      await this.cacheExtraction(normalizedUrl, scrapedData);
+    }
+
+    return {
+      ...scrapedData,
+      url: normalizedUrl,
+      domain,
+      fromCache: true,
+      cachedAt: cached.fetched_at
+    };
+  }
+
+  /**
+   * Lança erro CIRCUIT_OPEN se o circuito do domínio não permitir o request
+   * @param {string} domain - Domínio
+   */
+  assertCircuitClosed(domain) {
+    const circuit = this.circuitBreaker.canRequest(domain);
+    if (circuit.allowed) return;
+
+    const retryAt = new Date(circuit.retryAt);
+    const circuitError = new Error(`Circuito aberto para ${domain} até ${retryAt.toLocaleTimeString('pt-BR')}`);
+    circuitError.code = 'CIRCUIT_OPEN';
+    circuitError.circuit = { state: circuit.state, retryAt: retryAt.toISOString() };
+    throw circuitError;
+  }
+
+  /**
+   * Lança erro ROBOTS_DISALLOWED se o robots.txt não permitir a URL
+   * @param {string} url - URL do request
+   * @returns {Promise<Object>} Resultado de checkRobots
+   */
+  async assertRobotsAllowed(url) {
+    const robots = await this.checkRobots(url);
+    if (robots.allowed) return robots;
+
+    const robotsError = new Error(`URL bloqueada pelo robots.txt (${robots.rule})`);
+    robotsError.code = 'ROBOTS_DISALLOWED';
+    robotsError.robots = robots;
+    throw robotsError;
+  }
+
+  /**
+   * Verifica se o robots.txt permite acessar a URL
+   * O Crawl-delay lido fica no estado do domínio e vale para todos os requests a ele
+   * (páginas, APIs da loja e saltos de redirecionamento)
+   * @param {string} url - URL do produto
+   * @returns {Promise<Object>} { allowed, rule, crawlDelay, source }
+   */
+  async checkRobots(url) {
+    if (!config.scraping.respectRobotstxt) {
+      return { allowed: true, rule: null, crawlDelay: null, source: 'disabled' };
+    }
+
+    try {
+      const robots = await this.robots.check(url);
+      this.setCrawlDelay(this.extractDomain(url), robots.crawlDelay);
+      return robots;
+    } catch (error) {
+      logger.warn(`Erro ao verificar robots.txt para ${url}: ${error.message}`);
+      return { allowed: true, rule: null, crawlDelay: null, source: 'error' };
+    }
+  }
+
+  /**
+   * Agenda um request respeitando os limites por domínio
+   * Requests de domínios diferentes são intercalados; cada domínio tem seu
+   * próprio token bucket (waitTime do adaptador ou Crawl-delay, o que for maior)
+   * @param {string} domain - Domínio de destino
+   * @param {Function} task - Função que executa o request e retorna uma Promise
+   * @param {Object} options - { crawlDelay } (só aumenta o Crawl-delay já conhecido do domínio)
+   */
+  schedule(domain, task, options = {}) {
+    const state = this.getDomainState(domain);
+    if (options.crawlDelay > (state.crawlDelay || 0)) {
+      state.crawlDelay = options.crawlDelay;
+    }
+    state.bucket.setRefillInterval(this.getDomainInterval(domain, state.crawlDelay));
+
+    return new Promise((resolve, reject) => {
+      this.requestQueue.push({ domain, task, resolve, reject, enqueuedAt: Date.now() });
+      this.processQueue();
+    });
+  }
+
+  /**
+   * Inicia os requests possíveis da fila
+   */
+  processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      this.rejectOpenCircuitJobs();
+
+      while (this.activeRequests < config.scraping.maxConcurrentRequests) {
+        const job = this.takeNextJob();
+        if (!job) break;
+        this.runJob(job);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+
+    this.scheduleWakeup();
+  }
+
+  /**
+   * Recusa imediatamente (sem consumir tokens) os requests de domínios com circuito aberto
+   */
+  rejectOpenCircuitJobs() {
+    this.requestQueue = this.requestQueue.filter(job => {
+      if (!this.circuitBreaker.isOpen(job.domain)) return true;
+
+      try {
+        this.assertCircuitClosed(job.domain);
+      } catch (error) {
+        job.reject(error);
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Remove da fila o próximo request elegível
+   * Entre os domínios liberados, escolhe o atendido há mais tempo
+   */
+  takeNextJob() {
+    let bestIndex = -1;
+    let bestState = null;
+
+    for (let i = 0; i < this.requestQueue.length; i++) {
+      const state = this.getDomainState(this.requestQueue[i].domain);
+
+      if (state.active >= config.scraping.maxRequestsPerDomain) continue;
+      if (state.bucket.getWaitTime() > 0) continue;
+
+      if (!bestState || state.lastStartedAt < bestState.lastStartedAt) {
+        bestIndex = i;
+        bestState = state;
+      }
+    }
+
+    if (bestIndex === -1) return null;
+
+    bestState.bucket.tryTake();
+    return this.requestQueue.splice(bestIndex, 1)[0];
+  }
+
+  /**
+   * Executa um request da fila
+   * @param {Object} job - { domain, task, resolve, reject, enqueuedAt }
+   */
+  runJob(job) {
+    const state = this.getDomainState(job.domain);
+
+    state.active++;
+    state.lastStartedAt = Date.now();
+    this.activeRequests++;
+
+    const waitedMs = state.lastStartedAt - job.enqueuedAt;
+    if (waitedMs > 0) {
+      logger.debug(`Request para ${job.domain} aguardou ${waitedMs}ms na fila`);
+    }
+
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        state.active--;
+        this.activeRequests--;
+        this.processQueue();
+      });
+  }
+
+  /**
+   * Agenda nova tentativa quando o próximo token de algum domínio estiver disponível
+   */
+  scheduleWakeup() {
+    if (this.requestQueue.length === 0) return;
+    if (this.activeRequests >= config.scraping.maxConcurrentRequests) return;
+
+    let wait = Infinity;
+    for (const job of this.requestQueue) {
+      const state = this.getDomainState(job.domain);
+      // Domínios com request ativo são retomados quando ele terminar
+      if (state.active >= config.scraping.maxRequestsPerDomain) continue;
+      wait = Math.min(wait, state.bucket.getWaitTime());
+    }
+
+    if (wait === Infinity) return;
+
+    // Manter o timer existente se ele já dispara antes
+    const wakeupAt = Date.now() + Math.max(wait, 1);
+    if (this.wakeupTimer && this.wakeupAt <= wakeupAt) return;
+
+    clearTimeout(this.wakeupTimer);
+    this.wakeupAt = wakeupAt;
+    this.wakeupTimer = setTimeout(() => {
+      this.wakeupTimer = null;
+      this.processQueue();
+    }, wakeupAt - Date.now());
+  }
+
+  /**
+   * Obtém (ou cria) o estado de agendamento de um domínio
+   * @param {string} domain - Domínio
+   */
+  getDomainState(domain) {
+    if (!this.domainStates.has(domain)) {
+      this.domainStates.set(domain, {
+        bucket: new TokenBucket({ capacity: 1, refillIntervalMs: this.getDomainInterval(domain) }),
+        crawlDelay: null,
+        active: 0,
+        lastStartedAt: 0
+      });
+    }
+
+    return this.domainStates.get(domain);
+  }
+
+  /**
+   * Registra o Crawl-delay do robots.txt de um domínio
+   * O robots.txt é a fonte do valor: uma nova leitura pode aumentá-lo ou removê-lo
+   * @param {string} domain - Domínio
+   * @param {number|null} crawlDelay - Crawl-delay em segundos
+   */
+  setCrawlDelay(domain, crawlDelay) {
+    const state = this.getDomainState(domain);
+    state.crawlDelay = crawlDelay || null;
+    state.bucket.setRefillInterval(this.getDomainInterval(domain, state.crawlDelay));
+  }
+
+  /**
+   * Intervalo mínimo entre requests a um domínio
+   * @param {string} domain - Domínio
+   * @param {number} crawlDelay - Crawl-delay do robots.txt em segundos (opcional)
+   */
+  getDomainInterval(domain, crawlDelay = null) {
+    const adapter = this.getAdapter(domain);
+    const base = adapter ? adapter.waitTime : config.monitoring.requestDelayMs;
+
+    return Math.max(base, crawlDelay ? crawlDelay * 1000 : 0);
+  }
+
+  /**
+   * Cota o frete de um produto através do adaptador da loja
+   * Falhas na cotação não invalidam o scraping do preço
+   * @param {string} url - URL do produto
+   * @param {string} domain - Domínio
+   * @param {string} cep - CEP de destino
+   * @param {Object} context - { html }
+   * @returns {Promise<Object|null>} { cost, deliveryDays, service, cep, source } ou null
+   */
+  async getShippingQuote(url, domain, cep, context = {}) {
+    const adapter = this.getAdapter(domain);
+    const normalizedCep = Shipping.normalizeCep(cep);
+
+    if (!adapter || !normalizedCep) return null;
+
+    try {
+      const quote = await adapter.fetchShipping(url, normalizedCep, { ...context, domain, scraper: this });
+      if (!quote || typeof quote.cost !== 'number' || quote.cost < 0) return null;
+
+      logger.debug(`Frete cotado para ${domain}`, { cep: normalizedCep, cost: quote.cost });
+
+      return {
+        cost: quote.cost,
+        deliveryDays: quote.deliveryDays ?? null,
+        service: quote.service || null,
+        cep: normalizedCep,
+        source: adapter.name
+      };
+
+    } catch (error) {
+      logger.warn(`Erro ao cotar frete em ${domain}: ${error.message}`, { cep: normalizedCep });
+      return null;
+    }
+  }
+
+  /**
+   * Lê o produto pela API da loja, quando o adaptador tem uma
+   * Falhas da API não contam como falha de scraping: o HTML é usado em seguida
+   * @param {string} url - URL normalizada
+   * @param {string} domain - Domínio
+   * @returns {Promise<Object|null>} Dados no formato do extractData ou null para usar o HTML
+   */
+  async fetchFromApi(url, domain) {
+    const adapter = this.getAdapter(domain);
+    if (!adapter) return null;
+
+    try {
+      const data = await adapter.fetchFromApi(url, { domain, scraper: this });
+      if (!data) return null;
+
+      const price = data.price > 0 ? data.price : null;
+      const availability = Availability.normalize(data.availability) ||
+        (price ? Availability.STATES.IN_STOCK : null);
+
+      // Sem preço e sem indisponibilidade declarada, o HTML pode saber mais
+      if (!price && !(availability && !Availability.isPurchasable(availability))) return null;
+
+      const brand = data.brand || null;
+
+      logger.debug(`Produto lido pela API de ${adapter.name}`, { url, price });
+
+      return {
+        price,
+        originalPrice: data.originalPrice || null,
+        name: data.name || 'Produto sem nome',
+        currency: Currencies.normalize(data.currency) || adapter.currency,
+        currencySource: Currencies.normalize(data.currency) ? 'declared' : 'default',
+        availability,
+        pricePoints: data.pricePoints || {},
+        promotions: Promotions.normalize(data.promotions),
+        gtin: ProductKeys.normalizeGtin(data.gtin),
+        mpn: brand ? ProductKeys.normalizeMpn(data.mpn) : null,
+        brand,
+        seller: Sellers.normalize(data.seller, adapter.name),
+        image: data.image || null,
+        strategy: 'api',
+        selector: null,
+        confidence: 0.95,
+        success: true,
+        error: null
+      };
+
+    } catch (error) {
+      // API fora do robots.txt ou com circuito aberto: segue pelo HTML sem alarde
+      if (error.code === 'ROBOTS_DISALLOWED' || error.code === 'CIRCUIT_OPEN') {
+        logger.debug(`API de ${adapter.name} não consultada, usando o HTML: ${error.message}`, { url });
+        return null;
+      }
+
+      logger.warn(`API de ${adapter.name} indisponível, usando o HTML: ${error.message}`, { url });
+      return null;
+    }
+  }
+
+  /**
+   * Faz requisição a uma API JSON da loja (robots.txt, circuito e proxies como nas páginas)
+   * @param {string} url - URL da API
+   * @param {Object} headers - Headers adicionais
+   */
+  async fetchJson(url, headers = {}) {
+    const requestConfig = {
+      method: 'GET',
+      url,
+      timeout: config.scraping.requestTimeoutMs,
+      headers: {
+        'User-Agent': config.scraping.userAgent,
+        'Accept': 'application/json',
+        'Accept-Language': 'pt-BR,pt;q=0.9,en;q=0.8'
+      }
+    };
+
+    const response = await this.guardedRequest(url, (identity) => {
+      const identityConfig = this.applyIdentity(requestConfig, identity);
+      identityConfig.headers = { ...identityConfig.headers, ...headers };
+      return axios(identityConfig);
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Request auxiliar (API da loja, salto de redirecionamento) com as mesmas
+   * proteções do makeRequest: robots.txt, circuit breaker, intervalo por
+   * domínio e pool de proxies. Não repete o request nem usa o cache de páginas
+   * @param {string} url - URL do request
+   * @param {Function} send - (identity) => Promise com a resposta do axios
+   * @returns {Promise<Object>} Resposta do axios
+   * @throws {Error} code ROBOTS_DISALLOWED ou CIRCUIT_OPEN, bloqueio (blocked) ou erro do request
+   */
+  async guardedRequest(url, send) {
+    const domain = this.extractDomain(url);
+    const robots = await this.assertRobotsAllowed(url);
+
+    let identity = null;
+    let response;
+
+    try {
+      response = await this.schedule(domain, () => {
+        this.assertCircuitClosed(domain);
+        identity = this.proxyPool.acquire(domain);
+        return send(identity);
+      }, { crawlDelay: robots.crawlDelay });
+    } catch (error) {
+      if (error.code === 'CIRCUIT_OPEN') throw error;
+
+      // Falha de conexão (sem resposta HTTP): pode ser o proxy
+      if (!error.response) {
+        if (identity) this.proxyPool.reportError(identity, error.message);
+        this.circuitBreaker.release(domain);
+        throw error;
+      }
+
+      response = error.response;
+      if (this.recordResponse(domain, identity, response)) error.blocked = true;
+      throw error;
+    }
+
+    if (this.recordResponse(domain, identity, response)) {
+      const blockedError = new Error(response.status === 200
+        ? 'Request bloqueado pelo servidor'
+        : `HTTP ${response.status}: ${response.statusText}`);
+      blockedError.status = response.status;
+      blockedError.blocked = true;
+      throw blockedError;
+    }
+
+    return response;
+  }
+
+  /**
+   * Registra a resposta de um request auxiliar no circuito e no pool de proxies
+   * @param {string} domain - Domínio
+   * @param {Object} identity - Identidade usada no request
+   * @param {Object} response - Resposta do axios
+   * @returns {boolean} true se a resposta é um bloqueio (403, 429 ou desafio na página)
+   */
+  recordResponse(domain, identity, response) {
+    const blocked = response.status === 403 || response.status === 429 ||
+      (response.status === 200 && typeof response.data === 'string' && this.isBlocked(response.data, domain, response));
+
+    if (blocked) {
+      const reason = response.status === 200 ? 'Request bloqueado pelo servidor' : `HTTP ${response.status}`;
+      this.circuitBreaker.recordFailure(domain, reason);
+      this.proxyPool.reportBlocked(identity, domain, reason);
+    } else if (response.status >= 500) {
+      this.circuitBreaker.release(domain);
+    } else {
+      this.circuitBreaker.recordSuccess(domain);
+      this.proxyPool.reportSuccess(identity);
+    }
+
+    return blocked;
+  }
+
   /**
    * Extrai dados da página HTML
    * @param {string} html - Conteúdo HTML
@@ -190,20 +1345,80 @@ class PriceScraper {
   async extractData(html, domain, url) {
     try {
       const $ = cheerio.load(html);
-      const siteConfig = this.siteConfigs[domain] || {};
+      const adapter = this.getAdapter(domain) || this.detectPlatform($, html, domain);
+      const siteConfig = adapter ? adapter.toConfig() : {};
+
+      // Extração específica da loja, se o adaptador implementar
+      const adapterData = adapter ? adapter.extract($, { html, url, domain, scraper: this }) : null;
       
+      // Dados estruturados (JSON-LD, microdata, OpenGraph) têm prioridade sobre seletores
+      const structured = this.structuredDataExtractor.extract($);
+
       // Extrair preço
-      const price = this.extractPrice($, siteConfig, domain);
+      let priceResult = null;
+      if (adapterData && adapterData.price) {
+        priceResult = { price: adapterData.price, strategy: 'adapter', selector: null, confidence: adapterData.confidence || 0.9 };
+      } else if (structured) {
+        priceResult = { price: structured.price, strategy: structured.strategy, selector: null, confidence: structured.confidence };
+      } else {
+        priceResult = this.extractPrice($, siteConfig, domain);
+      }
+      const price = priceResult ? priceResult.price : null;
       
       // Extrair nome do produto
-      const name = this.extractProductName($, siteConfig, domain);
+      const name = adapterData?.name || this.extractProductName($, siteConfig, domain, structured?.name);
+
+      const currency = this.detectCurrency($, adapterData, structured, priceResult, siteConfig);
+      const data = {
+        price,
+        currency: currency.currency,
+        currencySource: currency.source,
+        availability: adapterData?.availability || structured?.availability || null
+      };
+
+      // Disponibilidade: adaptador > dados estruturados > textos da página
+      const availability = Availability.normalize(adapter ? adapter.parseAvailability($, data) : null) ||
+        Availability.normalize(data.availability) ||
+        this.detectAvailability($);
+
+      // Preços por forma de pagamento (Pix, boleto, cartão, parcelado)
+      const pricePoints = adapterData?.pricePoints || this.extractPricePoints($, adapter, siteConfig, data);
       
+      // Cupons e selos promocionais (cupom, frete grátis, oferta relâmpago)
+      const promotions = Promotions.normalize(adapterData?.promotions || this.extractPromotions($, adapter, siteConfig, data));
+
+      // Identificadores do item entre lojas (GTIN/EAN, MPN + marca)
+      const identifiers = this.structuredDataExtractor.extractIdentifiers($);
+      const brand = adapterData?.brand || structured?.brand || identifiers.brand || null;
+
+      // Vendedor da oferta (marketplaces): adaptador > dados estruturados
+      const seller = Sellers.normalize(
+        adapterData?.seller || (adapter ? adapter.extractSeller($, { html, url, domain }) : null) || structured?.seller,
+        adapter ? adapter.name : null
+      );
+
       // Verificar se extraiu dados válidos
-      const success = price !== null && price > 0;
+      // Produto esgotado sem preço na página também é uma leitura válida
+      const hasPrice = price !== null && price > 0;
+      const success = hasPrice || (availability !== null && !Availability.isPurchasable(availability));
       
       return {
         price,
+        originalPrice: adapterData?.originalPrice || null,
         name: name || 'Produto sem nome',
+        currency: data.currency,
+        currencySource: data.currencySource,
+        availability: availability || (hasPrice ? Availability.STATES.IN_STOCK : null),
+        pricePoints,
+        promotions,
+        gtin: ProductKeys.normalizeGtin(adapterData?.gtin || structured?.gtin || identifiers.gtin),
+        mpn: brand ? ProductKeys.normalizeMpn(adapterData?.mpn || structured?.mpn || identifiers.mpn) : null,
+        brand,
+        seller,
+        image: structured?.image || null,
+        strategy: priceResult ? priceResult.strategy : null,
+        selector: priceResult ? priceResult.selector : null,
+        confidence: priceResult ? priceResult.confidence : 0,
         success,
         error: success ? null : 'Não foi possível extrair o preço'
       };
@@ -224,13 +1439,14 @@ class PriceScraper {
    * @param {CheerioAPI} $ - Instância do Cheerio
    * @param {Object} siteConfig - Configuração do site
    * @param {string} domain - Domínio
+   * @returns {Object|null} { price, strategy, selector, confidence } ou null
    */
   extractPrice($, siteConfig, domain) {
     // Seletores específicos do site
     if (siteConfig.selectors) {
       for (const selector of siteConfig.selectors) {
         const price = this.tryExtractPrice($, selector);
-        if (price) return price;
+        if (price) return { price, strategy: 'site-selector', selector, confidence: 0.7 };
       }
     }
 
@@ -255,28 +1471,187 @@ class PriceScraper {
 
     for (const selector of genericSelectors) {
       const price = this.tryExtractPrice($, selector);
-      if (price) return price;
+      if (price) return { price, strategy: 'generic-selector', selector, confidence: 0.5 };
+    }
+
+    // Busca por patterns específicos no HTML
+    const htmlText = $.html();
+    const patterns = [
+      /"price":\s*"?(\d+[.,]\d{2})"?/,
+      /"amount":\s*"?(\d+[.,]\d{2})"?/,
+      /"value":\s*(\d+[.,]\d{2})/,
+      /R\$\s*(\d{1,3}(?:\.\d{3})*,\d{2})/,
+      /BRL\s*(\d+[.,]\d{2})/
+    ];
+
+    for (const pattern of patterns) {
+      const match = htmlText.match(pattern);
+      if (match) {
+        const price = this.parsePrice(match[1]);
+        if (price) return { price, strategy: 'regex', selector: pattern.source, confidence: 0.3 };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Moeda da oferta
+   * Ordem: adaptador > dados estruturados (priceCurrency) > símbolo ou código
+   * no texto do preço > moeda padrão da loja
+   * Só a moeda do adaptador ou dos dados estruturados é declarada pela loja;
+   * as demais são deduzidas
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Object} adapterData - Dados do adaptador
+   * @param {Object} structured - Dados estruturados
+   * @param {Object} priceResult - Resultado da extração do preço
+   * @param {Object} siteConfig - Configuração do site
+   * @returns {Object} { currency, source } - source: declared, symbol ou default
+   */
+  detectCurrency($, adapterData, structured, priceResult, siteConfig) {
+    const declared = Currencies.normalize(adapterData?.currency) || Currencies.normalize(structured?.currency);
+    if (declared) return { currency: declared, source: 'declared' };
+
+    const fallback = siteConfig.currency || config.currency.default;
+
+    // O símbolo costuma ficar num elemento irmão do valor (ex: .andes-money-amount__currency-symbol)
+    if (priceResult?.selector && /selector$/.test(priceResult.strategy)) {
+      const element = $(priceResult.selector).first();
+      const detected = Currencies.detect(element.text(), fallback) || Currencies.detect(element.parent().text(), fallback);
+      if (detected) return { currency: detected, source: 'symbol' };
+    }
+
+    return { currency: fallback, source: 'default' };
+  }
+
+  /**
+   * Extrai os preços por forma de pagamento
+   * Ordem: adaptador > seletores por ponto de preço > textos da área de preço
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {BaseAdapter} adapter - Adaptador da loja (opcional)
+   * @param {Object} siteConfig - Configuração do site
+   * @param {Object} data - Dados já extraídos
+   * @returns {Object} { pix, boleto, card, installment, installments }
+   */
+  extractPricePoints($, adapter, siteConfig, data) {
+    const fromAdapter = adapter ? adapter.extractPricePoints($, data) : null;
+    if (fromAdapter) return fromAdapter;
+
+    const points = {};
+
+    // Seletores configurados para a loja
+    for (const [point, selectors] of Object.entries(siteConfig.pricePointSelectors || {})) {
+      if (!PricePoints.isValid(point)) continue;
+
+      for (const selector of selectors) {
+        const price = this.tryExtractPrice($, selector);
+        if (price) {
+          points[point] = price;
+          break;
+        }
+      }
+    }
+
+    // Textos da área de preço (ex: "R$ 899,90 no Pix", "10x de R$ 99,90 sem juros")
+    const selectors = [
+      ...(siteConfig.selectors || []),
+      '[class*="price"]',
+      '[class*="Price"]',
+      '[class*="pix"]',
+      '[class*="boleto"]',
+      '[class*="installment"]',
+      '[class*="parcel"]',
+      '[class*="payment"]',
+      '[data-testid*="price"]'
+    ];
+
+    const texts = [];
+    for (const selector of selectors) {
+      try {
+        $(selector).slice(0, 10).each((i, el) => {
+          const text = $(el).text().replace(/\s+/g, ' ').trim();
+          if (text && text.length < 300) texts.push(text);
+        });
+      } catch (error) {
+        // Ignorar seletores inválidos
+      }
+    }
+
+    return {
+      ...PricePoints.extractFromText(texts.join(' | '), (text) => this.parsePrice(text)),
+      ...points
+    };
+  }
+
+  /**
+   * Extrai cupons e selos promocionais
+   * Lê só os elementos de promoção para não capturar banners do site (ex: "frete grátis acima de R$ 199")
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Object} adapter - Adaptador da loja (ou null)
+   * @param {Object} siteConfig - Configuração do site
+   * @param {Object} data - Dados já extraídos
+   * @returns {Object} { coupons, badges }
+   */
+  extractPromotions($, adapter, siteConfig, data) {
+    const fromAdapter = adapter ? adapter.extractPromotions($, data) : null;
+    if (fromAdapter) return fromAdapter;
+
+    const selectors = [
+      ...(siteConfig.promotionSelectors || []),
+      '[class*="coupon"]',
+      '[class*="cupom"]',
+      '[class*="badge"]',
+      '[class*="promo"]',
+      '[class*="deal"]',
+      '[class*="free-shipping"]',
+      '[class*="frete-gratis"]',
+      '[data-testid*="coupon"]'
+    ];
+
+    const texts = [];
+    for (const selector of selectors) {
+      try {
+        $(selector).slice(0, 10).each((i, el) => {
+          if ($(el).closest('header, footer, nav').length > 0) return;
+
+          const text = $(el).text().replace(/\s+/g, ' ').trim();
+          if (text && text.length < 200 && !texts.includes(text)) texts.push(text);
+        });
+      } catch (error) {
+        // Ignorar seletores inválidos
+      }
     }
 
-    // Busca por patterns específicos no HTML
-    const htmlText = $.html();
-    const patterns = [
-      /"price":\s*"?(\d+[.,]\d{2})"?/,
-      /"amount":\s*"?(\d+[.,]\d{2})"?/,
-      /"value":\s*(\d+[.,]\d{2})/,
-      /R\$\s*(\d{1,3}(?:\.\d{3})*,\d{2})/,
-      /BRL\s*(\d+[.,]\d{2})/
+    return Promotions.extractFromTexts(texts, (text) => this.parsePrice(text));
+  }
+
+  /**
+   * Detecta disponibilidade pelos textos da área de compra
+   * Evita o corpo inteiro da página para não capturar produtos relacionados
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   */
+  detectAvailability($) {
+    const selectors = [
+      '[itemprop="availability"]',
+      '#availability',
+      '.availability',
+      '[class*="stock"]',
+      '[class*="unavailable"]',
+      '[data-testid*="unavailable"]',
+      '[data-testid*="stock"]',
+      'button',
+      'h1'
     ];
 
-    for (const pattern of patterns) {
-      const match = htmlText.match(pattern);
-      if (match) {
-        const price = this.parsePrice(match[1]);
-        if (price) return price;
-      }
+    const texts = [];
+    for (const selector of selectors) {
+      $(selector).slice(0, 10).each((i, el) => {
+        const text = $(el).text().trim();
+        if (text && text.length < 200) texts.push(text);
+      });
     }
 
-    return null;
+    return Availability.detectFromText(texts.join(' | '));
   }
 
   /**
@@ -320,8 +1695,9 @@ class PriceScraper {
    * @param {CheerioAPI} $ - Instância do Cheerio
    * @param {Object} siteConfig - Configuração do site
    * @param {string} domain - Domínio
+   * @param {string} structuredName - Nome obtido de dados estruturados (opcional)
    */
-  extractProductName($, siteConfig, domain) {
+  extractProductName($, siteConfig, domain, structuredName = null) {
     // Seletores específicos do site
     if (siteConfig.nameSelectors) {
       for (const selector of siteConfig.nameSelectors) {
@@ -332,6 +1708,11 @@ class PriceScraper {
       }
     }
 
+    // Nome publicado em dados estruturados
+    if (structuredName && structuredName.length < 200) {
+      return this.cleanProductName(structuredName);
+    }
+
     // Seletores genéricos
     const genericSelectors = [
       'h1',
@@ -376,52 +1757,12 @@ class PriceScraper {
 
   /**
    * Converte string de preço em número
+   * Aceita os formatos brasileiro/europeu (1.299,90) e americano (1,299.90)
    * @param {string} priceText - Texto do preço
+   * @param {string} currency - Moeda esperada (opcional, detectada no texto)
    */
-  parsePrice(priceText) {
-    if (!priceText || typeof priceText !== 'string') return null;
-
-    // Remover caracteres não numéricos exceto pontos e vírgulas
-    const cleanText = priceText.replace(/[^\d.,]/g, '');
-    
-    if (!cleanText) return null;
-
-    // Patterns para diferentes formatos brasileiros
-    const patterns = [
-      // 1.234,56 ou 234,56
-      /^(\d{1,3}(?:\.\d{3})*),(\d{2})$/,
-      // 1234.56 (formato americano)
-      /^(\d+)\.(\d{2})$/,
-      // 1234,56 (sem separador de milhares)
-      /^(\d+),(\d{2})$/,
-      // Apenas números inteiros
-      /^(\d+)$/
-    ];
-
-    for (const pattern of patterns) {
-      const match = cleanText.match(pattern);
-      if (match) {
-        if (pattern.source.includes(',(\\d{2})')) {
-          // Formato brasileiro com vírgula decimal
-          const integerPart = match[1].replace(/\./g, '');
-          const decimalPart = match[2];
-          const price = parseFloat(`${integerPart}.${decimalPart}`);
-          return price > 0 ? price : null;
-        } else if (pattern.source.includes('\\.(\\d{2})')) {
-          // Formato americano com ponto decimal
-          const price = parseFloat(cleanText);
-          return price > 0 ? price : null;
-        } else {
-          // Número inteiro
-          const price = parseFloat(match[1]);
-          return price > 0 ? price : null;
-        }
-      }
-    }
-
-    // Último recurso: tentar parseFloat direto
-    const directParse = parseFloat(cleanText.replace(/,/g, '.'));
-    return (directParse > 0 && directParse < 1000000) ? directParse : null;
+  parsePrice(priceText, currency = null) {
+    return Currencies.parseAmount(priceText, currency);
   }
 
   /**
@@ -448,19 +1789,91 @@ class PriceScraper {
       // Remover parâmetros de tracking comuns
       const trackingParams = [
         'utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term',
-        'gclid', 'fbclid', 'ref', 'referrer', '_ga', 'mc_cid', 'mc_eid'
+        'gclid', 'fbclid', 'ref', 'referrer', '_ga', 'mc_cid', 'mc_eid',
+        'aff_id', 'affiliate_id', 'awc', 'irclickid', 'clickid'
       ];
       
       trackingParams.forEach(param => {
         urlObj.searchParams.delete(param);
       });
 
-      return urlObj.toString();
+      // Normalização específica da loja
+      const adapter = this.getAdapter(this.extractDomain(urlObj.toString()));
+      const normalized = adapter ? adapter.normalizeUrl(urlObj.toString()) : urlObj.toString();
+
+      // URL canônica do produto (ex: /dp/ASIN), quando a loja permite identificar
+      const identity = this.getProductIdentity(normalized);
+      return identity ? identity.canonicalUrl : normalized;
     } catch {
       return url;
     }
   }
 
+  /**
+   * Identidade canônica do produto (ASIN, MLB, SKU VTEX)
+   * @param {string} url - URL do produto
+   * @returns {Object|null} { key, canonicalUrl } ou null se a URL não identifica o produto
+   */
+  getProductIdentity(url) {
+    const adapter = this.getAdapter(this.extractDomain(url));
+    return (adapter && adapter.getProductIdentity(url)) || ProductKeys.vtex(url);
+  }
+
+  /**
+   * Verifica se a URL é de uma página de produto
+   * @param {string} url - URL normalizada
+   * @returns {boolean|null} null quando a loja não tem regra própria
+   */
+  isProductUrl(url) {
+    const adapter = this.getAdapter(this.extractDomain(url));
+    const storeRule = adapter ? adapter.isProductUrl(url) : null;
+    if (storeRule !== null) return storeRule;
+
+    return this.getProductIdentity(url) ? true : null;
+  }
+
+  /**
+   * Resolve links encurtados e de afiliados até a URL canônica do produto
+   * @param {string} url - Link informado pelo usuário
+   * @returns {Promise<Object>} { url, originalUrl, redirects }
+   * @throws {Error} code REDIRECT_LOOP ou NOT_PRODUCT_PAGE
+   */
+  async resolveUrl(url) {
+    return this.urlResolver.resolve(url);
+  }
+
+  /**
+   * Request de um salto de redirecionamento (sem seguir o Location)
+   * Passa pelas mesmas proteções das páginas: encurtadores também têm robots.txt e bloqueios
+   * @param {string} url - URL atual
+   */
+  async fetchRedirect(url) {
+    const requestConfig = {
+      method: 'GET',
+      url,
+      timeout: config.scraping.requestTimeoutMs,
+      headers: {
+        'User-Agent': config.scraping.userAgent,
+        'Accept': 'text/html,application/xhtml+xml',
+        'Accept-Language': 'pt-BR,pt;q=0.9,en;q=0.8'
+      },
+      maxRedirects: 0,
+      validateStatus: () => true
+    };
+
+    return this.guardedRequest(url, (identity) => axios(this.applyIdentity(requestConfig, identity)));
+  }
+
+  /**
+   * Chave canônica do produto, usada para deduplicação
+   * @param {string} url - URL do produto
+   * @returns {string|null}
+   */
+  getProductKey(url) {
+    const identity = this.getProductIdentity(url);
+    return identity ? identity.key : null;
+  }
+
   /**
    * Extrai domínio da URL
    * @param {string} url - URL
@@ -478,23 +1891,19 @@ class PriceScraper {
    * Verifica se a resposta indica bloqueio
    * @param {string} html - HTML da resposta
    * @param {string} domain - Domínio
+   * @param {Object} response - Resposta HTTP (opcional)
    */
-  isBlocked(html, domain) {
-    const blockIndicators = [
-      'captcha',
-      'blocked',
-      'access denied',
-      'too many requests',
-      'rate limit',
-      'robot',
-      'bot detection',
-      'cloudflare',
-      'please verify',
-      'security check'
-    ];
+  isBlocked(html, domain, response = null) {
+    // Detecção específica da loja
+    const adapter = this.getAdapter(domain);
+    if (adapter) {
+      const blocked = adapter.isBlocked(html, response);
+      if (blocked !== null) return blocked;
+    }
 
-    const lowerHtml = html.toLowerCase();
-    return blockIndicators.some(indicator => lowerHtml.includes(indicator));
+    // Somente marcas de desafio reais: um falso positivo abre o circuito da loja inteira
+    const text = String(html || '');
+    return BLOCK_MARKERS.some(marker => marker.test(text));
   }
 
   /**
@@ -525,61 +1934,48 @@ class PriceScraper {
   }
 
   /**
-   * Scraping em lote com controle de concorrência
+   * Scraping em lote
+   * A concorrência e o intervalo por domínio são controlados pelo agendador
+   * (config.scraping.maxConcurrentRequests e token bucket por domínio)
    * @param {Array} urls - Lista de URLs
    * @param {Object} options - Opções de configuração
+   * @param {Function} options.onProgress - Callback chamado a cada URL concluída
    */
   async scrapeBatch(urls, options = {}) {
-    const {
-      concurrency = 3,
-      delayBetween = 2000,
-      onProgress = null
-    } = options;
-
-    const results = [];
-    const chunks = this.chunkArray(urls, concurrency);
-
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
-      const chunkPromises = chunk.map(url => this.scrapePrice(url));
-      
+    const { onProgress = null } = options;
+    let completed = 0;
+
+    const settled = await Promise.allSettled(urls.map(async (url) => {
       try {
-        const chunkResults = await Promise.allSettled(chunkPromises);
-        
-        chunkResults.forEach((result, index) => {
-          if (result.status === 'fulfilled') {
-            results.push(result.value);
-          } else {
-            results.push({
-              url: chunk[index],
-              price: null,
-              name: null,
-              success: false,
-              error: result.reason.message
-            });
-          }
-        });
+        return await this.scrapePrice(url);
+      } finally {
+        completed++;
 
         // Callback de progresso
         if (onProgress) {
           onProgress({
-            completed: results.length,
+            completed,
             total: urls.length,
-            progress: Math.round((results.length / urls.length) * 100)
+            progress: Math.round((completed / urls.length) * 100)
           });
         }
+      }
+    }));
 
-        // Delay entre chunks (exceto no último)
-        if (i < chunks.length - 1) {
-          await this.delay(delayBetween);
-        }
-
-      } catch (error) {
-        logger.error('Erro no scraping em lote:', error);
+    return settled.map((result, index) => {
+      if (result.status === 'fulfilled') {
+        return result.value;
       }
-    }
 
-    return results;
+      logger.error('Erro no scraping em lote:', result.reason, { url: urls[index] });
+      return {
+        url: urls[index],
+        price: null,
+        name: null,
+        success: false,
+        error: result.reason.message
+      };
+    });
   }
 
   /**
@@ -601,20 +1997,23 @@ class PriceScraper {
    */
   isSupportedSite(url) {
     const domain = this.extractDomain(url);
-    const supportedDomains = Object.keys(this.siteConfigs);
+    const supportedDomains = Array.from(this.adapters.keys());
     
     // Verificação exata
-    if (supportedDomains.includes(domain)) {
-      return { supported: true, confidence: 'high' };
+    if (this.adapters.has(domain)) {
+      return { supported: true, confidence: 'high', adapter: this.adapters.get(domain).name };
+    }
+
+    // Loja reconhecida pela plataforma (ex: VTEX), qualquer que seja o domínio
+    if (this.platformDomains.has(domain)) {
+      return { supported: true, confidence: 'high', adapter: this.platformDomains.get(domain).name };
     }
 
     // Verificação parcial (subdomínios)
-    const partialMatch = supportedDomains.find(supported => 
-      domain.includes(supported) || supported.includes(domain.split('.').slice(-2).join('.'))
-    );
+    const partialMatch = supportedDomains.find(supported => this.adapters.get(supported).matches(domain));
 
     if (partialMatch) {
-      return { supported: true, confidence: 'medium' };
+      return { supported: true, confidence: 'medium', adapter: this.adapters.get(partialMatch).name };
     }
 
     // Sites genéricos de e-commerce
@@ -634,56 +2033,490 @@ class PriceScraper {
    */
   getStats() {
     return {
-      supportedSites: Object.keys(this.siteConfigs).length,
+      supportedSites: this.adapters.size,
+      adapters: Array.from(new Set(this.adapters.values())).map(adapter => adapter.name),
+      platformStores: this.platformDomains.size,
       queueLength: this.requestQueue.length,
       isProcessing: this.isProcessing,
+      activeRequests: this.activeRequests,
+      maxConcurrentRequests: config.scraping.maxConcurrentRequests,
+      domains: this.getSchedulerStats(),
       retryAttempts: this.retryAttempts.size,
+      robots: {
+        enabled: config.scraping.respectRobotstxt,
+        ...this.robots.getStats()
+      },
+      circuits: this.circuitBreaker.getStats(),
+      extractionHealth: this.selectorHealth.getStats(),
+      proxyPool: this.proxyPool.getStats(),
+      renderers: this.getRenderStats(),
+      pageCache: {
+        enabled: config.scraping.conditionalRequests,
+        ttlMinutes: config.scraping.pageCacheMinutes,
+        ...this.cacheStats
+      },
       uptime: process.uptime()
     };
   }
 
+  /**
+   * Estado do agendador por domínio
+   */
+  getSchedulerStats() {
+    const stats = {};
+
+    for (const [domain, state] of this.domainStates.entries()) {
+      stats[domain] = {
+        active: state.active,
+        queued: this.requestQueue.filter(job => job.domain === domain).length,
+        intervalMs: state.bucket.refillIntervalMs,
+        crawlDelay: state.crawlDelay,
+        nextSlotMs: state.bucket.getWaitTime(),
+        lastStartedAt: state.lastStartedAt ? new Date(state.lastStartedAt).toISOString() : null
+      };
+    }
+
+    return stats;
+  }
+
   /**
    * Adiciona configuração personalizada para um site
    * @param {string} domain - Domínio do site
    * @param {Object} config - Configuração
    */
   addSiteConfig(domain, config) {
-    this.siteConfigs[domain] = {
-      selectors: [],
-      nameSelectors: [],
-      currency: 'BRL',
-      waitTime: 2000,
-      ...config
-    };
+    this.registerAdapter(this.createSiteAdapter(domain, config));
+    this.invalidateExtractions(domain);
     
     logger.info(`Configuração adicionada para ${domain}`, config);
   }
 
   /**
    * Remove configuração de um site
+   * Domínios com adaptador próprio voltam a usar o adaptador original
    * @param {string} domain - Domínio do site
    */
   removeSiteConfig(domain) {
-    if (this.siteConfigs[domain]) {
-      delete this.siteConfigs[domain];
-      logger.info(`Configuração removida para ${domain}`);
-      return true;
+    if (!this.adapters.has(domain)) {
+      return false;
+    }
+
+    const builtIn = this.findBuiltInAdapter(domain);
+    if (builtIn) {
+      this.adapters.set(domain, builtIn);
+    } else {
+      this.adapters.delete(domain);
+    }
+
+    this.invalidateExtractions(domain);
+    logger.info(`Configuração removida para ${domain}`);
+    return true;
+  }
+
+  /**
+   * Cria o adaptador de uma configuração de site
+   * Em lojas com adaptador próprio, os seletores configurados são tentados
+   * antes dos seletores do adaptador, que mantém sua extração específica
+   * @param {string} domain - Domínio do site
+   * @param {Object} siteConfig - Configuração
+   * @returns {BaseAdapter}
+   */
+  createSiteAdapter(domain, siteConfig) {
+    const builtIn = this.findBuiltInAdapter(domain);
+    if (!builtIn) {
+      return new SelectorAdapter(domain, siteConfig);
+    }
+
+    const merge = (configured = [], original = []) =>
+      [...configured, ...original.filter(selector => !configured.includes(selector))];
+
+    const adapter = Object.create(builtIn);
+    Object.assign(adapter, {
+      domains: [domain],
+      selectors: merge(siteConfig.selectors, builtIn.selectors),
+      nameSelectors: merge(siteConfig.nameSelectors, builtIn.nameSelectors),
+      pricePointSelectors: { ...builtIn.pricePointSelectors, ...siteConfig.pricePointSelectors },
+      promotionSelectors: merge(siteConfig.promotionSelectors, builtIn.promotionSelectors),
+      currency: siteConfig.currency || builtIn.currency,
+      waitTime: siteConfig.waitTime || builtIn.waitTime,
+      renderMode: siteConfig.renderMode || builtIn.renderMode
+    });
+
+    return adapter;
+  }
+
+  /**
+   * Adaptador da pasta adapters que atende o domínio (inclui subdomínios)
+   * @param {string} domain - Domínio
+   * @returns {BaseAdapter|null}
+   */
+  findBuiltInAdapter(domain) {
+    if (this.builtInAdapters.has(domain)) {
+      return this.builtInAdapters.get(domain);
+    }
+
+    for (const adapter of new Set(this.builtInAdapters.values())) {
+      if (adapter.matches(domain)) return adapter;
+    }
+
+    return null;
+  }
+
+  /**
+   * Carrega as configurações de site do banco e as combina com os adaptadores
+   * @returns {Promise<number>} Quantidade de configurações carregadas
+   */
+  async loadSiteConfigs() {
+    await this.importLegacySiteConfigs();
+
+    const rows = await SiteConfig.findAll();
+    let loaded = 0;
+
+    for (const row of rows) {
+      if (!row.config) continue;
+
+      try {
+        this.registerAdapter(this.createSiteAdapter(row.domain, row.config));
+        loaded++;
+      } catch (error) {
+        logger.error(`Configuração de site inválida para ${row.domain}:`, error);
+      }
+    }
+
+    logger.info(`${loaded} configuração(ões) de site carregada(s)`);
+    return loaded;
+  }
+
+  /**
+   * Move para site_configs os seletores aprendidos salvos em settings
+   */
+  async importLegacySiteConfigs() {
+    const rows = await Settings.getByPrefix(LEGACY_SITE_CONFIG_PREFIX);
+
+    for (const row of rows) {
+      const domain = row.key.slice(LEGACY_SITE_CONFIG_PREFIX.length);
+
+      try {
+        const { author, learnedFrom, ...siteConfig } = JSON.parse(row.value);
+
+        if (!(await SiteConfig.findByDomain(domain))) {
+          await SiteConfig.save(domain, siteConfig, author, learnedFrom ? `Aprendido de ${learnedFrom}` : null);
+        }
+        await Settings.delete(row.key);
+
+      } catch (error) {
+        logger.error(`Erro ao importar configuração salva de ${domain}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Valida e salva a configuração de um site (nova versão) e aplica em seguida
+   * @param {string} domain - Domínio do site
+   * @param {Object} siteConfig - Configuração ({ selectors, nameSelectors, ... })
+   * @param {Object} options - Opções
+   * @param {string} options.author - Quem fez a alteração
+   * @param {string} options.note - Descrição da alteração
+   * @returns {Promise<Object>} Configuração salva
+   */
+  async saveSiteConfig(domain, siteConfig, options = {}) {
+    const normalizedDomain = this.normalizeConfigDomain(domain);
+    const cleanConfig = this.validateSiteConfig(normalizedDomain, siteConfig);
+
+    const saved = await SiteConfig.save(normalizedDomain, cleanConfig, options.author || null, options.note || null);
+    this.addSiteConfig(normalizedDomain, cleanConfig);
+
+    return saved;
+  }
+
+  /**
+   * Remove a configuração salva de um site
+   * @param {string} domain - Domínio do site
+   * @param {Object} options - { author }
+   * @returns {Promise<boolean>} true se existia
+   */
+  async deleteSiteConfig(domain, options = {}) {
+    const normalizedDomain = this.normalizeConfigDomain(domain);
+
+    const removed = await SiteConfig.remove(normalizedDomain, options.author || null);
+    if (removed) {
+      this.removeSiteConfig(normalizedDomain);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Restaura uma versão anterior da configuração de um site
+   * @param {string} domain - Domínio do site
+   * @param {number} version - Versão a restaurar
+   * @param {Object} options - { author }
+   * @returns {Promise<Object>} Configuração salva (nova versão)
+   */
+  async restoreSiteConfig(domain, version, options = {}) {
+    const normalizedDomain = this.normalizeConfigDomain(domain);
+    const previous = await SiteConfig.getVersion(normalizedDomain, version);
+
+    if (!previous || !previous.config) {
+      const error = new Error(`Versão ${version} de ${normalizedDomain} não encontrada`);
+      error.code = 'SITE_CONFIG_NOT_FOUND';
+      throw error;
+    }
+
+    return this.saveSiteConfig(normalizedDomain, previous.config, {
+      author: options.author,
+      note: `Restaurada a versão ${version}`
+    });
+  }
+
+  /**
+   * Normaliza o domínio de uma configuração (minúsculo, sem www.)
+   * @param {string} domain - Domínio informado
+   */
+  normalizeConfigDomain(domain) {
+    const normalized = String(domain || '').trim().toLowerCase().replace(/^www\./, '');
+
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(normalized)) {
+      const error = new Error(`Domínio inválido: ${domain}`);
+      error.code = 'INVALID_SITE_CONFIG';
+      throw error;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Valida uma configuração de site e descarta campos desconhecidos
+   * @param {string} domain - Domínio normalizado
+   * @param {Object} siteConfig - Configuração informada
+   * @returns {Object} Configuração limpa
+   */
+  validateSiteConfig(domain, siteConfig) {
+    const problems = [];
+    const clean = {};
+    const $ = cheerio.load('');
+
+    const checkSelectors = (field, list) => {
+      if (!Array.isArray(list) || list.some(selector => typeof selector !== 'string' || !selector.trim())) {
+        problems.push(`${field} deve ser uma lista de seletores`);
+        return [];
+      }
+      for (const selector of list) {
+        try {
+          $(selector);
+        } catch (error) {
+          problems.push(`Seletor inválido em ${field}: ${selector}`);
+        }
+      }
+      return list.map(selector => selector.trim());
+    };
+
+    for (const field of SITE_CONFIG_FIELDS) {
+      if (siteConfig[field] === undefined || siteConfig[field] === null) continue;
+
+      if (field === 'selectors' || field === 'nameSelectors' || field === 'promotionSelectors') {
+        clean[field] = checkSelectors(field, siteConfig[field]);
+      } else if (field === 'pricePointSelectors') {
+        clean[field] = {};
+        for (const [point, list] of Object.entries(siteConfig[field])) {
+          if (!PricePoints.isValid(point)) {
+            problems.push(`Ponto de preço inválido: ${point}`);
+            continue;
+          }
+          clean[field][point] = checkSelectors(`pricePointSelectors.${point}`, list);
+        }
+      } else if (field === 'currency') {
+        if (!/^[A-Z]{3}$/.test(siteConfig.currency)) problems.push('currency deve ser um código ISO (ex: BRL)');
+        clean.currency = siteConfig.currency;
+      } else if (field === 'waitTime') {
+        const waitTime = parseInt(siteConfig.waitTime);
+        if (!(waitTime > 0 && waitTime <= 60000)) problems.push('waitTime deve estar entre 1 e 60000 ms');
+        clean.waitTime = waitTime;
+      } else if (field === 'renderMode') {
+        const modes = ['auto', 'static', ...this.renderers.keys()];
+        if (!modes.includes(siteConfig.renderMode)) problems.push(`renderMode deve ser um de: ${Array.from(new Set(modes)).join(', ')}`);
+        clean.renderMode = siteConfig.renderMode;
+      }
+    }
+
+    // Sem adaptador próprio, os seletores de preço são a configuração inteira
+    if (!this.findBuiltInAdapter(domain) && !(clean.selectors && clean.selectors.length > 0) &&
+        !problems.some(problem => problem.startsWith('selectors'))) {
+      problems.push('selectors é obrigatório para lojas sem adaptador');
+    }
+
+    if (problems.length > 0) {
+      const error = new Error(`Configuração inválida para ${domain}: ${problems.join('; ')}`);
+      error.code = 'INVALID_SITE_CONFIG';
+      error.problems = problems;
+      throw error;
+    }
+
+    return clean;
+  }
+
+  /**
+   * Modo "ensinar o scraper": procura na página o preço informado pelo
+   * usuário e propõe seletores CSS para ele
+   * @param {string} url - URL do produto
+   * @param {number} price - Preço que o usuário vê na página
+   * @param {Object} options - Opções
+   * @param {boolean} options.refresh - Ignorar o HTML em cache
+   * @returns {Promise<Object>} { url, domain, price, support, current, currency, candidates }
+   */
+  async proposeSelectors(url, price, options = {}) {
+    const { normalizedUrl, domain } = this.validateTeachTarget(url, price);
+
+    const html = await this.loadTeachPage(normalizedUrl, domain, options.refresh);
+    const candidates = this.selectorLearner.propose(cheerio.load(html), price);
+
+    if (candidates.length === 0) {
+      const error = new Error(`Preço ${price.toFixed(2)} não encontrado na página`);
+      error.code = 'PRICE_NOT_FOUND';
+      throw error;
+    }
+
+    // O que o scraper extrai hoje, para comparação
+    const current = await this.extractData(html, domain, normalizedUrl);
+
+    logger.info(`${candidates.length} seletor(es) proposto(s) para ${domain}`, { price });
+
+    return {
+      url: normalizedUrl,
+      domain,
+      price,
+      support: this.isSupportedSite(normalizedUrl),
+      current: { price: current.price, strategy: current.strategy, selector: current.selector },
+      currency: current.currency,
+      candidates
+    };
+  }
+
+  /**
+   * Confirma um seletor proposto e salva como configuração do site
+   * @param {string} url - URL do produto usada no aprendizado
+   * @param {string} selector - Seletor escolhido pelo usuário
+   * @param {Object} options - Opções
+   * @param {number} options.price - Preço confirmado (o seletor precisa extraí-lo)
+   * @param {string} options.author - Quem ensinou (ex: ID do usuário do Discord)
+   * @returns {Promise<Object>} { domain, selector, price, config }
+   */
+  async learnSelector(url, selector, options = {}) {
+    const { normalizedUrl, domain } = this.validateTeachTarget(url, options.price);
+
+    const html = await this.loadTeachPage(normalizedUrl, domain, false);
+    const verified = this.selectorLearner.verify(cheerio.load(html), selector, options.price);
+
+    if (!verified) {
+      const error = new Error(`O seletor ${selector} não extrai o preço ${options.price.toFixed(2)} nesta página`);
+      error.code = 'SELECTOR_MISMATCH';
+      throw error;
+    }
+
+    // Seletores aprendidos antes continuam como alternativa
+    const existing = await SiteConfig.findByDomain(domain);
+    const previous = existing && existing.config ? existing.config : {};
+    const siteConfig = {
+      ...previous,
+      selectors: [selector, ...(previous.selectors || []).filter(known => known !== selector)]
+    };
+
+    await this.saveSiteConfig(domain, siteConfig, {
+      author: options.author,
+      note: `Aprendido de ${normalizedUrl} (preço ${verified.price.toFixed(2)})`
+    });
+
+    logger.info(`Seletor aprendido para ${domain}: ${selector}`, { author: options.author, price: verified.price });
+
+    return { domain, selector, price: verified.price, config: siteConfig };
+  }
+
+  /**
+   * Valida URL e preço do modo "ensinar"
+   * @param {string} url - URL do produto
+   * @param {number} price - Preço informado
+   * @returns {Object} { normalizedUrl, domain }
+   */
+  validateTeachTarget(url, price) {
+    if (!this.isValidUrl(url)) {
+      throw new Error('URL inválida');
     }
-    return false;
+    if (typeof price !== 'number' || !(price > 0)) {
+      throw new Error('Preço inválido');
+    }
+
+    const normalizedUrl = this.normalizeUrl(url);
+    const domain = this.extractDomain(normalizedUrl);
+
+    const builtIn = this.findBuiltInAdapter(domain);
+    if (builtIn) {
+      const error = new Error(`${domain} já possui adaptador próprio (${builtIn.name})`);
+      error.code = 'ADAPTER_EXISTS';
+      throw error;
+    }
+
+    return { normalizedUrl, domain };
+  }
+
+  /**
+   * HTML da página para o modo "ensinar" (cache ou nova requisição)
+   * A confirmação reaproveita a mesma página usada na proposta
+   * @param {string} url - URL normalizada
+   * @param {string} domain - Domínio
+   * @param {boolean} refresh - Ignorar o cache
+   */
+  async loadTeachPage(url, domain, refresh) {
+    const cached = refresh ? null : await this.loadCachedPage(url);
+    if (cached) return cached.html;
+
+    const response = await this.makeRequest(url, domain, { renderer: this.renderers.get('static') });
+    return response.data;
   }
 
   /**
    * Testa scraping de uma URL (modo debug)
+   * Usa o HTML em cache quando disponível, sem acessar a loja
    * @param {string} url - URL para testar
+   * @param {Object} options - Opções
+   * @param {boolean} options.refresh - Ignorar o cache e baixar a página novamente
+   * @param {string} options.renderer - Renderizador a usar (padrão: static; outros ignoram o cache)
+   * @param {boolean} options.saveFixture - Salvar a página como fixture de teste (tests/fixtures)
+   * @param {Object} options.expected - Valores esperados da fixture ({ price, name, availability });
+   *   sem eles, usa o que foi extraído
    */
-  async debugScrape(url) {
+  async debugScrape(url, options = {}) {
     const startTime = Date.now();
     logger.info(`Iniciando debug scrape para: ${url}`);
 
     try {
-      // Fazer requisição
       const domain = this.extractDomain(url);
-      const response = await this.makeRequest(url, domain);
+
+      // Decisão do robots.txt (antes da requisição)
+      const robots = await this.checkRobots(url);
+      if (!robots.allowed) {
+        logger.info(`Debug scrape bloqueado pelo robots.txt: ${url}`, { rule: robots.rule });
+        return {
+          url,
+          domain,
+          robots,
+          error: `URL bloqueada pelo robots.txt (${robots.rule})`,
+          duration: Date.now() - startTime
+        };
+      }
+
+      // HTML em cache ou nova requisição
+      const normalizedUrl = this.normalizeUrl(url);
+      const mode = options.renderer || 'static';
+      const renderer = this.renderers.get(mode);
+
+      if (!renderer || !renderer.isAvailable()) {
+        throw new Error(`Renderizador indisponível: ${mode}`);
+      }
+
+      const cached = options.refresh || mode !== 'static' ? null : await this.loadCachedPage(normalizedUrl);
+      const response = cached
+        ? { status: 200, data: cached.html }
+        : await this.makeRequest(normalizedUrl, domain, { renderer });
       
       // Carregar HTML
       const $ = cheerio.load(response.data);
@@ -695,6 +2528,10 @@ class PriceScraper {
         status: response.status,
         contentLength: response.data.length,
         title: $('title').text().trim(),
+        adapter: this.getAdapter(domain)?.name || null,
+        renderer: mode,
+        robots,
+        cache: cached ? { hit: true, fetchedAt: cached.fetched_at, validatedAt: cached.validated_at } : { hit: false },
         selectors: {},
         prices: [],
         names: []
@@ -702,7 +2539,7 @@ class PriceScraper {
 
       // Testar seletores de preço
       const allPriceSelectors = [
-        ...(this.siteConfigs[domain]?.selectors || []),
+        ...(this.getAdapter(domain)?.selectors || []),
         '.price', '.sale-price', '.current-price', '.offer-price'
       ];
 
@@ -718,10 +2555,30 @@ class PriceScraper {
         }
       });
 
+      // Dados estruturados encontrados na página
+      results.structuredData = this.structuredDataExtractor.extract($);
+
       // Extrair dados
       const extractedData = await this.extractData(response.data, domain, url);
       results.extracted = extractedData;
 
+      // Gravar fixture para o teste de extração offline
+      if (options.saveFixture) {
+        results.fixture = Fixtures.saveFixture({
+          url: normalizedUrl,
+          domain,
+          html: response.data,
+          adapter: results.adapter,
+          renderer: mode,
+          expected: {
+            price: options.expected?.price ?? extractedData.price,
+            name: options.expected?.name ?? (extractedData.success ? extractedData.name : null),
+            availability: options.expected?.availability ?? extractedData.availability
+          }
+        });
+        logger.info(`Fixture salva: ${results.fixture.id}`);
+      }
+
       const duration = Date.now() - startTime;
       logger.info(`Debug scrape concluído em ${duration}ms`, { success: extractedData.success });
 
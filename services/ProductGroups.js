@@ -0,0 +1,138 @@
+/**
+ * Comparação de preços entre lojas de um grupo de produtos
+ * (o mesmo item, identificado por GTIN/EAN ou MPN, monitorado em várias lojas)
+ */
+const Availability = require('./Availability');
+const Currencies = require('./Currencies');
+const config = require('../config/config');
+
+/**
+ * Preço comparável do produto (com frete, se o produto acompanha o preço final)
+ * @param {Object} product - Linha de products
+ * @returns {number|null}
+ */
+function getComparablePrice(product) {
+  if (product.use_landed_price && product.landed_price) return product.landed_price;
+  return product.current_price || null;
+}
+
+/**
+ * Preço comparável convertido para a moeda do grupo
+ * @param {Object} product - Linha de products
+ * @param {Object} options - { currency, rates }
+ * @returns {number|null} null sem preço ou sem cotação para a moeda do produto
+ */
+function getConvertedPrice(product, options) {
+  return Currencies.convert(getComparablePrice(product),
+    product.currency || config.currency.default, options.currency, options.rates);
+}
+
+/**
+ * Moeda usada na comparação: a informada ou a do primeiro produto
+ * @param {Array<Object>} products - Produtos do grupo
+ * @param {Object} options - { currency, rates }
+ */
+function resolveOptions(products, options = {}) {
+  return {
+    currency: options.currency || products[0]?.currency || config.currency.default,
+    rates: options.rates || null
+  };
+}
+
+/**
+ * Melhor oferta entre os produtos disponíveis para compra
+ * Lojas em moedas diferentes só são comparadas com a cotação disponível
+ * @param {Array<Object>} products - Produtos do grupo
+ * @param {Object} options - { currency, rates } (moeda da comparação e tabela de cotações)
+ * @returns {Object|null} { product, price } com o preço na moeda da comparação
+ */
+function getBestOffer(products, options = {}) {
+  const resolved = resolveOptions(products, options);
+
+  return products.reduce((best, product) => {
+    const price = getConvertedPrice(product, resolved);
+    if (!price || (product.availability && !Availability.isPurchasable(product.availability))) return best;
+    return !best || price < best.price ? { product, price } : best;
+  }, null);
+}
+
+/**
+ * Resumo do grupo para listagens (melhor preço, loja e diferença entre lojas)
+ * best, highest e savings ficam na moeda do resumo; cada produto mantém o preço na própria moeda
+ * @param {Object} group - Grupo com products
+ * @param {Object} options - { currency, rates } (ex: moeda de exibição do servidor)
+ * @returns {Object} { id, name, gtin, mpn, currency, stores, best, highest, savings, products }
+ */
+function summarize(group, options = {}) {
+  const resolved = resolveOptions(group.products, options);
+  const best = getBestOffer(group.products, resolved);
+  const prices = group.products.map(product => getConvertedPrice(product, resolved)).filter(Boolean);
+  const highest = prices.length > 0 ? Math.max(...prices) : null;
+
+  return {
+    id: group.id,
+    name: group.name,
+    gtin: group.gtin,
+    mpn: group.mpn,
+    currency: resolved.currency,
+    stores: group.products.length,
+    best: best ? {
+      productId: best.product.id,
+      name: best.product.name,
+      url: best.product.url,
+      store: getStore(best.product.url),
+      price: best.price
+    } : null,
+    highest,
+    savings: best && highest ? highest - best.price : 0,
+    products: group.products.map(product => ({
+      id: product.id,
+      name: product.name,
+      url: product.url,
+      store: getStore(product.url),
+      price: getComparablePrice(product),
+      currency: product.currency || config.currency.default,
+      convertedPrice: getConvertedPrice(product, resolved),
+      availability: product.availability,
+      isBest: !!best && best.product.id === product.id
+    }))
+  };
+}
+
+/**
+ * Texto do preço de um produto do resumo na moeda da loja
+ * (com o valor convertido quando a loja usa outra moeda)
+ * @param {Object} item - Produto do resumo (summarize)
+ * @param {Object} summary - Resumo do grupo
+ */
+function describePrice(item, summary) {
+  if (!item.price) return 'sem preço';
+
+  const text = Currencies.format(item.price, item.currency);
+  if (item.currency === summary.currency) return text;
+
+  return item.convertedPrice
+    ? `${text} (≈ ${Currencies.format(item.convertedPrice, summary.currency)})`
+    : `${text} (sem cotação)`;
+}
+
+/**
+ * Nome da loja exibido (domínio sem www.)
+ * @param {string} url - URL do produto
+ */
+function getStore(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+}
+
+module.exports = {
+  getComparablePrice,
+  getConvertedPrice,
+  getBestOffer,
+  summarize,
+  describePrice,
+  getStore
+};
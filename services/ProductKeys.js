@@ -0,0 +1,141 @@
+/**
+ * Identidade canônica de produtos por loja
+ * A mesma oferta aparece em várias URLs (slug, /dp/, /gp/product/, parâmetros
+ * de tracking); a chave canônica identifica o produto independente da URL usada
+ *
+ * Formato da chave: "<loja>:<id>" (ex: amazon:B09B8V1LZ3, mercadolivre:MLB3456789012)
+ *
+ * GTIN/EAN e MPN identificam o item entre lojas diferentes (grupos de produtos)
+ */
+
+// Caminhos da Amazon que carregam o ASIN
+const AMAZON_ASIN = /\/(?:dp|gp\/product|gp\/aw\/d|exec\/obidos\/ASIN|o\/ASIN)\/([A-Z0-9]{10})(?=[/?#]|$)/i;
+
+// Produto de catálogo (/p/MLB123) e anúncio (MLB-123 ou MLB123 no caminho)
+const MERCADOLIVRE_CATALOG = /\/p\/(MLB\d+)(?=[/?#]|$)/i;
+const MERCADOLIVRE_ITEM = /\/(?:[^/]*-)?MLB-?(\d+)/i;
+
+// Parâmetros com o SKU nas lojas VTEX (/<slug>/p?skuId=123)
+const VTEX_SKU_PARAMS = ['skuId', 'idsku', 'sku'];
+
+/**
+ * ASIN da Amazon
+ * @param {string} url - URL do produto
+ * @returns {Object|null} { key, canonicalUrl }
+ */
+function amazon(url) {
+  const parsed = parse(url);
+  if (!parsed) return null;
+
+  const match = parsed.pathname.match(AMAZON_ASIN);
+  if (!match) return null;
+
+  const asin = match[1].toUpperCase();
+  return {
+    key: `amazon:${asin}`,
+    canonicalUrl: `https://www.${parsed.hostname.replace(/^www\./, '')}/dp/${asin}`
+  };
+}
+
+/**
+ * ID do anúncio (MLB) ou do produto de catálogo do Mercado Livre
+ * @param {string} url - URL do produto
+ * @returns {Object|null} { key, canonicalUrl }
+ */
+function mercadoLivre(url) {
+  const parsed = parse(url);
+  if (!parsed) return null;
+
+  const catalog = parsed.pathname.match(MERCADOLIVRE_CATALOG);
+  if (catalog) {
+    const id = catalog[1].toUpperCase();
+    return {
+      key: `mercadolivre:catalog:${id}`,
+      canonicalUrl: `https://www.mercadolivre.com.br/p/${id}`
+    };
+  }
+
+  const item = parsed.pathname.match(MERCADOLIVRE_ITEM);
+  if (!item) return null;
+
+  return {
+    key: `mercadolivre:MLB${item[1]}`,
+    canonicalUrl: `https://produto.mercadolivre.com.br/MLB-${item[1]}`
+  };
+}
+
+/**
+ * SKU de lojas VTEX (página de produto terminada em /p com o SKU na query)
+ * @param {string} url - URL do produto
+ * @returns {Object|null} { key, canonicalUrl }
+ */
+function vtex(url) {
+  const parsed = parse(url);
+  if (!parsed || !/\/p\/?$/.test(parsed.pathname)) return null;
+
+  const param = VTEX_SKU_PARAMS.find(name => /^\d+$/.test(parsed.searchParams.get(name) || ''));
+  if (!param) return null;
+
+  const sku = parsed.searchParams.get(param);
+  const host = parsed.hostname.replace(/^www\./, '');
+
+  return {
+    key: `vtex:${host}:${sku}`,
+    canonicalUrl: `${parsed.origin}${parsed.pathname.replace(/\/$/, '')}?skuId=${sku}`
+  };
+}
+
+/**
+ * Normaliza GTIN/EAN/UPC: apenas dígitos, dígito verificador válido e
+ * 13 dígitos (GTIN-8/12 completados com zeros; GTIN-14 mantido se não começar com 0)
+ * @param {string|number} value - Código informado pela loja
+ * @returns {string|null}
+ */
+function normalizeGtin(value) {
+  if (value === null || value === undefined) return null;
+
+  const digits = String(value).replace(/[\s-]/g, '');
+  if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(digits) || /^0+$/.test(digits)) return null;
+
+  const gtin = digits.padStart(14, '0');
+  const sum = gtin.slice(0, 13).split('').reduce((total, digit, index) =>
+    total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+
+  if ((10 - (sum % 10)) % 10 !== Number(gtin[13])) return null;
+
+  return gtin.startsWith('0') ? gtin.slice(1) : gtin;
+}
+
+/**
+ * Normaliza o código do fabricante (MPN): maiúsculas, sem espaços e hífens
+ * Só identifica o item junto com a marca
+ * @param {string} value - MPN informado pela loja
+ * @returns {string|null}
+ */
+function normalizeMpn(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const mpn = value.toUpperCase().replace(/[\s-]/g, '');
+  return /^[A-Z0-9./]{4,40}$/.test(mpn) && /\d/.test(mpn) ? mpn : null;
+}
+
+/**
+ * Converte a URL sem lançar erro
+ * @param {string} url - URL
+ * @returns {URL|null}
+ */
+function parse(url) {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  amazon,
+  mercadoLivre,
+  vtex,
+  normalizeGtin,
+  normalizeMpn
+};
@@ -0,0 +1,226 @@
+/**
+ * Cupons e selos promocionais ("cupom de R$ 50", "frete grátis", "oferta relâmpago")
+ * O preço anunciado nem sempre é o menor preço possível: o cupom mostra
+ * como chegar ao preço efetivo e os selos explicam a promoção
+ */
+const Currencies = require('./Currencies');
+
+const BADGES = {
+  FREE_SHIPPING: 'free_shipping',
+  LIGHTNING_DEAL: 'lightning_deal',
+  DEAL_OF_THE_DAY: 'deal_of_the_day',
+  LIMITED_TIME: 'limited_time'
+};
+
+const MONEY = 'R\\$\\s*((?:\\d{1,3}(?:\\.\\d{3})+|\\d+)(?:,\\d{2})?)(?!\\d)';
+const PERCENT = '(\\d{1,2}(?:,\\d+)?)\\s*%';
+
+// Padrões de texto dos selos
+const BADGE_PATTERNS = {
+  [BADGES.FREE_SHIPPING]: /(?:frete|entrega) gr[áa]tis/i,
+  [BADGES.LIGHTNING_DEAL]: /oferta rel[âa]mpago/i,
+  [BADGES.DEAL_OF_THE_DAY]: /oferta do dia/i,
+  [BADGES.LIMITED_TIME]: /(?:oferta|promo[çc][ãa]o) por tempo limitado|termina em \d/i
+};
+
+// Valor do cupom, procurado só em textos que falam de cupom
+// (ex: "cupom de R$ 50", "CUPOM APP10 10% OFF", "R$ 20 de desconto com cupom")
+const COUPON_KEYWORD = /cupom|c[óo]digo (?:promocional|de desconto)/i;
+const COUPON_PATTERNS = [
+  { type: 'fixed', pattern: new RegExp(`cupom(?:\\s+de)?(?:\\s+desconto)?(?:\\s+de)?\\s*${MONEY}`, 'i') },
+  { type: 'fixed', pattern: new RegExp(`${MONEY}\\s*(?:off|de desconto)`, 'i') },
+  { type: 'percent', pattern: new RegExp(`cupom(?:\\s+de)?(?:\\s+desconto)?(?:\\s+de)?\\s*${PERCENT}`, 'i') },
+  { type: 'percent', pattern: new RegExp(`${PERCENT}\\s*(?:off|de desconto)`, 'i') }
+];
+
+// Código do cupom, escrito em maiúsculas na página (ex: "cupom: BEMVINDO10", "código promocional APP50")
+const CODE_PATTERN = /(?:cupom|c[óo]digo (?:promocional|de desconto))\s*:?\s*["“']?([A-Z0-9]{4,20})\b/gi;
+const NOT_CODES = ['DESCONTO', 'APLICADO', 'APLICAR', 'ATIVAR', 'OFF'];
+
+// Valor mínimo da compra (ex: "em compras acima de R$ 300")
+const MIN_PURCHASE_PATTERN = new RegExp(`(?:compras?|pedidos?)\\s+(?:acima|a partir)\\s+de\\s+${MONEY}|m[íi]nimo\\s+(?:de\\s+)?${MONEY}`, 'i');
+
+/**
+ * Extrai cupons e selos dos textos da área de compra
+ * Cada texto é lido separadamente para não juntar o valor de um cupom ao código de outro
+ * @param {Array<string>} texts - Textos dos elementos de promoção
+ * @param {Function} parsePrice - Função para converter texto em preço
+ * @returns {Object} { coupons: [{ code, type, value, minPurchase }], badges: [...] }
+ */
+function extractFromTexts(texts, parsePrice) {
+  const coupons = [];
+  const badges = new Set();
+
+  for (const text of texts || []) {
+    if (!text) continue;
+
+    for (const [badge, pattern] of Object.entries(BADGE_PATTERNS)) {
+      if (pattern.test(text)) badges.add(badge);
+    }
+
+    const coupon = extractCoupon(text, parsePrice);
+    if (coupon && !coupons.some(existing => isSameCoupon(existing, coupon))) {
+      coupons.push(coupon);
+    }
+  }
+
+  return { coupons, badges: Array.from(badges) };
+}
+
+/**
+ * Extrai um cupom de um texto
+ * @param {string} text - Texto do elemento
+ * @param {Function} parsePrice - Função para converter texto em preço
+ * @returns {Object|null} { code, type, value, minPurchase }
+ */
+function extractCoupon(text, parsePrice) {
+  if (!COUPON_KEYWORD.test(text)) return null;
+
+  let coupon = null;
+
+  for (const { type, pattern } of COUPON_PATTERNS) {
+    const match = text.match(pattern);
+    const value = match
+      ? (type === 'percent' ? parseFloat(match[1].replace(',', '.')) : parsePrice(match[1]))
+      : null;
+
+    if (value > 0 && (type === 'fixed' || value < 100)) {
+      coupon = { code: null, type, value, minPurchase: null };
+      break;
+    }
+  }
+
+  const code = Array.from(text.matchAll(CODE_PATTERN))
+    .map(match => match[1])
+    .find(candidate => candidate === candidate.toUpperCase() && /[A-Z]/.test(candidate) && !NOT_CODES.includes(candidate)) || null;
+
+  if (!coupon && !code) return null;
+  coupon = coupon || { code: null, type: null, value: null, minPurchase: null };
+  coupon.code = code;
+
+  const minPurchase = text.match(MIN_PURCHASE_PATTERN);
+  if (minPurchase) coupon.minPurchase = parsePrice(minPurchase[1] || minPurchase[2]);
+
+  return coupon;
+}
+
+/**
+ * Compara dois cupons (mesmo código ou mesmo desconto)
+ */
+function isSameCoupon(a, b) {
+  if (a.code && b.code) return a.code === b.code;
+  return a.type === b.type && a.value === b.value;
+}
+
+/**
+ * Normaliza as promoções para persistir
+ * @param {Object} promotions - { coupons, badges }
+ * @returns {Object|null} null quando não há cupom nem selo
+ */
+function normalize(promotions) {
+  if (!promotions) return null;
+
+  const coupons = (promotions.coupons || []).filter(coupon => coupon && (coupon.code || coupon.value > 0));
+  const badges = (promotions.badges || []).filter(badge => Object.values(BADGES).includes(badge));
+
+  return coupons.length > 0 || badges.length > 0 ? { coupons, badges } : null;
+}
+
+/**
+ * Promoções salvas em uma coluna JSON
+ * @param {string|Object|null} value - Valor da coluna promotions
+ */
+function fromRow(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Preço após o melhor cupom aplicável
+ * @param {number} price - Preço acompanhado pelo produto
+ * @param {Object} promotions - { coupons }
+ * @returns {Object|null} { price, coupon } ou null sem cupom aplicável
+ */
+function getEffectivePrice(price, promotions) {
+  if (!price || !promotions || !Array.isArray(promotions.coupons)) return null;
+
+  let best = null;
+
+  for (const coupon of promotions.coupons) {
+    if (!coupon.value || (coupon.minPurchase && price < coupon.minPurchase)) continue;
+
+    const discounted = coupon.type === 'percent'
+      ? price * (1 - coupon.value / 100)
+      : price - coupon.value;
+    const effective = Math.round(Math.max(discounted, 0) * 100) / 100;
+
+    if (effective > 0 && (!best || effective < best.price)) {
+      best = { price: effective, coupon };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Texto de exibição de um cupom
+ * @param {Object} coupon - { code, type, value, minPurchase }
+ * @param {string} currency - Moeda da loja
+ */
+function describeCoupon(coupon, currency = null) {
+  let text = coupon.code ? `Cupom **${coupon.code}**` : 'Cupom na página';
+
+  if (coupon.value) {
+    text += coupon.type === 'percent'
+      ? `: ${String(coupon.value).replace('.', ',')}% de desconto`
+      : `: ${Currencies.format(coupon.value, currency)} de desconto`;
+  }
+  if (coupon.minPurchase) text += ` (compras acima de ${Currencies.format(coupon.minPurchase, currency)})`;
+  return text;
+}
+
+/**
+ * Rótulo legível de um selo
+ * @param {string} badge - Selo
+ */
+function getBadgeLabel(badge) {
+  const labels = {
+    [BADGES.FREE_SHIPPING]: '🚚 Frete grátis',
+    [BADGES.LIGHTNING_DEAL]: '⚡ Oferta relâmpago',
+    [BADGES.DEAL_OF_THE_DAY]: '📅 Oferta do dia',
+    [BADGES.LIMITED_TIME]: '⏳ Por tempo limitado'
+  };
+  return labels[badge] || badge;
+}
+
+/**
+ * Texto de exibição das promoções (cupons e selos)
+ * @param {Object} promotions - { coupons, badges }
+ * @param {string} currency - Moeda da loja
+ */
+function describe(promotions, currency = null) {
+  if (!promotions) return null;
+
+  const lines = (promotions.coupons || []).map(coupon => `🎟️ ${describeCoupon(coupon, currency)}`);
+  if (promotions.badges && promotions.badges.length > 0) {
+    lines.push(promotions.badges.map(getBadgeLabel).join(' • '));
+  }
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+module.exports = {
+  BADGES,
+  extractFromTexts,
+  normalize,
+  fromRow,
+  getEffectivePrice,
+  describeCoupon,
+  getBadgeLabel,
+  describe
+};
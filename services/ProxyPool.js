@@ -0,0 +1,262 @@
+const HttpsProxyAgent = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const logger = require('../utils/logger');
+
+const STRATEGIES = ['round-robin', 'sticky', 'least-recently-blocked'];
+
+/**
+ * Pool de identidades de saída (proxy + perfil de navegador)
+ * Sem proxies configurados, cada perfil vira uma identidade de conexão direta,
+ * então a rotação de user-agent funciona mesmo sem proxies.
+ * Identidades bloqueadas (isBlocked, 403, 429) ficam em quarentena.
+ */
+class ProxyPool {
+
+  /**
+   * @param {Object} options - Opções
+   * @param {Array<string>} options.proxies - URLs dos proxies (http://, https://, socks4://, socks5://)
+   * @param {Array<Object>} options.profiles - Perfis de headers ({ name, headers })
+   * @param {string} options.strategy - round-robin, sticky ou least-recently-blocked
+   * @param {number} options.quarantineMs - Tempo de quarentena após bloqueio
+   * @param {number} options.maxConsecutiveErrors - Erros de rede seguidos para colocar um proxy em quarentena
+   */
+  constructor(options = {}) {
+    const profiles = options.profiles && options.profiles.length > 0 ? options.profiles : [{ name: 'default', headers: {} }];
+    const proxies = (options.proxies || []).filter(proxy => this.isValidProxy(proxy));
+
+    this.strategy = STRATEGIES.includes(options.strategy) ? options.strategy : 'round-robin';
+    this.quarantineMs = options.quarantineMs || 30 * 60 * 1000;
+    this.maxConsecutiveErrors = options.maxConsecutiveErrors || 3;
+
+    if (options.strategy && this.strategy !== options.strategy) {
+      logger.warn(`Estratégia de proxy desconhecida "${options.strategy}", usando round-robin`);
+    }
+
+    const entries = proxies.length > 0
+      ? proxies.map((proxy, index) => ({ proxy, profile: profiles[index % profiles.length] }))
+      : profiles.map(profile => ({ proxy: null, profile }));
+
+    this.identities = entries.map((entry, index) => ({
+      id: index + 1,
+      proxy: entry.proxy,
+      label: entry.proxy ? this.maskProxy(entry.proxy) : 'direct',
+      profile: entry.profile,
+      requests: 0,
+      successes: 0,
+      blocks: 0,
+      errors: 0,
+      consecutiveErrors: 0,
+      quarantines: 0,
+      lastUsedAt: 0,
+      lastBlockedAt: 0,
+      lastError: null,
+      quarantinedUntil: 0
+    }));
+
+    // Estado das estratégias
+    this.cursor = 0;
+    this.sticky = new Map();
+    this.agents = new Map();
+  }
+
+  /**
+   * Escolhe a identidade para um request ao domínio
+   * @param {string} domain - Domínio de destino
+   * @returns {Object} Identidade ({ id, proxy, label, profile, ... })
+   */
+  acquire(domain) {
+    const now = Date.now();
+    const available = this.identities.filter(identity => identity.quarantinedUntil <= now);
+
+    let identity;
+
+    if (available.length === 0) {
+      // Todas em quarentena: usar a que sai primeiro
+      identity = this.identities.reduce((best, current) =>
+        current.quarantinedUntil < best.quarantinedUntil ? current : best);
+      logger.warn(`Todas as identidades do pool estão em quarentena, usando ${identity.label}`);
+
+    } else if (this.strategy === 'sticky') {
+      identity = available.find(current => current.id === this.sticky.get(domain));
+
+      if (!identity) {
+        identity = this.nextRoundRobin(available);
+        this.sticky.set(domain, identity.id);
+      }
+
+    } else if (this.strategy === 'least-recently-blocked') {
+      identity = available.reduce((best, current) => {
+        if (current.lastBlockedAt !== best.lastBlockedAt) {
+          return current.lastBlockedAt < best.lastBlockedAt ? current : best;
+        }
+        return current.lastUsedAt < best.lastUsedAt ? current : best;
+      });
+
+    } else {
+      identity = this.nextRoundRobin(available);
+    }
+
+    identity.requests++;
+    identity.lastUsedAt = now;
+    return identity;
+  }
+
+  /**
+   * Próxima identidade disponível na ordem circular
+   * @param {Array} available - Identidades fora de quarentena
+   */
+  nextRoundRobin(available) {
+    const total = this.identities.length;
+
+    for (let offset = 0; offset < total; offset++) {
+      const index = (this.cursor + offset) % total;
+      const identity = this.identities[index];
+
+      if (available.includes(identity)) {
+        this.cursor = index + 1;
+        return identity;
+      }
+    }
+
+    return available[0];
+  }
+
+  /**
+   * Registra request bem-sucedido
+   * @param {Object} identity - Identidade usada
+   */
+  reportSuccess(identity) {
+    identity.successes++;
+    identity.consecutiveErrors = 0;
+  }
+
+  /**
+   * Registra bloqueio e coloca a identidade em quarentena
+   * @param {Object} identity - Identidade usada
+   * @param {string} domain - Domínio que bloqueou
+   * @param {string} reason - Motivo do bloqueio
+   */
+  reportBlocked(identity, domain, reason) {
+    identity.blocks++;
+    identity.lastBlockedAt = Date.now();
+    identity.lastError = `${domain}: ${reason}`;
+
+    if (this.sticky.get(domain) === identity.id) {
+      this.sticky.delete(domain);
+    }
+
+    this.quarantine(identity, `bloqueado por ${domain}`);
+  }
+
+  /**
+   * Registra erro de rede; proxies com erros seguidos vão para quarentena
+   * @param {Object} identity - Identidade usada
+   * @param {string} reason - Mensagem do erro
+   */
+  reportError(identity, reason) {
+    identity.errors++;
+    identity.consecutiveErrors++;
+    identity.lastError = reason;
+
+    if (identity.proxy && identity.consecutiveErrors >= this.maxConsecutiveErrors) {
+      identity.consecutiveErrors = 0;
+      this.quarantine(identity, `${this.maxConsecutiveErrors} erros de conexão seguidos`);
+    }
+  }
+
+  /**
+   * Coloca a identidade em quarentena
+   * @param {Object} identity - Identidade
+   * @param {string} reason - Motivo
+   */
+  quarantine(identity, reason) {
+    identity.quarantinedUntil = Date.now() + this.quarantineMs;
+    identity.quarantines++;
+
+    logger.warn(`Identidade ${identity.label} (${identity.profile.name}) em quarentena: ${reason}`, {
+      until: new Date(identity.quarantinedUntil).toISOString()
+    });
+  }
+
+  /**
+   * Agente HTTP do proxy da identidade (null para conexão direta)
+   * @param {Object} identity - Identidade
+   */
+  getAgent(identity) {
+    if (!identity.proxy) return null;
+
+    if (!this.agents.has(identity.proxy)) {
+      const agent = identity.proxy.startsWith('socks')
+        ? new SocksProxyAgent(identity.proxy)
+        : new HttpsProxyAgent(identity.proxy);
+      this.agents.set(identity.proxy, agent);
+    }
+
+    return this.agents.get(identity.proxy);
+  }
+
+  /**
+   * Valida a URL de um proxy
+   * @param {string} proxy - URL do proxy
+   */
+  isValidProxy(proxy) {
+    try {
+      const protocol = new URL(proxy).protocol;
+      if (['http:', 'https:', 'socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'].includes(protocol)) {
+        return true;
+      }
+    } catch {
+      // URL inválida
+    }
+
+    logger.warn(`Proxy ignorado (URL inválida): ${this.maskProxy(proxy)}`);
+    return false;
+  }
+
+  /**
+   * Oculta a senha do proxy para logs e estatísticas
+   * @param {string} proxy - URL do proxy
+   */
+  maskProxy(proxy) {
+    try {
+      const url = new URL(proxy);
+      if (url.password) url.password = '***';
+      return url.toString().replace(/\/$/, '');
+    } catch {
+      return String(proxy).replace(/:[^:@/]+@/, ':***@');
+    }
+  }
+
+  /**
+   * Saúde do pool
+   */
+  getStats() {
+    const now = Date.now();
+    const quarantined = this.identities.filter(identity => identity.quarantinedUntil > now).length;
+
+    return {
+      strategy: this.strategy,
+      size: this.identities.length,
+      proxies: this.identities.filter(identity => identity.proxy).length,
+      available: this.identities.length - quarantined,
+      quarantined,
+      identities: this.identities.map(identity => ({
+        id: identity.id,
+        proxy: identity.label,
+        profile: identity.profile.name,
+        requests: identity.requests,
+        successes: identity.successes,
+        blocks: identity.blocks,
+        errors: identity.errors,
+        quarantines: identity.quarantines,
+        lastError: identity.lastError,
+        lastBlockedAt: identity.lastBlockedAt ? new Date(identity.lastBlockedAt).toISOString() : null,
+        quarantinedUntil: identity.quarantinedUntil > now ? new Date(identity.quarantinedUntil).toISOString() : null
+      }))
+    };
+  }
+}
+
+ProxyPool.STRATEGIES = STRATEGIES;
+
+module.exports = ProxyPool;
@@ -0,0 +1,270 @@
+const axios = require('axios');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Leitor de robots.txt com cache por domínio
+ * Segue a RFC 9309: grupo mais específico para o user-agent,
+ * regra mais longa vence e Allow vence empates.
+ * As regras são avaliadas para os user-agents que o scraper realmente envia
+ */
+class RobotsTxt {
+
+  /**
+   * @param {Object} options - Opções
+   * @param {Array<string>} options.userAgents - User-agents enviados nos requests (todos precisam ter acesso)
+   * @param {number} options.cacheTtlMs - Validade do cache de cada robots.txt
+   */
+  constructor(options = {}) {
+    const userAgents = (options.userAgents || []).filter(Boolean);
+    this.userAgents = (userAgents.length > 0 ? userAgents : [config.scraping.userAgent]).map(agent => agent.toLowerCase());
+    this.cacheTtlMs = options.cacheTtlMs || (config.scraping.robotsCacheMinutes || 1440) * 60 * 1000;
+
+    // Falhas temporárias (5xx, rede) são consultadas novamente mais cedo
+    this.errorTtlMs = 10 * 60 * 1000;
+
+    // origem -> { groups, fetchedAt, expiresAt, status }
+    this.cache = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * Verifica se a URL pode ser acessada
+   * Com vários user-agents (rotação de perfis), a URL só é liberada se todos
+   * tiverem acesso, e vale o maior Crawl-delay entre eles
+   * @param {string} url - URL completa
+   * @returns {Promise<Object>} { allowed, rule, crawlDelay, source }
+   */
+  async check(url) {
+    const urlObj = new URL(url);
+    const entry = await this.getEntry(urlObj.origin);
+    const target = `${urlObj.pathname}${urlObj.search}`;
+    const result = { allowed: true, rule: null, crawlDelay: null, source: entry.status };
+
+    for (const userAgent of this.userAgents) {
+      const group = this.selectGroup(entry.groups, userAgent);
+      if (!group) continue;
+
+      if (group.crawlDelay !== null && (result.crawlDelay === null || group.crawlDelay > result.crawlDelay)) {
+        result.crawlDelay = group.crawlDelay;
+      }
+
+      const rule = this.matchRule(group.rules, target);
+      if (!rule || !result.allowed) continue;
+
+      result.allowed = rule.allow;
+      result.rule = `${rule.allow ? 'Allow' : 'Disallow'}: ${rule.path}`;
+    }
+
+    return result;
+  }
+
+  /**
+   * Busca o robots.txt da origem (com cache e deduplicação de requests)
+   * @param {string} origin - Origem (ex: https://www.loja.com.br)
+   */
+  async getEntry(origin) {
+    const cached = this.cache.get(origin);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    if (!this.pending.has(origin)) {
+      this.pending.set(origin, this.fetch(origin, cached).finally(() => this.pending.delete(origin)));
+    }
+
+    return this.pending.get(origin);
+  }
+
+  /**
+   * Faz o download e parse do robots.txt
+   * @param {string} origin - Origem
+   * @param {Object} stale - Entrada expirada do cache (usada em falhas temporárias)
+   */
+  async fetch(origin, stale = null) {
+    const now = Date.now();
+    let entry;
+
+    try {
+      const response = await axios({
+        method: 'GET',
+        url: `${origin}/robots.txt`,
+        timeout: config.scraping.requestTimeoutMs,
+        headers: { 'User-Agent': config.scraping.userAgent },
+        maxRedirects: 5,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        entry = { groups: this.parse(String(response.data || '')), status: 'robots.txt', ttl: this.cacheTtlMs };
+      } else if (response.status >= 400 && response.status < 500) {
+        // Sem robots.txt: acesso liberado
+        entry = { groups: [], status: 'missing', ttl: this.cacheTtlMs };
+      } else {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+    } catch (error) {
+      logger.warn(`Não foi possível obter robots.txt de ${origin}: ${error.message}`);
+
+      // Manter a última versão conhecida enquanto o servidor estiver instável
+      entry = stale
+        ? { groups: stale.groups, status: 'stale', ttl: this.errorTtlMs }
+        : { groups: [], status: 'unreachable', ttl: this.errorTtlMs };
+    }
+
+    const result = {
+      groups: entry.groups,
+      status: entry.status,
+      fetchedAt: now,
+      expiresAt: now + entry.ttl
+    };
+
+    this.cache.set(origin, result);
+    logger.debug(`robots.txt carregado para ${origin}`, { status: result.status, groups: result.groups.length });
+
+    return result;
+  }
+
+  /**
+   * Converte o conteúdo do robots.txt em grupos de regras
+   * @param {string} content - Conteúdo do arquivo
+   * @returns {Array} [{ agents, rules: [{ allow, path }], crawlDelay }]
+   */
+  parse(content) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      if (!line) continue;
+
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const key = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (key === 'user-agent') {
+        // User-agents consecutivos compartilham o mesmo grupo
+        if (!current || !lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+      if (!current) continue;
+
+      if (key === 'allow' || key === 'disallow') {
+        // "Disallow:" vazio não bloqueia nada
+        if (value) current.rules.push({ allow: key === 'allow', path: value });
+      } else if (key === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (delay >= 0) current.crawlDelay = delay;
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Seleciona o grupo aplicável ao user-agent (específico > "*")
+   * Grupos repetidos para o mesmo agente são combinados
+   * @param {Array} groups - Grupos do robots.txt
+   * @param {string} userAgent - User-agent enviado no request
+   */
+  selectGroup(groups, userAgent) {
+    const sent = userAgent.toLowerCase();
+    const specific = groups.filter(group =>
+      group.agents.some(agent => agent !== '*' && sent.includes(agent))
+    );
+    const selected = specific.length > 0 ? specific : groups.filter(group => group.agents.includes('*'));
+
+    if (selected.length === 0) return null;
+
+    return {
+      rules: selected.flatMap(group => group.rules),
+      crawlDelay: selected.reduce((max, group) =>
+        group.crawlDelay !== null && (max === null || group.crawlDelay > max) ? group.crawlDelay : max, null)
+    };
+  }
+
+  /**
+   * Encontra a regra mais específica para o caminho
+   * @param {Array} rules - Regras do grupo
+   * @param {string} target - Caminho + query da URL
+   */
+  matchRule(rules, target) {
+    let best = null;
+
+    for (const rule of rules) {
+      if (!this.pathMatches(rule.path, target)) continue;
+
+      if (!best ||
+          rule.path.length > best.path.length ||
+          (rule.path.length === best.path.length && rule.allow && !best.allow)) {
+        best = rule;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Verifica se um padrão do robots.txt (com * e $) casa com o caminho
+   * @param {string} pattern - Padrão da regra
+   * @param {string} target - Caminho da URL
+   */
+  pathMatches(pattern, target) {
+    const anchored = pattern.endsWith('$');
+    const body = this.decodePath(anchored ? pattern.slice(0, -1) : pattern);
+    const regex = body
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(this.decodePath(target));
+  }
+
+  /**
+   * Decodifica caracteres percentuais não reservados para comparação
+   * @param {string} path - Caminho da URL
+   */
+  decodePath(path) {
+    try {
+      return decodeURI(path);
+    } catch {
+      return path;
+    }
+  }
+
+  /**
+   * Limpa o cache (todas as origens ou uma específica)
+   * @param {string} origin - Origem (opcional)
+   */
+  clearCache(origin = null) {
+    if (origin) {
+      this.cache.delete(origin);
+    } else {
+      this.cache.clear();
+    }
+  }
+
+  /**
+   * Estatísticas do cache
+   */
+  getStats() {
+    return {
+      cachedDomains: this.cache.size,
+      userAgents: this.userAgents
+    };
+  }
+}
+
+module.exports = RobotsTxt;
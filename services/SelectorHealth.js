@@ -0,0 +1,190 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * Saúde da extração por domínio
+ * Compara as extrações recentes com as anteriores (linha de base) e alerta
+ * quando a taxa de sucesso cai de repente ou o seletor/estratégia que
+ * costumava encontrar o preço deixa de ser o vencedor.
+ *
+ * Eventos: 'alert' ({ domain, type: 'success_drop' | 'selector_shift', ... })
+ */
+class SelectorHealth extends EventEmitter {
+
+  /**
+   * @param {Object} options - Opções
+   * @param {number} options.windowSize - Extrações recentes comparadas
+   * @param {number} options.baselineSize - Extrações anteriores usadas como referência
+   * @param {number} options.minBaseline - Mínimo de extrações na referência para avaliar
+   * @param {number} options.dropThreshold - Queda na taxa de sucesso que gera alerta (0-1)
+   * @param {number} options.shareThreshold - Participação mínima para um seletor ser "o vencedor" (0-1)
+   * @param {number} options.alertCooldownMs - Intervalo mínimo entre alertas iguais do domínio
+   */
+  constructor(options = {}) {
+    super();
+    this.windowSize = options.windowSize || 10;
+    this.baselineSize = options.baselineSize || 30;
+    this.minBaseline = options.minBaseline || 5;
+    this.dropThreshold = options.dropThreshold || 0.3;
+    this.shareThreshold = options.shareThreshold || 0.6;
+    this.alertCooldownMs = options.alertCooldownMs || 6 * 60 * 60 * 1000;
+
+    // domínio -> { samples: [{ success, key, at }], lastAlert }
+    this.domains = new Map();
+    this.alertedAt = new Map();
+  }
+
+  /**
+   * Identifica o caminho que encontrou o preço (estratégia + seletor)
+   * @param {Object} scrapedData - Resultado de extractData
+   */
+  static keyFor(scrapedData) {
+    if (!scrapedData.success) return null;
+    if (!scrapedData.strategy) return 'sem-preco';
+    return scrapedData.selector ? `${scrapedData.strategy}:${scrapedData.selector}` : scrapedData.strategy;
+  }
+
+  /**
+   * Registra o resultado de uma extração e avalia o domínio
+   * @param {string} domain - Domínio
+   * @param {Object} scrapedData - Resultado de extractData
+   */
+  record(domain, scrapedData) {
+    if (!this.domains.has(domain)) {
+      this.domains.set(domain, { samples: [], lastAlert: null });
+    }
+
+    const state = this.domains.get(domain);
+    state.samples.push({
+      success: !!scrapedData.success,
+      key: SelectorHealth.keyFor(scrapedData),
+      at: Date.now()
+    });
+
+    const maxSamples = this.windowSize + this.baselineSize;
+    if (state.samples.length > maxSamples) {
+      state.samples.splice(0, state.samples.length - maxSamples);
+    }
+
+    this.evaluate(domain, state);
+  }
+
+  /**
+   * Compara a janela recente com a linha de base
+   * @param {string} domain - Domínio
+   * @param {Object} state - Estado do domínio
+   */
+  evaluate(domain, state) {
+    const { recent, baseline } = this.split(state.samples);
+    if (recent.length < this.windowSize || baseline.length < this.minBaseline) return;
+
+    const recentRate = this.successRate(recent);
+    const baselineRate = this.successRate(baseline);
+
+    if (baselineRate - recentRate >= this.dropThreshold) {
+      this.alert(domain, state, 'success_drop', {
+        baselineRate,
+        recentRate,
+        samples: recent.length
+      });
+    }
+
+    const before = this.winner(baseline);
+    const after = this.winner(recent);
+
+    if (before && after && before.key !== after.key &&
+        before.share >= this.shareThreshold && after.share >= this.shareThreshold) {
+      this.alert(domain, state, 'selector_shift', {
+        from: before.key,
+        to: after.key
+      });
+    }
+  }
+
+  /**
+   * Separa as amostras em janela recente e linha de base
+   * @param {Array} samples - Amostras do domínio
+   */
+  split(samples) {
+    const cut = Math.max(0, samples.length - this.windowSize);
+    return { recent: samples.slice(cut), baseline: samples.slice(0, cut) };
+  }
+
+  /**
+   * Taxa de sucesso (0-1)
+   * @param {Array} samples - Amostras
+   */
+  successRate(samples) {
+    if (samples.length === 0) return null;
+    return samples.filter(sample => sample.success).length / samples.length;
+  }
+
+  /**
+   * Seletor/estratégia mais frequente entre as extrações bem-sucedidas
+   * @param {Array} samples - Amostras
+   * @returns {Object|null} { key, share }
+   */
+  winner(samples) {
+    const counts = new Map();
+    let successes = 0;
+
+    for (const sample of samples) {
+      if (!sample.key) continue;
+      successes++;
+      counts.set(sample.key, (counts.get(sample.key) || 0) + 1);
+    }
+
+    if (successes === 0) return null;
+
+    const [key, count] = Array.from(counts.entries()).reduce((best, current) =>
+      current[1] > best[1] ? current : best);
+
+    return { key, share: count / successes };
+  }
+
+  /**
+   * Emite alerta respeitando o intervalo mínimo por domínio e tipo
+   * @param {string} domain - Domínio
+   * @param {Object} state - Estado do domínio
+   * @param {string} type - success_drop ou selector_shift
+   * @param {Object} details - Dados do alerta
+   */
+  alert(domain, state, type, details) {
+    const alertKey = `${domain}:${type}`;
+    const last = this.alertedAt.get(alertKey);
+    if (last && Date.now() - last < this.alertCooldownMs) return;
+
+    this.alertedAt.set(alertKey, Date.now());
+    state.lastAlert = { type, ...details, at: new Date().toISOString() };
+
+    logger.warn(`Saúde da extração em ${domain}: ${type}`, details);
+    this.emit('alert', { domain, type, ...details });
+  }
+
+  /**
+   * Situação atual de cada domínio
+   */
+  getStats() {
+    const stats = {};
+
+    for (const [domain, state] of this.domains.entries()) {
+      const { recent, baseline } = this.split(state.samples);
+      const winner = this.winner(recent);
+      const recentRate = this.successRate(recent);
+
+      stats[domain] = {
+        samples: state.samples.length,
+        recentRate,
+        baselineRate: this.successRate(baseline),
+        winner: winner ? winner.key : null,
+        winnerShare: winner ? winner.share : null,
+        status: recentRate === null || recentRate >= 1 - this.dropThreshold ? 'ok' : 'degraded',
+        lastAlert: state.lastAlert
+      };
+    }
+
+    return stats;
+  }
+}
+
+module.exports = SelectorHealth;
@@ -0,0 +1,226 @@
+/**
+ * Aprendizado de seletores ("ensinar o scraper")
+ * Procura na página os elementos cujo texto ou atributo corresponde ao preço
+ * informado pelo usuário e propõe seletores CSS estáveis para eles
+ */
+class SelectorLearner {
+
+  /**
+   * @param {Object} options - Opções
+   * @param {Function} options.parsePrice - Converte texto em preço
+   * @param {Function} options.tryExtractPrice - ($, selector) => preço extraído pelo scraper com o seletor
+   * @param {number} options.maxTextLength - Tamanho máximo do texto de um elemento de preço
+   */
+  constructor(options = {}) {
+    this.parsePrice = options.parsePrice;
+    this.tryExtractPrice = options.tryExtractPrice;
+    this.maxTextLength = options.maxTextLength || 60;
+
+    // Pontuação base por tipo de seletor (mais estável primeiro)
+    this.scores = {
+      id: 0.9,
+      itemprop: 0.85,
+      data: 0.8,
+      classes: 0.7,
+      class: 0.65,
+      nested: 0.55
+    };
+
+    this.dataAttributes = ['data-testid', 'data-test', 'data-qa', 'data-cy', 'data-price-type'];
+    this.priceAttributes = ['content', 'data-price', 'value'];
+  }
+
+  /**
+   * Propõe seletores para o preço informado
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {number} price - Preço que o usuário vê na página
+   * @param {number} limit - Máximo de propostas
+   * @returns {Array<Object>} [{ selector, score, matches, sample }] do mais estável ao menos
+   */
+  propose($, price, limit = 5) {
+    const candidates = new Map();
+
+    for (const element of this.findPriceElements($, price)) {
+      for (const option of this.selectorsFor($, element)) {
+        if (candidates.has(option.selector)) continue;
+
+        const verified = this.verify($, option.selector, price);
+        if (!verified) continue;
+
+        candidates.set(option.selector, {
+          selector: option.selector,
+          score: Math.round((option.score - 0.05 * Math.min(verified.matches - 1, 6)) * 100) / 100,
+          matches: verified.matches,
+          sample: this.sampleOf($, element)
+        });
+      }
+    }
+
+    return Array.from(candidates.values())
+      .sort((a, b) => b.score - a.score || a.selector.length - b.selector.length)
+      .slice(0, limit);
+  }
+
+  /**
+   * Confere se o seletor, usado pelo scraper, extrai o preço informado
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {string} selector - Seletor CSS
+   * @param {number} price - Preço esperado
+   * @returns {Object|null} { price, matches } ou null se não confere
+   */
+  verify($, selector, price) {
+    let matches;
+    try {
+      matches = $(selector).length;
+    } catch (error) {
+      return null;
+    }
+
+    const extracted = this.tryExtractPrice($, selector);
+    if (!matches || !this.samePrice(extracted, price)) return null;
+
+    return { price: extracted, matches };
+  }
+
+  /**
+   * Elementos mais internos cujo texto (ou atributo de preço) é o preço informado
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {number} price - Preço
+   */
+  findPriceElements($, price) {
+    const found = [];
+
+    $('body *, head meta').each((i, element) => {
+      const $element = $(element);
+      if ($element.is('script, style, noscript, template')) return;
+
+      const byAttribute = this.priceAttributes.some(attr =>
+        this.samePrice(this.parsePrice($element.attr(attr)), price));
+
+      const text = $element.text().trim();
+      const byText = text.length > 0 && text.length <= this.maxTextLength &&
+        this.samePrice(this.parsePrice(text), price) &&
+        // Apenas o elemento mais interno (nenhum filho com o mesmo preço)
+        !$element.children().toArray().some(child =>
+          this.samePrice(this.parsePrice($(child).text().trim()), price));
+
+      if (byAttribute || byText) found.push(element);
+    });
+
+    return found;
+  }
+
+  /**
+   * Seletores possíveis para um elemento, do próprio elemento e com um ancestral estável
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Element} element - Elemento com o preço
+   */
+  selectorsFor($, element) {
+    const own = this.describe($, element);
+    const options = [...own];
+
+    // Qualificar com o ancestral estável mais próximo (ex: #buy-box .price)
+    const tail = own.length > 0 ? own[own.length - 1].selector : element.tagName;
+    let ancestor = element.parent;
+
+    for (let depth = 0; ancestor && ancestor.type === 'tag' && depth < 4; depth++) {
+      const [anchor] = this.describe($, ancestor);
+      if (anchor) {
+        options.push({ selector: `${anchor.selector} ${tail}`, score: this.scores.nested });
+        break;
+      }
+      ancestor = ancestor.parent;
+    }
+
+    return options;
+  }
+
+  /**
+   * Seletores que identificam o próprio elemento, do mais ao menos estável
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Element} element - Elemento
+   * @returns {Array<Object>} [{ selector, score }]
+   */
+  describe($, element) {
+    const $element = $(element);
+    const tag = element.tagName;
+    const options = [];
+
+    const id = $element.attr('id');
+    if (id && this.isStableName(id)) {
+      options.push({ selector: `#${id}`, score: this.scores.id });
+    }
+
+    const itemprop = $element.attr('itemprop');
+    if (itemprop && this.isSafeValue(itemprop)) {
+      options.push({ selector: `${tag}[itemprop="${itemprop}"]`, score: this.scores.itemprop });
+    }
+
+    for (const attr of this.dataAttributes) {
+      const value = $element.attr(attr);
+      if (value && this.isSafeValue(value)) {
+        options.push({ selector: `[${attr}="${value}"]`, score: this.scores.data });
+      }
+    }
+
+    const classes = ($element.attr('class') || '')
+      .split(/\s+/)
+      .filter(name => name && this.isStableName(name))
+      .slice(0, 3);
+
+    if (classes.length > 1) {
+      options.push({ selector: `${tag}.${classes.join('.')}`, score: this.scores.classes });
+    }
+    for (const name of classes) {
+      options.push({ selector: `.${name}`, score: this.scores.class });
+    }
+
+    return options;
+  }
+
+  /**
+   * Descarta nomes gerados automaticamente (hash de CSS-in-JS, ids numéricos)
+   * @param {string} name - id ou classe
+   */
+  isStableName(name) {
+    if (!/^[a-zA-Z_][\w-]*$/.test(name)) return false;
+    if (/^(css|sc|jsx|styled|emotion)-/i.test(name)) return false;
+    if (/\d{3,}/.test(name)) return false;
+
+    // Segmentos curtos misturando letras e números (ex: "Price_a1b2c")
+    return !name.split(/[-_]/).some(part => part.length >= 4 && /\d/.test(part) && /[a-z]/i.test(part));
+  }
+
+  /**
+   * Valor utilizável dentro de um seletor de atributo
+   * @param {string} value - Valor do atributo
+   */
+  isSafeValue(value) {
+    return value.length <= 40 && /^[\w\s.:-]+$/.test(value) && !/\d{3,}/.test(value);
+  }
+
+  /**
+   * Texto curto do elemento para mostrar ao usuário
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Element} element - Elemento
+   */
+  sampleOf($, element) {
+    const $element = $(element);
+    const text = $element.text().replace(/\s+/g, ' ').trim();
+    if (text) return text.slice(0, this.maxTextLength);
+
+    const attr = this.priceAttributes.find(name => $element.attr(name));
+    return attr ? `${attr}="${$element.attr(attr)}"` : '';
+  }
+
+  /**
+   * Compara preços com tolerância de centavos
+   * @param {number|null} a - Preço
+   * @param {number|null} b - Preço
+   */
+  samePrice(a, b) {
+    return a !== null && a !== undefined && b !== null && b !== undefined && Math.abs(a - b) < 0.005;
+  }
+}
+
+module.exports = SelectorLearner;
@@ -0,0 +1,136 @@
+/**
+ * Vendedor do anúncio em marketplaces (Mercado Livre, Amazon)
+ * O preço de um anúncio pode mudar só porque outro vendedor ganhou a oferta principal
+ */
+
+/**
+ * Texto sem acentos, minúsculo e sem pontuação para comparar nomes
+ * @param {string} text - Texto bruto
+ */
+function simplify(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Verifica se o nome do vendedor é a própria loja (ex: "Amazon.com.br" na Amazon)
+ * @param {string} name - Nome do vendedor
+ * @param {string} storeName - Nome da loja (adaptador)
+ * @returns {boolean|null} null quando não há como comparar
+ */
+function isStoreName(name, storeName) {
+  const seller = simplify(name);
+  const store = simplify(storeName);
+  if (!seller || !store) return null;
+
+  return seller === store || seller.startsWith(`${store} `);
+}
+
+/**
+ * Normaliza o vendedor extraído da página
+ * @param {Object|null} seller - { id, name, official }
+ * @param {string} storeName - Nome da loja, usado quando a página não diz se o vendedor é oficial
+ * @returns {Object|null} { id, name, official } ou null sem nome nem ID
+ */
+function normalize(seller, storeName = null) {
+  if (!seller) return null;
+
+  const id = seller.id !== null && seller.id !== undefined && String(seller.id).trim()
+    ? String(seller.id).trim()
+    : null;
+  const name = seller.name ? String(seller.name).replace(/\s+/g, ' ').trim() || null : null;
+  if (!id && !name) return null;
+
+  const official = typeof seller.official === 'boolean'
+    ? seller.official
+    : isStoreName(name, storeName);
+
+  return { id, name, official };
+}
+
+/**
+ * Vendedor salvo nas colunas do produto ou do histórico
+ * @param {Object} row - Linha com seller_id, seller_name e seller_official
+ * @returns {Object|null}
+ */
+function fromRow(row) {
+  if (!row || (!row.seller_id && !row.seller_name)) return null;
+
+  return {
+    id: row.seller_id || null,
+    name: row.seller_name || null,
+    official: row.seller_official === null || row.seller_official === undefined ? null : !!row.seller_official
+  };
+}
+
+/**
+ * Colunas do produto/histórico para um vendedor
+ * @param {Object|null} seller - { id, name, official }
+ */
+function toRow(seller) {
+  return {
+    seller_id: seller?.id || null,
+    seller_name: seller?.name || null,
+    seller_official: typeof seller?.official === 'boolean' ? (seller.official ? 1 : 0) : null
+  };
+}
+
+/**
+ * Compara dois vendedores (pelo ID quando os dois têm, senão pelo nome)
+ * @param {Object|null} a - Vendedor
+ * @param {Object|null} b - Vendedor
+ */
+function isSameSeller(a, b) {
+  if (!a || !b) return false;
+  if (a.id && b.id) return a.id === b.id;
+  return !!a.name && !!b.name && simplify(a.name) === simplify(b.name);
+}
+
+/**
+ * Verifica se o vendedor da oferta mudou entre duas leituras
+ * Leituras sem vendedor identificado não contam como mudança
+ * @param {Object|null} previous - Vendedor anterior
+ * @param {Object|null} current - Vendedor atual
+ */
+function hasChanged(previous, current) {
+  return !!previous && !!current && !isSameSeller(previous, current);
+}
+
+/**
+ * Verifica se a oferta passa no filtro "somente vendedor oficial"
+ * Vendedor não identificado não bloqueia o alerta
+ * @param {Object} product - Produto (official_seller_only)
+ * @param {Object|null} seller - Vendedor atual
+ */
+function isAllowed(product, seller) {
+  if (!product.official_seller_only) return true;
+  return !seller || seller.official !== false;
+}
+
+/**
+ * Texto do vendedor para embeds
+ * @param {Object|null} seller - { id, name, official }
+ */
+function describe(seller) {
+  if (!seller) return 'Não identificado';
+
+  const name = seller.name || `ID ${seller.id}`;
+  if (seller.official === true) return `${name} (loja oficial)`;
+  if (seller.official === false) return `${name} (vendedor parceiro)`;
+  return name;
+}
+
+module.exports = {
+  normalize,
+  fromRow,
+  toRow,
+  isStoreName,
+  isSameSeller,
+  hasChanged,
+  isAllowed,
+  describe
+};
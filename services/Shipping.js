@@ -0,0 +1,58 @@
+/**
+ * Utilitários de frete
+ * CEP configurado por servidor (ou por produto) e preço final com frete
+ */
+const Currencies = require('./Currencies');
+
+/**
+ * Normaliza um CEP para 8 dígitos
+ * @param {string} cep - CEP com ou sem máscara (ex: "01001-000")
+ * @returns {string|null} CEP normalizado ou null se inválido
+ */
+function normalizeCep(cep) {
+  if (!cep) return null;
+
+  const digits = String(cep).replace(/\D/g, '');
+  return /^\d{8}$/.test(digits) && digits !== '00000000' ? digits : null;
+}
+
+/**
+ * Formata CEP para exibição (00000-000)
+ * @param {string} cep - CEP normalizado
+ */
+function formatCep(cep) {
+  const digits = normalizeCep(cep);
+  return digits ? `${digits.slice(0, 5)}-${digits.slice(5)}` : cep;
+}
+
+/**
+ * Calcula o preço final (produto + frete)
+ * @param {number} price - Preço do produto
+ * @param {Object} shipping - Cotação de frete ({ cost })
+ * @returns {number|null} Preço final ou null sem cotação
+ */
+function getLandedPrice(price, shipping) {
+  if (!price || !shipping || shipping.cost === null || shipping.cost === undefined) return null;
+  return Math.round((price + shipping.cost) * 100) / 100;
+}
+
+/**
+ * Texto de exibição da cotação
+ * @param {Object} shipping - Cotação de frete ({ cost, deliveryDays, service })
+ * @param {string} currency - Moeda da loja
+ */
+function describe(shipping, currency = null) {
+  if (!shipping || shipping.cost === null || shipping.cost === undefined) return 'Não calculado';
+
+  let text = shipping.cost === 0 ? 'Grátis' : Currencies.format(shipping.cost, currency);
+  if (shipping.service) text += ` (${shipping.service})`;
+  if (shipping.deliveryDays) text += ` • ${shipping.deliveryDays} dia(s) úteis`;
+  return text;
+}
+
+module.exports = {
+  normalizeCep,
+  formatCep,
+  getLandedPrice,
+  describe
+};
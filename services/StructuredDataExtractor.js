@@ -0,0 +1,387 @@
+const Availability = require('./Availability');
+
+/**
+ * Extrator de dados estruturados (JSON-LD, microdata e OpenGraph)
+ * Primeira etapa da extração: dados publicados pela própria loja
+ * são mais confiáveis que seletores CSS ou regex sobre o HTML
+ */
+class StructuredDataExtractor {
+
+  /**
+   * @param {Object} options - Opções do extrator
+   * @param {Function} options.parsePrice - Função para converter texto em preço
+   */
+  constructor(options = {}) {
+    this.parsePrice = options.parsePrice || ((text) => {
+      const value = parseFloat(String(text).replace(',', '.'));
+      return value > 0 ? value : null;
+    });
+
+    // Confiança atribuída a cada estratégia
+    this.confidence = {
+      'json-ld': 0.95,
+      'json-ld-aggregate': 0.8,
+      'microdata': 0.85,
+      'meta': 0.75
+    };
+  }
+
+  /**
+   * Executa todas as estratégias e retorna o melhor resultado
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @returns {Object|null} Dados extraídos ou null se nada foi encontrado
+   */
+  extract($) {
+    const strategies = [
+      () => this.extractJsonLd($),
+      () => this.extractMicrodata($),
+      () => this.extractMetaTags($)
+    ];
+
+    for (const strategy of strategies) {
+      try {
+        const result = strategy();
+        if (result && result.price) return result;
+      } catch (error) {
+        // Dados estruturados malformados não devem interromper a extração
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Identificadores do item (GTIN, MPN e marca), mesmo quando o preço
+   * não está nos dados estruturados
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @returns {Object} { gtin, mpn, brand } (valores brutos, podem ser null)
+   */
+  extractIdentifiers($) {
+    const identifiers = { gtin: null, mpn: null, brand: null };
+    const fill = (values) => {
+      Object.keys(identifiers).forEach(key => {
+        if (!identifiers[key] && values[key]) identifiers[key] = values[key];
+      });
+    };
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+      try {
+        this.flattenJsonLd(JSON.parse($(el).contents().text()))
+          .filter(node => this.hasType(node, 'Product'))
+          .forEach(product => fill({
+            gtin: this.extractGtin(product),
+            mpn: this.asText(product.mpn),
+            brand: this.extractBrand(product.brand)
+          }));
+      } catch (error) {
+        // Ignorar blocos com JSON inválido
+      }
+    });
+
+    const itemprop = (names) => {
+      for (const name of names) {
+        const element = $(`[itemprop="${name}"]`).first();
+        const value = element.length ? (element.attr('content') || element.text() || '').trim() : '';
+        if (value) return value;
+      }
+      return null;
+    };
+    const meta = (name) => $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content') || null;
+
+    fill({
+      gtin: itemprop(['gtin13', 'gtin14', 'gtin12', 'gtin8', 'gtin']) || meta('product:ean') || meta('product:gtin'),
+      mpn: itemprop(['mpn']) || meta('product:mfr_part_no'),
+      brand: itemprop(['brand']) || meta('product:brand') || meta('og:brand')
+    });
+
+    return identifiers;
+  }
+
+  /**
+   * Extrai dados de blocos <script type="application/ld+json">
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   */
+  extractJsonLd($) {
+    const nodes = [];
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+      const raw = $(el).contents().text().trim();
+      if (!raw) return;
+
+      try {
+        nodes.push(...this.flattenJsonLd(JSON.parse(raw)));
+      } catch (error) {
+        // Ignorar blocos com JSON inválido
+      }
+    });
+
+    const products = nodes.filter(node => this.hasType(node, 'Product'));
+
+    for (const product of products) {
+      const offer = this.pickOffer(product.offers);
+      if (!offer) continue;
+
+      return {
+        price: offer.price,
+        currency: offer.currency,
+        availability: offer.availability,
+        seller: offer.seller || null,
+        name: this.asText(product.name),
+        gtin: this.extractGtin(product),
+        mpn: this.asText(product.mpn),
+        brand: this.extractBrand(product.brand),
+        image: this.extractImage(product.image),
+        strategy: 'json-ld',
+        confidence: offer.aggregate ? this.confidence['json-ld-aggregate'] : this.confidence['json-ld']
+      };
+    }
+
+    // Offers publicadas fora de um Product
+    const offers = nodes.filter(node => this.hasType(node, 'Offer') || this.hasType(node, 'AggregateOffer'));
+    const offer = this.pickOffer(offers);
+
+    if (offer) {
+      return {
+        price: offer.price,
+        currency: offer.currency,
+        availability: offer.availability,
+        seller: offer.seller || null,
+        name: null,
+        gtin: null,
+        mpn: null,
+        brand: null,
+        image: null,
+        strategy: 'json-ld',
+        confidence: this.confidence['json-ld-aggregate']
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Extrai dados de microdata (itemprop)
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   */
+  extractMicrodata($) {
+    const priceElement = $('[itemprop="price"]').first();
+    if (!priceElement.length) return null;
+
+    const price = this.toPrice(priceElement.attr('content') || priceElement.text());
+    if (!price) return null;
+
+    const scope = priceElement.closest('[itemtype*="schema.org/Product"]');
+    const context = scope.length ? scope : $.root();
+    const prop = (name) => {
+      const element = context.find(`[itemprop="${name}"]`).first();
+      if (!element.length) return null;
+      return (element.attr('content') || element.attr('href') || element.attr('src') || element.text() || '').trim() || null;
+    };
+
+    return {
+      price,
+      currency: prop('priceCurrency'),
+      availability: this.normalizeSchemaValue(prop('availability')),
+      name: prop('name'),
+      gtin: prop('gtin13') || prop('gtin14') || prop('gtin12') || prop('gtin8') || prop('gtin'),
+      mpn: prop('mpn'),
+      brand: prop('brand'),
+      image: prop('image'),
+      strategy: 'microdata',
+      confidence: this.confidence.microdata
+    };
+  }
+
+  /**
+   * Extrai dados de meta tags OpenGraph / product:*
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   */
+  extractMetaTags($) {
+    const meta = (name) => {
+      const content = $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content');
+      return content ? content.trim() : null;
+    };
+
+    const price = this.toPrice(meta('product:price:amount') || meta('og:price:amount'));
+    if (!price) return null;
+
+    return {
+      price,
+      currency: meta('product:price:currency') || meta('og:price:currency'),
+      availability: this.normalizeSchemaValue(meta('product:availability') || meta('og:availability')),
+      name: meta('og:title'),
+      gtin: meta('product:ean') || meta('product:gtin') || null,
+      mpn: meta('product:mfr_part_no') || null,
+      brand: meta('product:brand') || meta('og:brand'),
+      image: meta('og:image'),
+      strategy: 'meta',
+      confidence: this.confidence.meta
+    };
+  }
+
+  /**
+   * Achata estruturas JSON-LD (arrays e @graph) em uma lista de nós
+   * @param {Object|Array} data - JSON-LD parseado
+   */
+  flattenJsonLd(data) {
+    if (!data) return [];
+    if (Array.isArray(data)) return data.flatMap(item => this.flattenJsonLd(item));
+    if (typeof data !== 'object') return [];
+
+    const nodes = [data];
+    if (Array.isArray(data['@graph'])) {
+      nodes.push(...this.flattenJsonLd(data['@graph']));
+    }
+    return nodes;
+  }
+
+  /**
+   * Verifica se um nó JSON-LD é de determinado tipo
+   * @param {Object} node - Nó JSON-LD
+   * @param {string} type - Tipo schema.org
+   */
+  hasType(node, type) {
+    const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+    return types.some(t => typeof t === 'string' && this.normalizeSchemaValue(t) === type);
+  }
+
+  /**
+   * Escolhe a melhor oferta de uma lista: menor preço entre as ofertas em estoque
+   * (ou entre todas, se nenhuma estiver em estoque)
+   * @param {Object|Array} offers - Offer, AggregateOffer ou lista de ofertas
+   */
+  pickOffer(offers) {
+    if (!offers) return null;
+
+    const candidates = [];
+    const list = Array.isArray(offers) ? offers : [offers];
+
+    for (const offer of list) {
+      if (!offer || typeof offer !== 'object') continue;
+
+      if (this.hasType(offer, 'AggregateOffer')) {
+        const price = this.toPrice(offer.lowPrice ?? offer.price);
+        if (price) {
+          candidates.push({
+            price,
+            currency: offer.priceCurrency || null,
+            availability: this.normalizeSchemaValue(offer.availability),
+            aggregate: true
+          });
+        } else if (offer.offers) {
+          const nested = this.pickOffer(offer.offers);
+          if (nested) candidates.push({ ...nested, aggregate: true });
+        }
+        continue;
+      }
+
+      const rawPrice = offer.price ?? offer.priceSpecification?.price;
+      const price = this.toPrice(rawPrice);
+      if (!price) continue;
+
+      candidates.push({
+        price,
+        currency: offer.priceCurrency || offer.priceSpecification?.priceCurrency || null,
+        availability: this.normalizeSchemaValue(offer.availability),
+        seller: this.extractSeller(offer.seller),
+        aggregate: false
+      });
+    }
+
+    if (candidates.length === 0) return null;
+
+    // Oferta esgotada com preço antigo não pode vencer uma oferta em estoque
+    const inStock = candidates.filter(candidate => Availability.isPurchasable(Availability.normalize(candidate.availability)));
+    const pool = inStock.length > 0 ? inStock : candidates;
+
+    return pool.sort((a, b) => a.price - b.price)[0];
+  }
+
+  /**
+   * Converte valor de dado estruturado em preço
+   * @param {string|number} value - Valor bruto
+   */
+  toPrice(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return value > 0 ? value : null;
+
+    const text = String(value).trim();
+
+    // Dados estruturados usam ponto decimal (ex: "1299.9" ou "1299.90")
+    if (/^\d+(\.\d+)?$/.test(text)) {
+      const price = parseFloat(text);
+      return price > 0 ? price : null;
+    }
+
+    return this.parsePrice(text);
+  }
+
+  /**
+   * Remove prefixo schema.org de valores (ex: https://schema.org/InStock -> InStock)
+   * @param {string} value - Valor bruto
+   */
+  normalizeSchemaValue(value) {
+    if (!value || typeof value !== 'string') return null;
+    return value.trim().replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '') || null;
+  }
+
+  /**
+   * Extrai GTIN/EAN de um Product
+   * @param {Object} product - Nó Product
+   */
+  extractGtin(product) {
+    const keys = ['gtin13', 'gtin14', 'gtin12', 'gtin8', 'gtin', 'ean'];
+    for (const key of keys) {
+      if (product[key]) return String(product[key]).trim();
+    }
+    return null;
+  }
+
+  /**
+   * Extrai nome da marca
+   * @param {Object|string} brand - Marca (texto ou nó Brand/Organization)
+   */
+  extractBrand(brand) {
+    if (!brand) return null;
+    if (Array.isArray(brand)) return this.extractBrand(brand[0]);
+    if (typeof brand === 'string') return brand.trim() || null;
+    return this.asText(brand.name);
+  }
+
+  /**
+   * Extrai o vendedor da oferta
+   * @param {Object|string} seller - Vendedor (texto ou nó Organization/Person)
+   * @returns {Object|null} { id, name }
+   */
+  extractSeller(seller) {
+    if (!seller) return null;
+    if (Array.isArray(seller)) return this.extractSeller(seller[0]);
+    if (typeof seller === 'string') return seller.trim() ? { id: null, name: seller.trim() } : null;
+
+    const name = this.asText(seller.name);
+    const id = this.asText(seller.identifier) || this.asText(seller['@id']);
+    return name || id ? { id, name } : null;
+  }
+
+  /**
+   * Extrai URL da imagem principal
+   * @param {Object|Array|string} image - Imagem (URL, lista ou ImageObject)
+   */
+  extractImage(image) {
+    if (!image) return null;
+    if (Array.isArray(image)) return this.extractImage(image[0]);
+    if (typeof image === 'string') return image;
+    return image.url || image.contentUrl || null;
+  }
+
+  /**
+   * Converte valor em texto simples
+   * @param {*} value - Valor bruto
+   */
+  asText(value) {
+    if (typeof value !== 'string') return null;
+    return value.trim() || null;
+  }
+}
+
+module.exports = StructuredDataExtractor;
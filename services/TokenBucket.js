@@ -0,0 +1,65 @@
+/**
+ * Token bucket simples para limitar requests por domínio
+ * Cada request consome um token; os tokens são repostos a cada refillIntervalMs
+ */
+class TokenBucket {
+
+  /**
+   * @param {Object} options - Opções do bucket
+   * @param {number} options.capacity - Máximo de tokens acumulados (rajada)
+   * @param {number} options.refillIntervalMs - Tempo para repor um token
+   */
+  constructor(options = {}) {
+    this.capacity = options.capacity || 1;
+    this.refillIntervalMs = options.refillIntervalMs || 1000;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Altera o intervalo de reposição (ex: Crawl-delay descoberto depois)
+   * @param {number} ms - Novo intervalo
+   */
+  setRefillInterval(ms) {
+    this.refill();
+    this.refillIntervalMs = Math.max(1, ms);
+  }
+
+  /**
+   * Repõe os tokens proporcionais ao tempo decorrido
+   */
+  refill() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+
+    if (elapsed > 0) {
+      this.tokens = Math.min(this.capacity, this.tokens + elapsed / this.refillIntervalMs);
+      this.lastRefill = now;
+    }
+  }
+
+  /**
+   * Consome um token se disponível
+   * @returns {boolean} true se o token foi consumido
+   */
+  tryTake() {
+    this.refill();
+
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Tempo até o próximo token ficar disponível (ms)
+   */
+  getWaitTime() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * this.refillIntervalMs);
+  }
+}
+
+module.exports = TokenBucket;
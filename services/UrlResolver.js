@@ -0,0 +1,125 @@
+const logger = require('../utils/logger');
+
+// Caminhos que nunca são página de produto (busca, login, carrinho...)
+const NON_PRODUCT_PATHS = /^\/(?:s|search|busca|pesquisa|login|signin|ap\/signin|cadastro|cart|carrinho|checkout|account|conta|minha-conta|categoria|categorias|ofertas|lista)(?:\/|$)/i;
+
+// Redirecionamento no HTML: <meta http-equiv="refresh" content="0; url=...">
+const META_REFRESH = /<meta[^>]+http-equiv=["']?refresh["']?[^>]*content=["']?\s*\d+\s*;\s*url=([^"'>\s]+)/i;
+
+/**
+ * Resolve links encurtados (amzn.to, mercadolivre.com/sec/...) e de afiliados
+ * até a URL final do produto, um salto de cada vez
+ */
+class UrlResolver {
+
+  /**
+   * @param {Object} options - Opções
+   * @param {Function} options.request - (url) => Promise<{ status, headers, data }> sem seguir redirecionamentos
+   * @param {Function} options.isKnownStore - (url) => boolean; lojas conhecidas não são mais seguidas
+   * @param {Function} options.isProductUrl - (url) => boolean|null; null usa a verificação genérica
+   * @param {Function} options.normalizeUrl - (url) => URL sem parâmetros de tracking/afiliado
+   * @param {number} options.maxRedirects - Saltos permitidos
+   */
+  constructor(options = {}) {
+    this.request = options.request;
+    this.isKnownStore = options.isKnownStore || (() => false);
+    this.isProductUrl = options.isProductUrl || (() => null);
+    this.normalizeUrl = options.normalizeUrl || (url => url);
+    this.maxRedirects = options.maxRedirects || 10;
+  }
+
+  /**
+   * Segue os redirecionamentos até uma loja conhecida ou uma página sem redirecionamento
+   * @param {string} url - Link informado pelo usuário
+   * @returns {Promise<Object>} { url, originalUrl, redirects }
+   * @throws {Error} code REDIRECT_LOOP ou NOT_PRODUCT_PAGE
+   */
+  async resolve(url) {
+    const redirects = [];
+    const visited = new Set([url]);
+    let current = url;
+
+    while (!this.isKnownStore(current)) {
+      const next = await this.follow(current);
+      if (!next) break;
+
+      if (visited.has(next) || redirects.length >= this.maxRedirects) {
+        const loopError = new Error(visited.has(next)
+          ? 'O link redireciona em círculo'
+          : `O link passou por mais de ${this.maxRedirects} redirecionamentos`);
+        loopError.code = 'REDIRECT_LOOP';
+        loopError.redirects = [...redirects, next];
+        throw loopError;
+      }
+
+      visited.add(next);
+      redirects.push(next);
+      current = next;
+    }
+
+    const finalUrl = this.normalizeUrl(current);
+
+    if (!this.looksLikeProduct(finalUrl)) {
+      const pageError = new Error(redirects.length > 0
+        ? `O link leva a uma página que não é de produto (${finalUrl})`
+        : 'A URL não é de uma página de produto');
+      pageError.code = 'NOT_PRODUCT_PAGE';
+      pageError.url = finalUrl;
+      pageError.redirects = redirects;
+      throw pageError;
+    }
+
+    if (redirects.length > 0) {
+      logger.debug(`Link resolvido: ${url} -> ${finalUrl}`, { redirects: redirects.length });
+    }
+
+    return { url: finalUrl, originalUrl: url, redirects };
+  }
+
+  /**
+   * Próximo destino da URL (header Location ou meta refresh)
+   * Falhas de rede encerram a resolução: o scraping informa o erro depois
+   * @param {string} url - URL atual
+   * @returns {Promise<string|null>}
+   */
+  async follow(url) {
+    let response;
+    try {
+      response = await this.request(url);
+    } catch (error) {
+      logger.warn(`Não foi possível seguir o link ${url}: ${error.message}`);
+      return null;
+    }
+
+    let location = null;
+    if (response.status >= 300 && response.status < 400) {
+      location = response.headers?.location;
+    } else if (response.status === 200 && typeof response.data === 'string') {
+      const match = response.data.match(META_REFRESH);
+      location = match ? match[1].replace(/&amp;/g, '&') : null;
+    }
+
+    if (!location) return null;
+
+    try {
+      const next = new URL(location, url);
+      return ['http:', 'https:'].includes(next.protocol) ? next.toString() : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Verifica se a URL final é de produto (regra da loja ou verificação genérica)
+   * @param {string} url - URL normalizada
+   */
+  looksLikeProduct(url) {
+    const storeRule = this.isProductUrl(url);
+    if (storeRule !== null && storeRule !== undefined) return storeRule;
+
+    const { pathname } = new URL(url);
+    return pathname !== '/' && !NON_PRODUCT_PATHS.test(pathname);
+  }
+}
+
+module.exports = UrlResolver;
@@ -0,0 +1,129 @@
+const BaseAdapter = require('./BaseAdapter');
+const ProductKeys = require('../ProductKeys');
+
+/**
+ * Adaptador da Amazon Brasil
+ */
+class AmazonAdapter extends BaseAdapter {
+
+  constructor() {
+    super({
+      name: 'Amazon',
+      domains: ['amazon.com.br'],
+      selectors: ['.a-price .a-offscreen', '.a-price-whole', '#priceblock_dealprice'],
+      nameSelectors: ['#productTitle', 'h1.a-size-large'],
+      promotionSelectors: ['#couponBadge', '[id^="couponText"]', '#promoPriceBlockMessage_feature_div', '#dealBadge_feature_div', '#dealBadgeSupportingText', '#mir-layout-DELIVERY_BLOCK'],
+      currency: 'BRL',
+      waitTime: 3000,
+      affiliateParams: ['tag', 'linkCode', 'linkId', 'ascsubtag', 'creative', 'creativeASIN', 'camp', 'ref_', 'smid', 'psc', 'th']
+    });
+  }
+
+  /**
+   * ASIN (/dp/, /gp/product/, URLs com slug)
+   * @param {string} url - URL do produto
+   */
+  getProductIdentity(url) {
+    return ProductKeys.amazon(url);
+  }
+
+  /**
+   * Página de produto só quando a URL identifica o ASIN
+   * @param {string} url - URL normalizada
+   */
+  isProductUrl(url) {
+    return this.getProductIdentity(url) !== null;
+  }
+
+  /**
+   * Headers aceitos pela Amazon sem redirecionar para páginas alternativas
+   * @param {string} url - URL da requisição
+   */
+  getHeaders(url) {
+    return {
+      'Accept': 'text/html,application/xhtml+xml',
+      'Accept-Charset': 'utf-8'
+    };
+  }
+
+  /**
+   * Vendedor da oferta principal ("Vendido por ...")
+   * Terceiros têm link para o perfil com o ID do vendedor (seller=...)
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   */
+  extractSeller($) {
+    const profile = $('#sellerProfileTriggerId').first();
+    const merchantId = $('#merchantID').attr('value') || $('input[name="merchantID"]').attr('value') || null;
+
+    let name = profile.text().trim() || null;
+    let id = null;
+
+    const href = profile.attr('href') || '';
+    const sellerParam = href.match(/[?&]seller=([A-Z0-9]+)/i);
+    if (sellerParam) id = sellerParam[1];
+
+    if (!name) {
+      name = $('#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Vendido por"]').first().text().trim() ||
+        $('#merchantInfoFeature_feature_div .offer-display-feature-text-message').first().text().trim() ||
+        null;
+    }
+
+    if (!name) {
+      const merchantInfo = $('#merchant-info').text().replace(/\s+/g, ' ').trim();
+      const soldBy = merchantInfo.match(/vendido por\s+(.+?)(?:\s+e\s+(?:enviado|entregue)\b|\.\s|\.?$)/i);
+      if (soldBy) name = soldBy[1].trim();
+    }
+
+    if (!name && !id && !merchantId) return null;
+
+    return {
+      id: id || merchantId,
+      name,
+      official: name ? /^amazon\b/i.test(name) : null
+    };
+  }
+
+  /**
+   * Busca por termo
+   * @param {string} query - Termo pesquisado
+   */
+  getSearchUrl(query) {
+    const term = String(query).trim();
+    return term ? `https://www.amazon.com.br/s?k=${encodeURIComponent(term)}` : null;
+  }
+
+  /**
+   * Resultados da busca; o link de cada item é montado pelo ASIN (sem parâmetros de tracking)
+   * Patrocinados ficam de fora, pois se repetem em todas as páginas
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Object} context - { html, url, domain, scraper }
+   */
+  extractListing($, context) {
+    const results = $('div[data-component-type="s-search-result"][data-asin]')
+      .filter((i, element) => $(element).attr('data-asin') && $(element).find('.puis-sponsored-label-text').length === 0);
+    if (results.length === 0) return null;
+
+    return results.map((i, element) => {
+      const result = $(element);
+      const priceText = result.find('.a-price:not(.a-text-price) .a-offscreen').first().text();
+
+      return {
+        url: `https://www.amazon.com.br/dp/${result.attr('data-asin')}`,
+        name: result.find('h2').first().text() || null,
+        price: priceText ? context.scraper.parsePrice(priceText) : null
+      };
+    }).get();
+  }
+
+  /**
+   * A Amazon responde 200 com uma página de captcha quando bloqueia
+   * @param {string} html - HTML da resposta
+   */
+  isBlocked(html) {
+    const lowerHtml = html.toLowerCase();
+    return lowerHtml.includes('/errors/validatecaptcha') ||
+      lowerHtml.includes('api-services-support@amazon.com');
+  }
+}
+
+module.exports = AmazonAdapter;
@@ -0,0 +1,20 @@
+const BaseAdapter = require('./BaseAdapter');
+
+/**
+ * Adaptador da Americanas
+ */
+class AmericanasAdapter extends BaseAdapter {
+
+  constructor() {
+    super({
+      name: 'Americanas',
+      domains: ['americanas.com.br'],
+      selectors: ['.price__Value', '.price-value'],
+      nameSelectors: ['.product-title', 'h1'],
+      currency: 'BRL',
+      waitTime: 2000
+    });
+  }
+}
+
+module.exports = AmericanasAdapter;
@@ -0,0 +1,215 @@
+/**
+ * Adaptador base para lojas
+ * Define os pontos de extensão que cada loja pode sobrescrever.
+ * Métodos que retornam null indicam "usar o comportamento padrão do scraper".
+ */
+class BaseAdapter {
+
+  /**
+   * @param {Object} options - Configuração do adaptador
+   * @param {string} options.name - Nome da loja
+   * @param {Array<string>} options.domains - Domínios atendidos (sem www.)
+   * @param {Array<string>} options.selectors - Seletores CSS de preço
+   * @param {Array<string>} options.nameSelectors - Seletores CSS de nome
+   * @param {Object} options.pricePointSelectors - Seletores CSS por ponto de preço ({ pix: [...], card: [...] })
+   * @param {Array<string>} options.promotionSelectors - Seletores CSS de cupons e selos promocionais
+   * @param {string} options.currency - Moeda padrão da loja
+   * @param {number} options.waitTime - Tempo de espera recomendado entre requests (ms);
+   *   no navegador headless, também é a espera máxima pelos seletores de preço
+   * @param {string} options.renderMode - auto (estático e, se a extração falhar, navegador),
+   *   static (nunca renderizar) ou o nome de um renderizador (ex: browser)
+   * @param {Array<string>} options.affiliateParams - Parâmetros de afiliado/tracking da loja removidos da URL
+   * @param {string} options.platform - Plataforma de e-commerce (ex: vtex); adaptadores de plataforma
+   *   não têm domínios fixos e atendem as lojas reconhecidas por detectPlatform
+   */
+  constructor(options = {}) {
+    this.name = options.name || this.constructor.name;
+    this.domains = options.domains || [];
+    this.selectors = options.selectors || [];
+    this.nameSelectors = options.nameSelectors || [];
+    this.pricePointSelectors = options.pricePointSelectors || {};
+    this.promotionSelectors = options.promotionSelectors || [];
+    this.currency = options.currency || 'BRL';
+    this.waitTime = options.waitTime || 2000;
+    this.renderMode = options.renderMode || 'auto';
+    this.affiliateParams = options.affiliateParams || [];
+    this.platform = options.platform || null;
+  }
+
+  /**
+   * Verifica se o adaptador atende um domínio (inclui subdomínios)
+   * @param {string} domain - Domínio sem www.
+   */
+  matches(domain) {
+    return this.domains.some(supported =>
+      domain === supported || domain.endsWith(`.${supported}`)
+    );
+  }
+
+  /**
+   * Reconhece uma loja da plataforma pela página (adaptadores de plataforma)
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Object} context - { html, domain }
+   * @returns {boolean}
+   */
+  detectPlatform($, context) {
+    return false;
+  }
+
+  /**
+   * Normaliza a URL do produto para a loja (remove os parâmetros de afiliado)
+   * @param {string} url - URL já sem parâmetros de tracking
+   */
+  normalizeUrl(url) {
+    if (this.affiliateParams.length === 0) return url;
+
+    const urlObj = new URL(url);
+    this.affiliateParams.forEach(param => urlObj.searchParams.delete(param));
+    return urlObj.toString();
+  }
+
+  /**
+   * Verifica se a URL é de uma página de produto da loja
+   * Usado para recusar links que redirecionam para a home, busca, login...
+   * @param {string} url - URL normalizada
+   * @returns {boolean|null} null para usar a verificação genérica
+   */
+  isProductUrl(url) {
+    return null;
+  }
+
+  /**
+   * Identidade canônica do produto na loja (ex: ASIN da Amazon)
+   * Usada para deduplicar produtos adicionados por URLs diferentes
+   * @param {string} url - URL do produto
+   * @returns {Object|null} { key, canonicalUrl } ou null se a URL não identifica o produto
+   */
+  getProductIdentity(url) {
+    return null;
+  }
+
+  /**
+   * Headers adicionais para requests à loja
+   * @param {string} url - URL da requisição
+   */
+  getHeaders(url) {
+    return {};
+  }
+
+  /**
+   * Extração específica da loja
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Object} context - { html, url, domain, scraper }
+   * @returns {Object|null} Dados parciais ({ price, name, ... }) ou null para o pipeline padrão
+   */
+  extract($, context) {
+    return null;
+  }
+
+  /**
+   * Detecção de bloqueio específica da loja
+   * @param {string} html - HTML da resposta
+   * @param {Object} response - Resposta HTTP
+   * @returns {boolean|null} true/false ou null para a heurística padrão
+   */
+  isBlocked(html, response) {
+    return null;
+  }
+
+  /**
+   * Interpreta a disponibilidade do produto na página
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Object} data - Dados já extraídos
+   * @returns {string|null} Disponibilidade ou null para usar os dados estruturados
+   */
+  parseAvailability($, data) {
+    return null;
+  }
+
+  /**
+   * Extrai os pontos de preço (Pix, boleto, cartão, parcelado)
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Object} data - Dados já extraídos
+   * @returns {Object|null} { pix, boleto, card, installment } ou null para a detecção padrão
+   */
+  extractPricePoints($, data) {
+    return null;
+  }
+
+  /**
+   * Extrai cupons e selos promocionais (cupom, frete grátis, oferta relâmpago)
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Object} data - Dados já extraídos
+   * @returns {Object|null} { coupons, badges } ou null para a detecção padrão
+   */
+  extractPromotions($, data) {
+    return null;
+  }
+
+  /**
+   * Vendedor da oferta principal (marketplaces)
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Object} context - { html, url, domain }
+   * @returns {Object|null} { id, name, official } ou null para usar os dados estruturados
+   */
+  extractSeller($, context) {
+    return null;
+  }
+
+  /**
+   * Lê o produto pela API da loja, antes de baixar o HTML
+   * @param {string} url - URL normalizada do produto
+   * @param {Object} context - { domain, scraper }
+   * @returns {Promise<Object|null>} Dados no formato do extract ou null para usar o HTML
+   */
+  async fetchFromApi(url, context) {
+    return null;
+  }
+
+  /**
+   * Cota o frete do produto para um CEP
+   * @param {string} url - URL do produto
+   * @param {string} cep - CEP de destino (8 dígitos)
+   * @param {Object} context - { html, domain, scraper }
+   * @returns {Promise<Object|null>} { cost, deliveryDays, service } ou null se a loja não suporta
+   */
+  async fetchShipping(url, cep, context) {
+    return null;
+  }
+
+  /**
+   * URL da página de busca da loja para um termo
+   * @param {string} query - Termo pesquisado
+   * @returns {string|null} URL ou null se a loja não suporta busca por termo
+   */
+  getSearchUrl(query) {
+    return null;
+  }
+
+  /**
+   * Itens de uma página de busca ou categoria
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Object} context - { html, url, domain, scraper }
+   * @returns {Array|null} [{ url, name, price, availability }] ou null para o JSON-LD (ItemList)
+   */
+  extractListing($, context) {
+    return null;
+  }
+
+  /**
+   * Configuração no formato legado de siteConfigs
+   */
+  toConfig() {
+    return {
+      selectors: this.selectors,
+      nameSelectors: this.nameSelectors,
+      pricePointSelectors: this.pricePointSelectors,
+      promotionSelectors: this.promotionSelectors,
+      currency: this.currency,
+      waitTime: this.waitTime,
+      renderMode: this.renderMode
+    };
+  }
+}
+
+module.exports = BaseAdapter;
@@ -0,0 +1,20 @@
+const BaseAdapter = require('./BaseAdapter');
+
+/**
+ * Adaptador da Casas Bahia
+ */
+class CasasBahiaAdapter extends BaseAdapter {
+
+  constructor() {
+    super({
+      name: 'Casas Bahia',
+      domains: ['casasbahia.com.br'],
+      selectors: ['.sales-price', '.price-template__text'],
+      nameSelectors: ['.product-title', '.title'],
+      currency: 'BRL',
+      waitTime: 2000
+    });
+  }
+}
+
+module.exports = CasasBahiaAdapter;
@@ -0,0 +1,20 @@
+const BaseAdapter = require('./BaseAdapter');
+
+/**
+ * Adaptador da Magazine Luiza
+ */
+class MagazineLuizaAdapter extends BaseAdapter {
+
+  constructor() {
+    super({
+      name: 'Magazine Luiza',
+      domains: ['magazineluiza.com.br'],
+      selectors: ['.price-template__text', '[data-testid="price-value"]'],
+      nameSelectors: ['.header-product__title', 'h1'],
+      currency: 'BRL',
+      waitTime: 2000
+    });
+  }
+}
+
+module.exports = MagazineLuizaAdapter;
@@ -0,0 +1,253 @@
+const BaseAdapter = require('./BaseAdapter');
+const ProductKeys = require('../ProductKeys');
+const Availability = require('../Availability');
+const Promotions = require('../Promotions');
+const config = require('../../config/config');
+
+/**
+ * Adaptador do Mercado Livre
+ */
+class MercadoLivreAdapter extends BaseAdapter {
+
+  constructor() {
+    super({
+      name: 'Mercado Livre',
+      domains: ['mercadolivre.com.br'],
+      selectors: ['.andes-money-amount__fraction', '.price-tag-fraction'],
+      nameSelectors: ['.ui-pdp-title', '.item-title'],
+      promotionSelectors: ['.ui-pdp-promotions-pill-label', '.ui-vpp-coupons-awareness', '.ui-pdp-coupons', '.ui-pdp-media__title'],
+      currency: 'BRL',
+      waitTime: 2000,
+      affiliateParams: ['matt_tool', 'matt_word', 'matt_source', 'matt_campaign', 'matt_ad_type', 'matt_event_ts', 'forceInApp', 'tracking_id']
+    });
+
+    // Apelidos dos vendedores já consultados (id -> { name, expiresAt })
+    this.sellerNames = new Map();
+  }
+
+  /**
+   * ID do anúncio (MLB) ou do produto de catálogo (/p/MLB...)
+   * @param {string} url - URL do produto
+   */
+  getProductIdentity(url) {
+    return ProductKeys.mercadoLivre(url);
+  }
+
+  /**
+   * Página de produto só quando a URL identifica o anúncio ou produto de catálogo
+   * @param {string} url - URL normalizada
+   */
+  isProductUrl(url) {
+    return this.getProductIdentity(url) !== null;
+  }
+
+  /**
+   * Vendedor do anúncio; lojas oficiais têm o selo "Loja oficial"
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Object} context - { html, url, domain }
+   */
+  extractSeller($, context) {
+    const title = $('.ui-pdp-seller__header__title, .ui-seller-data-header__title, .ui-pdp-seller__link-trigger')
+      .first().text().replace(/\s+/g, ' ').trim();
+    const name = title.replace(/^(vendido por|loja oficial)\s*/i, '').trim() || null;
+
+    const idMatch = String(context.html || '').match(/"seller_?id"\s*:\s*"?(\d+)/i);
+    const id = idMatch ? idMatch[1] : null;
+
+    if (!name && !id) return null;
+
+    const official = $('.ui-pdp-official-store-label, .ui-seller-data-header__official-store').length > 0 ||
+      /^loja oficial\b/i.test(title) ||
+      /"official_store_id"\s*:\s*\d+/.test(String(context.html || ''));
+
+    return { id, name, official };
+  }
+
+  /**
+   * Lê o anúncio pela API pública de items, mais estável que o HTML
+   * Produtos de catálogo (/p/MLB...) não têm um anúncio único e seguem pelo HTML
+   * @param {string} url - URL normalizada do produto
+   * @param {Object} context - { domain, scraper }
+   */
+  async fetchFromApi(url, context) {
+    const api = config.scraping.mercadoLivreApi;
+    const identity = this.getProductIdentity(url);
+    if (!api.enabled || !identity || identity.key.startsWith('mercadolivre:catalog:')) return null;
+
+    const itemId = identity.key.replace('mercadolivre:', '');
+    const item = await context.scraper.fetchJson(`${api.baseUrl}/items/${itemId}`, this.getApiHeaders());
+    if (!item || !item.id) return null;
+
+    return {
+      price: Number(item.price) || null,
+      originalPrice: Number(item.original_price) > Number(item.price) ? Number(item.original_price) : null,
+      name: item.title || null,
+      currency: item.currency_id || this.currency,
+      availability: this.parseItemAvailability(item),
+      seller: await this.fetchSeller(item, context),
+      promotions: {
+        coupons: [],
+        badges: item.shipping?.free_shipping ? [Promotions.BADGES.FREE_SHIPPING] : []
+      },
+      gtin: this.getAttribute(item, 'GTIN'),
+      brand: this.getAttribute(item, 'BRAND'),
+      mpn: this.getAttribute(item, 'MODEL'),
+      image: item.pictures?.[0]?.secure_url || item.secure_thumbnail || item.thumbnail || null
+    };
+  }
+
+  /**
+   * Disponibilidade pelo status e estoque do anúncio
+   * O Mercado Livre pausa o anúncio quando o estoque acaba
+   * @param {Object} item - Resposta de /items/{id}
+   */
+  parseItemAvailability(item) {
+    if (item.status === 'active') {
+      return item.available_quantity === 0
+        ? Availability.STATES.OUT_OF_STOCK
+        : Availability.STATES.IN_STOCK;
+    }
+
+    return item.status === 'paused'
+      ? Availability.STATES.OUT_OF_STOCK
+      : Availability.STATES.UNAVAILABLE;
+  }
+
+  /**
+   * Vendedor do anúncio; o apelido vem de /users/{id} e fica em cache
+   * @param {Object} item - Resposta de /items/{id}
+   * @param {Object} context - { scraper }
+   */
+  async fetchSeller(item, context) {
+    if (!item.seller_id) return null;
+
+    const id = String(item.seller_id);
+    const official = Boolean(item.official_store_id);
+    const cached = this.sellerNames.get(id);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return { id, name: cached.name, official };
+    }
+
+    let name = null;
+    try {
+      const user = await context.scraper.fetchJson(`${config.scraping.mercadoLivreApi.baseUrl}/users/${id}`, this.getApiHeaders());
+      name = user?.nickname || null;
+    } catch (error) {
+      // Sem o apelido o vendedor continua identificado pelo id
+      return { id, name: null, official };
+    }
+
+    this.sellerNames.set(id, {
+      name,
+      expiresAt: Date.now() + config.scraping.mercadoLivreApi.sellerCacheMinutes * 60 * 1000
+    });
+
+    return { id, name, official };
+  }
+
+  /**
+   * Valor de um atributo da ficha técnica do anúncio (ex: GTIN, BRAND)
+   * @param {Object} item - Resposta de /items/{id}
+   * @param {string} attributeId - ID do atributo
+   */
+  getAttribute(item, attributeId) {
+    const attribute = (item.attributes || []).find(entry => entry.id === attributeId);
+    return attribute?.value_name || null;
+  }
+
+  /**
+   * Cabeçalhos da API (token de acesso opcional)
+   */
+  getApiHeaders() {
+    const token = config.scraping.mercadoLivreApi.accessToken;
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  /**
+   * Cota o frete pela API pública de opções de envio
+   * @param {string} url - URL do produto
+   * @param {string} cep - CEP de destino
+   * @param {Object} context - { html, domain, scraper }
+   */
+  async fetchShipping(url, cep, context) {
+    const itemId = this.getItemId(url, context.html);
+    if (!itemId) return null;
+
+    const data = await context.scraper.fetchJson(
+      `${config.scraping.mercadoLivreApi.baseUrl}/items/${itemId}/shipping_options?zip_code=${cep}`,
+      this.getApiHeaders()
+    );
+
+    const options = Array.isArray(data?.options) ? data.options : [];
+    if (options.length === 0) return null;
+
+    const cheapest = options.reduce((best, option) =>
+      (option.cost ?? Infinity) < (best.cost ?? Infinity) ? option : best
+    );
+
+    return {
+      cost: Number(cheapest.cost) || 0,
+      deliveryDays: cheapest.estimated_delivery_time?.shipping ?? null,
+      service: cheapest.name || null
+    };
+  }
+
+  /**
+   * Busca por termo na lista do Mercado Livre (termos separados por hífen)
+   * @param {string} query - Termo pesquisado
+   */
+  getSearchUrl(query) {
+    const slug = String(query).trim().toLowerCase().replace(/\s+/g, '-');
+    return slug ? `https://lista.mercadolivre.com.br/${encodeURIComponent(slug)}` : null;
+  }
+
+  /**
+   * Cards da página de busca ou categoria (layout poly-card e o anterior)
+   * O preço riscado (preço anterior) fica fora do bloco do preço atual
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Object} context - { html, url, domain, scraper }
+   */
+  extractListing($, context) {
+    const cards = $('li.ui-search-layout__item, .poly-card').filter((i, element) =>
+      $(element).parents('li.ui-search-layout__item, .poly-card').length === 0
+    );
+    if (cards.length === 0) return null;
+
+    return cards.map((i, element) => {
+      const card = $(element);
+      const link = card.find('a.poly-component__title, a.ui-search-link, a.ui-search-item__group__element').first();
+      const amount = card.find('.poly-price__current, .ui-search-price__second-line').first()
+        .find('.andes-money-amount').first();
+
+      const fraction = amount.find('.andes-money-amount__fraction').first().text().trim();
+      const cents = amount.find('.andes-money-amount__cents').first().text().trim();
+
+      return {
+        url: link.attr('href') || null,
+        name: link.text() || card.find('.poly-component__title, .ui-search-item__title').first().text() || null,
+        price: fraction ? context.scraper.parsePrice(cents ? `${fraction},${cents}` : fraction) : null
+      };
+    }).get();
+  }
+
+  /**
+   * ID do anúncio (ex: MLB1234567890) usado na API de frete
+   * O ID de um produto de catálogo (/p/MLB...) não é um anúncio: nesse caso
+   * vale o anúncio que a página está vendendo (item_id no estado da página)
+   * @param {string} url - URL do produto
+   * @param {string} html - HTML da página (opcional)
+   * @returns {string|null}
+   */
+  getItemId(url, html) {
+    const identity = this.getProductIdentity(url);
+    if (identity && !identity.key.startsWith('mercadolivre:catalog:')) {
+      return identity.key.replace('mercadolivre:', '');
+    }
+
+    const match = String(html || '').match(/"item_id"\s*:\s*"(MLB\d+)"|name="item_id"\s+value="(MLB\d+)"/i);
+    return match ? (match[1] || match[2]).toUpperCase() : null;
+  }
+}
+
+module.exports = MercadoLivreAdapter;
@@ -0,0 +1,22 @@
+const BaseAdapter = require('./BaseAdapter');
+
+/**
+ * Adaptador baseado apenas em seletores CSS
+ * Usado por addSiteConfig para configurações criadas em tempo de execução
+ */
+class SelectorAdapter extends BaseAdapter {
+
+  /**
+   * @param {string} domain - Domínio do site
+   * @param {Object} config - { selectors, nameSelectors, currency, waitTime, renderMode }
+   */
+  constructor(domain, config = {}) {
+    super({
+      name: domain,
+      ...config,
+      domains: [domain]
+    });
+  }
+}
+
+module.exports = SelectorAdapter;
@@ -0,0 +1,20 @@
+const BaseAdapter = require('./BaseAdapter');
+
+/**
+ * Adaptador do Submarino
+ */
+class SubmarinoAdapter extends BaseAdapter {
+
+  constructor() {
+    super({
+      name: 'Submarino',
+      domains: ['submarino.com.br'],
+      selectors: ['.price__Value', '.sales-price'],
+      nameSelectors: ['.product-title', 'h1'],
+      currency: 'BRL',
+      waitTime: 2000
+    });
+  }
+}
+
+module.exports = SubmarinoAdapter;
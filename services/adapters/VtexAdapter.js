@@ -0,0 +1,308 @@
+const BaseAdapter = require('./BaseAdapter');
+const ProductKeys = require('../ProductKeys');
+const Availability = require('../Availability');
+
+// Marcas da plataforma na página; duas bastam para reconhecer a loja
+const FINGERPRINTS = [
+  /data-varname="__STATE__"/,
+  /__RUNTIME__\s*=\s*\{[\s\S]{0,500}"account"/,
+  /vtex\.render-server/,
+  /vtex\.events\.addData\(/,
+  /\bvtexjs\b/,
+  /\bskuJson_\d+\s*=/,
+  /(?:vteximg\.com\.br|vtexassets\.com|vtexcommercestable\.com\.br)/
+];
+
+// Na VTEX o vendedor "1" é a própria loja
+const MAIN_SELLER_ID = '1';
+
+/**
+ * Adaptador da plataforma VTEX
+ * Atende qualquer loja VTEX, reconhecida pela página e não pelo domínio.
+ * Lê a API pública de catálogo e, na página, o __STATE__ (VTEX IO),
+ * o skuJson ou o vtex.events (CMS legado)
+ */
+class VtexAdapter extends BaseAdapter {
+
+  constructor() {
+    super({
+      name: 'VTEX',
+      platform: 'vtex',
+      selectors: [
+        '.vtex-product-price-1-x-sellingPriceValue',
+        '.vtex-store-components-3-x-sellingPrice',
+        '.skuBestPrice'
+      ],
+      nameSelectors: ['.vtex-store-components-3-x-productBrand', '.productName'],
+      currency: 'BRL',
+      waitTime: 2000
+    });
+  }
+
+  /**
+   * Reconhece a loja VTEX pelas marcas da plataforma no HTML
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Object} context - { html, domain }
+   */
+  detectPlatform($, context) {
+    const html = String(context.html || '');
+    return FINGERPRINTS.filter(pattern => pattern.test(html)).length >= 2;
+  }
+
+  /**
+   * SKU na query da página de produto (/<slug>/p?skuId=123)
+   * @param {string} url - URL do produto
+   */
+  getProductIdentity(url) {
+    return ProductKeys.vtex(url);
+  }
+
+  /**
+   * Páginas de produto VTEX terminam em /p; outras rotas usam a verificação genérica
+   * @param {string} url - URL normalizada
+   */
+  isProductUrl(url) {
+    return this.getLinkText(url) ? true : null;
+  }
+
+  /**
+   * Lê o produto pela API pública de catálogo da loja
+   * @param {string} url - URL normalizada do produto
+   * @param {Object} context - { domain, scraper }
+   */
+  async fetchFromApi(url, context) {
+    const linkText = this.getLinkText(url);
+    if (!linkText) return null;
+
+    const apiUrl = `${new URL(url).origin}/api/catalog_system/pub/products/search/${encodeURIComponent(linkText)}/p`;
+    const products = await context.scraper.fetchJson(apiUrl);
+    if (!Array.isArray(products) || products.length === 0) return null;
+
+    return this.fromCatalogProduct(products[0], this.getSkuId(url));
+  }
+
+  /**
+   * Extração pelos dados que a plataforma embute na página
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Object} context - { html, url }
+   */
+  extract($, context) {
+    const html = String(context.html || '');
+    const events = this.parseEvents(html);
+    const product = this.parseState(html) || this.parseSkuJson(html, events) || events;
+
+    return product ? this.fromCatalogProduct(product, this.getSkuId(context.url)) : null;
+  }
+
+  /**
+   * Produtos de uma página de busca ou categoria do VTEX IO (todos os Product: do __STATE__)
+   * @param {CheerioAPI} $ - Instância do Cheerio
+   * @param {Object} context - { html, url }
+   */
+  extractListing($, context) {
+    const state = this.readState(String(context.html || ''));
+    if (!state) return null;
+
+    const origin = new URL(context.url).origin;
+    const items = Object.keys(state)
+      .filter(key => /^Product:[^.]+$/.test(key) && state[key] && state[key].linkText)
+      .map(key => {
+        const product = resolveRefs(state, state[key]);
+        const data = this.fromCatalogProduct(product);
+
+        return {
+          url: `${origin}/${product.linkText}/p`,
+          name: product.productName || data?.name || null,
+          price: data?.price ?? null,
+          availability: data?.availability || null
+        };
+      });
+
+    return items.length > 0 ? items : null;
+  }
+
+  /**
+   * Converte um produto no formato da API de catálogo (Product > items > sellers > commertialOffer)
+   * @param {Object} product - Produto do catálogo
+   * @param {string|null} skuId - SKU da URL (senão o primeiro)
+   */
+  fromCatalogProduct(product, skuId = null) {
+    const items = Array.isArray(product.items) ? product.items : [];
+    const item = items.find(entry => skuId && String(entry.itemId) === skuId) || items[0];
+    if (!item) return null;
+
+    const sellers = Array.isArray(item.sellers) ? item.sellers : [];
+    const seller = sellers.find(entry => entry.sellerDefault) || sellers[0] || null;
+    const offer = seller?.commertialOffer || {};
+
+    const price = Number(offer.Price) > 0 ? Number(offer.Price) : null;
+    const listPrice = Number(offer.ListPrice);
+
+    return {
+      price,
+      originalPrice: price && listPrice > price ? listPrice : null,
+      name: product.productName || item.nameComplete || item.name || null,
+      availability: this.parseOfferAvailability(offer),
+      seller: seller && (seller.sellerId || seller.sellerName)
+        ? { id: seller.sellerId || null, name: seller.sellerName || null, official: String(seller.sellerId) === MAIN_SELLER_ID }
+        : null,
+      gtin: item.ean || null,
+      brand: product.brand || null,
+      image: item.images?.[0]?.imageUrl || null,
+      confidence: 0.95
+    };
+  }
+
+  /**
+   * Disponibilidade pela oferta do vendedor
+   * @param {Object} offer - commertialOffer
+   */
+  parseOfferAvailability(offer) {
+    if (offer.IsAvailable === false) return Availability.STATES.OUT_OF_STOCK;
+
+    const quantity = Number(offer.AvailableQuantity);
+    if (!Number.isFinite(quantity)) return null;
+
+    return quantity > 0 ? Availability.STATES.IN_STOCK : Availability.STATES.OUT_OF_STOCK;
+  }
+
+  /**
+   * __STATE__ do VTEX IO: cache normalizado (referências { id, type: "id" })
+   * remontado no formato da API de catálogo
+   * @param {string} html - HTML da página
+   */
+  parseState(html) {
+    const state = this.readState(html);
+    if (!state) return null;
+
+    const productKey = Object.keys(state).find(key =>
+      /^Product:[^.]+$/.test(key) && state[key] && state[key].productName
+    );
+
+    return productKey ? resolveRefs(state, state[productKey]) : null;
+  }
+
+  /**
+   * __STATE__ bruto da página (VTEX IO)
+   * @param {string} html - HTML da página
+   */
+  readState(html) {
+    const match = html.match(/data-varname="__STATE__"[^>]*>\s*<script[^>]*>([\s\S]*?)<\/script>/);
+    return match ? parseJson(match[1]) : null;
+  }
+
+  /**
+   * skuJson do CMS legado (preços em centavos); marca e EAN vêm do vtex.events
+   * @param {string} html - HTML da página
+   * @param {Object|null} events - Produto lido do vtex.events
+   */
+  parseSkuJson(html, events = null) {
+    const match = html.match(/\bskuJson_\d+\s*=\s*(\{[\s\S]*?\});\s*(?:CATALOG_SDK|<\/script>|var\s)/);
+    const skuJson = match ? parseJson(match[1]) : null;
+    if (!skuJson || !Array.isArray(skuJson.skus)) return null;
+
+    return {
+      productName: skuJson.name,
+      brand: events?.brand || null,
+      items: skuJson.skus.map(sku => ({
+        itemId: String(sku.sku),
+        name: sku.skuname,
+        ean: skuJson.skus.length === 1 ? events?.items[0].ean || null : null,
+        sellers: [{
+          sellerId: sku.sellerId ? String(sku.sellerId) : null,
+          sellerName: sku.seller || null,
+          sellerDefault: true,
+          commertialOffer: {
+            Price: Number(sku.bestPrice) / 100,
+            ListPrice: Number(sku.listPrice) / 100,
+            AvailableQuantity: sku.available ? Number(sku.availablequantity) || 1 : 0
+          }
+        }]
+      }))
+    };
+  }
+
+  /**
+   * Dados do vtex.events (CMS legado): preço e estoque sem vendedor
+   * @param {string} html - HTML da página
+   */
+  parseEvents(html) {
+    const match = html.match(/vtex\.events\.addData\((\{[\s\S]*?\})\);/);
+    const data = match ? parseJson(match[1]) : null;
+    if (!data || !data.productName) return null;
+
+    const stocks = data.skuStocks ? Object.values(data.skuStocks).map(Number) : null;
+
+    return {
+      productName: data.productName,
+      brand: data.productBrandName || null,
+      items: [{
+        itemId: data.skuStocks ? Object.keys(data.skuStocks)[0] : null,
+        ean: Array.isArray(data.productEans) ? data.productEans[0] : null,
+        sellers: [{
+          commertialOffer: {
+            Price: data.productPriceTo,
+            ListPrice: data.productListPriceTo,
+            AvailableQuantity: stocks ? stocks.reduce((total, stock) => total + stock, 0) : undefined
+          }
+        }]
+      }]
+    };
+  }
+
+  /**
+   * Slug da página de produto (/<slug>/p)
+   * @param {string} url - URL do produto
+   */
+  getLinkText(url) {
+    try {
+      const match = new URL(url).pathname.match(/^\/([^/]+)\/p\/?$/);
+      return match ? decodeURIComponent(match[1]) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * SKU escolhido na URL, se houver
+   * @param {string} url - URL do produto
+   */
+  getSkuId(url) {
+    const identity = url ? this.getProductIdentity(url) : null;
+    return identity ? identity.key.split(':').pop() : null;
+  }
+}
+
+/**
+ * JSON.parse sem lançar erro
+ * @param {string} text - Texto JSON
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Substitui as referências do cache normalizado pelos objetos do estado
+ * @param {Object} state - __STATE__ completo
+ * @param {*} value - Valor a remontar
+ * @param {number} depth - Limite de profundidade (estado com ciclos)
+ */
+function resolveRefs(state, value, depth = 0) {
+  if (depth > 8 || value === null || typeof value !== 'object') return value;
+
+  if (Array.isArray(value)) {
+    return value.map(entry => resolveRefs(state, entry, depth + 1));
+  }
+
+  if (value.type === 'id' && typeof value.id === 'string' && state[value.id]) {
+    return resolveRefs(state, state[value.id], depth + 1);
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, resolveRefs(state, entry, depth + 1)]));
+}
+
+module.exports = VtexAdapter;
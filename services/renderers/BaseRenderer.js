@@ -0,0 +1,40 @@
+/**
+ * Renderizador base
+ * Um renderizador obtém o HTML de uma URL. O PriceScraper cuida de robots.txt,
+ * agendamento, circuit breaker, proxies e cache; o renderizador só executa o
+ * request com a identidade (proxy + perfil de headers) recebida.
+ */
+class BaseRenderer {
+
+  /**
+   * @param {string} name - Nome usado em renderMode e nas estatísticas
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Indica se o renderizador pode ser usado neste ambiente
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Busca a página
+   * @param {Object} requestConfig - Configuração do request (url, headers, timeout)
+   * @param {Object} identity - Identidade do pool de proxies
+   * @param {Object} context - { scraper, adapter, domain }
+   * @returns {Promise<Object>} Resposta no formato do axios ({ status, statusText, headers, data })
+   */
+  async fetch(requestConfig, identity, context) {
+    throw new Error(`Renderizador ${this.name} não implementa fetch()`);
+  }
+
+  /**
+   * Libera recursos (ex: processos do navegador)
+   */
+  async close() {}
+}
+
+module.exports = BaseRenderer;
@@ -0,0 +1,168 @@
+const BaseRenderer = require('./BaseRenderer');
+const logger = require('../../utils/logger');
+
+/**
+ * Renderizador com navegador headless (puppeteer)
+ * Usado em lojas que montam o preço no cliente (JavaScript).
+ * O pacote puppeteer é opcional: sem ele o renderizador fica indisponível.
+ */
+class BrowserRenderer extends BaseRenderer {
+
+  /**
+   * @param {Object} options - config.scraping.browser
+   * @param {boolean} options.enabled - Habilita o navegador headless
+   * @param {number} options.timeoutMs - Timeout de navegação
+   * @param {number} options.maxWaitMs - Espera máxima pela renderização (limita o waitTime do adaptador)
+   * @param {string} options.executablePath - Caminho do Chrome/Chromium (opcional)
+   */
+  constructor(options = {}) {
+    super('browser');
+    this.enabled = !!options.enabled;
+    this.timeoutMs = options.timeoutMs || 30000;
+    this.maxWaitMs = options.maxWaitMs || 10000;
+    this.executablePath = options.executablePath || null;
+
+    // Um navegador por proxy (o proxy é definido no lançamento do Chrome)
+    this.browsers = new Map();
+    this.puppeteer = undefined;
+  }
+
+  /**
+   * Carrega o puppeteer sob demanda
+   */
+  loadPuppeteer() {
+    if (this.puppeteer === undefined) {
+      try {
+        this.puppeteer = require('puppeteer');
+      } catch {
+        this.puppeteer = null;
+        logger.warn('Pacote puppeteer não instalado: renderização headless desativada');
+      }
+    }
+
+    return this.puppeteer;
+  }
+
+  /**
+   * Disponível se habilitado na configuração e com puppeteer instalado
+   */
+  isAvailable() {
+    return this.enabled && !!this.loadPuppeteer();
+  }
+
+  /**
+   * Obtém (ou lança) o navegador para um proxy
+   * @param {string|null} proxy - URL do proxy ou null para conexão direta
+   */
+  async getBrowser(proxy) {
+    const key = proxy || 'direct';
+    const current = this.browsers.get(key);
+
+    if (current) {
+      const browser = await current;
+      if (browser.isConnected()) return browser;
+      this.browsers.delete(key);
+    }
+
+    const args = ['--no-sandbox', '--disable-dev-shm-usage'];
+    if (proxy) {
+      const proxyUrl = new URL(proxy);
+      args.push(`--proxy-server=${proxyUrl.protocol}//${proxyUrl.host}`);
+    }
+
+    const launching = this.loadPuppeteer().launch({
+      headless: true,
+      args,
+      ...(this.executablePath ? { executablePath: this.executablePath } : {})
+    });
+
+    this.browsers.set(key, launching);
+    launching.catch(() => this.browsers.delete(key));
+
+    logger.info(`Navegador headless iniciado (${proxy ? 'com proxy' : 'conexão direta'})`);
+    return launching;
+  }
+
+  /**
+   * Abre a página no navegador e devolve o HTML renderizado
+   * Espera pelos seletores de preço do adaptador até o waitTime (limitado a maxWaitMs)
+   * @param {Object} requestConfig - Configuração do request (url, headers)
+   * @param {Object} identity - Identidade do pool de proxies
+   * @param {Object} context - { adapter }
+   */
+  async fetch(requestConfig, identity, context) {
+    if (!this.isAvailable()) {
+      throw new Error('Renderizador headless indisponível');
+    }
+
+    const browser = await this.getBrowser(identity.proxy);
+    const page = await browser.newPage();
+
+    try {
+      if (identity.proxy) {
+        const proxyUrl = new URL(identity.proxy);
+        if (proxyUrl.username) {
+          await page.authenticate({
+            username: decodeURIComponent(proxyUrl.username),
+            password: decodeURIComponent(proxyUrl.password)
+          });
+        }
+      }
+
+      const { 'User-Agent': userAgent, ...profileHeaders } = identity.profile.headers;
+      if (userAgent) await page.setUserAgent(userAgent);
+      await page.setExtraHTTPHeaders({
+        ...profileHeaders,
+        'Accept-Language': requestConfig.headers['Accept-Language']
+      });
+
+      const response = await page.goto(requestConfig.url, {
+        waitUntil: 'networkidle2',
+        timeout: this.timeoutMs
+      });
+
+      // Aguardar o preço ser montado no cliente
+      const adapter = context.adapter;
+      const waitMs = Math.min(adapter ? adapter.waitTime : 0, this.maxWaitMs);
+
+      if (adapter && adapter.selectors.length > 0 && waitMs > 0) {
+        await page.waitForSelector(adapter.selectors.join(', '), { timeout: waitMs }).catch(() => {
+          logger.debug(`Seletores de preço não apareceram em ${waitMs}ms: ${requestConfig.url}`);
+        });
+      } else if (waitMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+      }
+
+      return {
+        status: response ? response.status() : 200,
+        statusText: response ? response.statusText() : '',
+        // Sem ETag/Last-Modified: o documento pode não mudar enquanto o preço (via XHR) muda
+        headers: {},
+        data: await page.content(),
+        rendered: true
+      };
+
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Fecha todos os navegadores abertos
+   */
+  async close() {
+    const browsers = Array.from(this.browsers.values());
+    this.browsers.clear();
+
+    await Promise.all(browsers.map(async (launching) => {
+      try {
+        const browser = await launching;
+        await browser.close();
+      } catch (error) {
+        logger.warn(`Erro ao fechar navegador headless: ${error.message}`);
+      }
+    }));
+  }
+}
+
+module.exports = BrowserRenderer;
@@ -0,0 +1,24 @@
+const axios = require('axios');
+const BaseRenderer = require('./BaseRenderer');
+
+/**
+ * Renderizador padrão: HTML estático via axios
+ */
+class StaticRenderer extends BaseRenderer {
+
+  constructor() {
+    super('static');
+  }
+
+  /**
+   * Busca a página com axios
+   * @param {Object} requestConfig - Configuração do axios
+   * @param {Object} identity - Identidade do pool de proxies
+   * @param {Object} context - { scraper }
+   */
+  async fetch(requestConfig, identity, context) {
+    return axios(context.scraper.applyIdentity(requestConfig, identity));
+  }
+}
+
+module.exports = StaticRenderer;
@@ -0,0 +1,126 @@
+const { readdirSync } = require('fs');
+const path = require('path');
+const PageCache = require('../database/models/PageCache');
+const BaseAdapter = require('../services/adapters/BaseAdapter');
+const SelectorAdapter = require('../services/adapters/SelectorAdapter');
+const PriceScraper = require('../services/PriceScraper');
+
+describe('Adaptadores de loja', () => {
+
+  beforeEach(() => {
+    jest.spyOn(PageCache, 'clearExtracted').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('descoberta', () => {
+
+    test('carrega cada *Adapter.js da pasta, exceto os internos', () => {
+      const files = readdirSync(path.join(__dirname, '..', 'services', 'adapters'))
+        .filter(file => file.endsWith('Adapter.js') && !['BaseAdapter.js', 'SelectorAdapter.js'].includes(file));
+
+      const loaded = new Set([...PriceScraper.builtInAdapters.values(), ...PriceScraper.platformAdapters]);
+      expect([...loaded].map(adapter => `${adapter.constructor.name}.js`).sort()).toEqual(files.sort());
+      expect([...loaded].every(adapter => adapter instanceof BaseAdapter)).toBe(true);
+    });
+
+    test.each([
+      ['amazon.com.br', 'Amazon'],
+      ['mercadolivre.com.br', 'Mercado Livre'],
+      ['produto.mercadolivre.com.br', 'Mercado Livre'],
+      ['m.magazineluiza.com.br', 'Magazine Luiza'],
+      ['loja-sem-adaptador.com.br', null],
+      ['amazon.com.br.golpe.com', null]
+    ])('adaptador de %s: %s', (domain, name) => {
+      const adapter = PriceScraper.getAdapter(domain);
+      expect(adapter ? adapter.name : null).toBe(name);
+    });
+
+    test('expõe a configuração legada por domínio', () => {
+      expect(PriceScraper.siteConfigs['amazon.com.br']).toMatchObject({
+        selectors: expect.arrayContaining(['.a-price .a-offscreen']),
+        currency: 'BRL'
+      });
+    });
+  });
+
+  describe('configuração por domínio', () => {
+    const amazonPage = `<html><body>
+      <span id="productTitle">Kindle 11ª geração</span>
+      <div class="preco-promocional">R$ 449,00</div>
+      <div id="corePrice_feature_div"><span class="a-price"><span class="a-offscreen">R$ 499,00</span></span></div>
+      <a id="sellerProfileTriggerId" href="/gp/help/seller/at-a-glance.html?seller=A1B2C3">Loja Parceira</a>
+    </body></html>`;
+
+    afterEach(() => {
+      PriceScraper.removeSiteConfig('amazon.com.br');
+      PriceScraper.removeSiteConfig('loja-nova.com.br');
+    });
+
+    test('seletores configurados vêm antes dos do adaptador, que mantém a extração própria', async () => {
+      PriceScraper.addSiteConfig('amazon.com.br', { selectors: ['.preco-promocional'], waitTime: 5000 });
+
+      const adapter = PriceScraper.getAdapter('amazon.com.br');
+      expect(adapter.selectors[0]).toBe('.preco-promocional');
+      expect(adapter.selectors).toContain('.a-price .a-offscreen');
+      expect(adapter).toMatchObject({ name: 'Amazon', waitTime: 5000, currency: 'BRL' });
+      expect(PageCache.clearExtracted).toHaveBeenCalledWith('amazon.com.br');
+
+      const data = await PriceScraper.extractData(amazonPage, 'amazon.com.br', 'https://www.amazon.com.br/dp/B0CFPJYX7P');
+      expect(data).toMatchObject({ price: 449, strategy: 'site-selector', selector: '.preco-promocional' });
+      expect(data.seller).toMatchObject({ id: 'A1B2C3', name: 'Loja Parceira' });
+    });
+
+    test('remover a configuração volta ao adaptador original', async () => {
+      const original = PriceScraper.getAdapter('amazon.com.br');
+      PriceScraper.addSiteConfig('amazon.com.br', { selectors: ['.preco-promocional'] });
+
+      expect(PriceScraper.removeSiteConfig('amazon.com.br')).toBe(true);
+      expect(PriceScraper.getAdapter('amazon.com.br')).toBe(original);
+
+      const data = await PriceScraper.extractData(amazonPage, 'amazon.com.br', 'https://www.amazon.com.br/dp/B0CFPJYX7P');
+      expect(data).toMatchObject({ price: 499, selector: '.a-price .a-offscreen' });
+    });
+
+    test('domínio sem adaptador recebe um adaptador de seletores', () => {
+      PriceScraper.addSiteConfig('loja-nova.com.br', { selectors: ['.valor'], currency: 'USD' });
+
+      const adapter = PriceScraper.getAdapter('loja-nova.com.br');
+      expect(adapter).toBeInstanceOf(SelectorAdapter);
+      expect(adapter).toMatchObject({ name: 'loja-nova.com.br', domains: ['loja-nova.com.br'], selectors: ['.valor'], currency: 'USD' });
+
+      expect(PriceScraper.removeSiteConfig('loja-nova.com.br')).toBe(true);
+      expect(PriceScraper.getAdapter('loja-nova.com.br')).toBeNull();
+      expect(PriceScraper.removeSiteConfig('loja-nova.com.br')).toBe(false);
+    });
+  });
+
+  describe('seletores genéricos', () => {
+
+    test('loja sem adaptador usa os seletores genéricos', async () => {
+      const html = '<html><body><h1>Panela de Pressão 4,5L</h1><span class="sale-price">R$ 189,90</span></body></html>';
+
+      const data = await PriceScraper.extractData(html, 'loja-sem-adaptador.com.br', 'https://loja-sem-adaptador.com.br/panela');
+
+      expect(data).toMatchObject({ success: true, price: 189.9, strategy: 'generic-selector', selector: '.sale-price', name: 'Panela de Pressão 4,5L' });
+    });
+
+    test('seletores do adaptador que não casam caem nos genéricos', async () => {
+      const html = '<html><body><h1 class="product-title">Liquidificador 1200W</h1><div class="final-price">R$ 229,00</div></body></html>';
+
+      const data = await PriceScraper.extractData(html, 'americanas.com.br', 'https://www.americanas.com.br/produto/123');
+
+      expect(data).toMatchObject({ success: true, price: 229, strategy: 'generic-selector', selector: '.final-price' });
+    });
+
+    test('sem seletor algum, o padrão de preço no HTML é o último recurso', async () => {
+      const html = '<html><body><h1>Ventilador de Mesa</h1><p>Por apenas R$ 159,90 hoje</p></body></html>';
+
+      const data = await PriceScraper.extractData(html, 'loja-sem-adaptador.com.br', 'https://loja-sem-adaptador.com.br/ventilador');
+
+      expect(data).toMatchObject({ success: true, price: 159.9, strategy: 'regex', confidence: 0.3 });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const http = require('http');
+const config = require('../config/config');
+const database = require('../database/database');
+const Product = require('../database/models/Product');
+const PriceHistory = require('../database/models/PriceHistory');
+const Availability = require('../services/Availability');
+const PriceScraper = require('../services/PriceScraper');
+const PriceMonitor = require('../services/PriceMonitor');
+
+const productPage = (offers, body = '') => `<html><head><title>Air Fryer 4L</title>
+<script type="application/ld+json">${JSON.stringify({ '@type': 'Product', name: 'Air Fryer 4L', offers })}</script>
+</head><body><h1>Air Fryer 4L</h1>${body}</body></html>`;
+
+describe('Disponibilidade', () => {
+
+  test.each([
+    ['https://schema.org/InStock', 'in_stock'],
+    ['http://schema.org/OutOfStock', 'out_of_stock'],
+    ['LimitedAvailability', 'in_stock'],
+    ['SoldOut', 'out_of_stock'],
+    ['PreOrder', 'preorder'],
+    ['BackOrder', 'preorder'],
+    ['Discontinued', 'unavailable'],
+    ['out_of_stock', 'out_of_stock'],
+    ['Qualquer coisa', null]
+  ])('normaliza "%s"', (value, expected) => {
+    expect(Availability.normalize(value)).toBe(expected);
+  });
+
+  test.each([
+    ['Produto esgotado', 'out_of_stock'],
+    ['Avise-me quando chegar', 'out_of_stock'],
+    ['Pré-venda: envio em 10 dias', 'preorder'],
+    ['Anúncio pausado', 'unavailable'],
+    ['Comprar agora', null]
+  ])('detecta no texto "%s"', (text, expected) => {
+    expect(Availability.detectFromText(text)).toBe(expected);
+  });
+
+  test('esgotado sem preço na página ainda é uma leitura válida', async () => {
+    const html = productPage({ '@type': 'Offer', availability: 'https://schema.org/OutOfStock' }, '<button>Avise-me quando chegar</button>');
+    const data = await PriceScraper.extractData(html, 'loja-exemplo.com.br', 'https://loja-exemplo.com.br/air-fryer');
+
+    expect(data).toMatchObject({ success: true, price: null, availability: 'out_of_stock' });
+
+    const fromText = await PriceScraper.extractData('<html><body><h1>Air Fryer</h1><button>Produto esgotado</button></body></html>',
+      'loja-exemplo.com.br', 'https://loja-exemplo.com.br/air-fryer');
+    expect(fromText).toMatchObject({ success: true, availability: 'out_of_stock' });
+
+    const withPrice = await PriceScraper.extractData(productPage({ '@type': 'Offer', price: '399.90', priceCurrency: 'BRL' }),
+      'loja-exemplo.com.br', 'https://loja-exemplo.com.br/air-fryer');
+    expect(withPrice).toMatchObject({ success: true, price: 399.9, availability: 'in_stock' });
+  });
+
+  describe('página removida', () => {
+    let server;
+    let baseUrl;
+    let original;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        res.statusCode = Number(req.url.split('/')[1]) || 200;
+        res.end('<html><body>Página não encontrada</body></html>');
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      original = { robots: config.scraping.respectRobotstxt, delay: config.monitoring.requestDelayMs };
+      config.scraping.respectRobotstxt = false;
+      config.monitoring.requestDelayMs = 10;
+    });
+
+    afterAll(async () => {
+      config.scraping.respectRobotstxt = original.robots;
+      config.monitoring.requestDelayMs = original.delay;
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test.each([404, 410])('HTTP %i marca o produto como removido na URL normalizada', async (status) => {
+      const url = `${baseUrl}/${status}/air-fryer?utm_source=newsletter#avaliacoes`;
+
+      const data = await PriceScraper.scrapePrice(url);
+
+      expect(data).toMatchObject({
+        success: true,
+        removed: true,
+        httpStatus: status,
+        availability: 'unavailable',
+        url: PriceScraper.normalizeUrl(url),
+        domain: '127.0.0.1'
+      });
+      expect(data.url).not.toContain('utm_source');
+    });
+  });
+
+  describe('volta ao estoque', () => {
+    let product;
+    let notificationService;
+
+    beforeAll(async () => {
+      await database.ready;
+    });
+
+    beforeEach(async () => {
+      const { id } = await Product.create({
+        name: 'Air Fryer 4L',
+        url: `https://loja-exemplo.com.br/air-fryer-${Date.now()}-${Math.random()}`,
+        currentPrice: 399.9,
+        targetPrice: 299.9,
+        channelId: 'c1',
+        guildId: 'g1',
+        userId: 'u1'
+      });
+      product = await Product.findById(id);
+
+      notificationService = { sendBackInStockNotification: jest.fn().mockResolvedValue({ sent: true }) };
+      PriceMonitor.notificationService = notificationService;
+      jest.spyOn(PriceMonitor, 'getShippingCep').mockResolvedValue(null);
+      jest.spyOn(PriceMonitor, 'getDisplayCurrency').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      PriceMonitor.notificationService = null;
+    });
+
+    test('esgotado sem preço só muda a disponibilidade e registra no histórico', async () => {
+      jest.spyOn(PriceScraper, 'scrapePrice').mockResolvedValue({ success: true, price: null, availability: 'out_of_stock' });
+
+      const result = await PriceMonitor.checkProduct(product);
+
+      expect(result).toMatchObject({ success: true, newPrice: null, availability: 'out_of_stock', notifications: [] });
+      expect(await Product.findById(product.id)).toMatchObject({ current_price: 399.9, availability: 'out_of_stock' });
+      expect(await PriceHistory.getLatest(product.id)).toMatchObject({ price: 399.9, source: 'availability', availability: 'out_of_stock' });
+    });
+
+    test('avisa quando o produto esgotado volta ao estoque', async () => {
+      await Product.update(product.id, { availability: 'out_of_stock' });
+      jest.spyOn(PriceScraper, 'scrapePrice').mockResolvedValue({ success: true, price: 389.9, availability: 'in_stock' });
+
+      const result = await PriceMonitor.checkProduct(await Product.findById(product.id));
+
+      expect(result.notifications.map(notification => notification.type)).toEqual(['back_in_stock']);
+      expect(notificationService.sendBackInStockNotification).toHaveBeenCalledWith(
+        expect.objectContaining({ id: product.id }), 389.9, 'in_stock'
+      );
+      expect((await Product.findById(product.id)).availability).toBe('in_stock');
+    });
+
+    test('sem mudança de disponibilidade não há aviso', async () => {
+      await Product.update(product.id, { availability: 'in_stock' });
+      jest.spyOn(PriceScraper, 'scrapePrice').mockResolvedValue({ success: true, price: 399.9, availability: 'in_stock' });
+
+      const result = await PriceMonitor.checkProduct(await Product.findById(product.id));
+
+      expect(result.notifications).toEqual([]);
+      expect(notificationService.sendBackInStockNotification).not.toHaveBeenCalled();
+    });
+  });
+});
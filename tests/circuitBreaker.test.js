@@ -0,0 +1,91 @@
+const CircuitBreaker = require('../services/CircuitBreaker');
+const PriceScraper = require('../services/PriceScraper');
+
+const { STATES } = CircuitBreaker;
+
+describe('Circuit breaker por domínio', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 1000, maxCooldownMs: 3000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('abre após falhas seguidas e recusa requests durante o cooldown', () => {
+    const opened = jest.fn();
+    breaker.on('open', opened);
+
+    breaker.recordFailure('loja.com.br', 'HTTP 403');
+    breaker.recordSuccess('loja.com.br');
+    breaker.recordFailure('loja.com.br', 'HTTP 403');
+    breaker.recordFailure('loja.com.br', 'HTTP 403');
+    expect(breaker.canRequest('loja.com.br').allowed).toBe(true);
+
+    breaker.recordFailure('loja.com.br', 'HTTP 429');
+    expect(opened).toHaveBeenCalledWith(expect.objectContaining({ domain: 'loja.com.br', failures: 3, reopened: false }));
+    expect(breaker.isOpen('loja.com.br')).toBe(true);
+    expect(breaker.canRequest('loja.com.br')).toMatchObject({ allowed: false, state: STATES.OPEN });
+    expect(breaker.canRequest('outra.com.br').allowed).toBe(true);
+  });
+
+  test('após o cooldown libera um único request de teste', () => {
+    ['a', 'b', 'c'].forEach(() => breaker.recordFailure('loja.com.br', 'captcha'));
+    now += 1000;
+
+    expect(breaker.canRequest('loja.com.br')).toMatchObject({ allowed: true, state: STATES.HALF_OPEN });
+    expect(breaker.canRequest('loja.com.br').allowed).toBe(false);
+
+    // Falha que não é bloqueio libera o teste sem mudar o estado
+    breaker.release('loja.com.br');
+    expect(breaker.canRequest('loja.com.br').allowed).toBe(true);
+
+    breaker.recordSuccess('loja.com.br');
+    expect(breaker.getStats()['loja.com.br']).toMatchObject({ state: STATES.CLOSED, failures: 0 });
+  });
+
+  test('teste com falha reabre com cooldown dobrado até o máximo', () => {
+    const opened = jest.fn();
+    breaker.on('open', opened);
+    ['a', 'b', 'c'].forEach(() => breaker.recordFailure('loja.com.br', 'captcha'));
+
+    for (const cooldown of [2000, 3000, 3000]) {
+      now = breaker.getCircuit('loja.com.br').retryAt;
+      breaker.canRequest('loja.com.br');
+      breaker.recordFailure('loja.com.br', 'captcha');
+
+      expect(opened).toHaveBeenLastCalledWith(expect.objectContaining({ reopened: true }));
+      expect(breaker.getCircuit('loja.com.br').retryAt - now).toBe(cooldown);
+    }
+
+    expect(breaker.reset('loja.com.br')).toBe(true);
+    expect(breaker.canRequest('loja.com.br')).toMatchObject({ allowed: true, state: STATES.CLOSED });
+  });
+});
+
+describe('Detecção de bloqueio', () => {
+
+  test('páginas normais com "robots" ou assets da Cloudflare não são bloqueio', () => {
+    const html = `<html><head><title>Cafeteira</title><meta name="robots" content="index, follow">
+      <script src="https://cdnjs.cloudflare.com/ajax/libs/jquery.min.js"></script></head>
+      <body>Produto bloqueado para venda em sua região? Veja o rate limit da API.</body></html>`;
+
+    expect(PriceScraper.isBlocked(html, 'loja-exemplo.com.br')).toBe(false);
+  });
+
+  test('reconhece páginas de desafio e captcha', () => {
+    const pages = [
+      '<html><head><title>Just a moment...</title></head><body><div id="cf-chl-widget"></div></body></html>',
+      '<HTML><HEAD><TITLE>Access Denied</TITLE></HEAD><BODY>Reference #18</BODY></HTML>',
+      '<html><body><script src="https://geo.captcha-delivery.com/captcha/?initialCid=x"></script></body></html>',
+      '<html><body><form id="challenge-form" action="/verify"></form></body></html>'
+    ];
+
+    pages.forEach(html => expect(PriceScraper.isBlocked(html, 'loja-exemplo.com.br')).toBe(true));
+  });
+});
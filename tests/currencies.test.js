@@ -0,0 +1,108 @@
+const PriceScraper = require('../services/PriceScraper');
+const PriceMonitor = require('../services/PriceMonitor');
+const Currencies = require('../services/Currencies');
+const Product = require('../database/models/Product');
+
+describe('Moedas', () => {
+
+  test('lê preços nos formatos brasileiro, europeu e americano', () => {
+    expect(Currencies.parseAmount('R$ 1.299,90')).toBe(1299.9);
+    expect(Currencies.parseAmount('R$ 1.299')).toBe(1299);
+    expect(Currencies.parseAmount('$1,299.99')).toBe(1299.99);
+    expect(Currencies.parseAmount('US $12.99')).toBe(12.99);
+    expect(Currencies.parseAmount('1 299,90 €')).toBe(1299.9);
+    expect(Currencies.parseAmount("CHF 1'299.90")).toBe(1299.9);
+    expect(Currencies.parseAmount('¥1,299', 'JPY')).toBe(1299);
+    expect(Currencies.parseAmount('R$ 1.299,00 em 10x de R$ 129,90')).toBe(1299);
+    expect(Currencies.parseAmount('Indisponível')).toBeNull();
+  });
+
+  test.each([
+    ['10x de R$ 99,90', 99.9],
+    ['12x de R$ 99,90 sem juros', 99.9],
+    ['ou 3x de 33,30 € sem juros', 33.3],
+    ['Em até 10x de USD 12.99', 12.99],
+    ['R$ 1.299,00 em 10x de R$ 129,90', 1299]
+  ])('lê o valor junto da moeda em "%s"', (text, expected) => {
+    expect(Currencies.parseAmount(text)).toBe(expected);
+  });
+
+  test('detecta a moeda pelo símbolo ou código ISO', () => {
+    expect(Currencies.detect('R$ 99,90')).toBe('BRL');
+    expect(Currencies.detect('US $12.99')).toBe('USD');
+    expect(Currencies.detect('12,99 €')).toBe('EUR');
+    expect(Currencies.detect('£10.00')).toBe('GBP');
+    expect(Currencies.detect('Price: 12.99 USD')).toBe('USD');
+    expect(Currencies.detect('$12.99', 'CAD')).toBe('CAD');
+    expect(Currencies.detect('$12.99', 'BRL')).toBeNull();
+    expect(Currencies.detect('$12.99')).toBeNull();
+    expect(Currencies.detect('12,99')).toBeNull();
+  });
+
+  test('converte pela tabela de cotações', () => {
+    const table = Currencies.normalizeRates({ base: 'USD', rates: { BRL: 5, EUR: 0.9, XYZ: 3, GBP: -1 } });
+
+    expect(table.rates).toEqual({ USD: 1, BRL: 5, EUR: 0.9 });
+    expect(Currencies.convert(10, 'USD', 'BRL', table)).toBe(50);
+    expect(Currencies.convert(50, 'BRL', 'EUR', table)).toBeCloseTo(9, 6);
+    expect(Currencies.convert(10, 'GBP', 'BRL', table)).toBeNull();
+    expect(Currencies.format(1299.9, 'USD')).toBe('US$ 1299.90');
+    expect(() => Currencies.normalizeRates({ rates: {} })).toThrow('Tabela de cotações inválida');
+  });
+
+  test('extractData usa a moeda dos dados estruturados ou do símbolo do preço', async () => {
+    const jsonLd = `<html><head><script type="application/ld+json">
+      {"@type": "Product", "name": "USB-C Cable", "offers": {"@type": "Offer", "price": "12.99", "priceCurrency": "USD"}}
+    </script></head><body></body></html>`;
+    const structured = await PriceScraper.extractData(jsonLd, 'loja-exemplo.com', 'https://loja-exemplo.com/p/1');
+
+    expect(structured.price).toBe(12.99);
+    expect(structured.currency).toBe('USD');
+    expect(structured.currencySource).toBe('declared');
+
+    const euro = `<html><body><h1>Kabel</h1><span class="price">1.299,00 €</span></body></html>`;
+    const fromSymbol = await PriceScraper.extractData(euro, 'loja-exemplo.de', 'https://loja-exemplo.de/p/1');
+
+    expect(fromSymbol.price).toBe(1299);
+    expect(fromSymbol.currency).toBe('EUR');
+    expect(fromSymbol.currencySource).toBe('symbol');
+
+    const dollar = `<html><body><h1>Cabo</h1><span class="price">$ 49,90</span></body></html>`;
+    const lone = await PriceScraper.extractData(dollar, 'loja-exemplo.com.br', 'https://loja-exemplo.com.br/p/1');
+
+    expect(lone.currency).toBe('BRL');
+    expect(lone.currencySource).toBe('default');
+  });
+
+  describe('moeda diferente da do produto', () => {
+    const product = { id: 7, name: 'Cabo USB-C', url: 'https://loja-exemplo.com.br/p/1', currency: 'BRL', guild_id: 'g1' };
+
+    beforeEach(() => {
+      jest.spyOn(PriceMonitor, 'getShippingCep').mockResolvedValue(null);
+      jest.spyOn(Product, 'incrementError').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('moeda declarada pela loja conta erro', async () => {
+      jest.spyOn(PriceScraper, 'scrapePrice').mockResolvedValue({ success: true, price: 12.99, currency: 'USD', currencySource: 'declared' });
+
+      const result = await PriceMonitor.checkProduct(product);
+
+      expect(result).toMatchObject({ success: false });
+      expect(result.skipped).toBeUndefined();
+      expect(Product.incrementError).toHaveBeenCalledWith(7, expect.stringContaining('Moeda da página (USD)'));
+    });
+
+    test('moeda deduzida do símbolo só pula a verificação', async () => {
+      jest.spyOn(PriceScraper, 'scrapePrice').mockResolvedValue({ success: true, price: 12.99, currency: 'USD', currencySource: 'symbol' });
+
+      const result = await PriceMonitor.checkProduct(product);
+
+      expect(result).toMatchObject({ success: false, skipped: true });
+      expect(Product.incrementError).not.toHaveBeenCalled();
+    });
+  });
+});
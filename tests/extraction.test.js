@@ -0,0 +1,54 @@
+const cheerio = require('cheerio');
+const PriceScraper = require('../services/PriceScraper');
+const Fixtures = require('../services/Fixtures');
+
+/**
+ * Reexecuta a extração sobre as páginas gravadas em tests/fixtures
+ * Novas fixtures: npm run fixtures:record -- <url>
+ */
+const fixtures = Fixtures.loadFixtures();
+
+const adapters = [...new Set(PriceScraper.adapters.values()), ...PriceScraper.platformAdapters];
+
+// Lojas de plataforma (ex: VTEX) são reconhecidas pela página, não pelo domínio
+const platformOf = (fixture) => PriceScraper.platformAdapters.find(adapter =>
+  adapter.detectPlatform(cheerio.load(fixture.html), { html: fixture.html, domain: fixture.domain }));
+const adapterName = (fixture) =>
+  (PriceScraper.getAdapter(fixture.domain) || platformOf(fixture))?.name || 'Genérico';
+const groups = Array.from(new Set(fixtures.map(adapterName))).sort();
+
+describe('Extração offline (fixtures)', () => {
+
+  test('todo adaptador possui ao menos uma fixture', () => {
+    const covered = new Set(fixtures.map(adapterName));
+    const missing = adapters.map(adapter => adapter.name).filter(name => !covered.has(name));
+
+    expect(missing).toEqual([]);
+  });
+
+  describe.each(groups)('%s', (group) => {
+    const cases = fixtures
+      .filter(fixture => adapterName(fixture) === group)
+      .map(fixture => [fixture.id, fixture]);
+
+    test.each(cases)('%s', async (id, fixture) => {
+      const data = await PriceScraper.extractData(fixture.html, fixture.domain, fixture.url);
+      const { expected } = fixture;
+
+      expect(data.success).toBe(true);
+
+      if (expected.price) {
+        expect(data.price).toBeCloseTo(expected.price, 2);
+      }
+      if (expected.name) {
+        expect(data.name).toContain(expected.name);
+      }
+      if (expected.availability) {
+        expect(data.availability).toBe(expected.availability);
+      }
+      if (expected.pricePoints) {
+        expect(data.pricePoints).toMatchObject(expected.pricePoints);
+      }
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Fixtures = require('../services/Fixtures');
+
+describe('Fixtures', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('salva e carrega página com valores esperados', () => {
+    const saved = Fixtures.saveFixture({
+      url: 'https://www.loja.com.br/produto/Fone-Bluetooth-Ágil?cor=preto',
+      domain: 'loja.com.br',
+      html: '<span class="price">R$ 99,90</span>',
+      expected: { price: 99.9, name: 'Fone' }
+    }, dir);
+
+    expect(saved.id).toBe('loja.com.br/produto-fone-bluetooth-agil');
+
+    const [fixture] = Fixtures.loadFixtures(dir);
+    expect(fixture.id).toBe(saved.id);
+    expect(fixture.html).toContain('R$ 99,90');
+    expect(fixture.expected).toEqual({ price: 99.9, name: 'Fone' });
+    expect(fixture.renderer).toBe('static');
+  });
+
+  test('recusa fixture sem preço ou disponibilidade esperados', () => {
+    expect(() => Fixtures.saveFixture({
+      url: 'https://loja.com.br/p',
+      domain: 'loja.com.br',
+      html: '<html></html>',
+      expected: { price: null, name: 'X' }
+    }, dir)).toThrow('Fixture sem preço');
+  });
+
+  test('diretório inexistente não tem fixtures', () => {
+    expect(Fixtures.loadFixtures(path.join(dir, 'nada'))).toEqual([]);
+  });
+});
@@ -0,0 +1,116 @@
+const database = require('../database/database');
+const SearchWatch = require('../database/models/SearchWatch');
+const Listings = require('../services/Listings');
+const PriceScraper = require('../services/PriceScraper');
+const PriceMonitor = require('../services/PriceMonitor');
+
+const mercadoLivreCard = (id, name, fraction, cents = null, previous = null) => `
+  <li class="ui-search-layout__item">
+    <div class="poly-card">
+      <a class="poly-component__title" href="https://produto.mercadolivre.com.br/MLB-${id}-placa-de-video-_JM?tracking_id=abc#position=1">${name}</a>
+      <div class="poly-component__price">
+        ${previous ? `<s class="andes-money-amount andes-money-amount--previous"><span class="andes-money-amount__fraction">${previous}</span></s>` : ''}
+        <div class="poly-price__current">
+          <span class="andes-money-amount"><span class="andes-money-amount__fraction">${fraction}</span>${cents ? `<span class="andes-money-amount__cents">${cents}</span>` : ''}</span>
+        </div>
+      </div>
+    </div>
+  </li>`;
+
+describe('Buscas monitoradas', () => {
+
+  test('lê os cards da busca do Mercado Livre sem o preço riscado', () => {
+    const html = `<html><head><title>Rtx 4070 | MercadoLivre</title></head><body><ol>
+      ${mercadoLivreCard('3456789012', 'Placa de Vídeo RTX 4070 12GB', '3.899', '90', '4.599')}
+      ${mercadoLivreCard('3456789013', 'Placa de Vídeo RTX 4070 Super', '4.299')}
+      ${mercadoLivreCard('3456789012', 'Placa de Vídeo RTX 4070 12GB', '3.899', '90')}
+    </ol></body></html>`;
+
+    const listing = PriceScraper.extractListing(html, 'lista.mercadolivre.com.br', 'https://lista.mercadolivre.com.br/rtx-4070');
+
+    expect(listing.title).toBe('Rtx 4070 | MercadoLivre');
+    expect(listing.items).toEqual([
+      { key: 'mercadolivre:MLB3456789012', url: expect.stringContaining('MLB'), name: 'Placa de Vídeo RTX 4070 12GB', price: 3899.9, availability: null },
+      { key: 'mercadolivre:MLB3456789013', url: expect.stringContaining('MLB'), name: 'Placa de Vídeo RTX 4070 Super', price: 4299, availability: null }
+    ]);
+    expect(listing.items[0].url).not.toContain('tracking_id');
+  });
+
+  test('lojas sem adaptador usam o ItemList em JSON-LD', () => {
+    const html = `<html><body><script type="application/ld+json">${JSON.stringify({
+      '@context': 'https://schema.org',
+      '@type': 'ItemList',
+      itemListElement: [
+        { '@type': 'ListItem', position: 1, item: { '@type': 'Product', name: 'Fone Bluetooth', url: '/fone-bluetooth', offers: { price: '199.90' } } },
+        { '@type': 'ListItem', position: 2, url: '/fone-com-fio', name: 'Fone com Fio' }
+      ]
+    })}</script></body></html>`;
+
+    const { items } = PriceScraper.extractListing(html, 'loja-exemplo.com.br', 'https://loja-exemplo.com.br/fones');
+
+    expect(items.map(item => [item.url, item.name, item.price])).toEqual([
+      ['https://loja-exemplo.com.br/fone-bluetooth', 'Fone Bluetooth', 199.9],
+      ['https://loja-exemplo.com.br/fone-com-fio', 'Fone com Fio', null]
+    ]);
+  });
+
+  test('avisa sobre itens novos e itens que cruzaram o alvo, nunca na primeira leitura', () => {
+    const known = [
+      { item_key: 'a', price: 4599 },
+      { item_key: 'b', price: 3500 },
+      { item_key: 'c', price: null }
+    ];
+    const current = [
+      { key: 'a', price: 3899 },
+      { key: 'b', price: 3400 },
+      { key: 'c', price: 3950 },
+      { key: 'd', price: 5000 }
+    ];
+
+    const { newItems, crossed } = Listings.compare(known, current, 4000);
+    expect(newItems.map(item => item.key)).toEqual(['d']);
+    expect(crossed).toEqual([
+      { key: 'a', price: 3899, previousPrice: 4599 },
+      { key: 'c', price: 3950, previousPrice: null }
+    ]);
+
+    expect(Listings.compare([], current, 4000, { baseline: true })).toEqual({ newItems: [], crossed: [] });
+  });
+
+  test('palavras-chave ignoram acentos e maiúsculas', () => {
+    expect(Listings.matchesKeywords('Placa de Vídeo RTX 4070 Super', 'video rtx')).toBe(true);
+    expect(Listings.matchesKeywords('Placa de Vídeo RTX 4060', 'rtx 4070')).toBe(false);
+    expect(Listings.matchesKeywords('Qualquer item', null)).toBe(true);
+  });
+
+  test('verificações sem itens não contam como base: os primeiros itens salvos são a base', async () => {
+    await database.ready;
+    const { id } = await SearchWatch.create({
+      name: 'Busca: rtx 4070',
+      url: 'https://lista.mercadolivre.com.br/rtx-4070',
+      domain: 'mercadolivre.com.br',
+      channelId: 'c1',
+      guildId: 'g1',
+      userId: 'u1'
+    });
+
+    const item = (key, price) => ({ key, url: `https://produto.mercadolivre.com.br/${key}`, name: `Placa ${key}`, price, availability: null });
+    const pages = [[], [item('MLB1', 3899), item('MLB2', 4299)], [item('MLB1', 3899), item('MLB2', 4299), item('MLB3', 3999)]];
+    jest.spyOn(PriceScraper, 'scrapeListing').mockImplementation(async () => ({ success: true, items: pages.shift() }));
+    PriceMonitor.notificationService = { sendSearchNewItemsNotification: jest.fn().mockResolvedValue({ sent: true }) };
+
+    try {
+      const empty = await PriceMonitor.checkSearchWatch(await SearchWatch.findById(id));
+      const first = await PriceMonitor.checkSearchWatch(await SearchWatch.findById(id));
+      const next = await PriceMonitor.checkSearchWatch(await SearchWatch.findById(id));
+
+      expect(empty.newItems).toEqual([]);
+      expect(first.newItems).toEqual([]);
+      expect(next.newItems.map(found => found.key)).toEqual(['MLB3']);
+      expect(PriceMonitor.notificationService.sendSearchNewItemsNotification).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.restoreAllMocks();
+      PriceMonitor.notificationService = null;
+    }
+  });
+});
@@ -0,0 +1,99 @@
+const config = require('../config/config');
+const PriceScraper = require('../services/PriceScraper');
+const stub = require('./stubs/mercadolivre-api/server');
+
+describe('API de items do Mercado Livre', () => {
+  let server;
+  let originalApi;
+  let originalDelay;
+
+  beforeAll(async () => {
+    server = await stub.start();
+
+    originalApi = { ...config.scraping.mercadoLivreApi };
+    originalDelay = config.monitoring.requestDelayMs;
+    config.scraping.mercadoLivreApi.baseUrl = server.url;
+    config.monitoring.requestDelayMs = 10;
+  });
+
+  afterAll(async () => {
+    Object.assign(config.scraping.mercadoLivreApi, originalApi);
+    config.monitoring.requestDelayMs = originalDelay;
+    await server.close();
+  });
+
+  test('lê preço, preço original, vendedor e frete grátis do anúncio', async () => {
+    const data = await PriceScraper.fetchFromApi(
+      'https://produto.mercadolivre.com.br/MLB-3456789012-fone-de-ouvido-bluetooth-_JM',
+      'mercadolivre.com.br'
+    );
+
+    expect(data).toMatchObject({
+      price: 149.9,
+      originalPrice: 199.9,
+      name: 'Fone de Ouvido Bluetooth',
+      currency: 'BRL',
+      availability: 'in_stock',
+      seller: { id: '123456789', name: 'JBL OFICIAL', official: true },
+      promotions: { coupons: [], badges: ['free_shipping'] },
+      gtin: '6925281918964',
+      brand: 'JBL',
+      strategy: 'api',
+      success: true
+    });
+  });
+
+  test('anúncio pausado fica esgotado', async () => {
+    const data = await PriceScraper.fetchFromApi(
+      'https://produto.mercadolivre.com.br/MLB-3456789013-caixa-de-som-portatil-_JM',
+      'mercadolivre.com.br'
+    );
+
+    expect(data.availability).toBe('out_of_stock');
+    expect(data.seller).toEqual({ id: '987654321', name: 'AUDIOSHOP_SP', official: false });
+    expect(data.promotions).toBeNull();
+  });
+
+  test('catálogo, anúncio inexistente e API desligada seguem pelo HTML', async () => {
+    expect(await PriceScraper.fetchFromApi('https://www.mercadolivre.com.br/p/MLB19615345', 'mercadolivre.com.br')).toBeNull();
+    expect(await PriceScraper.fetchFromApi('https://produto.mercadolivre.com.br/MLB-1111111111', 'mercadolivre.com.br')).toBeNull();
+
+    config.scraping.mercadoLivreApi.enabled = false;
+    try {
+      expect(await PriceScraper.fetchFromApi('https://produto.mercadolivre.com.br/MLB-3456789012', 'mercadolivre.com.br')).toBeNull();
+    } finally {
+      config.scraping.mercadoLivreApi.enabled = true;
+    }
+  });
+
+  test('cota o frete pela API de opções de envio', async () => {
+    const quote = await PriceScraper.getShippingQuote(
+      'https://produto.mercadolivre.com.br/MLB-3456789012', 'mercadolivre.com.br', '01001-000'
+    );
+
+    expect(quote).toEqual({ cost: 0, deliveryDays: 2, service: 'Full', cep: '01001000', source: 'Mercado Livre' });
+  });
+
+  test('chamadas à API passam pelo circuito e pelo pool de proxies', async () => {
+    const apiDomain = '127.0.0.1';
+    const url = 'https://produto.mercadolivre.com.br/MLB-3456789012';
+    jest.spyOn(PriceScraper.circuitBreaker, 'recordSuccess');
+    jest.spyOn(PriceScraper.proxyPool, 'reportSuccess');
+
+    try {
+      expect(await PriceScraper.fetchFromApi(url, 'mercadolivre.com.br')).not.toBeNull();
+      expect(PriceScraper.circuitBreaker.recordSuccess).toHaveBeenCalledWith(apiDomain);
+      expect(PriceScraper.proxyPool.reportSuccess).toHaveBeenCalled();
+
+      // Circuito da API aberto: segue pelo HTML sem escolher proxy nem chamar a API
+      const acquire = jest.spyOn(PriceScraper.proxyPool, 'acquire');
+      PriceScraper.circuitBreaker.open(apiDomain, PriceScraper.circuitBreaker.getCircuit(apiDomain), 'teste');
+
+      expect(await PriceScraper.fetchFromApi(url, 'mercadolivre.com.br')).toBeNull();
+      expect(acquire).not.toHaveBeenCalled();
+    } finally {
+      jest.restoreAllMocks();
+      PriceScraper.circuitBreaker.reset(apiDomain);
+    }
+  });
+});
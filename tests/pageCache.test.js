@@ -0,0 +1,109 @@
+const http = require('http');
+const config = require('../config/config');
+const PageCache = require('../database/models/PageCache');
+const PriceScraper = require('../services/PriceScraper');
+
+const productPage = (price) => `<html><head><title>Cafeteira Italiana</title>
+<script type="application/ld+json">${JSON.stringify({
+  '@context': 'https://schema.org',
+  '@type': 'Product',
+  name: 'Cafeteira Italiana 6 Xícaras',
+  offers: { '@type': 'Offer', price: String(price), priceCurrency: 'BRL', availability: 'https://schema.org/InStock' }
+})}</script></head><body><h1>Cafeteira Italiana 6 Xícaras</h1></body></html>`;
+
+describe('Cache de páginas (requests condicionais)', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let original;
+  const domain = '127.0.0.1';
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] || null });
+
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.statusCode = 304;
+        return res.end();
+      }
+
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/html');
+      res.setHeader('ETag', '"v1"');
+      res.end(productPage(89.9));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    original = { robots: config.scraping.respectRobotstxt, delay: config.monitoring.requestDelayMs };
+    config.scraping.respectRobotstxt = false;
+    config.monitoring.requestDelayMs = 10;
+  });
+
+  afterAll(async () => {
+    config.scraping.respectRobotstxt = original.robots;
+    config.monitoring.requestDelayMs = original.delay;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // Tabela page_cache em memória, sem depender do banco
+  let store;
+
+  beforeEach(() => {
+    requests = [];
+    store = new Map();
+
+    jest.spyOn(PageCache, 'get').mockImplementation(async (url) => store.get(url) || null);
+    jest.spyOn(PageCache, 'save').mockImplementation(async (url, page) => {
+      store.set(url, { url, etag: page.etag || null, last_modified: page.lastModified || null, html: page.html, extracted: null });
+    });
+    jest.spyOn(PageCache, 'setExtracted').mockImplementation(async (url, extracted) => {
+      if (store.has(url)) store.get(url).extracted = JSON.parse(JSON.stringify(extracted));
+    });
+    jest.spyOn(PageCache, 'touch').mockImplementation(async () => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('resposta 304 reaproveita a extração anterior sem reprocessar o HTML', async () => {
+    const url = `${baseUrl}/cafeteira-italiana`;
+
+    const first = await PriceScraper.fetchAndExtract(url, domain, 'static');
+    expect(first.scrapedData).toMatchObject({ success: true, price: 89.9 });
+    expect(first.scrapedData.reused).toBeUndefined();
+
+    const extractSpy = jest.spyOn(PriceScraper, 'extractData');
+    const second = await PriceScraper.fetchAndExtract(url, domain, 'static');
+
+    expect(requests.map(request => request.ifNoneMatch)).toEqual([null, '"v1"']);
+    expect(second.response.status).toBe(304);
+    expect(second.scrapedData).toMatchObject({ success: true, price: 89.9, notModified: true, reused: true });
+    expect(extractSpy).not.toHaveBeenCalled();
+    expect(PageCache.touch).toHaveBeenCalledWith(url);
+  });
+
+  test('304 sem extração em cache extrai do HTML guardado', async () => {
+    const url = `${baseUrl}/cafeteira-italiana`;
+    store.set(url, { url, etag: '"v1"', last_modified: null, html: productPage(79.9), extracted: null });
+
+    const { scrapedData } = await PriceScraper.fetchAndExtract(url, domain, 'static');
+
+    expect(requests).toHaveLength(1);
+    expect(scrapedData).toMatchObject({ success: true, price: 79.9, notModified: true });
+    expect(scrapedData.reused).toBeUndefined();
+    expect(store.get(url).extracted.price).toBe(79.9);
+  });
+
+  test('verificação forçada ignora o cache', async () => {
+    const url = `${baseUrl}/cafeteira-italiana`;
+    await PriceScraper.fetchAndExtract(url, domain, 'static');
+
+    const { response, scrapedData } = await PriceScraper.fetchAndExtract(url, domain, 'static', { fresh: true });
+
+    expect(requests.map(request => request.ifNoneMatch)).toEqual([null, null]);
+    expect(response.status).toBe(200);
+    expect(scrapedData.notModified).toBeUndefined();
+  });
+});
@@ -0,0 +1,112 @@
+const cheerio = require('cheerio');
+const PricePoints = require('../services/PricePoints');
+const PriceScraper = require('../services/PriceScraper');
+
+const parsePrice = (text) => PriceScraper.parsePrice(text);
+
+describe('Pontos de preço', () => {
+
+  test.each([
+    ['R$ 899,90 no Pix', { pix: 899.9 }],
+    ['R$ 899,90 à vista no Pix', { pix: 899.9 }],
+    ['Pix: R$ 1.299,00', { pix: 1299 }],
+    ['Pagando com Pix por R$ 1.199,00', { pix: 1199 }],
+    ['R$ 850,00 à vista', { pix: 850 }],
+    ['R$ 949,90 no boleto', { boleto: 949.9 }],
+    ['Boleto bancário R$ 949,90', { boleto: 949.9 }],
+    ['R$ 999,90 no cartão', { card: 999.9 }],
+    ['R$ 999,90 a prazo', { card: 999.9 }],
+    ['12x de R$ 99,90', { installment: 1198.8, installments: { count: 12, value: 99.9, interestFree: false } }],
+    ['em até 10x de R$ 99,90 sem juros', { installment: 999, card: 999, installments: { count: 10, value: 99.9, interestFree: true } }],
+    ['12x R$ 83,25', { installment: 999, installments: { count: 12, value: 83.25, interestFree: false } }],
+    ['1x de R$ 999,90', {}],
+    ['Frete grátis para todo o Brasil', {}]
+  ])('extrai "%s"', (text, expected) => {
+    expect(PricePoints.extractFromText(text, parsePrice)).toEqual(expected);
+  });
+
+  test('vários pontos no mesmo texto', () => {
+    const points = PricePoints.extractFromText(
+      'R$ 899,90 no Pix | R$ 999,90 no cartão | ou 10x de R$ 99,99 sem juros',
+      parsePrice
+    );
+
+    // O cartão explícito prevalece sobre o total do parcelado sem juros
+    expect(points).toEqual({
+      pix: 899.9,
+      card: 999.9,
+      installment: 999.9,
+      installments: { count: 10, value: 99.99, interestFree: true }
+    });
+  });
+
+  test('valida os pontos conhecidos', () => {
+    expect(Object.values(PricePoints.POINTS).every(PricePoints.isValid)).toBe(true);
+    expect(PricePoints.isValid('crediario')).toBe(false);
+    expect(PricePoints.isValid(null)).toBe(false);
+  });
+
+  test.each([
+    [null, 999.9],
+    ['pix', 899.9],
+    ['installment', 1198.8],
+    ['boleto', null]
+  ])('resolve o ponto %s', (point, expected) => {
+    const scrapedData = { price: 999.9, pricePoints: { pix: 899.9, installment: 1198.8 } };
+    expect(PricePoints.resolve(scrapedData, point)).toBe(expected);
+  });
+
+  test('resolve sem pontos extraídos', () => {
+    expect(PricePoints.resolve({ price: 999.9 }, 'pix')).toBeNull();
+    expect(PricePoints.resolve({ price: null }, null)).toBeNull();
+  });
+
+  describe('extração na página', () => {
+    const page = `<html><body>
+      <div class="product-price">R$ 999,90</div>
+      <div class="price-pix">R$ 899,90 no Pix</div>
+      <div class="installment-info">12x de R$ 99,90</div>
+      <div class="boleto-valor"><span class="valor">R$ 949,90</span></div>
+      <footer>Pix: R$ 10,00 de desconto na primeira compra</footer>
+    </body></html>`;
+
+    test('lê os textos da área de preço', () => {
+      const points = PriceScraper.extractPricePoints(cheerio.load(page), null, {}, {});
+
+      expect(points).toMatchObject({
+        pix: 899.9,
+        installment: 1198.8,
+        installments: { count: 12, value: 99.9, interestFree: false }
+      });
+      expect(points.card).toBeUndefined();
+    });
+
+    test('seletores configurados prevalecem sobre o texto', () => {
+      const siteConfig = {
+        pricePointSelectors: {
+          boleto: ['.nao-existe', '.boleto-valor .valor'],
+          pix: ['.product-price'],
+          crediario: ['.product-price']
+        }
+      };
+
+      const points = PriceScraper.extractPricePoints(cheerio.load(page), null, siteConfig, {});
+
+      expect(points).toMatchObject({ boleto: 949.9, pix: 999.9, installment: 1198.8 });
+      expect(points.crediario).toBeUndefined();
+    });
+
+    test('o adaptador da loja substitui a detecção padrão', () => {
+      const adapter = { extractPricePoints: jest.fn().mockReturnValue({ pix: 849.9 }) };
+      const data = { price: 999.9 };
+
+      const points = PriceScraper.extractPricePoints(cheerio.load(page), adapter, {}, data);
+
+      expect(points).toEqual({ pix: 849.9 });
+      expect(adapter.extractPricePoints).toHaveBeenCalledWith(expect.any(Function), data);
+
+      adapter.extractPricePoints.mockReturnValue(null);
+      expect(PriceScraper.extractPricePoints(cheerio.load(page), adapter, {}, data).pix).toBe(899.9);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const database = require('../database/database');
+const Product = require('../database/models/Product');
+const PriceHistory = require('../database/models/PriceHistory');
+const PriceQuarantine = require('../database/models/PriceQuarantine');
+const PriceScraper = require('../services/PriceScraper');
+const PriceMonitor = require('../services/PriceMonitor');
+
+describe('Quarentena de preços', () => {
+  let product;
+
+  // Histórico estável em R$ 1299, a última leitura há uma hora
+  const addHistory = async (productId, price, hoursAgo) => {
+    await database.run(
+      "INSERT INTO price_history (product_id, price, price_change_percent, source, checked_at) VALUES (?, ?, 0, 'scraping', datetime('now', ?))",
+      [productId, price, `-${hoursAgo} hours`]
+    );
+  };
+
+  const addQuarantine = async (price, hoursAgo) => {
+    const { id } = await PriceQuarantine.add({ productId: product.id, price, details: { pricePoints: { pix: price } } });
+    await database.run("UPDATE price_quarantine SET created_at = datetime('now', ?) WHERE id = ?", [`-${hoursAgo} hours`, id]);
+    return id;
+  };
+
+  beforeAll(async () => {
+    await database.ready;
+  });
+
+  beforeEach(async () => {
+    const { id } = await Product.create({
+      name: 'Smart TV 50"',
+      url: `https://loja-exemplo.com.br/p/${Date.now()}-${Math.random()}`,
+      currentPrice: 1299,
+      targetPrice: 999,
+      channelId: 'c1',
+      guildId: 'g1',
+      userId: 'u1'
+    });
+    product = await Product.findById(id);
+
+    for (const hoursAgo of [10, 8, 6, 4, 2, 1]) {
+      await addHistory(product.id, 1299, hoursAgo);
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('revisão', () => {
+
+    test('aprovada sem leitura mais nova aplica o preço', async () => {
+      const id = await addQuarantine(999, 0.5);
+
+      const reviewed = await PriceMonitor.reviewQuarantine(id, true, 'revisor');
+
+      expect(reviewed).toMatchObject({ status: 'approved', applied: true });
+      expect((await Product.findById(product.id)).current_price).toBe(999);
+
+      const latest = await PriceHistory.getLatest(product.id);
+      expect(latest).toMatchObject({ price: 999, source: 'quarantine' });
+      expect(latest.price_change_percent).toBeCloseTo(-23.09, 2);
+    });
+
+    test('leitura mais nova mantém o preço atual e grava a aprovada na data original', async () => {
+      const id = await addQuarantine(999, 1.5);
+      const entry = await PriceQuarantine.findById(id);
+
+      const reviewed = await PriceMonitor.reviewQuarantine(id, true, 'revisor');
+
+      expect(reviewed.applied).toBe(false);
+      expect((await Product.findById(product.id)).current_price).toBe(1299);
+
+      const rows = await database.all("SELECT price, checked_at FROM price_history WHERE product_id = ? AND source = 'quarantine'", [product.id]);
+      expect(rows).toEqual([{ price: 999, checked_at: entry.created_at }]);
+    });
+
+    test('leitura já revisada não altera o produto nem o histórico', async () => {
+      const id = await addQuarantine(999, 0.5);
+      const entry = await PriceQuarantine.findById(id);
+      await PriceQuarantine.resolve(id, PriceQuarantine.STATUS.REJECTED, 'outro');
+
+      await expect(PriceMonitor.reviewQuarantine(id, true)).rejects.toMatchObject({ code: 'QUARANTINE_ALREADY_REVIEWED' });
+
+      // Revisão concorrente: a transação inteira é desfeita
+      expect(await PriceQuarantine.approve(entry, { applyPrice: true, reviewedBy: 'revisor' })).toBe(false);
+      expect((await Product.findById(product.id)).current_price).toBe(1299);
+      expect((await PriceHistory.getLatest(product.id)).source).toBe('scraping');
+    });
+  });
+
+  describe('verificação', () => {
+    let notificationService;
+
+    beforeEach(() => {
+      notificationService = { sendBackInStockNotification: jest.fn().mockResolvedValue({ sent: true }) };
+      PriceMonitor.notificationService = notificationService;
+      jest.spyOn(PriceMonitor, 'getDisplayCurrency').mockResolvedValue({});
+    });
+
+    afterAll(() => {
+      PriceMonitor.notificationService = null;
+    });
+
+    test('preço suspeito fica em quarentena, mas a volta ao estoque é aplicada e alertada', async () => {
+      await Product.update(product.id, { availability: 'out_of_stock', seller_name: 'Loja Antiga' });
+
+      const page = { success: true, price: 12, currency: 'BRL', currencySource: 'declared', availability: 'in_stock', seller: { name: 'Loja Nova' } };
+      jest.spyOn(PriceScraper, 'scrapePrice')
+        .mockResolvedValueOnce(page)
+        .mockResolvedValueOnce({ ...page, price: 1299 });
+
+      const result = await PriceMonitor.checkProduct(await Product.findById(product.id));
+
+      expect(result).toMatchObject({ success: true, quarantined: true, suspiciousPrice: 12, newPrice: null, availability: 'in_stock' });
+      expect(result.notifications.map(notification => notification.type)).toEqual(['back_in_stock']);
+      expect(notificationService.sendBackInStockNotification).toHaveBeenCalledWith(expect.anything(), null, 'in_stock');
+
+      const updated = await Product.findById(product.id);
+      expect(updated).toMatchObject({ current_price: 1299, availability: 'in_stock', seller_name: 'Loja Nova' });
+      expect(await PriceQuarantine.findPendingByProduct(product.id)).toMatchObject({ id: result.quarantineId, price: 12 });
+    });
+  });
+});
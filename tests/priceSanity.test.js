@@ -0,0 +1,35 @@
+const PriceSanity = require('../services/PriceSanity');
+
+const options = { minSamples: 5, iqrMultiplier: 3, maxDeviation: 0.5, extremeRatio: 5 };
+const history = [1299, 1289.9, 1310, 1299, 1279, 1305.5, 1299, 1320];
+
+describe('Validação do preço lido', () => {
+
+  test('rejeita parcela ou preço mal lido contra histórico estável', () => {
+    const installment = PriceSanity.evaluate(12, history, options);
+    expect(installment.suspicious).toBe(true);
+    expect(installment.reason).toBe('below_range');
+    expect(installment.median).toBeCloseTo(1299, 2);
+
+    const misparsed = PriceSanity.evaluate(1299000, history, options);
+    expect(misparsed.suspicious).toBe(true);
+    expect(misparsed.reason).toBe('above_range');
+  });
+
+  test('aceita promoções reais mesmo fora das cercas de Tukey', () => {
+    expect(PriceSanity.evaluate(1039, history, options).suspicious).toBe(false);
+    expect(PriceSanity.evaluate(799, history, options).suspicious).toBe(false);
+  });
+
+  test('com pouco histórico só variações extremas são suspeitas', () => {
+    expect(PriceSanity.evaluate(300, [1299, 1299], options).suspicious).toBe(false);
+    expect(PriceSanity.evaluate(129, [1299, 1299], options).suspicious).toBe(true);
+    expect(PriceSanity.evaluate(129, [], options).suspicious).toBe(false);
+  });
+
+  test('nova leitura confirma o preço dentro da tolerância', () => {
+    expect(PriceSanity.isConfirmed(12, 12, 0.02)).toBe(true);
+    expect(PriceSanity.isConfirmed(12, 1299, 0.02)).toBe(false);
+    expect(PriceSanity.isConfirmed(12, null, 0.02)).toBe(false);
+  });
+});
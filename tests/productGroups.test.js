@@ -0,0 +1,63 @@
+const PriceScraper = require('../services/PriceScraper');
+const ProductGroups = require('../services/ProductGroups');
+
+describe('Grupos de produtos', () => {
+
+  test('identificadores são extraídos mesmo com o preço fora dos dados estruturados', async () => {
+    const html = `
+      <html><head>
+        <script type="application/ld+json">
+          { "@context": "https://schema.org", "@type": "Product", "name": "Fone Bluetooth",
+            "gtin13": "789-1234567895", "mpn": "fb-200", "brand": { "@type": "Brand", "name": "Marca" } }
+        </script>
+      </head><body><h1>Fone Bluetooth</h1><span class="price">R$ 199,90</span></body></html>
+    `;
+
+    const data = await PriceScraper.extractData(html, 'loja.com.br', 'https://loja.com.br/fone');
+
+    expect(data.price).toBeCloseTo(199.9, 2);
+    expect(data).toMatchObject({ gtin: '7891234567895', mpn: 'FB200', brand: 'Marca' });
+  });
+
+  test('melhor preço ignora lojas sem estoque e considera o frete quando usado', () => {
+    const summary = ProductGroups.summarize({
+      id: 1,
+      name: 'Fone Bluetooth',
+      products: [
+        { id: 10, name: 'Fone', url: 'https://www.amazon.com.br/dp/B000000001', current_price: 180, availability: 'out_of_stock' },
+        { id: 11, name: 'Fone', url: 'https://www.kabum.com.br/produto/1', current_price: 190, landed_price: 215, use_landed_price: 1, availability: 'in_stock' },
+        { id: 12, name: 'Fone', url: 'https://www.magazineluiza.com.br/fone/p/1', current_price: 205, availability: 'in_stock' }
+      ]
+    });
+
+    expect(summary.best).toMatchObject({ productId: 12, store: 'magazineluiza.com.br', price: 205 });
+    expect(summary.savings).toBe(10);
+    expect(summary.products.filter(product => product.isBest).map(product => product.id)).toEqual([12]);
+  });
+
+  test('lojas em moedas diferentes são comparadas na moeda do resumo', () => {
+    const group = {
+      id: 2,
+      name: 'Console',
+      products: [
+        { id: 20, name: 'Console', url: 'https://www.amazon.com/dp/B000000002', current_price: 40, currency: 'USD', availability: 'in_stock' },
+        { id: 21, name: 'Console', url: 'https://www.kabum.com.br/produto/2', current_price: 210, currency: 'BRL', availability: 'in_stock' },
+        { id: 22, name: 'Console', url: 'https://www.amazon.de/dp/B000000003', current_price: 30, currency: 'EUR', availability: 'in_stock' }
+      ]
+    };
+    const rates = { base: 'USD', rates: { USD: 1, BRL: 5 } };
+
+    const summary = ProductGroups.summarize(group, { currency: 'BRL', rates });
+
+    // Sem cotação do euro, a loja alemã não entra na comparação
+    expect(summary).toMatchObject({ currency: 'BRL', best: { productId: 20, price: 200 }, highest: 210, savings: 10 });
+    expect(summary.products.map(item => ProductGroups.describePrice(item, summary))).toEqual([
+      'US$ 40.00 (≈ R$ 200.00)',
+      'R$ 210.00',
+      '€ 30.00 (sem cotação)'
+    ]);
+
+    // Sem tabela de cotações, só produtos na moeda do resumo são comparados
+    expect(ProductGroups.summarize(group, { currency: 'BRL' })).toMatchObject({ best: { productId: 21, price: 210 }, savings: 0 });
+  });
+});
@@ -0,0 +1,44 @@
+const PriceScraper = require('../services/PriceScraper');
+const ProductKeys = require('../services/ProductKeys');
+
+describe('Chave canônica do produto', () => {
+
+  test('variações de URL da Amazon resultam no mesmo ASIN', () => {
+    const urls = [
+      'https://www.amazon.com.br/Echo-Dot-5a-geracao/dp/B09B8V1LZ3/ref=sr_1_1?keywords=echo',
+      'https://amazon.com.br/gp/product/B09B8V1LZ3?tag=afiliado-20',
+      'https://www.amazon.com.br/dp/b09b8v1lz3'
+    ];
+
+    urls.forEach(url => {
+      expect(PriceScraper.getProductKey(url)).toBe('amazon:B09B8V1LZ3');
+      expect(PriceScraper.normalizeUrl(url)).toBe('https://www.amazon.com.br/dp/B09B8V1LZ3');
+    });
+  });
+
+  test('Mercado Livre distingue anúncio de produto de catálogo', () => {
+    expect(PriceScraper.getProductIdentity('https://produto.mercadolivre.com.br/MLB-1234567890-fone-bluetooth-_JM#position=1'))
+      .toEqual({ key: 'mercadolivre:MLB1234567890', canonicalUrl: 'https://produto.mercadolivre.com.br/MLB-1234567890' });
+
+    expect(PriceScraper.getProductIdentity('https://www.mercadolivre.com.br/fone-bluetooth/p/MLB19615345?pdp_filters=item_id'))
+      .toEqual({ key: 'mercadolivre:catalog:MLB19615345', canonicalUrl: 'https://www.mercadolivre.com.br/p/MLB19615345' });
+  });
+
+  test('lojas VTEX usam o SKU da URL', () => {
+    expect(PriceScraper.getProductIdentity('https://www.loja.com.br/geladeira-frost-free/p?idsku=4521&utm_source=x'))
+      .toEqual({ key: 'vtex:loja.com.br:4521', canonicalUrl: 'https://www.loja.com.br/geladeira-frost-free/p?skuId=4521' });
+  });
+
+  test('sem identificador conhecido não há chave', () => {
+    expect(PriceScraper.getProductKey('https://www.loja.com.br/produto/geladeira')).toBeNull();
+  });
+
+  test('GTIN/EAN é normalizado para comparação entre lojas', () => {
+    expect(ProductKeys.normalizeGtin('7891234567895')).toBe('7891234567895');
+    expect(ProductKeys.normalizeGtin('036000291452')).toBe('0036000291452');
+    expect(ProductKeys.normalizeGtin('00036000291452')).toBe('0036000291452');
+    expect(ProductKeys.normalizeGtin('7891234567890')).toBeNull();
+    expect(ProductKeys.normalizeGtin('0000000000000')).toBeNull();
+    expect(ProductKeys.normalizeMpn('mq2l3bz/a')).toBe('MQ2L3BZ/A');
+  });
+});
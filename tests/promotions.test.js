@@ -0,0 +1,52 @@
+const PriceScraper = require('../services/PriceScraper');
+const Promotions = require('../services/Promotions');
+
+const parsePrice = (text) => PriceScraper.parsePrice(text);
+
+describe('Cupons e selos promocionais', () => {
+
+  test('extrai valor, código e valor mínimo dos textos de cupom', () => {
+    const promotions = Promotions.extractFromTexts([
+      'Aplicar cupom de R$ 50,00',
+      'CUPOM BEMVINDO10 10% OFF em compras acima de R$ 300',
+      'Frete grátis',
+      'OFERTA RELÂMPAGO',
+      '15% OFF'
+    ], parsePrice);
+
+    expect(promotions.coupons).toEqual([
+      { code: null, type: 'fixed', value: 50, minPurchase: null },
+      { code: 'BEMVINDO10', type: 'percent', value: 10, minPurchase: 300 }
+    ]);
+    expect(promotions.badges).toEqual([Promotions.BADGES.FREE_SHIPPING, Promotions.BADGES.LIGHTNING_DEAL]);
+  });
+
+  test('preço efetivo usa o melhor cupom aplicável', () => {
+    const promotions = {
+      coupons: [
+        { code: null, type: 'fixed', value: 50, minPurchase: null },
+        { code: 'BEMVINDO10', type: 'percent', value: 10, minPurchase: 300 }
+      ]
+    };
+
+    expect(Promotions.getEffectivePrice(250, promotions)).toEqual({ price: 200, coupon: promotions.coupons[0] });
+    expect(Promotions.getEffectivePrice(800, promotions)).toEqual({ price: 720, coupon: promotions.coupons[1] });
+    expect(Promotions.getEffectivePrice(250, { coupons: [{ code: 'APP', type: null, value: null }] })).toBeNull();
+  });
+
+  test('extractData lê os seletores de promoção do adaptador', async () => {
+    const html = `<html><body>
+      <span id="productTitle">Echo Dot 5ª geração</span>
+      <div id="corePrice_feature_div"><span class="a-price"><span class="a-offscreen">R$ 379,05</span></span></div>
+      <div id="promoPriceBlockMessage_feature_div">Aplicar cupom de R$ 30 Termos</div>
+      <div id="dealBadge_feature_div">Oferta Relâmpago</div>
+      <footer class="banner-promo-site">Frete grátis acima de R$ 199 em todo o site</footer>
+    </body></html>`;
+
+    const data = await PriceScraper.extractData(html, 'amazon.com.br', 'https://www.amazon.com.br/dp/B09B8V1LZ3');
+
+    expect(data.promotions.coupons).toEqual([{ code: null, type: 'fixed', value: 30, minPurchase: null }]);
+    expect(data.promotions.badges).toEqual([Promotions.BADGES.LIGHTNING_DEAL]);
+    expect(Promotions.getEffectivePrice(data.price, data.promotions).price).toBeCloseTo(349.05, 2);
+  });
+});
@@ -0,0 +1,146 @@
+const http = require('http');
+const config = require('../config/config');
+const RobotsTxt = require('../services/RobotsTxt');
+const HeaderProfiles = require('../services/HeaderProfiles');
+const PriceScraper = require('../services/PriceScraper');
+
+const robotsFile = `
+# Regras gerais
+User-agent: *
+Disallow: /checkout
+Crawl-delay: 2
+
+User-agent: Googlebot
+Disallow: /
+
+User-agent: PriceMonitorBot
+User-agent: OutroBot
+Disallow: /conta
+Allow: /conta/publica
+Disallow: /busca
+Allow: /busca
+Disallow: /*.pdf$
+Crawl-delay: 5
+
+user-agent: pricemonitorbot
+disallow: /carrinho
+`;
+
+describe('robots.txt', () => {
+
+  describe('regras', () => {
+    const userAgent = 'PriceMonitorBot/1.0';
+    const robots = new RobotsTxt({ userAgents: [userAgent] });
+    const groups = robots.parse(robotsFile);
+
+    test('usa o grupo do user-agent e combina grupos repetidos', () => {
+      const group = robots.selectGroup(groups, userAgent);
+
+      expect(group.crawlDelay).toBe(5);
+      expect(group.rules.map(rule => rule.path)).toEqual(['/conta', '/conta/publica', '/busca', '/busca', '/*.pdf$', '/carrinho']);
+      expect(robots.matchRule(group.rules, '/checkout')).toBeNull();
+      expect(robots.matchRule(group.rules, '/carrinho/1').allow).toBe(false);
+    });
+
+    test('agente sem grupo próprio cai no grupo "*"', () => {
+      const group = robots.selectGroup(groups, 'Mozilla/5.0');
+
+      expect(group.crawlDelay).toBe(2);
+      expect(robots.matchRule(group.rules, '/checkout/pagamento').allow).toBe(false);
+      expect(robots.selectGroup(robots.parse('User-agent: Googlebot\nDisallow: /'), 'Mozilla/5.0')).toBeNull();
+    });
+
+    test('regra mais longa vence e Allow vence empates', () => {
+      const { rules } = robots.selectGroup(groups, userAgent);
+
+      expect(robots.matchRule(rules, '/conta/pedidos').allow).toBe(false);
+      expect(robots.matchRule(rules, '/conta/publica/perfil').allow).toBe(true);
+      expect(robots.matchRule(rules, '/busca?q=tv')).toEqual({ allow: true, path: '/busca' });
+    });
+
+    test('o scraper avalia as regras com os user-agents que envia', () => {
+      const sent = HeaderProfiles.getProfiles(config.scraping).map(profile => profile.headers['User-Agent'].toLowerCase());
+
+      expect(PriceScraper.robots.userAgents).toEqual(sent);
+    });
+
+    test('curingas e âncora de fim', () => {
+      const { rules } = robots.selectGroup(groups, userAgent);
+
+      expect(robots.matchRule(rules, '/manuais/tv.pdf').allow).toBe(false);
+      expect(robots.matchRule(rules, '/manuais/tv.pdf?v=2')).toBeNull();
+    });
+  });
+
+  describe('download', () => {
+    let server;
+    let baseUrl;
+    let status;
+    let body;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'text/plain');
+        res.end(body);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('aplica as regras do arquivo baixado', async () => {
+      status = 200;
+      body = robotsFile;
+      const robots = new RobotsTxt({ userAgents: ['PriceMonitorBot'] });
+
+      expect(await robots.check(`${baseUrl}/conta/pedidos`)).toEqual({
+        allowed: false,
+        rule: 'Disallow: /conta',
+        crawlDelay: 5,
+        source: 'robots.txt'
+      });
+      expect((await robots.check(`${baseUrl}/produto/1`)).allowed).toBe(true);
+    });
+
+    test('com vários user-agents, todos precisam ter acesso', async () => {
+      status = 200;
+      body = robotsFile;
+      const robots = new RobotsTxt({ userAgents: ['Mozilla/5.0 Chrome/124.0', 'PriceMonitorBot/1.0'] });
+
+      // /checkout só é bloqueado no grupo "*", usado pelo user-agent do navegador
+      expect(await robots.check(`${baseUrl}/checkout`)).toMatchObject({ allowed: false, rule: 'Disallow: /checkout', crawlDelay: 5 });
+      expect(await robots.check(`${baseUrl}/conta/pedidos`)).toMatchObject({ allowed: false, rule: 'Disallow: /conta' });
+      expect((await robots.check(`${baseUrl}/produto/1`)).allowed).toBe(true);
+    });
+
+    test.each([404, 403, 410])('HTTP %i libera todo o site', async (code) => {
+      status = code;
+      body = 'User-agent: *\nDisallow: /';
+      const robots = new RobotsTxt({ userAgents: ['PriceMonitorBot'] });
+
+      expect(await robots.check(`${baseUrl}/produto/1`)).toEqual({
+        allowed: true,
+        rule: null,
+        crawlDelay: null,
+        source: 'missing'
+      });
+    });
+
+    test('erro 5xx mantém a última versão conhecida', async () => {
+      status = 200;
+      body = robotsFile;
+      const robots = new RobotsTxt({ userAgents: ['PriceMonitorBot'] });
+      await robots.check(`${baseUrl}/conta`);
+
+      robots.cache.get(baseUrl).expiresAt = 0;
+      status = 503;
+
+      const result = await robots.check(`${baseUrl}/conta`);
+      expect(result).toMatchObject({ allowed: false, source: 'stale' });
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const SelectorHealth = require('../services/SelectorHealth');
+
+const ok = (selector) => ({ success: true, strategy: 'site-selector', selector });
+const fail = { success: false, strategy: null, selector: null };
+
+describe('SelectorHealth', () => {
+  let health;
+  let alerts;
+
+  beforeEach(() => {
+    health = new SelectorHealth({ windowSize: 5, minBaseline: 5 });
+    alerts = [];
+    health.on('alert', alert => alerts.push(alert));
+  });
+
+  const feed = (domain, results) => results.forEach(result => health.record(domain, result));
+
+  test('alerta quando a taxa de sucesso cai de repente', () => {
+    feed('loja.com.br', Array(10).fill(ok('.price')));
+    feed('loja.com.br', [ok('.price'), fail, fail, fail, fail]);
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ domain: 'loja.com.br', type: 'success_drop', baselineRate: 1 });
+    // Alerta assim que a queda atinge o limite (2 falhas nas 5 recentes)
+    expect(alerts[0].recentRate).toBeCloseTo(0.6);
+    expect(health.getStats()['loja.com.br']).toMatchObject({ recentRate: 0.2, status: 'degraded' });
+  });
+
+  test('alerta quando o seletor vencedor muda', () => {
+    feed('loja.com.br', Array(10).fill(ok('.price')));
+    feed('loja.com.br', Array(5).fill(ok('.regex-fallback')));
+
+    expect(alerts).toEqual([expect.objectContaining({
+      type: 'selector_shift',
+      from: 'site-selector:.price',
+      to: 'site-selector:.regex-fallback'
+    })]);
+  });
+
+  test('não repete o alerta dentro do intervalo mínimo', () => {
+    feed('loja.com.br', Array(10).fill(ok('.price')));
+    feed('loja.com.br', Array(10).fill(fail));
+
+    expect(alerts.filter(alert => alert.type === 'success_drop')).toHaveLength(1);
+  });
+
+  test('domínio estável ou com pouco histórico não gera alerta', () => {
+    feed('estavel.com.br', Array(20).fill(ok('.price')));
+    feed('novo.com.br', Array(4).fill(fail));
+
+    expect(alerts).toEqual([]);
+    expect(health.getStats()['estavel.com.br']).toMatchObject({ recentRate: 1, winner: 'site-selector:.price', status: 'ok' });
+  });
+});
@@ -0,0 +1,44 @@
+const cheerio = require('cheerio');
+const PriceScraper = require('../services/PriceScraper');
+
+const learner = PriceScraper.selectorLearner;
+
+const page = cheerio.load(`
+  <html><body>
+    <div id="buy-box">
+      <div class="css-1x2y3z pdp-price Price_a1b2c">
+        <span class="currency">R$</span>
+        <span class="pdp-price__value" data-testid="price-value">1.299,90</span>
+      </div>
+      <div class="installments">12x de R$ 108,33</div>
+    </div>
+    <ul><li class="related"><span class="pdp-price__value">R$ 49,90</span></li></ul>
+  </body></html>
+`);
+
+describe('SelectorLearner', () => {
+
+  test('propõe primeiro o seletor mais estável que extrai o preço', () => {
+    const candidates = learner.propose(page, 1299.9);
+
+    expect(candidates[0]).toMatchObject({ selector: '[data-testid="price-value"]', matches: 1, sample: '1.299,90' });
+    candidates.forEach(candidate => {
+      expect(PriceScraper.tryExtractPrice(page, candidate.selector)).toBeCloseTo(1299.9, 2);
+    });
+  });
+
+  test('ignora classes geradas automaticamente', () => {
+    const selectors = learner.propose(page, 1299.9).map(candidate => candidate.selector).join(' ');
+
+    expect(selectors).not.toMatch(/css-1x2y3z|Price_a1b2c/);
+  });
+
+  test('não propõe nada quando o preço não está na página', () => {
+    expect(learner.propose(page, 777)).toEqual([]);
+  });
+
+  test('recusa seletor que extrai outro preço', () => {
+    expect(learner.verify(page, '.related span', 1299.9)).toBeNull();
+    expect(learner.verify(page, '#buy-box .pdp-price__value', 1299.9)).toEqual({ price: 1299.9, matches: 1 });
+  });
+});
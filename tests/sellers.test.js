@@ -0,0 +1,54 @@
+const PriceScraper = require('../services/PriceScraper');
+const Sellers = require('../services/Sellers');
+
+describe('Vendedor do anúncio', () => {
+
+  test('Amazon separa a própria loja de vendedores parceiros', async () => {
+    const page = (merchant) => `<html><body>
+      <span id="productTitle">Echo Dot 5ª geração</span>
+      <div id="corePrice_feature_div"><span class="a-price"><span class="a-offscreen">R$ 379,05</span></span></div>
+      ${merchant}
+    </body></html>`;
+
+    const own = await PriceScraper.extractData(
+      page('<div id="merchant-info">Enviado de e vendido por Amazon.com.br.</div>'),
+      'amazon.com.br', 'https://www.amazon.com.br/dp/B09B8V1LZ3'
+    );
+    expect(own.seller).toEqual({ id: null, name: 'Amazon.com.br', official: true });
+
+    const thirdParty = await PriceScraper.extractData(
+      page('<a id="sellerProfileTriggerId" href="/gp/help/seller/at-a-glance.html?seller=A2X9QK7TBR1ZZ&isAmazonFulfilled=1">Loja do Zé</a>'),
+      'amazon.com.br', 'https://www.amazon.com.br/dp/B09B8V1LZ3'
+    );
+    expect(thirdParty.seller).toEqual({ id: 'A2X9QK7TBR1ZZ', name: 'Loja do Zé', official: false });
+  });
+
+  test('Mercado Livre reconhece a loja oficial e o ID do vendedor', async () => {
+    const html = `<html><body>
+      <h1 class="ui-pdp-title">Fone de Ouvido Bluetooth</h1>
+      <span class="andes-money-amount__fraction">149</span>
+      <div class="ui-pdp-seller__header__title">Vendido por SAMSUNG</div>
+      <span class="ui-pdp-official-store-label">Loja oficial</span>
+      <script>window.__PRELOADED_STATE__ = {"seller_id":123456789};</script>
+    </body></html>`;
+
+    const data = await PriceScraper.extractData(html, 'mercadolivre.com.br', 'https://produto.mercadolivre.com.br/MLB-3456789012');
+    expect(data.seller).toEqual({ id: '123456789', name: 'SAMSUNG', official: true });
+  });
+
+  test('troca de vendedor e filtro de loja oficial', () => {
+    const amazon = { id: null, name: 'Amazon.com.br', official: true };
+    const partner = { id: 'A2X9QK7TBR1ZZ', name: 'Loja do Zé', official: false };
+
+    expect(Sellers.hasChanged(amazon, partner)).toBe(true);
+    expect(Sellers.hasChanged(partner, { ...partner, name: 'Loja do Zé ME' })).toBe(false);
+    expect(Sellers.hasChanged(null, partner)).toBe(false);
+
+    expect(Sellers.isAllowed({ official_seller_only: 1 }, partner)).toBe(false);
+    expect(Sellers.isAllowed({ official_seller_only: 1 }, amazon)).toBe(true);
+    expect(Sellers.isAllowed({ official_seller_only: 1 }, null)).toBe(true);
+    expect(Sellers.isAllowed({ official_seller_only: 0 }, partner)).toBe(true);
+
+    expect(Sellers.fromRow(Sellers.toRow(partner))).toEqual(partner);
+  });
+});
@@ -0,0 +1,15 @@
+const os = require('os');
+const path = require('path');
+
+/**
+ * Ambiente dos testes: configurações mínimas e nada de rede, Discord ou banco real
+ * Variáveis definidas aqui têm prioridade sobre o .env (o dotenv não sobrescreve)
+ */
+process.env.NODE_ENV = 'test';
+process.env.DISCORD_TOKEN = 'test-token';
+process.env.CLIENT_ID = 'test-client-id';
+process.env.DATABASE_PATH = ':memory:';
+process.env.LOG_FILE = path.join(os.tmpdir(), 'price-monitor-tests', 'test.log');
+process.env.LOG_LEVEL = 'error';
+process.env.PROXY_LIST = '';
+process.env.HEADLESS_BROWSER = 'false';
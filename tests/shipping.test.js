@@ -0,0 +1,207 @@
+const http = require('http');
+const config = require('../config/config');
+const database = require('../database/database');
+const Product = require('../database/models/Product');
+const PriceHistory = require('../database/models/PriceHistory');
+const Settings = require('../database/models/Settings');
+const Shipping = require('../services/Shipping');
+const PriceScraper = require('../services/PriceScraper');
+const PriceMonitor = require('../services/PriceMonitor');
+const webServer = require('../web/server');
+
+describe('Frete', () => {
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['01001-000', '01001000'],
+    ['01001000', '01001000'],
+    [' 20040-020 ', '20040020'],
+    ['1001-000', null],
+    ['00000-000', null],
+    ['', null],
+    [null, null]
+  ])('normaliza o CEP "%s"', (cep, expected) => {
+    expect(Shipping.normalizeCep(cep)).toBe(expected);
+  });
+
+  test('preço com frete e descrição da cotação', () => {
+    expect(Shipping.formatCep('01001000')).toBe('01001-000');
+    expect(Shipping.getLandedPrice(199.9, { cost: 25.45 })).toBe(225.35);
+    expect(Shipping.getLandedPrice(199.9, { cost: 0 })).toBe(199.9);
+    expect(Shipping.getLandedPrice(199.9, null)).toBeNull();
+    expect(Shipping.describe({ cost: 0, service: 'Full', deliveryDays: 2 })).toBe('Grátis (Full) • 2 dia(s) úteis');
+    expect(Shipping.describe(null)).toBe('Não calculado');
+  });
+
+  describe('Mercado Livre', () => {
+    const adapter = PriceScraper.getAdapter('mercadolivre.com.br');
+    const catalogUrl = 'https://www.mercadolivre.com.br/p/MLB19703252';
+    const itemUrl = 'https://produto.mercadolivre.com.br/MLB-3456789012-air-fryer-4l-_JM';
+
+    test.each([
+      ['anúncio na URL', itemUrl, null, 'MLB3456789012'],
+      ['catálogo com item_id no estado da página', catalogUrl, '<script>window.__PRELOADED_STATE__={"item_id":"MLB4123456789","product_id":"MLB19703252"}</script>', 'MLB4123456789'],
+      ['catálogo com item_id no formulário', catalogUrl, '<form><input type="hidden" name="item_id" value="MLB4123456789"></form>', 'MLB4123456789'],
+      ['catálogo sem anúncio na página', catalogUrl, '<html><body>Sem anúncio</body></html>', null],
+      ['catálogo sem HTML', catalogUrl, null, null]
+    ])('anúncio cotado: %s', (label, url, html, expected) => {
+      expect(adapter.getItemId(url, html)).toBe(expected);
+    });
+
+    test('cota o anúncio vencedor de um produto de catálogo e escolhe a opção mais barata', async () => {
+      const fetchJson = jest.spyOn(PriceScraper, 'fetchJson').mockResolvedValue({
+        options: [
+          { name: 'Expresso', cost: 32.9, estimated_delivery_time: { shipping: 24 } },
+          { name: 'Normal', cost: 18.5, estimated_delivery_time: { shipping: 96 } }
+        ]
+      });
+
+      const quote = await PriceScraper.getShippingQuote(catalogUrl, 'mercadolivre.com.br', '01001-000', {
+        html: '<script>{"item_id":"MLB4123456789"}</script>'
+      });
+
+      expect(fetchJson.mock.calls[0][0]).toMatch(/\/items\/MLB4123456789\/shipping_options\?zip_code=01001000$/);
+      expect(quote).toEqual({ cost: 18.5, deliveryDays: 96, service: 'Normal', cep: '01001000', source: 'Mercado Livre' });
+    });
+
+    test('sem anúncio, CEP inválido ou erro na API não há cotação', async () => {
+      const fetchJson = jest.spyOn(PriceScraper, 'fetchJson');
+
+      expect(await PriceScraper.getShippingQuote(catalogUrl, 'mercadolivre.com.br', '01001000', { html: '' })).toBeNull();
+      expect(await PriceScraper.getShippingQuote(itemUrl, 'mercadolivre.com.br', '123')).toBeNull();
+      expect(await PriceScraper.getShippingQuote('https://loja-sem-adaptador.com.br/p/1', 'loja-sem-adaptador.com.br', '01001000')).toBeNull();
+      expect(fetchJson).not.toHaveBeenCalled();
+
+      fetchJson.mockRejectedValue(new Error('HTTP 500'));
+      expect(await PriceScraper.getShippingQuote(itemUrl, 'mercadolivre.com.br', '01001000')).toBeNull();
+    });
+  });
+
+  describe('produtos', () => {
+
+    beforeAll(async () => {
+      await database.ready;
+    });
+
+    const createProduct = async (fields = {}) => {
+      const { id } = await Product.create({
+        name: 'Air Fryer 4L',
+        url: `https://loja-exemplo.com.br/air-fryer-${Date.now()}-${Math.random()}`,
+        currentPrice: 399.9,
+        targetPrice: 420,
+        channelId: 'c1',
+        guildId: 'g-frete',
+        userId: 'u1',
+        ...fields
+      });
+      return Product.findById(id);
+    };
+
+    test('CEP do produto tem prioridade sobre o do servidor', async () => {
+      await Settings.setGuild('g-frete', 'cep', '20040020');
+
+      expect(await PriceMonitor.getShippingCep(await createProduct())).toBe('20040020');
+      expect(await PriceMonitor.getShippingCep(await createProduct({ shippingCep: '01001000' }))).toBe('01001000');
+    });
+
+    test('com use_landed_price, o alvo é comparado com preço + frete', async () => {
+      const product = await createProduct({ shippingCep: '01001000', shippingCost: 10, landedPrice: 409.9, useLandedPrice: true });
+      PriceMonitor.notificationService = { sendPriceAlert: jest.fn().mockResolvedValue({ sent: true }) };
+      jest.spyOn(PriceMonitor, 'getDisplayCurrency').mockResolvedValue({});
+      const scrapePrice = jest.spyOn(PriceScraper, 'scrapePrice').mockResolvedValue({
+        success: true, price: 399.9, currency: 'BRL', currencySource: 'declared', availability: 'in_stock',
+        shipping: { cost: 30, cep: '01001000', source: 'Loja' }
+      });
+
+      const result = await PriceMonitor.checkProduct(product);
+
+      expect(scrapePrice).toHaveBeenCalledWith(product.url, { cep: '01001000' });
+      expect(result).toMatchObject({ success: true, landedPrice: 429.9 });
+      expect(await Product.findById(product.id)).toMatchObject({ shipping_cost: 30, landed_price: 429.9 });
+      expect((await PriceHistory.getLatest(product.id)).shipping_cost).toBe(30);
+      expect(PriceMonitor.notificationService.sendPriceAlert).not.toHaveBeenCalled();
+
+      PriceMonitor.notificationService = null;
+    });
+  });
+
+  describe('API web', () => {
+    let server;
+    let baseUrl;
+
+    const post = async (body) => {
+      const response = await fetch(`${baseUrl}/api/products`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': config.server.secretKey },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    beforeAll(async () => {
+      await database.ready;
+      await webServer.initialize();
+      server = http.createServer(webServer.app);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      jest.spyOn(PriceScraper, 'resolveUrl').mockImplementation(async (url) => ({ url, redirects: [] }));
+      jest.spyOn(PriceScraper, 'checkRobots').mockResolvedValue({ allowed: true });
+    });
+
+    const body = (fields = {}) => ({
+      url: `https://loja-exemplo.com.br/panela-${Date.now()}-${Math.random()}`,
+      target_price: 150,
+      guild_id: 'g-web',
+      channel_id: 'c1',
+      user_id: 'u1',
+      ...fields
+    });
+
+    test('aceita o CEP do produto e grava o frete e o preço com frete', async () => {
+      const scrapePrice = jest.spyOn(PriceScraper, 'scrapePrice').mockResolvedValue({
+        success: true, name: 'Panela', price: 139.9, currency: 'BRL', availability: 'in_stock', domain: 'loja-exemplo.com.br',
+        shipping: { cost: 15, cep: '01001000', source: 'Loja' }
+      });
+
+      const { status, body: created } = await post(body({ cep: '01001-000', include_shipping: true }));
+
+      expect(status).toBe(201);
+      expect(scrapePrice.mock.calls[0][1]).toEqual({ cep: '01001000' });
+      expect(created.product).toMatchObject({ shipping_cep: '01001000', shipping_cost: 15, landed_price: 154.9, use_landed_price: 1 });
+      expect((await PriceHistory.getLatest(created.product.id)).shipping_cost).toBe(15);
+    });
+
+    test('sem CEP no pedido, cota para o CEP do servidor sem fixá-lo no produto', async () => {
+      await Settings.setGuild('g-web', 'cep', '20040020');
+      const scrapePrice = jest.spyOn(PriceScraper, 'scrapePrice').mockResolvedValue({
+        success: true, name: 'Panela', price: 139.9, currency: 'BRL', availability: 'in_stock'
+      });
+
+      const { status, body: created } = await post(body());
+
+      expect(status).toBe(201);
+      expect(scrapePrice.mock.calls[0][1]).toEqual({ cep: '20040020' });
+      expect(created.product).toMatchObject({ shipping_cep: null, landed_price: null, use_landed_price: 0 });
+    });
+
+    test('CEP inválido é recusado antes do scraping', async () => {
+      const scrapePrice = jest.spyOn(PriceScraper, 'scrapePrice');
+
+      const { status, body: error } = await post(body({ cep: '123' }));
+
+      expect(status).toBe(400);
+      expect(error.error).toMatch(/CEP inválido/);
+      expect(scrapePrice).not.toHaveBeenCalled();
+    });
+  });
+});
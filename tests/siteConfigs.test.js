@@ -0,0 +1,209 @@
+const http = require('http');
+const config = require('../config/config');
+const database = require('../database/database');
+const PageCache = require('../database/models/PageCache');
+const SiteConfig = require('../database/models/SiteConfig');
+const PriceScraper = require('../services/PriceScraper');
+const webServer = require('../web/server');
+
+describe('Configurações de site', () => {
+
+  beforeAll(async () => {
+    await database.ready;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(PageCache, 'clearExtracted').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validação', () => {
+
+    test('descarta campos desconhecidos e apara os seletores', () => {
+      const clean = PriceScraper.validateSiteConfig('loja-nova.com.br', {
+        selectors: [' .preco-final ', '.valor'],
+        pricePointSelectors: { pix: ['.preco-pix'] },
+        currency: 'USD',
+        waitTime: '3000',
+        renderMode: 'static',
+        headers: { Cookie: 'x=1' }
+      });
+
+      expect(clean).toEqual({
+        selectors: ['.preco-final', '.valor'],
+        pricePointSelectors: { pix: ['.preco-pix'] },
+        currency: 'USD',
+        waitTime: 3000,
+        renderMode: 'static'
+      });
+    });
+
+    test.each([
+      ['seletores que não são lista', { selectors: '.preco' }, 'selectors deve ser uma lista de seletores'],
+      ['seletor vazio', { selectors: ['.preco', ' '] }, 'selectors deve ser uma lista de seletores'],
+      ['seletor CSS inválido', { selectors: ['div[class='] }, 'Seletor inválido em selectors: div[class='],
+      ['ponto de preço desconhecido', { selectors: ['.preco'], pricePointSelectors: { crediario: ['.x'] } }, 'Ponto de preço inválido: crediario'],
+      ['moeda fora do ISO', { selectors: ['.preco'], currency: 'real' }, 'currency deve ser um código ISO (ex: BRL)'],
+      ['espera longa demais', { selectors: ['.preco'], waitTime: 120000 }, 'waitTime deve estar entre 1 e 60000 ms'],
+      ['renderizador desconhecido', { selectors: ['.preco'], renderMode: 'selenium' }, 'renderMode deve ser um de: auto, static, browser'],
+      ['loja sem adaptador e sem seletores', { currency: 'BRL' }, 'selectors é obrigatório para lojas sem adaptador']
+    ])('recusa %s', (label, siteConfig, problem) => {
+      let error;
+      try {
+        PriceScraper.validateSiteConfig('loja-nova.com.br', siteConfig);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toMatchObject({ code: 'INVALID_SITE_CONFIG' });
+      expect(error.problems).toContain(problem);
+    });
+
+    test('loja com adaptador pode mudar só a espera', () => {
+      expect(PriceScraper.validateSiteConfig('amazon.com.br', { waitTime: 5000 })).toEqual({ waitTime: 5000 });
+    });
+
+    test.each([
+      ['WWW.Loja-Nova.com.br ', 'loja-nova.com.br'],
+      ['loja.com.br', 'loja.com.br']
+    ])('normaliza o domínio "%s"', (domain, expected) => {
+      expect(PriceScraper.normalizeConfigDomain(domain)).toBe(expected);
+    });
+
+    test.each(['localhost', 'https://loja.com.br', 'loja com br', ''])('recusa o domínio "%s"', (domain) => {
+      expect(() => PriceScraper.normalizeConfigDomain(domain)).toThrow(expect.objectContaining({ code: 'INVALID_SITE_CONFIG' }));
+    });
+  });
+
+  describe('versões', () => {
+    const domain = 'loja-versoes.com.br';
+
+    afterAll(() => {
+      PriceScraper.removeSiteConfig(domain);
+    });
+
+    test('cada alteração gera uma versão, e a numeração continua após a remoção', async () => {
+      const created = await SiteConfig.save(domain, { selectors: ['.v1'] }, 'ana', 'primeira');
+      expect(created).toMatchObject({ domain, version: 1, created_by: 'ana', updated_by: 'ana', config: { selectors: ['.v1'] } });
+
+      const updated = await SiteConfig.save(domain, { selectors: ['.v2'] }, 'bia');
+      expect(updated).toMatchObject({ version: 2, created_by: 'ana', updated_by: 'bia', config: { selectors: ['.v2'] } });
+
+      expect(await SiteConfig.remove(domain, 'caio')).toBe(true);
+      expect(await SiteConfig.findByDomain(domain)).toBeNull();
+      expect(await SiteConfig.remove(domain, 'caio')).toBe(false);
+
+      const recreated = await SiteConfig.save(domain, { selectors: ['.v4'] }, 'ana');
+      expect(recreated).toMatchObject({ version: 4, created_by: 'ana' });
+
+      const versions = await SiteConfig.getVersions(domain);
+      expect(versions.map(version => [version.version, version.action, version.author, version.config])).toEqual([
+        [4, 'create', 'ana', { selectors: ['.v4'] }],
+        [3, 'delete', 'caio', null],
+        [2, 'update', 'bia', { selectors: ['.v2'] }],
+        [1, 'create', 'ana', { selectors: ['.v1'] }]
+      ]);
+      expect((await SiteConfig.getVersion(domain, 1)).note).toBe('primeira');
+    });
+
+    test('restaurar uma versão cria uma nova e aplica os seletores', async () => {
+      const restored = await PriceScraper.restoreSiteConfig(domain, 2, { author: 'bia' });
+
+      expect(restored).toMatchObject({ version: 5, updated_by: 'bia', config: { selectors: ['.v2'] } });
+      expect((await SiteConfig.getVersion(domain, 5)).note).toBe('Restaurada a versão 2');
+      expect(PriceScraper.getAdapter(domain).selectors).toEqual(['.v2']);
+      expect(PageCache.clearExtracted).toHaveBeenCalledWith(domain);
+    });
+
+    test.each([3, 99])('versão %i sem configuração não pode ser restaurada', async (version) => {
+      await expect(PriceScraper.restoreSiteConfig(domain, version)).rejects.toMatchObject({ code: 'SITE_CONFIG_NOT_FOUND' });
+      expect((await SiteConfig.findByDomain(domain)).version).toBe(5);
+    });
+
+    test('JSON inválido no banco não derruba a leitura', async () => {
+      await database.run("UPDATE site_configs SET config = '{quebrado' WHERE domain = ?", [domain]);
+
+      expect((await SiteConfig.findByDomain(domain)).config).toBeNull();
+    });
+  });
+
+  describe('API web', () => {
+    const domain = 'loja-painel.com.br';
+    let server;
+    let baseUrl;
+
+    const request = async (method, path, body) => {
+      const response = await fetch(`${baseUrl}/api${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': config.server.secretKey },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    beforeAll(async () => {
+      await webServer.initialize();
+      server = http.createServer(webServer.app);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      PriceScraper.removeSiteConfig(domain);
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('cria, altera, restaura e remove mantendo o histórico', async () => {
+      const created = await request('POST', '/site-configs', { domain: `www.${domain}`, config: { selectors: ['.preco'] }, author: 'ana' });
+      expect(created).toMatchObject({ status: 201, body: { domain, version: 1, config: { selectors: ['.preco'] } } });
+      expect(PriceScraper.getAdapter(domain).selectors).toEqual(['.preco']);
+
+      const duplicate = await request('POST', '/site-configs', { domain, config: { selectors: ['.outro'] } });
+      expect(duplicate.status).toBe(409);
+
+      const updated = await request('PUT', `/site-configs/${domain}`, { config: { selectors: ['.preco-novo'] }, author: 'bia', note: 'layout novo' });
+      expect(updated).toMatchObject({ status: 200, body: { version: 2, updated_by: 'bia' } });
+
+      const restored = await request('POST', `/site-configs/${domain}/restore`, { version: 1, author: 'caio' });
+      expect(restored).toMatchObject({ status: 200, body: { version: 3, config: { selectors: ['.preco'] } } });
+
+      const removed = await request('DELETE', `/site-configs/${domain}?author=caio`);
+      expect(removed.status).toBe(200);
+      expect(PriceScraper.getAdapter(domain)).toBeNull();
+
+      const detail = await request('GET', `/site-configs/${domain}`);
+      expect(detail.status).toBe(200);
+      expect(detail.body.current).toBeNull();
+      expect(detail.body.versions.map(version => [version.version, version.action, version.author])).toEqual([
+        [4, 'delete', 'caio'],
+        [3, 'update', 'caio'],
+        [2, 'update', 'bia'],
+        [1, 'create', 'ana']
+      ]);
+    });
+
+    test('configuração inválida devolve os problemas encontrados', async () => {
+      const invalid = await request('POST', '/site-configs', { domain: 'loja-invalida.com.br', config: { selectors: ['div[class='], waitTime: 0 } });
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body).toMatchObject({ code: 'INVALID_SITE_CONFIG' });
+      expect(invalid.body.problems).toEqual(['Seletor inválido em selectors: div[class=', 'waitTime deve estar entre 1 e 60000 ms']);
+      expect(await SiteConfig.findByDomain('loja-invalida.com.br')).toBeNull();
+    });
+
+    test.each([
+      ['PUT', '/site-configs/loja-inexistente.com.br', 404, { config: { selectors: ['.preco'] } }],
+      ['DELETE', '/site-configs/loja-inexistente.com.br', 404, null],
+      ['GET', '/site-configs/loja-inexistente.com.br', 404, null],
+      ['POST', `/site-configs/${domain}/restore`, 404, { version: 99 }],
+      ['POST', `/site-configs/${domain}/restore`, 400, {}],
+      ['POST', '/site-configs', 400, { domain: 'localhost', config: { selectors: ['.preco'] } }],
+      ['POST', '/site-configs', 400, { domain }]
+    ])('%s %s responde %i', async (method, path, status, body) => {
+      expect((await request(method, path, body)).status).toBe(status);
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const cheerio = require('cheerio');
+const StructuredDataExtractor = require('../services/StructuredDataExtractor');
+
+const page = (offers) => cheerio.load(`<html><head><script type="application/ld+json">${JSON.stringify({
+  '@context': 'https://schema.org',
+  '@type': 'Product',
+  name: 'Cafeteira Expresso',
+  offers
+})}</script></head></html>`);
+
+describe('Dados estruturados', () => {
+  const extractor = new StructuredDataExtractor();
+
+  test('oferta em estoque vence oferta esgotada mais barata', () => {
+    const data = extractor.extract(page([
+      { '@type': 'Offer', price: '399.90', priceCurrency: 'BRL', availability: 'https://schema.org/OutOfStock' },
+      { '@type': 'Offer', price: '449.90', priceCurrency: 'BRL', availability: 'https://schema.org/InStock' },
+      { '@type': 'Offer', price: '479.90', priceCurrency: 'BRL', availability: 'https://schema.org/InStock' }
+    ]));
+
+    expect(data).toMatchObject({ price: 449.9, availability: 'InStock' });
+  });
+
+  test('sem ofertas em estoque, usa o menor preço', () => {
+    const data = extractor.extract(page([
+      { '@type': 'Offer', price: '449.90', availability: 'https://schema.org/OutOfStock' },
+      { '@type': 'Offer', price: '399.90', availability: 'https://schema.org/SoldOut' }
+    ]));
+
+    expect(data.price).toBe(399.9);
+  });
+});
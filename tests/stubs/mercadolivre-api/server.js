@@ -0,0 +1,85 @@
+/**
+ * Servidor local que imita a API pública do Mercado Livre com respostas fixas
+ * Permite testar o adaptador sem acessar a API real.
+ *
+ * Uso:
+ *   npm run stub:mercadolivre -- [--port 4010]
+ *   MERCADOLIVRE_API_URL=http://127.0.0.1:4010 npm start
+ *
+ * Cada rota é um arquivo em responses/ (ex: GET /items/MLB123 -> responses/items/MLB123.json);
+ * a query string é ignorada e rotas sem arquivo respondem 404 como a API real.
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const RESPONSES_DIR = path.join(__dirname, 'responses');
+
+/**
+ * Arquivo de resposta de uma rota, ou null se não existir
+ * @param {string} pathname - Caminho da requisição
+ */
+function resolveResponse(pathname) {
+  const segments = pathname.split('/').filter(Boolean);
+  if (segments.length === 0 || segments.some(segment => !/^[\w-]+$/.test(segment))) return null;
+
+  const file = path.join(RESPONSES_DIR, ...segments) + '.json';
+  return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Cria o servidor (ainda sem escutar)
+ * @returns {http.Server}
+ */
+function createServer() {
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const file = req.method === 'GET' ? resolveResponse(pathname) : null;
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+
+    if (!file) {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ message: `Resource ${pathname} not found`, error: 'not_found', status: 404, cause: [] }));
+      return;
+    }
+
+    res.end(fs.readFileSync(file));
+  });
+}
+
+/**
+ * Inicia o servidor
+ * @param {number} port - Porta (0 = qualquer porta livre)
+ * @returns {Promise<Object>} { url, close }
+ */
+function start(port = 0) {
+  const server = createServer();
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  createServer,
+  start
+};
+
+if (require.main === module) {
+  const portIndex = process.argv.indexOf('--port');
+  const port = portIndex > -1 ? parseInt(process.argv[portIndex + 1]) : 4010;
+
+  start(port)
+    .then(({ url }) => console.log(`✅ API do Mercado Livre simulada em ${url}`))
+    .catch(error => {
+      console.error('❌ Erro ao iniciar o servidor:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,96 @@
+const config = require('../config/config');
+const TokenBucket = require('../services/TokenBucket');
+const PriceScraper = require('../services/PriceScraper');
+
+describe('Limite de requests por domínio', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1_700_000_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('TokenBucket', () => {
+
+    test('libera um request por intervalo', () => {
+      const bucket = new TokenBucket({ capacity: 1, refillIntervalMs: 1000 });
+
+      expect(bucket.tryTake()).toBe(true);
+      expect(bucket.tryTake()).toBe(false);
+      expect(bucket.getWaitTime()).toBe(1000);
+
+      now += 400;
+      expect(bucket.getWaitTime()).toBe(600);
+      expect(bucket.tryTake()).toBe(false);
+
+      now += 600;
+      expect(bucket.getWaitTime()).toBe(0);
+      expect(bucket.tryTake()).toBe(true);
+    });
+
+    test('acumula tokens só até a capacidade', () => {
+      const bucket = new TokenBucket({ capacity: 2, refillIntervalMs: 500 });
+
+      now += 10_000;
+      expect(bucket.tryTake()).toBe(true);
+      expect(bucket.tryTake()).toBe(true);
+      expect(bucket.tryTake()).toBe(false);
+    });
+
+    test('novo intervalo não apaga o tempo já decorrido', () => {
+      const bucket = new TokenBucket({ capacity: 1, refillIntervalMs: 1000 });
+      bucket.tryTake();
+
+      now += 500;
+      bucket.setRefillInterval(5000);
+
+      // Meio token reposto no intervalo antigo; falta meio token no novo
+      expect(bucket.getWaitTime()).toBe(2500);
+    });
+  });
+
+  describe('Crawl-delay no agendador', () => {
+    const domain = 'crawl-delay-exemplo.com.br';
+    let originalDelay;
+
+    beforeAll(() => {
+      originalDelay = config.monitoring.requestDelayMs;
+      config.monitoring.requestDelayMs = 1000;
+    });
+
+    afterAll(() => {
+      config.monitoring.requestDelayMs = originalDelay;
+    });
+
+    afterEach(() => {
+      PriceScraper.domainStates.delete(domain);
+    });
+
+    test('Crawl-delay do robots.txt vale para qualquer request do domínio', async () => {
+      PriceScraper.setCrawlDelay(domain, 7);
+
+      // Requests de API/redirect agendam sem Crawl-delay e não podem reduzi-lo
+      await PriceScraper.schedule(domain, async () => 'ok');
+      now += 7000;
+      await PriceScraper.schedule(domain, async () => 'ok', { crawlDelay: 3 });
+
+      expect(PriceScraper.getSchedulerStats()[domain]).toMatchObject({ crawlDelay: 7, intervalMs: 7000 });
+    });
+
+    test('schedule só aumenta o Crawl-delay; o robots.txt pode reduzi-lo', async () => {
+      await PriceScraper.schedule(domain, async () => 'ok', { crawlDelay: 3 });
+      expect(PriceScraper.getDomainState(domain).bucket.refillIntervalMs).toBe(3000);
+
+      now += 3000;
+      await PriceScraper.schedule(domain, async () => 'ok', { crawlDelay: 1 });
+      expect(PriceScraper.getDomainState(domain).bucket.refillIntervalMs).toBe(3000);
+
+      PriceScraper.setCrawlDelay(domain, null);
+      expect(PriceScraper.getSchedulerStats()[domain]).toMatchObject({ crawlDelay: null, intervalMs: 1000 });
+    });
+  });
+});
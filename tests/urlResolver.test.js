@@ -0,0 +1,152 @@
+const http = require('http');
+const config = require('../config/config');
+const UrlResolver = require('../services/UrlResolver');
+const PriceScraper = require('../services/PriceScraper');
+
+/**
+ * Resolver com respostas fixas por URL (sem rede)
+ * @param {Object} responses - url -> { status, headers, data }
+ */
+function createResolver(responses) {
+  return new UrlResolver({
+    request: async (url) => responses[url] || { status: 200, headers: {}, data: '' },
+    isKnownStore: (url) => !!PriceScraper.getAdapter(PriceScraper.extractDomain(url)),
+    isProductUrl: (url) => PriceScraper.isProductUrl(url),
+    normalizeUrl: (url) => PriceScraper.normalizeUrl(url),
+    maxRedirects: 3
+  });
+}
+
+const redirect = (location) => ({ status: 301, headers: { location }, data: '' });
+
+describe('UrlResolver', () => {
+
+  test('segue o link encurtado até a URL canônica sem parâmetros de afiliado', async () => {
+    const resolver = createResolver({
+      'https://amzn.to/3xYz': redirect('https://www.amazon.com.br/Echo-Dot/dp/B09B8V1LZ3?tag=afiliado-20&linkCode=ll1')
+    });
+
+    await expect(resolver.resolve('https://amzn.to/3xYz')).resolves.toEqual({
+      url: 'https://www.amazon.com.br/dp/B09B8V1LZ3',
+      originalUrl: 'https://amzn.to/3xYz',
+      redirects: ['https://www.amazon.com.br/Echo-Dot/dp/B09B8V1LZ3?tag=afiliado-20&linkCode=ll1']
+    });
+  });
+
+  test('segue redirecionamento por meta refresh e Location relativo', async () => {
+    const resolver = createResolver({
+      'https://afiliado.example/r/1': { status: 200, headers: {}, data: '<meta http-equiv="refresh" content="0; url=/go?id=1&amp;x=2">' },
+      'https://afiliado.example/go?id=1&x=2': redirect('https://www.loja.com.br/geladeira/p?idsku=77&utm_source=afiliado')
+    });
+
+    const resolved = await resolver.resolve('https://afiliado.example/r/1');
+    expect(resolved.url).toBe('https://www.loja.com.br/geladeira/p?skuId=77');
+    expect(resolved.redirects).toHaveLength(2);
+  });
+
+  test('recusa redirecionamento em círculo', async () => {
+    const resolver = createResolver({
+      'https://curto.example/a': redirect('https://curto.example/b'),
+      'https://curto.example/b': redirect('https://curto.example/a')
+    });
+
+    await expect(resolver.resolve('https://curto.example/a')).rejects.toMatchObject({ code: 'REDIRECT_LOOP' });
+  });
+
+  test('recusa link que leva para página que não é de produto', async () => {
+    const resolver = createResolver({
+      'https://amzn.to/expirado': redirect('https://www.amazon.com.br/'),
+      'https://mercadolivre.com/sec/abc': redirect('https://lista.mercadolivre.com.br/fone-bluetooth')
+    });
+
+    await expect(resolver.resolve('https://amzn.to/expirado')).rejects.toMatchObject({ code: 'NOT_PRODUCT_PAGE' });
+    await expect(resolver.resolve('https://mercadolivre.com/sec/abc')).rejects.toMatchObject({ code: 'NOT_PRODUCT_PAGE' });
+  });
+
+  test('URL de loja conhecida não gera request', async () => {
+    const request = jest.fn();
+    const resolver = new UrlResolver({
+      request,
+      isKnownStore: () => true,
+      normalizeUrl: (url) => PriceScraper.normalizeUrl(url)
+    });
+
+    const resolved = await resolver.resolve('https://produto.mercadolivre.com.br/MLB-123-fone-_JM?matt_tool=1');
+    expect(resolved.url).toBe('https://produto.mercadolivre.com.br/MLB-123');
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  describe('saltos de redirecionamento', () => {
+    const domain = '127.0.0.1';
+    let server;
+    let baseUrl;
+    let requests;
+    let originalDelay;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        requests.push(req.url);
+
+        if (req.url === '/robots.txt') {
+          res.setHeader('Content-Type', 'text/plain');
+          return res.end('User-agent: *\nDisallow: /privado');
+        }
+        if (req.url === '/r/bloqueado') {
+          res.statusCode = 403;
+          return res.end();
+        }
+
+        res.statusCode = 301;
+        res.setHeader('Location', 'https://www.loja.com.br/produto/p');
+        res.end();
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      originalDelay = config.monitoring.requestDelayMs;
+      config.monitoring.requestDelayMs = 10;
+    });
+
+    afterAll(async () => {
+      config.monitoring.requestDelayMs = originalDelay;
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      requests = [];
+      jest.spyOn(PriceScraper.circuitBreaker, 'recordSuccess');
+      jest.spyOn(PriceScraper.circuitBreaker, 'recordFailure');
+      jest.spyOn(PriceScraper.proxyPool, 'reportSuccess');
+      jest.spyOn(PriceScraper.proxyPool, 'reportBlocked');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      PriceScraper.circuitBreaker.reset(domain);
+    });
+
+    test('respeitam o robots.txt do encurtador', async () => {
+      await expect(PriceScraper.fetchRedirect(`${baseUrl}/privado/1`)).rejects.toMatchObject({ code: 'ROBOTS_DISALLOWED' });
+      expect(requests).not.toContain('/privado/1');
+
+      const response = await PriceScraper.fetchRedirect(`${baseUrl}/r/1`);
+      expect(response.status).toBe(301);
+      expect(PriceScraper.circuitBreaker.recordSuccess).toHaveBeenCalledWith(domain);
+      expect(PriceScraper.proxyPool.reportSuccess).toHaveBeenCalled();
+    });
+
+    test('bloqueio conta no circuito e no pool de proxies', async () => {
+      await expect(PriceScraper.fetchRedirect(`${baseUrl}/r/bloqueado`)).rejects.toMatchObject({ blocked: true, status: 403 });
+
+      expect(PriceScraper.circuitBreaker.recordFailure).toHaveBeenCalledWith(domain, 'HTTP 403');
+      expect(PriceScraper.proxyPool.reportBlocked).toHaveBeenCalledWith(expect.anything(), domain, 'HTTP 403');
+    });
+
+    test('circuito aberto recusa o salto sem acessar a loja', async () => {
+      PriceScraper.circuitBreaker.open(domain, PriceScraper.circuitBreaker.getCircuit(domain), 'teste');
+
+      await expect(PriceScraper.fetchRedirect(`${baseUrl}/r/2`)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+      expect(requests).not.toContain('/r/2');
+    });
+  });
+});
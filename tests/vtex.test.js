@@ -0,0 +1,107 @@
+const http = require('http');
+const cheerio = require('cheerio');
+const config = require('../config/config');
+const PriceScraper = require('../services/PriceScraper');
+
+const statePage = (state) => `<html><head>
+  <meta name="generator" content="vtex.render-server@8.179.0">
+</head><body>
+  <template data-type="json" data-varname="__STATE__"><script>${JSON.stringify(state)}</script></template>
+</body></html>`;
+
+const catalogProduct = {
+  productId: '77',
+  productName: 'Cafeteira Elétrica 30 Xícaras',
+  brand: 'Cafezal',
+  items: [
+    {
+      itemId: '501',
+      ean: '7891112223332',
+      images: [{ imageUrl: 'https://cafezal.vtexassets.com/arquivos/ids/77/cafeteira.jpg' }],
+      sellers: [
+        { sellerId: 'mkt9', sellerName: 'Cafés & Cia', sellerDefault: false, commertialOffer: { Price: 139.9, ListPrice: 139.9, AvailableQuantity: 3 } },
+        { sellerId: '1', sellerName: 'Loja Cafezal', sellerDefault: true, commertialOffer: { Price: 149.9, ListPrice: 199.9, AvailableQuantity: 8 } }
+      ]
+    }
+  ]
+};
+
+describe('Plataforma VTEX', () => {
+
+  test('reconhece a loja pela página e passa a suportá-la com confiança alta', async () => {
+    const url = 'https://www.cafezal-exemplo.com.br/cafeteira-eletrica-30-xicaras/p?skuId=502';
+    expect(PriceScraper.isSupportedSite(url).confidence).toBe('none');
+
+    const data = await PriceScraper.extractData(statePage({
+      'Product:sp-77': { productName: 'Cafeteira Elétrica 30 Xícaras', brand: 'Cafezal', items: [{ id: 'Product:sp-77.items.0', type: 'id' }, { id: 'Product:sp-77.items.1', type: 'id' }] },
+      'Product:sp-77.items.0': { itemId: '501', sellers: [{ id: 'Product:sp-77.items.0.sellers.0', type: 'id' }] },
+      'Product:sp-77.items.0.sellers.0': { sellerId: '1', sellerName: 'Loja Cafezal', sellerDefault: true, commertialOffer: { Price: 149.9, ListPrice: 199.9, AvailableQuantity: 8 } },
+      'Product:sp-77.items.1': { itemId: '502', sellers: [{ id: 'Product:sp-77.items.1.sellers.0', type: 'id' }] },
+      'Product:sp-77.items.1.sellers.0': { sellerId: 'mkt9', sellerName: 'Cafés & Cia', sellerDefault: true, commertialOffer: { Price: 0, ListPrice: 0, AvailableQuantity: 0 } }
+    }), 'cafezal-exemplo.com.br', url);
+
+    expect(data).toMatchObject({
+      price: null,
+      availability: 'out_of_stock',
+      seller: { id: 'mkt9', name: 'Cafés & Cia', official: false },
+      success: true
+    });
+    expect(PriceScraper.isSupportedSite(url)).toEqual({ supported: true, confidence: 'high', adapter: 'VTEX' });
+    expect(PriceScraper.getProductKey(url)).toBe('vtex:cafezal-exemplo.com.br:502');
+  });
+
+  test('uma única menção à VTEX não basta para reconhecer a loja', () => {
+    const html = '<html><body><img src="https://parceiro.vteximg.com.br/banner.jpg"><span class="price">R$ 10,00</span></body></html>';
+    const [vtex] = PriceScraper.platformAdapters;
+
+    expect(vtex.detectPlatform(cheerio.load(html), { html, domain: 'blog-exemplo.com.br' })).toBe(false);
+  });
+
+  describe('API de catálogo', () => {
+    let server;
+    let baseUrl;
+    let original;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        const found = req.url === '/api/catalog_system/pub/products/search/cafeteira-eletrica-30-xicaras/p';
+        res.statusCode = found ? 200 : 404;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(found ? [catalogProduct] : []));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      original = { robots: config.scraping.respectRobotstxt, delay: config.monitoring.requestDelayMs };
+      config.scraping.respectRobotstxt = false;
+      config.monitoring.requestDelayMs = 10;
+
+      PriceScraper.detectPlatform(cheerio.load(''), statePage({}).replace('<body>', '<body><script src="/vtexjs.js"></script>'), '127.0.0.1');
+    });
+
+    afterAll(async () => {
+      config.scraping.respectRobotstxt = original.robots;
+      config.monitoring.requestDelayMs = original.delay;
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('lê preço, preço de tabela e vendedor padrão', async () => {
+      const data = await PriceScraper.fetchFromApi(`${baseUrl}/cafeteira-eletrica-30-xicaras/p`, '127.0.0.1');
+
+      expect(data).toMatchObject({
+        price: 149.9,
+        originalPrice: 199.9,
+        name: 'Cafeteira Elétrica 30 Xícaras',
+        availability: 'in_stock',
+        seller: { id: '1', name: 'Loja Cafezal', official: true },
+        gtin: '7891112223332',
+        brand: 'Cafezal',
+        strategy: 'api'
+      });
+    });
+
+    test('produto fora do catálogo segue pelo HTML', async () => {
+      expect(await PriceScraper.fetchFromApi(`${baseUrl}/outro-produto/p`, '127.0.0.1')).toBeNull();
+    });
+  });
+});
@@ -7,6 +7,20 @@ const config = require('../config/config');
 const logger = require('../utils/logger');
 const Product = require('../database/models/Product');
 const PriceHistory = require('../database/models/PriceHistory');
+const ExtractionHealth = require('../database/models/ExtractionHealth');
+const SiteConfig = require('../database/models/SiteConfig');
+const ProductGroup = require('../database/models/ProductGroup');
+const PriceQuarantine = require('../database/models/PriceQuarantine');
+const CurrencyRate = require('../database/models/CurrencyRate');
+const SearchWatch = require('../database/models/SearchWatch');
+const Settings = require('../database/models/Settings');
+const PriceScraper = require('../services/PriceScraper');
+const PricePoints = require('../services/PricePoints');
+const Promotions = require('../services/Promotions');
+const Shipping = require('../services/Shipping');
+const ProductGroups = require('../services/ProductGroups');
+const Currencies = require('../services/Currencies');
+const priceMonitor = require('../services/PriceMonitor');
 const database = require('../database/database');
 
 /**
@@ -152,6 +166,7 @@ class WebServer {
         res.json({
           ...productStats,
           database: dbStats,
+          circuits: PriceScraper.circuitBreaker.getStats(),
           server: {
             uptime: process.uptime(),
             memory: process.memoryUsage(),
@@ -203,6 +218,146 @@ class WebServer {
       }
     });
 
+    // Adicionar produto
+    apiRouter.post('/products', async (req, res) => {
+      try {
+        const {
+          url,
+          target_price,
+          guild_id,
+          channel_id,
+          user_id,
+          name,
+          promotion_threshold = config.monitoring.promotionThreshold,
+          price_point = null,
+          official_seller_only = false,
+          cep = null,
+          include_shipping = false
+        } = req.body;
+
+        if (!url || !PriceScraper.isValidUrl(url)) {
+          return res.status(400).json({ error: 'URL inválida' });
+        }
+
+        if (!(parseFloat(target_price) > 0) || !guild_id || !channel_id || !user_id) {
+          return res.status(400).json({ error: 'Campos obrigatórios: url, target_price, guild_id, channel_id, user_id' });
+        }
+
+        if (price_point && !PricePoints.isValid(price_point)) {
+          return res.status(400).json({ error: 'Ponto de preço inválido', valid: Object.values(PricePoints.POINTS) });
+        }
+
+        const productCep = cep ? Shipping.normalizeCep(cep) : null;
+        if (cep && !productCep) {
+          return res.status(400).json({ error: 'CEP inválido (8 dígitos, ex: 01001-000)' });
+        }
+
+        // Links encurtados e de afiliados: seguir até a página do produto
+        let resolved;
+        try {
+          resolved = await PriceScraper.resolveUrl(url);
+        } catch (error) {
+          if (error.code === 'REDIRECT_LOOP' || error.code === 'NOT_PRODUCT_PAGE') {
+            return res.status(422).json({ error: error.message, code: error.code, redirects: error.redirects });
+          }
+          throw error;
+        }
+
+        const canonicalUrl = resolved.url;
+
+        // Respeitar robots.txt da loja
+        const robots = await PriceScraper.checkRobots(canonicalUrl);
+        if (!robots.allowed) {
+          return res.status(403).json({ error: 'URL bloqueada pelo robots.txt', robots });
+        }
+
+        const productKey = PriceScraper.getProductKey(canonicalUrl);
+        const existingProduct = await Product.findByIdentity({ url, canonicalUrl, productKey });
+        if (existingProduct) {
+          return res.status(409).json({ error: 'Produto já monitorado', product_id: existingProduct.id });
+        }
+
+        // CEP do produto ou, sem ele, o CEP do servidor
+        const shippingCep = productCep || await Settings.getGuild(guild_id, 'cep');
+        const scrapedData = await PriceScraper.scrapePrice(canonicalUrl, { cep: shippingCep });
+        if (scrapedData.removed) {
+          return res.status(422).json({ error: 'Página não encontrada', code: 'PAGE_NOT_FOUND', status: scrapedData.httpStatus });
+        }
+        if (!scrapedData.success) {
+          return res.status(422).json({ error: 'Não foi possível extrair informações do produto', details: scrapedData.error });
+        }
+
+        const price = PricePoints.resolve(scrapedData, price_point);
+        const landedPrice = Shipping.getLandedPrice(price, scrapedData.shipping);
+        const effective = Promotions.getEffectivePrice(price, scrapedData.promotions);
+        const currency = scrapedData.currency || config.currency.default;
+        const product = await Product.create({
+          name: name || scrapedData.name || 'Produto sem nome',
+          url: canonicalUrl,
+          productKey,
+          gtin: scrapedData.gtin || null,
+          mpn: scrapedData.mpn || null,
+          brand: scrapedData.brand || null,
+          currentPrice: price,
+          targetPrice: parseFloat(target_price),
+          channelId: channel_id,
+          guildId: guild_id,
+          userId: user_id,
+          promotionThreshold: parseFloat(promotion_threshold),
+          availability: scrapedData.availability,
+          pricePoint: price_point,
+          shippingCep: productCep,
+          shippingCost: scrapedData.shipping ? scrapedData.shipping.cost : null,
+          landedPrice,
+          useLandedPrice: !!include_shipping,
+          seller: scrapedData.seller || null,
+          officialSellerOnly: !!official_seller_only,
+          promotions: scrapedData.promotions || null,
+          effectivePrice: effective ? effective.price : null,
+          currency,
+          metadata: {
+            addedBy: 'web',
+            scrapingDuration: scrapedData.duration,
+            domain: scrapedData.domain,
+            ...(canonicalUrl !== url ? { originalUrl: url } : {})
+          }
+        });
+
+        if (price) {
+          await PriceHistory.add(product.id, price, null, 'initial', {
+            availability: scrapedData.availability,
+            pricePoints: scrapedData.pricePoints,
+            shippingCost: scrapedData.shipping ? scrapedData.shipping.cost : null,
+            seller: scrapedData.seller || null,
+            promotions: scrapedData.promotions || null,
+            effectivePrice: effective ? effective.price : null,
+            currency
+          });
+        }
+
+        // Mesmo item (GTIN/MPN) em outras lojas: sugestões de agrupamento
+        const created = await Product.findById(product.id);
+        const matches = await Product.findMatches(created);
+
+        logger.info('Produto adicionado via API', { productId: product.id, url });
+        res.status(201).json({
+          success: true,
+          product: created,
+          group_suggestions: matches.map(match => ({
+            product_id: match.id,
+            name: match.name,
+            store: ProductGroups.getStore(match.url),
+            current_price: match.current_price,
+            group_id: match.group_id
+          }))
+        });
+
+      } catch (error) {
+        logger.error('Erro ao adicionar produto:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
     // Detalhes de um produto
     apiRouter.get('/products/:id', async (req, res) => {
       try {
@@ -220,7 +375,7 @@ class WebServer {
         ]);
 
         res.json({
-          product,
+          product: { ...product, promotions: Promotions.fromRow(product.promotions) },
           history,
           statistics: stats
         });
@@ -238,7 +393,7 @@ class WebServer {
         const updates = req.body;
 
         // Validar campos permitidos
-        const allowedFields = ['name', 'target_price', 'promotion_threshold', 'is_active'];
+        const allowedFields = ['name', 'target_price', 'promotion_threshold', 'is_active', 'official_seller_only'];
         const filteredUpdates = {};
         
         for (const field of allowedFields) {
@@ -334,6 +489,234 @@ class WebServer {
       }
     });
 
+    // Grupos de produtos com o melhor preço entre lojas
+    apiRouter.get('/product-groups', async (req, res) => {
+      try {
+        const groups = await ProductGroup.findByGuild(req.query.guild_id || null);
+
+        // Cada grupo é resumido na moeda de exibição do seu servidor
+        const summaries = await Promise.all(groups
+          .filter(group => group.products.length > 1)
+          .map(async group => ({ guild_id: group.guild_id, ...(await priceMonitor.summarizeGroup(group)) })));
+
+        res.json({ groups: summaries });
+
+      } catch (error) {
+        logger.error('Erro ao listar grupos de produtos:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    // Liga dois produtos no mesmo grupo
+    apiRouter.post('/product-groups', async (req, res) => {
+      try {
+        const { product_id, other_id, author = 'web' } = req.body;
+
+        const [product, other] = await Promise.all([
+          Product.findById(parseInt(product_id)),
+          Product.findById(parseInt(other_id))
+        ]);
+
+        if (!product || !other || product.id === other.id) {
+          return res.status(404).json({ error: 'Informe dois produtos existentes (product_id, other_id)' });
+        }
+
+        if (product.guild_id !== other.guild_id) {
+          return res.status(400).json({ error: 'Os produtos pertencem a servidores diferentes' });
+        }
+
+        const group = await ProductGroup.link(product, other, author);
+        res.status(201).json(await priceMonitor.summarizeGroup(group));
+
+      } catch (error) {
+        logger.error('Erro ao agrupar produtos:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    // Tira um produto do grupo
+    apiRouter.delete('/products/:id/group', async (req, res) => {
+      try {
+        const product = await Product.findById(parseInt(req.params.id));
+
+        if (!product) {
+          return res.status(404).json({ error: 'Produto não encontrado' });
+        }
+
+        if (!(await ProductGroup.removeProduct(product))) {
+          return res.status(404).json({ error: 'Produto não pertence a um grupo' });
+        }
+
+        res.json({ success: true, group_id: product.group_id });
+
+      } catch (error) {
+        logger.error('Erro ao remover produto do grupo:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    // Tabela de cotações de moedas
+    apiRouter.get('/currency-rates', async (req, res) => {
+      try {
+        const table = await CurrencyRate.getTable();
+        res.json(table || { base: null, rates: {} });
+
+      } catch (error) {
+        logger.error('Erro ao obter cotações de moedas:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    // Recarrega as cotações do arquivo local
+    apiRouter.post('/currency-rates/reload', async (req, res) => {
+      try {
+        const table = await priceMonitor.loadCurrencyRates();
+
+        if (!table) {
+          return res.status(404).json({ error: 'Arquivo de cotações não encontrado', file: config.currency.ratesFile });
+        }
+
+        res.json(table);
+
+      } catch (error) {
+        if (error.code === 'INVALID_RATES' || error instanceof SyntaxError) {
+          return res.status(400).json({ error: 'Arquivo de cotações inválido', details: error.message });
+        }
+
+        logger.error('Erro ao recarregar cotações de moedas:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    // Leituras de preço em quarentena
+    apiRouter.get('/quarantine', async (req, res) => {
+      try {
+        const { guild_id, status = PriceQuarantine.STATUS.PENDING, limit = 25 } = req.query;
+
+        const entries = await PriceQuarantine.findByStatus(guild_id || null, status, parseInt(limit));
+        res.json(entries);
+
+      } catch (error) {
+        logger.error('Erro ao listar leituras em quarentena:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    // Aprova ou descarta uma leitura em quarentena
+    apiRouter.post('/quarantine/:id/:action(approve|reject)', async (req, res) => {
+      try {
+        const { reviewed_by = 'web' } = req.body;
+
+        const entry = await priceMonitor.reviewQuarantine(
+          parseInt(req.params.id),
+          req.params.action === 'approve',
+          reviewed_by
+        );
+
+        res.json(entry);
+
+      } catch (error) {
+        if (error.code === 'QUARANTINE_NOT_FOUND') {
+          return res.status(404).json({ error: 'Leitura não encontrada' });
+        }
+        if (error.code === 'QUARANTINE_ALREADY_REVIEWED') {
+          return res.status(409).json({ error: 'Leitura já revisada' });
+        }
+
+        logger.error('Erro ao revisar leitura em quarentena:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    // Buscas e categorias monitoradas
+    apiRouter.get('/search-watches', async (req, res) => {
+      try {
+        const { guild_id, active_only = 'true' } = req.query;
+
+        const watches = await SearchWatch.findByGuild(guild_id || null, active_only === 'true');
+        res.json(watches);
+
+      } catch (error) {
+        logger.error('Erro ao listar buscas monitoradas:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    apiRouter.get('/search-watches/:id', async (req, res) => {
+      try {
+        const watch = await SearchWatch.findById(parseInt(req.params.id));
+
+        if (!watch) {
+          return res.status(404).json({ error: 'Busca não encontrada' });
+        }
+
+        const items = await SearchWatch.getItems(watch.id, parseInt(req.query.limit) || 50);
+        res.json({ watch, items });
+
+      } catch (error) {
+        logger.error('Erro ao obter busca monitorada:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    apiRouter.post('/search-watches', async (req, res) => {
+      try {
+        const { url, query, store, target_price, keywords, name, guild_id, channel_id, user_id } = req.body;
+
+        if (!guild_id || !channel_id || !user_id) {
+          return res.status(400).json({ error: 'Campos obrigatórios: url (ou query e store), guild_id, channel_id, user_id' });
+        }
+
+        const { watch, items } = await priceMonitor.createSearchWatch({
+          url: url || null,
+          query: query || null,
+          store: store || null,
+          targetPrice: target_price !== undefined && target_price !== null ? parseFloat(target_price) : null,
+          keywords: keywords || null,
+          name: name || null,
+          channelId: channel_id,
+          guildId: guild_id,
+          userId: user_id
+        });
+
+        logger.info('Busca monitorada criada via API', { watchId: watch.id, items: items.length });
+        res.status(201).json({ watch, items });
+
+      } catch (error) {
+        const statuses = {
+          INVALID_SEARCH_WATCH: 400,
+          SEARCH_NOT_SUPPORTED: 400,
+          ROBOTS_DISALLOWED: 403,
+          SEARCH_WATCH_EXISTS: 409,
+          SEARCH_WATCH_LIMIT: 409,
+          NO_ITEMS_FOUND: 422
+        };
+
+        if (statuses[error.code]) {
+          return res.status(statuses[error.code]).json({ error: error.message, code: error.code, robots: error.robots });
+        }
+
+        logger.error('Erro ao criar busca monitorada:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    apiRouter.delete('/search-watches/:id', async (req, res) => {
+      try {
+        const removed = await SearchWatch.delete(parseInt(req.params.id));
+
+        if (!removed) {
+          return res.status(404).json({ error: 'Busca não encontrada' });
+        }
+
+        res.json({ success: true });
+
+      } catch (error) {
+        logger.error('Erro ao remover busca monitorada:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
     // Produtos mais voláteis
     apiRouter.get('/analytics/volatile', async (req, res) => {
       try {
@@ -388,6 +771,199 @@ class WebServer {
       }
     });
 
+    // Estado do scraper (fila, circuitos, cache e pool de proxies)
+    apiRouter.get('/system/scraper', (req, res) => {
+      try {
+        res.json(PriceScraper.getStats());
+
+      } catch (error) {
+        logger.error('Erro ao obter estado do scraper:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    // Saúde do pool de proxies e perfis de navegador
+    apiRouter.get('/system/proxies', (req, res) => {
+      try {
+        res.json(PriceScraper.proxyPool.getStats());
+
+      } catch (error) {
+        logger.error('Erro ao obter pool de proxies:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    // Saúde da extração por loja (situação atual + histórico diário)
+    apiRouter.get('/system/extraction-health', async (req, res) => {
+      try {
+        const days = parseInt(req.query.days) || 7;
+
+        const [history, winners] = await Promise.all([
+          ExtractionHealth.getDailySeries(days),
+          ExtractionHealth.getWinners(days)
+        ]);
+
+        res.json({
+          days,
+          current: PriceScraper.selectorHealth.getStats(),
+          history,
+          winners
+        });
+
+      } catch (error) {
+        logger.error('Erro ao obter saúde da extração:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    // Configurações de site (seletores por domínio, com histórico de versões)
+    apiRouter.get('/site-configs', async (req, res) => {
+      try {
+        const configs = await SiteConfig.findAll();
+        const builtIn = Array.from(new Set(PriceScraper.builtInAdapters.values()))
+          .map(adapter => ({ name: adapter.name, domains: adapter.domains }));
+
+        res.json({ configs, builtIn });
+
+      } catch (error) {
+        logger.error('Erro ao listar configurações de site:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    apiRouter.get('/site-configs/:domain', async (req, res) => {
+      try {
+        const domain = PriceScraper.normalizeConfigDomain(req.params.domain);
+        const [siteConfig, versions] = await Promise.all([
+          SiteConfig.findByDomain(domain),
+          SiteConfig.getVersions(domain, parseInt(req.query.versions) || 20)
+        ]);
+
+        if (!siteConfig && versions.length === 0) {
+          return res.status(404).json({ error: 'Configuração não encontrada' });
+        }
+
+        res.json({
+          domain,
+          current: siteConfig,
+          adapter: PriceScraper.findBuiltInAdapter(domain)?.name || null,
+          versions
+        });
+
+      } catch (error) {
+        this.sendSiteConfigError(res, error, 'Erro ao buscar configuração de site:');
+      }
+    });
+
+    apiRouter.post('/site-configs', async (req, res) => {
+      try {
+        const { domain, config: siteConfig, author = 'web', note = null } = req.body;
+
+        if (!domain || !siteConfig || typeof siteConfig !== 'object') {
+          return res.status(400).json({ error: 'Campos obrigatórios: domain, config' });
+        }
+
+        const normalizedDomain = PriceScraper.normalizeConfigDomain(domain);
+        if (await SiteConfig.findByDomain(normalizedDomain)) {
+          return res.status(409).json({ error: 'Configuração já existe, use PUT para alterar' });
+        }
+
+        const saved = await PriceScraper.saveSiteConfig(normalizedDomain, siteConfig, { author, note });
+        res.status(201).json(saved);
+
+      } catch (error) {
+        this.sendSiteConfigError(res, error, 'Erro ao criar configuração de site:');
+      }
+    });
+
+    apiRouter.put('/site-configs/:domain', async (req, res) => {
+      try {
+        const { config: siteConfig, author = 'web', note = null } = req.body;
+
+        if (!siteConfig || typeof siteConfig !== 'object') {
+          return res.status(400).json({ error: 'Campo obrigatório: config' });
+        }
+
+        const domain = PriceScraper.normalizeConfigDomain(req.params.domain);
+        if (!(await SiteConfig.findByDomain(domain))) {
+          return res.status(404).json({ error: 'Configuração não encontrada' });
+        }
+
+        const saved = await PriceScraper.saveSiteConfig(domain, siteConfig, { author, note });
+        res.json(saved);
+
+      } catch (error) {
+        this.sendSiteConfigError(res, error, 'Erro ao atualizar configuração de site:');
+      }
+    });
+
+    apiRouter.delete('/site-configs/:domain', async (req, res) => {
+      try {
+        const removed = await PriceScraper.deleteSiteConfig(req.params.domain, {
+          author: req.query.author || 'web'
+        });
+
+        if (!removed) {
+          return res.status(404).json({ error: 'Configuração não encontrada' });
+        }
+
+        res.json({ message: 'Configuração removida com sucesso' });
+
+      } catch (error) {
+        this.sendSiteConfigError(res, error, 'Erro ao remover configuração de site:');
+      }
+    });
+
+    apiRouter.post('/site-configs/:domain/restore', async (req, res) => {
+      try {
+        const { version, author = 'web' } = req.body;
+
+        if (!(parseInt(version) > 0)) {
+          return res.status(400).json({ error: 'Campo obrigatório: version' });
+        }
+
+        const saved = await PriceScraper.restoreSiteConfig(req.params.domain, parseInt(version), { author });
+        res.json(saved);
+
+      } catch (error) {
+        this.sendSiteConfigError(res, error, 'Erro ao restaurar configuração de site:');
+      }
+    });
+
+    // Ensinar o scraper: propor seletores para o preço que o usuário vê na página
+    apiRouter.post('/site-configs/teach', async (req, res) => {
+      try {
+        const { url, price, refresh = false } = req.body;
+
+        if (!url || !PriceScraper.isValidUrl(url) || !(parseFloat(price) > 0)) {
+          return res.status(400).json({ error: 'Campos obrigatórios: url, price' });
+        }
+
+        const proposal = await PriceScraper.proposeSelectors(url, parseFloat(price), { refresh: !!refresh });
+        res.json(proposal);
+
+      } catch (error) {
+        this.sendSiteConfigError(res, error, 'Erro ao propor seletores:');
+      }
+    });
+
+    // Ensinar o scraper: confirmar o seletor escolhido
+    apiRouter.post('/site-configs/teach/confirm', async (req, res) => {
+      try {
+        const { url, selector, price, author = 'web' } = req.body;
+
+        if (!url || !PriceScraper.isValidUrl(url) || !selector || !(parseFloat(price) > 0)) {
+          return res.status(400).json({ error: 'Campos obrigatórios: url, selector, price' });
+        }
+
+        const learned = await PriceScraper.learnSelector(url, selector, { price: parseFloat(price), author });
+        res.status(201).json(learned);
+
+      } catch (error) {
+        this.sendSiteConfigError(res, error, 'Erro ao salvar seletor aprendido:');
+      }
+    });
+
     // Limpeza do banco
     apiRouter.post('/system/cleanup', async (req, res) => {
       try {
@@ -783,6 +1359,10 @@ class WebServer {
     </div>
 
     <script>
+        // Símbolo e casas decimais de cada moeda (services/Currencies)
+        const CURRENCIES = ${JSON.stringify(Currencies.CURRENCIES)};
+        const DEFAULT_CURRENCY = '${config.currency.default}';
+
         // Estado da aplicação
         let appState = {
             products: [],
@@ -858,11 +1438,11 @@ class WebServer {
                     
                     <div class="price-grid">
                         <div class="price-item">
-                            <div class="price-value">R$ \${(product.current_price || 0).toFixed(2)}</div>
+                            <div class="price-value">\${formatPrice(product.current_price || 0, product.currency)}</div>
                             <div class="price-label">Preço Atual</div>
                         </div>
                         <div class="price-item">
-                            <div class="price-value">R$ \${(product.target_price || 0).toFixed(2)}</div>
+                            <div class="price-value">\${formatPrice(product.target_price || 0, product.currency)}</div>
                             <div class="price-label">Preço Alvo</div>
                         </div>
                         <div class="price-item">
@@ -910,6 +1490,12 @@ class WebServer {
             return (change > 0 ? '+' : '') + change.toFixed(1);
         }
 
+        function formatPrice(value, currency) {
+            const code = currency || DEFAULT_CURRENCY;
+            const info = CURRENCIES[code] || { symbol: code, decimals: 2 };
+            return info.symbol + ' ' + Number(value).toFixed(info.decimals);
+        }
+
         function escapeHtml(text) {
             const div = document.createElement('div');
             div.textContent = text;
@@ -1005,6 +1591,7 @@ class WebServer {
                 if (!response.ok) throw new Error('Erro na API');
                 
                 const history = await response.json();
+                const product = appState.products.find(item => item.id === productId);
                 
                 let historyHtml = \`
                     <div style="max-width: 600px; margin: 20px auto; padding: 20px; background: white; border-radius: 10px; box-shadow: 0 5px 15px rgba(0,0,0,0.1);">
@@ -1023,7 +1610,7 @@ class WebServer {
                         historyHtml += \`
                             <div style="padding: 10px; border-bottom: 1px solid #eee; display: flex; justify-content: space-between;">
                                 <span>\${date}</span>
-                                <span><strong>R$ \${record.price.toFixed(2)}</strong>\${changeText}</span>
+                                <span><strong>\${formatPrice(record.price, record.currency || product?.currency)}</strong>\${changeText}</span>
                             </div>
                         \`;
                     });
@@ -1178,6 +1765,30 @@ class WebServer {
     next();
   }
 
+  /**
+   * Responde aos erros das rotas de configuração de site e do modo "ensinar"
+   * @param {Response} res - Resposta Express
+   * @param {Error} error - Erro do PriceScraper
+   * @param {string} message - Mensagem de log para erros inesperados
+   */
+  sendSiteConfigError(res, error, message) {
+    const statuses = {
+      INVALID_SITE_CONFIG: 400,
+      SITE_CONFIG_NOT_FOUND: 404,
+      PRICE_NOT_FOUND: 422,
+      SELECTOR_MISMATCH: 422,
+      ADAPTER_EXISTS: 409,
+      ROBOTS_DISALLOWED: 403
+    };
+
+    if (statuses[error.code]) {
+      return res.status(statuses[error.code]).json({ error: error.message, code: error.code, problems: error.problems });
+    }
+
+    logger.error(message, error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+
   /**
    * Ordena produtos conforme critério
    */